@@ -0,0 +1,220 @@
+// Autosave and crash recovery
+// A snapshot of the editor is written to localStorage on every change, because it is synchronous and
+// survives a crash mid-write. The snapshot is marked clean when the page is closed normally, so an
+// unclean snapshot at startup means the last session ended unexpectedly.
+
+/* global CONFIG, editor, workspace, openDocument, saveActiveDocument, setEditorContent, createModal,
+   escapeHtml, showNotification, logError */
+
+const SESSION_SNAPSHOT_KEY = 'markdowngpt.session';
+const EDITOR_SETTINGS_KEY = 'markdowngpt.editorSettings';
+const EDITOR_SETTING_IDS = ['enableIcons', 'enablePrefilled', 'enableStreaming', 'syncScroll'];
+
+let autosaveTimeout;
+let recoveryPending = false;
+
+function createSessionSnapshot(state, now = Date.now()) {
+    return {
+        documentId: state.documentId || null,
+        content: state.content,
+        selectionStart: state.selectionStart || 0,
+        selectionEnd: state.selectionEnd || 0,
+        scrollTop: state.scrollTop || 0,
+        savedAt: now,
+        clean: false
+    };
+}
+
+function readSessionSnapshot(storage = localStorage) {
+    try {
+        const snapshot = JSON.parse(storage.getItem(SESSION_SNAPSHOT_KEY) || 'null');
+        return snapshot && typeof snapshot.content === 'string' ? snapshot : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeSessionSnapshot(snapshot, storage = localStorage) {
+    storage.setItem(SESSION_SNAPSHOT_KEY, JSON.stringify(snapshot));
+}
+
+// Recovery is only worth offering when the session crashed with text that was never stored
+function needsRecovery(snapshot, storedContent) {
+    return Boolean(snapshot && !snapshot.clean && snapshot.content.trim() && snapshot.content !== storedContent);
+}
+
+// Editor settings
+
+function loadEditorSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(EDITOR_SETTINGS_KEY) || '{}');
+        EDITOR_SETTING_IDS.forEach(id => {
+            const checkbox = document.getElementById(id);
+            if (checkbox && typeof saved[id] === 'boolean') {
+                checkbox.checked = saved[id];
+            }
+        });
+    } catch (error) {
+        logError('Failed to load editor settings', error);
+    }
+}
+
+function saveEditorSettings() {
+    try {
+        const settings = {};
+        EDITOR_SETTING_IDS.forEach(id => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) {
+                settings[id] = checkbox.checked;
+            }
+        });
+        localStorage.setItem(EDITOR_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        logError('Failed to save editor settings', error);
+    }
+}
+
+// Autosave
+
+function currentSessionSnapshot() {
+    return createSessionSnapshot({
+        documentId: workspace.activeId,
+        content: editor.value,
+        selectionStart: editor.selectionStart,
+        selectionEnd: editor.selectionEnd,
+        scrollTop: editor.scrollTop
+    });
+}
+
+function flushAutosave() {
+    clearTimeout(autosaveTimeout);
+
+    // Leave a crashed session's snapshot alone until the user has decided what to do with it
+    if (recoveryPending) {
+        return;
+    }
+
+    try {
+        writeSessionSnapshot(currentSessionSnapshot());
+    } catch (error) {
+        logError('Session snapshot failed', error);
+    }
+
+    saveActiveDocument().catch(error => {
+        logError('Document save failed', error, { id: workspace.activeId });
+        showNotification('❌ Could not save the document', 'error');
+    });
+}
+
+function scheduleAutosave() {
+    clearTimeout(autosaveTimeout);
+    autosaveTimeout = setTimeout(flushAutosave, CONFIG.AUTOSAVE_DELAY_MS);
+}
+
+// Called once the editor shows the stored document; previousSession is the snapshot read before that
+function startAutosave(previousSession) {
+    EDITOR_SETTING_IDS.forEach(id => {
+        document.getElementById(id)?.addEventListener('change', saveEditorSettings);
+    });
+
+    // Cursor and scroll position are part of the snapshot too
+    ['keyup', 'mouseup', 'scroll'].forEach(type => editor.addEventListener(type, scheduleAutosave));
+
+    window.addEventListener('pagehide', () => {
+        flushAutosave();
+        if (!recoveryPending) {
+            writeSessionSnapshot({ ...currentSessionSnapshot(), clean: true });
+        }
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushAutosave();
+        }
+    });
+    // Coming back from the back/forward cache starts a new session
+    window.addEventListener('pageshow', event => {
+        if (event.persisted) {
+            flushAutosave();
+        }
+    });
+
+    const storedDocument = workspace.documents.find(doc => doc.id === previousSession?.documentId);
+    const storedContent = storedDocument ? storedDocument.content : editor.value;
+
+    if (needsRecovery(previousSession, storedContent)) {
+        offerSessionRecovery(previousSession);
+        return;
+    }
+
+    if (previousSession && previousSession.documentId === workspace.activeId) {
+        restoreCursor(previousSession);
+    }
+    flushAutosave();
+}
+
+function restoreCursor(snapshot) {
+    const length = editor.value.length;
+    editor.setSelectionRange(Math.min(snapshot.selectionStart, length), Math.min(snapshot.selectionEnd, length));
+    editor.scrollTop = snapshot.scrollTop;
+}
+
+function offerSessionRecovery(snapshot) {
+    recoveryPending = true;
+
+    const modal = createModal('💾 Restore unsaved work?', 'recovery-modal');
+    const preview = snapshot.content.length > 400 ? snapshot.content.slice(0, 400) + '…' : snapshot.content;
+
+    modal.body.innerHTML = `
+        <p>MarkdownGPT did not close cleanly last time. Text from
+            ${escapeHtml(new Date(snapshot.savedAt).toLocaleString())} was not saved:</p>
+        <pre class="recovery-preview">${escapeHtml(preview)}</pre>`;
+    modal.footer.innerHTML = `
+        <button class="btn secondary" type="button" data-action="discard">Discard</button>
+        <button class="btn" type="button" data-action="restore">♻️ Restore</button>`;
+
+    const finish = () => {
+        recoveryPending = false;
+        flushAutosave();
+    };
+
+    modal.onClose = finish;
+    modal.footer.addEventListener('click', event => {
+        const action = event.target.dataset.action;
+        if (action === 'discard') {
+            modal.close();
+        } else if (action === 'restore') {
+            modal.onClose = null;
+            modal.close();
+            restoreSession(snapshot)
+                .catch(error => {
+                    logError('Session restore failed', error);
+                    showNotification('❌ Could not restore the last session', 'error');
+                })
+                .finally(finish);
+        }
+    });
+}
+
+async function restoreSession(snapshot) {
+    if (snapshot.documentId && snapshot.documentId !== workspace.activeId &&
+        workspace.documents.some(doc => doc.id === snapshot.documentId)) {
+        await openDocument(snapshot.documentId);
+    }
+
+    // Restored as an undoable step, so the stored version is one Ctrl+Z away
+    setEditorContent(snapshot.content, 'Restore unsaved work', {
+        selectionStart: snapshot.selectionStart,
+        selectionEnd: snapshot.selectionEnd
+    });
+    editor.scrollTop = snapshot.scrollTop;
+    showNotification('♻️ Unsaved work restored', 'success');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSessionSnapshot,
+        readSessionSnapshot,
+        writeSessionSnapshot,
+        needsRecovery
+    };
+}
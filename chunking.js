@@ -0,0 +1,266 @@
+// Section-aware chunking for long documents
+// Text is split at headings first, then paragraphs, then lines, then sentences, so each AI request
+// stays under the per-request limit while chunks keep their natural boundaries. Code blocks are only
+// cut between lines, with the fence closed and opened again around each cut.
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const FENCE_MARKER_PATTERN = /^\s*(`{3,}|~{3,})/;
+const HEADING_PATTERN = /^#{1,6}\s+\S/;
+
+// Split text into blocks separated by a predicate on each line, never inside a code fence
+function splitOutsideFences(text, isBoundary) {
+    const blocks = [];
+    let current = [];
+    let inFence = false;
+
+    for (const line of text.split('\n')) {
+        if (!inFence && isBoundary(line, current)) {
+            if (current.length) {
+                blocks.push(current.join('\n'));
+            }
+            current = [];
+        }
+        if (FENCE_PATTERN.test(line)) {
+            inFence = !inFence;
+        }
+        current.push(line);
+    }
+
+    if (current.length) {
+        blocks.push(current.join('\n'));
+    }
+    return blocks;
+}
+
+function splitSections(text) {
+    return splitOutsideFences(text, line => HEADING_PATTERN.test(line));
+}
+
+function splitParagraphs(text) {
+    // A blank line starts a new paragraph; the blank line itself is dropped when joining back
+    return splitOutsideFences(text, (line, current) => current.length > 0 && current[current.length - 1].trim() === '')
+        .map(paragraph => paragraph.replace(/\n+$/, ''))
+        .filter(paragraph => paragraph.trim());
+}
+
+// The lines of a paragraph, with each fenced code block kept together as one piece
+function splitLines(text) {
+    const pieces = [];
+    let fence = null;
+
+    for (const line of text.split('\n')) {
+        if (fence) {
+            fence.push(line);
+            if (FENCE_PATTERN.test(line)) {
+                pieces.push(fence.join('\n'));
+                fence = null;
+            }
+        } else if (FENCE_PATTERN.test(line)) {
+            fence = [line];
+        } else {
+            pieces.push(line);
+        }
+    }
+
+    if (fence) {
+        pieces.push(fence.join('\n'));
+    }
+    return pieces;
+}
+
+// Cut an oversized code block between its lines, closing the fence at each cut and opening it again.
+// A single code line longer than the limit is sent whole rather than broken.
+function splitFence(block, maxLength) {
+    const lines = block.split('\n');
+    const opening = lines[0];
+    const closed = lines.length > 1 && FENCE_PATTERN.test(lines[lines.length - 1]);
+    const closing = closed ? lines[lines.length - 1] : opening.match(FENCE_MARKER_PATTERN)[1];
+    const body = lines.slice(1, closed ? -1 : lines.length);
+    const budget = Math.max(1, maxLength - opening.length - closing.length - 2);
+
+    return packPieces(body, budget, '\n').map(piece => `${opening}\n${piece}\n${closing}`);
+}
+
+function splitSentences(text) {
+    return text.split(/\n+/).flatMap(line => line.match(/[^.!?]+(?:[.!?]+|$)\s*|[.!?]+\s*/g) || []);
+}
+
+// Last resort for a single oversized sentence: cut at whitespace
+function splitAtWhitespace(text, maxLength) {
+    const pieces = [];
+    let rest = text;
+
+    while (rest.length > maxLength) {
+        let cut = rest.lastIndexOf(' ', maxLength);
+        if (cut <= 0) {
+            cut = maxLength;
+        }
+        pieces.push(rest.slice(0, cut));
+        rest = rest.slice(cut).replace(/^\s+/, '');
+    }
+
+    if (rest) {
+        pieces.push(rest);
+    }
+    return pieces;
+}
+
+// Greedily pack pieces into chunks no longer than maxLength
+function packPieces(pieces, maxLength, separator) {
+    const chunks = [];
+    let current = '';
+
+    for (const piece of pieces) {
+        const candidate = current ? current + separator + piece : piece;
+        if (candidate.length <= maxLength) {
+            current = candidate;
+        } else {
+            if (current) {
+                chunks.push(current);
+            }
+            current = piece;
+        }
+    }
+
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+// Break one piece down until every part fits
+function fitToLength(text, maxLength) {
+    if (text.length <= maxLength) {
+        return [text];
+    }
+
+    const paragraphs = splitParagraphs(text);
+    if (paragraphs.length > 1) {
+        return packPieces(paragraphs.flatMap(p => fitToLength(p, maxLength)), maxLength, '\n\n');
+    }
+
+    // Lines, list items included, are packed back together with their line breaks
+    const lines = splitLines(text);
+    if (lines.length > 1) {
+        return packPieces(lines.flatMap(line => fitToLength(line, maxLength)), maxLength, '\n');
+    }
+
+    if (FENCE_PATTERN.test(text)) {
+        return splitFence(text, maxLength);
+    }
+
+    // Sentences keep their trailing whitespace, so they are packed back together without a separator
+    const sentences = splitSentences(text).filter(sentence => sentence.trim());
+    if (sentences.length > 1) {
+        return packPieces(sentences.flatMap(s => fitToLength(s, maxLength)), maxLength, '')
+            .map(piece => piece.trim());
+    }
+
+    return splitAtWhitespace(text, maxLength);
+}
+
+// Like fitToLength, but keeps a section's heading attached to the text that follows it
+function fitSection(section, maxLength) {
+    const [firstLine, ...rest] = section.split('\n');
+    const body = rest.join('\n').trim();
+
+    if (section.length <= maxLength || !HEADING_PATTERN.test(firstLine) || !body) {
+        return fitToLength(section, maxLength);
+    }
+
+    const pieces = fitToLength(body, maxLength - firstLine.length - 2);
+    pieces[0] = `${firstLine}\n\n${pieces[0]}`;
+    return pieces;
+}
+
+// Split a document into ordered chunks of at most maxLength characters
+function splitIntoChunks(text, maxLength) {
+    const sections = splitSections(text.trim())
+        .map(section => section.trim())
+        .filter(Boolean);
+
+    const pieces = sections.flatMap(section => fitSection(section, maxLength));
+    return packPieces(pieces, maxLength, '\n\n').map((chunkText, index) => ({ index, text: chunkText }));
+}
+
+// Shared context sent with every chunk: title, outline and position
+function buildDocumentContext(text) {
+    const headings = [];
+    let inFence = false;
+
+    for (const line of text.split('\n')) {
+        if (FENCE_PATTERN.test(line)) {
+            inFence = !inFence;
+        } else if (!inFence && HEADING_PATTERN.test(line)) {
+            headings.push(line.trim());
+        }
+    }
+
+    const firstH1 = headings.find(heading => /^#\s/.test(heading));
+    const firstLine = text.trim().split('\n')[0] || '';
+
+    return {
+        title: (firstH1 || firstLine).replace(/^#+\s*/, '').slice(0, 120),
+        outline: headings.slice(0, 30)
+    };
+}
+
+function buildChunkPrompt(prompt, context, chunk, total, previousTail) {
+    const lines = [
+        prompt,
+        '',
+        `You are processing part ${chunk.index + 1} of ${total} of a longer document titled "${context.title}".`,
+        'Only transform the text of this part. Keep heading levels and terminology consistent with the rest of the document.'
+    ];
+
+    if (context.outline.length) {
+        lines.push(`Document outline:\n${context.outline.join('\n')}`);
+    }
+    if (chunk.index > 0) {
+        lines.push('Do not add a new introduction or document title.');
+    }
+    if (chunk.index < total - 1) {
+        lines.push('Do not add a conclusion; the document continues after this part.');
+    }
+    if (previousTail) {
+        lines.push(`The previous part ended with:\n${previousTail}`);
+    }
+
+    return lines.join('\n');
+}
+
+function stitchChunks(results) {
+    return results.map(result => result.trim()).filter(Boolean).join('\n\n');
+}
+
+// Process a long document chunk by chunk, in order, and stitch the results back together.
+// processChunk(chunkText, chunkPrompt, chunk, total) resolves to the processed text of one chunk.
+async function processInChunks(text, prompt, maxLength, processChunk, onProgress) {
+    const chunks = splitIntoChunks(text, maxLength);
+    const context = buildDocumentContext(text);
+    const results = [];
+
+    for (const chunk of chunks) {
+        if (onProgress) {
+            onProgress(chunk.index, chunks.length, results);
+        }
+
+        const previous = results[results.length - 1];
+        const previousTail = previous ? previous.trim().slice(-200) : '';
+        const chunkPrompt = buildChunkPrompt(prompt, context, chunk, chunks.length, previousTail);
+
+        results.push(await processChunk(chunk.text, chunkPrompt, chunk, chunks.length));
+    }
+
+    return stitchChunks(results);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        splitIntoChunks,
+        buildDocumentContext,
+        buildChunkPrompt,
+        stitchChunks,
+        processInChunks
+    };
+}
@@ -0,0 +1,588 @@
+// Commands and keyboard shortcuts
+// Every toolbar, menu and palette action is a command with an id. Buttons name the command they run in
+// data-command, shortcuts map keys to command ids, and the palette searches the same list, AI formats included.
+
+/* global editor, createModal, escapeHtml, showNotification, logError, listFormats, processWithAI, insertFormat,
+   insertLink, undoEdit, redoEdit, showHistoryList, openFrontMatterEditor, clearEditor, clearPrefilled,
+   createNewDocument, openImportDialog, copyToClipboard, toggleExportMenu, exportMarkdown, exportHTML, exportDocx,
+   exportPDF, exportFormats, autoFormat, autoFormatLocal, openInsertTableDialog, editTableAtCaret,
+   convertDelimitedToTable, reviewOutboxSuggestions */
+
+const SHORTCUTS_KEY = 'markdowngpt.shortcuts';
+
+const SHORTCUT_MODIFIERS = ['Mod', 'Alt', 'Shift'];
+const SHORTCUT_MODIFIER_NAMES = {
+    mod: 'Mod', ctrl: 'Mod', control: 'Mod', cmd: 'Mod', command: 'Mod', meta: 'Mod',
+    alt: 'Alt', option: 'Alt', opt: 'Alt',
+    shift: 'Shift'
+};
+const SHORTCUT_KEY_NAMES = {
+    ' ': 'Space', space: 'Space', esc: 'Escape', escape: 'Escape', enter: 'Enter', return: 'Enter', tab: 'Tab',
+    backspace: 'Backspace', delete: 'Delete', del: 'Delete', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft',
+    right: 'ArrowRight', arrowup: 'ArrowUp', arrowdown: 'ArrowDown', arrowleft: 'ArrowLeft', arrowright: 'ArrowRight',
+    home: 'Home', end: 'End', pageup: 'PageUp', pagedown: 'PageDown'
+};
+const MAC_SHORTCUT_SYMBOLS = { Mod: '⌘', Alt: '⌥', Shift: '⇧' };
+
+function normalizeShortcutKey(key) {
+    const lower = key.toLowerCase();
+    if (SHORTCUT_KEY_NAMES[lower]) {
+        return SHORTCUT_KEY_NAMES[lower];
+    }
+    if (/^f([1-9]|1[0-2])$/.test(lower)) {
+        return lower.toUpperCase();
+    }
+    return key.length === 1 ? key.toUpperCase() : null;
+}
+
+// 'ctrl+shift+p' -> 'Mod+Shift+P'; null when the text is not a shortcut
+function normalizeShortcut(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return null;
+    }
+    const parts = text.trim() === '+' ? ['+'] : text.split(/\s*\+\s*(?=.)/).map(part => part.trim());
+    const key = normalizeShortcutKey(parts.pop());
+    const modifiers = new Set();
+    for (const part of parts) {
+        const modifier = SHORTCUT_MODIFIER_NAMES[part.toLowerCase()];
+        if (!modifier) {
+            return null;
+        }
+        modifiers.add(modifier);
+    }
+    if (!key) {
+        return null;
+    }
+    return [...SHORTCUT_MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+// The shortcut a keydown event stands for. Plain keys type text, so only function keys work without Ctrl or Alt.
+function shortcutFromEvent(event) {
+    if (!event.key || ['Control', 'Meta', 'Shift', 'Alt', 'AltGraph'].includes(event.key)) {
+        return null;
+    }
+
+    // Letters and digits follow the keyboard layout, so Ctrl+Z is Z on AZERTY and Dvorak too. Where Shift, Alt or
+    // a non-Latin layout turns them into another character, the physical key is used instead.
+    const code = event.code || '';
+    const key = /^[a-z0-9]$/i.test(event.key) ? event.key.toUpperCase()
+        : /^Key[A-Z]$/.test(code) ? code.slice(3)
+            : /^Digit\d$/.test(code) ? code.slice(5)
+                : normalizeShortcutKey(event.key);
+    if (!key) {
+        return null;
+    }
+
+    const modifiers = [];
+    if (event.ctrlKey || event.metaKey) {
+        modifiers.push('Mod');
+    }
+    if (event.altKey) {
+        modifiers.push('Alt');
+    }
+    if (event.shiftKey) {
+        modifiers.push('Shift');
+    }
+    if (!modifiers.includes('Mod') && !modifiers.includes('Alt') && !/^F\d+$/.test(key)) {
+        return null;
+    }
+    return [...modifiers, key].join('+');
+}
+
+// 'Mod+Shift+P' as 'Ctrl+Shift+P', or '⌘⇧P' on a Mac
+function formatShortcut(shortcut, mac = false) {
+    if (!shortcut) {
+        return '';
+    }
+    const parts = shortcut.split('+');
+    const key = parts.pop();
+    if (mac) {
+        return parts.map(part => MAC_SHORTCUT_SYMBOLS[part]).join('') + key;
+    }
+    return [...parts.map(part => part === 'Mod' ? 'Ctrl' : part), key].join('+');
+}
+
+// Shortcut for each command id: the defaults, then the user's changes. A user's shortcut takes its keys away
+// from any command that has them by default.
+function resolveShortcuts(commands, overrides = {}) {
+    const shortcuts = {};
+    commands.forEach(command => {
+        shortcuts[command.id] = command.shortcut || null;
+    });
+
+    Object.entries(overrides).forEach(([id, shortcut]) => {
+        if (!(id in shortcuts)) {
+            return;
+        }
+        const normalized = normalizeShortcut(shortcut);
+        if (normalized) {
+            Object.keys(shortcuts).forEach(other => {
+                if (shortcuts[other] === normalized && !(other in overrides)) {
+                    shortcuts[other] = null;
+                }
+            });
+        }
+        shortcuts[id] = normalized;
+    });
+    return shortcuts;
+}
+
+// Give a command a shortcut (or none), taking it from whichever command had it
+function assignShortcut(shortcuts, id, shortcut) {
+    const normalized = shortcut ? normalizeShortcut(shortcut) : null;
+    const updated = { ...shortcuts, [id]: normalized };
+    const previousOwner = normalized
+        ? Object.keys(shortcuts).find(other => other !== id && shortcuts[other] === normalized) || null
+        : null;
+    if (previousOwner) {
+        updated[previousOwner] = null;
+    }
+    return { shortcuts: updated, previousOwner };
+}
+
+// The changes from the defaults, which is what gets saved
+function shortcutOverrides(commands, shortcuts) {
+    const overrides = {};
+    commands.forEach(command => {
+        const current = shortcuts[command.id] || null;
+        if (current !== (command.shortcut || null)) {
+            overrides[command.id] = current;
+        }
+    });
+    return overrides;
+}
+
+// Higher is better; null when the query's characters do not all appear in order
+function fuzzyScore(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (!needle) {
+        return 0;
+    }
+
+    let score = 0;
+    let position = -1;
+    let streak = 0;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, position + 1);
+        if (index === -1) {
+            return null;
+        }
+        streak = index === position + 1 ? streak + 1 : 0;
+        score += 1 + streak * 2;
+        if (index === 0 || /[\s\-_:./()]/.test(haystack[index - 1])) {
+            score += 3;
+        }
+        if (position >= 0 && index > position + 1) {
+            score -= 1;
+        }
+        position = index;
+    }
+    // Between equal matches, the shorter title is the closer one
+    return score - haystack.length / 100;
+}
+
+// Commands matching a query, best first; a match in the title counts for more than one in the category
+function searchCommands(commands, query) {
+    if (!query.trim()) {
+        return commands.slice();
+    }
+
+    return commands
+        .map((command, order) => {
+            const title = fuzzyScore(query, command.title);
+            const full = fuzzyScore(query, `${command.category} ${command.title} ${command.keywords || ''}`);
+            const score = Math.max(title ?? -Infinity, full === null ? -Infinity : full - 3);
+            return { command, order, score };
+        })
+        .filter(result => result.score > -Infinity)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(result => result.command);
+}
+
+// Commands UI
+
+const commandState = {
+    shortcuts: {},
+    // While the shortcut dialog waits for keys, shortcuts do not run
+    recording: false
+};
+
+function isMacPlatform() {
+    return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+}
+
+// Commands with editor set only run from the keyboard while the editor has focus
+const BASE_COMMANDS = [
+    { id: 'format.bold', title: 'Bold', category: 'Format', shortcut: 'Mod+B', editor: true,
+        run: () => insertFormat('**', '**', 'Bold text') },
+    { id: 'format.italic', title: 'Italic', category: 'Format', shortcut: 'Mod+I', editor: true,
+        run: () => insertFormat('*', '*', 'Italic text') },
+    { id: 'format.link', title: 'Link', category: 'Format', shortcut: 'Mod+K', editor: true, keywords: 'url',
+        run: () => insertLink() },
+    { id: 'format.code', title: 'Inline code', category: 'Format', editor: true,
+        run: () => insertFormat('`', '`', 'code') },
+    { id: 'format.codeBlock', title: 'Code block', category: 'Format', editor: true, keywords: 'fence',
+        run: () => insertFormat('```\n', '\n```', 'code block') },
+    { id: 'format.quote', title: 'Quote', category: 'Format', editor: true, keywords: 'blockquote',
+        run: () => insertFormat('> ', '', 'Quote text') },
+    { id: 'format.list', title: 'Bullet list', category: 'Format', editor: true,
+        run: () => insertFormat('- ', '', 'List item') },
+    { id: 'format.orderedList', title: 'Numbered list', category: 'Format', editor: true, keywords: 'ordered',
+        run: () => insertFormat('1. ', '', 'List item') },
+    { id: 'format.h2', title: 'Heading 2', category: 'Format', editor: true, keywords: 'h2 title',
+        run: () => insertFormat('## ', '', 'Heading') },
+    { id: 'format.h3', title: 'Heading 3', category: 'Format', editor: true, keywords: 'h3 title',
+        run: () => insertFormat('### ', '', 'Heading') },
+    { id: 'table.insert', title: 'Insert table', category: 'Table', editor: true, keywords: 'grid gfm',
+        run: () => openInsertTableDialog() },
+    { id: 'table.addRow', title: 'Add row below', category: 'Table', editor: true,
+        run: () => editTableAtCaret('addRow') },
+    { id: 'table.removeRow', title: 'Remove row', category: 'Table', editor: true, keywords: 'delete',
+        run: () => editTableAtCaret('removeRow') },
+    { id: 'table.addColumn', title: 'Add column to the right', category: 'Table', editor: true,
+        run: () => editTableAtCaret('addColumn') },
+    { id: 'table.removeColumn', title: 'Remove column', category: 'Table', editor: true, keywords: 'delete',
+        run: () => editTableAtCaret('removeColumn') },
+    { id: 'table.align', title: 'Align table columns', category: 'Table', editor: true, keywords: 'pad format',
+        run: () => editTableAtCaret('align') },
+    { id: 'table.fromDelimited', title: 'Convert CSV or TSV to table', category: 'Table', editor: true,
+        keywords: 'paste spreadsheet comma tab', run: () => convertDelimitedToTable() },
+    { id: 'edit.undo', title: 'Undo', category: 'Edit', shortcut: 'Mod+Z', editor: true, run: () => undoEdit() },
+    { id: 'edit.redo', title: 'Redo', category: 'Edit', shortcut: 'Mod+Shift+Z', aliases: ['Mod+Y'], editor: true,
+        run: () => redoEdit() },
+    { id: 'edit.history', title: 'Show edit history', category: 'Edit', run: () => showHistoryList() },
+    { id: 'edit.frontMatter', title: 'Edit front matter', category: 'Edit', keywords: 'yaml metadata',
+        run: () => openFrontMatterEditor() },
+    { id: 'edit.clear', title: 'Clear the editor', category: 'Edit', run: () => clearEditor() },
+    { id: 'edit.clearPrefilled', title: 'Clear prefilled text', category: 'Edit', run: () => clearPrefilled() },
+    { id: 'document.new', title: 'New document', category: 'Document', run: () => createNewDocument() },
+    { id: 'document.open', title: 'Open a file', category: 'Document', keywords: 'import md txt html',
+        run: () => openImportDialog() },
+    { id: 'document.copy', title: 'Copy to clipboard', category: 'Document', run: () => copyToClipboard() },
+    { id: 'export.menu', title: 'Export menu', category: 'Export', palette: false,
+        run: () => toggleExportMenu() },
+    { id: 'export.markdown', title: 'Markdown (.md)', category: 'Export', keywords: 'download',
+        run: () => exportMarkdown() },
+    { id: 'export.html', title: 'HTML page (.html)', category: 'Export', keywords: 'download',
+        run: () => exportHTML() },
+    { id: 'export.docx', title: 'Word (.docx)', category: 'Export', keywords: 'download',
+        run: () => exportDocx() },
+    { id: 'export.pdf', title: 'PDF (print)', category: 'Export', keywords: 'download', run: () => exportPDF() },
+    { id: 'ai.autoFormat', title: 'Auto format with AI', category: 'AI', run: () => autoFormat() },
+    { id: 'ai.localFormat', title: 'Format locally', category: 'AI', keywords: 'offline',
+        run: () => autoFormatLocal() },
+    { id: 'ai.reviewQueued', title: 'Review queued AI suggestions', category: 'AI', keywords: 'offline outbox sync',
+        run: () => reviewOutboxSuggestions() },
+    { id: 'formats.import', title: 'Import formats', category: 'Formats', keywords: 'json',
+        run: () => document.getElementById('formatImportInput')?.click() },
+    { id: 'formats.export', title: 'Export formats', category: 'Formats', keywords: 'json',
+        run: () => exportFormats() },
+    { id: 'view.palette', title: 'Command palette', category: 'View', shortcut: 'Mod+Shift+P', palette: false,
+        run: () => openCommandPalette() },
+    { id: 'view.shortcuts', title: 'Keyboard shortcuts', category: 'View', keywords: 'keys remap',
+        run: () => openShortcutSettings() }
+];
+
+// The fixed commands and one per AI format, custom formats included
+function listCommands() {
+    const formats = listFormats().map(format => ({
+        id: `format-ai.${format.id}`,
+        title: `${format.icon ? format.icon + ' ' : ''}${format.label}`,
+        category: 'AI format',
+        keywords: format.description || '',
+        run: () => processWithAI(format.id)
+    }));
+    return [...BASE_COMMANDS, ...formats];
+}
+
+function findCommand(id) {
+    return listCommands().find(command => command.id === id) || null;
+}
+
+function loadShortcutOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || '{}');
+    } catch (error) {
+        logError('Failed to load keyboard shortcuts', error);
+        return {};
+    }
+}
+
+function saveShortcuts(shortcuts) {
+    try {
+        localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(shortcutOverrides(listCommands(), shortcuts)));
+    } catch (error) {
+        logError('Failed to save keyboard shortcuts', error);
+    }
+}
+
+// Formats can be added and removed, so shortcuts are resolved again against the current list
+function refreshShortcuts() {
+    commandState.shortcuts = resolveShortcuts(listCommands(), loadShortcutOverrides());
+    updateShortcutHints();
+}
+
+function runCommand(id) {
+    const command = findCommand(id);
+    if (!command) {
+        logError('Unknown command', new Error(`No command "${id}"`));
+        return;
+    }
+    try {
+        const result = command.run();
+        if (result && typeof result.catch === 'function') {
+            result.catch(error => {
+                logError('Command failed', error, { id });
+                showNotification(`❌ ${command.title} failed`, 'error');
+            });
+        }
+    } catch (error) {
+        logError('Command failed', error, { id });
+        showNotification(`❌ ${command.title} failed`, 'error');
+    }
+}
+
+// Buttons keep the title from the markup, followed by their current shortcut
+function updateShortcutHints() {
+    const mac = isMacPlatform();
+    document.querySelectorAll('[data-command]').forEach(element => {
+        if (element.dataset.baseTitle === undefined) {
+            element.dataset.baseTitle = element.getAttribute('title') || '';
+        }
+        const shortcut = commandState.shortcuts[element.dataset.command];
+        const base = element.dataset.baseTitle || findCommand(element.dataset.command)?.title || '';
+        element.title = shortcut ? `${base} (${formatShortcut(shortcut, mac)})` : base;
+    });
+}
+
+function handleShortcutKeydown(event) {
+    if (commandState.recording || event.defaultPrevented) {
+        return;
+    }
+    const shortcut = shortcutFromEvent(event);
+    if (!shortcut) {
+        return;
+    }
+
+    const commands = listCommands();
+    const command = commands.find(candidate => commandState.shortcuts[candidate.id] === shortcut) ||
+        commands.find(candidate => (candidate.aliases || []).includes(shortcut) &&
+            !Object.values(commandState.shortcuts).includes(shortcut));
+    if (!command || (command.editor && document.activeElement !== editor)) {
+        return;
+    }
+    // Shortcuts stay out of the way of open dialogs, except the palette's own
+    if (document.querySelector('.modal-overlay') && command.id !== 'view.palette') {
+        return;
+    }
+
+    event.preventDefault();
+    runCommand(command.id);
+}
+
+function setupCommands() {
+    refreshShortcuts();
+
+    document.addEventListener('click', event => {
+        const trigger = event.target.closest('[data-command]');
+        if (trigger && !trigger.disabled) {
+            runCommand(trigger.dataset.command);
+        }
+    });
+    document.addEventListener('keydown', handleShortcutKeydown);
+}
+
+function openCommandPalette() {
+    if (document.querySelector('.command-palette')) {
+        return;
+    }
+
+    const returnFocus = document.activeElement;
+    const mac = isMacPlatform();
+    const commands = listCommands().filter(command => command.palette !== false);
+    let results = commands;
+    let selected = 0;
+    let chosen = null;
+
+    const modal = createModal('⌨️ Command Palette', 'command-palette');
+    modal.body.innerHTML = `
+        <input type="text" class="command-palette-input" placeholder="Type a command, format or export..."
+            aria-label="Search commands" autocomplete="off" spellcheck="false">
+        <ul class="command-palette-list" role="listbox"></ul>`;
+    const input = modal.body.querySelector('input');
+    const list = modal.body.querySelector('ul');
+
+    const render = () => {
+        list.innerHTML = results.length
+            ? results.map((command, index) => `
+                <li role="option" data-index="${index}" class="${index === selected ? 'selected' : ''}"
+                    aria-selected="${index === selected}">
+                    <span class="command-palette-category">${escapeHtml(command.category)}</span>
+                    <span class="command-palette-title">${escapeHtml(command.title)}</span>
+                    ${commandState.shortcuts[command.id]
+        ? `<kbd>${escapeHtml(formatShortcut(commandState.shortcuts[command.id], mac))}</kbd>` : ''}
+                </li>`).join('')
+            : '<li class="command-palette-empty">No matching commands</li>';
+        list.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+    };
+    const choose = index => {
+        chosen = results[index] || null;
+        modal.close();
+    };
+
+    modal.onClose = () => {
+        if (chosen) {
+            runCommand(chosen.id);
+        } else {
+            returnFocus?.focus?.();
+        }
+    };
+
+    input.addEventListener('input', () => {
+        results = searchCommands(commands, input.value);
+        selected = 0;
+        render();
+    });
+    input.addEventListener('keydown', event => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            selected = results.length ? (selected + step + results.length) % results.length : 0;
+            render();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            choose(selected);
+        }
+    });
+    list.addEventListener('click', event => {
+        const item = event.target.closest('[data-index]');
+        if (item) {
+            choose(Number(item.dataset.index));
+        }
+    });
+
+    render();
+    input.focus();
+}
+
+function openShortcutSettings() {
+    const mac = isMacPlatform();
+    const commands = listCommands();
+    const modal = createModal('⌨️ Keyboard Shortcuts', 'shortcuts-modal');
+    modal.footer.innerHTML = `
+        <button class="btn secondary" type="button" data-action="reset">Reset to defaults</button>
+        <button class="btn" type="button" data-action="done">Done</button>`;
+
+    const render = () => {
+        modal.body.innerHTML = `
+            <p class="shortcuts-hint">Click a shortcut and press the new keys. Backspace removes it, Escape cancels.</p>
+            <table class="shortcuts-table">
+                <tbody>
+                    ${commands.map(command => `
+                        <tr>
+                            <td class="shortcuts-category">${escapeHtml(command.category)}</td>
+                            <td>${escapeHtml(command.title)}</td>
+                            <td>
+                                <button type="button" class="shortcut-key" data-command-id="${escapeHtml(command.id)}">
+                                    ${escapeHtml(formatShortcut(commandState.shortcuts[command.id], mac) || '—')}
+                                </button>
+                            </td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    };
+
+    const apply = shortcuts => {
+        commandState.shortcuts = shortcuts;
+        saveShortcuts(shortcuts);
+        updateShortcutHints();
+        render();
+    };
+
+    // The key listener of the shortcut being recorded; it must not outlive the dialog
+    let recordingListener = null;
+    const stopRecording = () => {
+        if (recordingListener) {
+            document.removeEventListener('keydown', recordingListener, true);
+            recordingListener = null;
+        }
+        commandState.recording = false;
+    };
+
+    const record = button => {
+        const id = button.dataset.commandId;
+        commandState.recording = true;
+        button.classList.add('recording');
+        button.textContent = 'Press keys...';
+
+        const onKeydown = event => {
+            if (['Control', 'Meta', 'Shift', 'Alt'].includes(event.key)) {
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            stopRecording();
+
+            if (event.key === 'Escape') {
+                render();
+                return;
+            }
+            if (event.key === 'Backspace' || event.key === 'Delete') {
+                apply(assignShortcut(commandState.shortcuts, id, null).shortcuts);
+                return;
+            }
+
+            const shortcut = shortcutFromEvent(event);
+            if (!shortcut) {
+                showNotification('⌨️ Shortcuts need Ctrl, ⌘ or Alt, or a function key', 'warning');
+                render();
+                return;
+            }
+            const result = assignShortcut(commandState.shortcuts, id, shortcut);
+            if (result.previousOwner) {
+                const previous = commands.find(command => command.id === result.previousOwner);
+                showNotification(`⌨️ ${formatShortcut(shortcut, mac)} moved from "${previous?.title}"`, 'info');
+            }
+            apply(result.shortcuts);
+        };
+        // Capture, so the dialog's Escape handler and the shortcuts themselves do not see these keys
+        recordingListener = onKeydown;
+        document.addEventListener('keydown', onKeydown, true);
+    };
+
+    modal.body.addEventListener('click', event => {
+        const button = event.target.closest('.shortcut-key');
+        if (button && !commandState.recording) {
+            record(button);
+        }
+    });
+    modal.footer.addEventListener('click', event => {
+        const action = event.target.dataset.action;
+        if (action === 'reset') {
+            localStorage.removeItem(SHORTCUTS_KEY);
+            refreshShortcuts();
+            render();
+            showNotification('⌨️ Keyboard shortcuts reset', 'info');
+        } else if (action === 'done') {
+            modal.close();
+        }
+    });
+    modal.onClose = stopRecording;
+
+    render();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeShortcut,
+        shortcutFromEvent,
+        formatShortcut,
+        resolveShortcuts,
+        assignShortcut,
+        shortcutOverrides,
+        fuzzyScore,
+        searchCommands,
+        openShortcutSettings
+    };
+}
@@ -0,0 +1,274 @@
+// Line and word diff for reviewing AI results before they are written to the editor
+
+/* global escapeHtml, createModal */
+
+// Beyond this many edits the middle of the document is treated as one replacement
+const MAX_DIFF_EDITS = 4000;
+
+// Myers' O(ND) diff between two arrays; returns equal/delete/insert operations in order
+function diffSequences(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(value => ({ type: 'equal', value }));
+    ops.push(...myersDiff(a.slice(start, endA), b.slice(start, endB)));
+    ops.push(...a.slice(endA).map(value => ({ type: 'equal', value })));
+    return ops;
+}
+
+function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(max, MAX_DIFF_EDITS); d++) {
+        // Only the diagonals reachable in d steps are needed to backtrack later
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrackDiff(trace, a, b);
+            }
+        }
+    }
+
+    return [
+        ...a.map(value => ({ type: 'delete', value })),
+        ...b.map(value => ({ type: 'insert', value }))
+    ];
+}
+
+function backtrackDiff(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const at = k => snapshot[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', value: a[x - 1] });
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'insert', value: b[y - 1] });
+            } else {
+                ops.push({ type: 'delete', value: a[x - 1] });
+            }
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+// Group a line diff into unchanged runs and numbered change hunks
+function computeHunks(original, proposed) {
+    const segments = [];
+    let hunkCount = 0;
+
+    for (const op of diffSequences(original.split('\n'), proposed.split('\n'))) {
+        const last = segments[segments.length - 1];
+
+        if (op.type === 'equal') {
+            if (last && last.type === 'equal') {
+                last.lines.push(op.value);
+            } else {
+                segments.push({ type: 'equal', lines: [op.value] });
+            }
+            continue;
+        }
+
+        let hunk = last;
+        if (!hunk || hunk.type !== 'change') {
+            hunk = { type: 'change', id: hunkCount++, removed: [], added: [] };
+            segments.push(hunk);
+        }
+        (op.type === 'delete' ? hunk.removed : hunk.added).push(op.value);
+    }
+
+    return segments;
+}
+
+// Rebuild the document, taking the proposed lines only for accepted hunks
+function applyHunks(segments, acceptedIds) {
+    const accepted = new Set(acceptedIds);
+
+    return segments.flatMap(segment => {
+        if (segment.type === 'equal') {
+            return segment.lines;
+        }
+        return accepted.has(segment.id) ? segment.added : segment.removed;
+    }).join('\n');
+}
+
+function tokenizeWords(line) {
+    return line.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+function diffWords(oldLine, newLine) {
+    return diffSequences(tokenizeWords(oldLine), tokenizeWords(newLine));
+}
+
+// Render one side of a word diff, highlighting the words that changed
+function renderWordDiff(ops, side) {
+    const skip = side === 'old' ? 'insert' : 'delete';
+    const tag = side === 'old' ? 'del' : 'ins';
+
+    return ops.filter(op => op.type !== skip).map(op => (
+        op.type === 'equal' ? escapeHtml(op.value) : `<${tag}>${escapeHtml(op.value)}</${tag}>`
+    )).join('');
+}
+
+function renderDiffLine(type, html) {
+    const marker = { added: '+', removed: '−', context: ' ' }[type];
+    return `<div class="diff-line ${type}"><span class="diff-marker">${marker}</span>` +
+        `<span class="diff-text">${html || '&nbsp;'}</span></div>`;
+}
+
+function renderHunk(hunk) {
+    const lines = [];
+    const pairs = Math.min(hunk.removed.length, hunk.added.length);
+
+    hunk.removed.forEach((line, i) => {
+        const html = i < pairs ? renderWordDiff(diffWords(line, hunk.added[i]), 'old') : escapeHtml(line);
+        lines.push(renderDiffLine('removed', html));
+    });
+    hunk.added.forEach((line, i) => {
+        const html = i < pairs ? renderWordDiff(diffWords(hunk.removed[i], line), 'new') : escapeHtml(line);
+        lines.push(renderDiffLine('added', html));
+    });
+
+    return `
+        <div class="diff-hunk" data-hunk="${hunk.id}">
+            <label class="diff-hunk-header">
+                <input type="checkbox" data-hunk-toggle="${hunk.id}" checked>
+                <span>Change ${hunk.id + 1}: −${hunk.removed.length} / +${hunk.added.length} lines</span>
+            </label>
+            ${lines.join('')}
+        </div>`;
+}
+
+// Unchanged runs are collapsed to a few lines of context around each change
+function renderContext(segment, isFirst, isLast) {
+    const context = 3;
+    const lines = segment.lines;
+
+    if (lines.length <= context * 2 + 1) {
+        return lines.map(line => renderDiffLine('context', escapeHtml(line))).join('');
+    }
+
+    const head = isFirst ? [] : lines.slice(0, context);
+    const tail = isLast ? [] : lines.slice(-context);
+    const hidden = lines.length - head.length - tail.length;
+
+    return [
+        ...head.map(line => renderDiffLine('context', escapeHtml(line))),
+        `<div class="diff-collapsed">⋯ ${hidden} unchanged line${hidden === 1 ? '' : 's'}</div>`,
+        ...tail.map(line => renderDiffLine('context', escapeHtml(line)))
+    ].join('');
+}
+
+// Show the review dialog; resolves to the text to write back, or null when everything is rejected
+function openReviewDialog(original, proposed, options = {}) {
+    const segments = computeHunks(original, proposed);
+    const hunks = segments.filter(segment => segment.type === 'change');
+    const added = hunks.reduce((sum, hunk) => sum + hunk.added.length, 0);
+    const removed = hunks.reduce((sum, hunk) => sum + hunk.removed.length, 0);
+
+    return new Promise(resolve => {
+        const modal = createModal(options.title || 'Review AI changes', 'review-modal');
+        let settled = false;
+
+        const finish = value => {
+            settled = true;
+            modal.close();
+            resolve(value);
+        };
+
+        modal.onClose = () => {
+            if (!settled) {
+                resolve(null);
+            }
+        };
+
+        modal.body.innerHTML = `
+            <p class="diff-summary">${hunks.length} change${hunks.length === 1 ? '' : 's'}:
+                <span class="diff-added-count">+${added}</span>
+                <span class="diff-removed-count">−${removed}</span> lines.
+                Untick a change to keep your original text for it.</p>
+            <div class="diff-view">
+                ${segments.map((segment, index) => segment.type === 'change'
+        ? renderHunk(segment)
+        : renderContext(segment, index === 0, index === segments.length - 1)).join('')}
+            </div>`;
+
+        modal.footer.innerHTML = `
+            <button class="btn secondary" type="button" data-action="reject">✖ Reject all</button>
+            <button class="btn secondary" type="button" data-action="selected">✔ Apply selected</button>
+            <button class="btn" type="button" data-action="accept">✅ Accept all</button>`;
+
+        modal.footer.addEventListener('click', event => {
+            const action = event.target.dataset.action;
+            if (action === 'reject') {
+                finish(null);
+            } else if (action === 'accept') {
+                finish(proposed);
+            } else if (action === 'selected') {
+                const acceptedIds = [...modal.body.querySelectorAll('[data-hunk-toggle]:checked')]
+                    .map(input => Number(input.dataset.hunkToggle));
+                finish(acceptedIds.length ? applyHunks(segments, acceptedIds) : null);
+            }
+        });
+
+        modal.body.addEventListener('change', event => {
+            const id = event.target.dataset.hunkToggle;
+            if (id !== undefined) {
+                modal.body.querySelector(`[data-hunk="${id}"]`).classList.toggle('rejected', !event.target.checked);
+            }
+        });
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        diffSequences,
+        computeHunks,
+        applyHunks,
+        diffWords,
+        renderWordDiff
+    };
+}
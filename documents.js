@@ -0,0 +1,304 @@
+// Multi-document workspace persisted in IndexedDB
+
+/* global getAllRecords, putRecord, deleteRecord, escapeHtml, editor, editorState, getDefaultContent,
+   loadEditorContent, showNotification, logError, refreshOutbox */
+
+const DOCUMENT_STORE = 'documents';
+const DOCUMENT_SCHEMA_VERSION = 1;
+const ACTIVE_DOCUMENT_KEY = 'markdowngpt.activeDocument';
+const UNTITLED_DOCUMENT = 'Untitled document';
+
+const workspace = {
+    documents: [],
+    activeId: null,
+    available: false
+};
+
+function generateDocumentId() {
+    return 'doc_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
+}
+
+function createDocumentRecord({ title = UNTITLED_DOCUMENT, content = '', format = null } = {}, now = Date.now()) {
+    return {
+        id: generateDocumentId(),
+        schemaVersion: DOCUMENT_SCHEMA_VERSION,
+        title,
+        content,
+        format,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// Fill in fields that records written by older versions may not have
+function normalizeDocumentRecord(record) {
+    const createdAt = record.createdAt || record.updatedAt || Date.now();
+    return {
+        ...record,
+        schemaVersion: DOCUMENT_SCHEMA_VERSION,
+        title: record.title || UNTITLED_DOCUMENT,
+        content: record.content || '',
+        format: record.format || null,
+        createdAt,
+        updatedAt: record.updatedAt || createdAt
+    };
+}
+
+// "Notes" -> "Notes (copy)" -> "Notes (copy 2)" ...
+function uniqueDocumentTitle(title, existingTitles) {
+    const taken = new Set(existingTitles);
+    if (!taken.has(title)) {
+        return title;
+    }
+
+    const base = title.replace(/ \(copy(?: \d+)?\)$/, '');
+    let candidate = `${base} (copy)`;
+    for (let n = 2; taken.has(candidate); n++) {
+        candidate = `${base} (copy ${n})`;
+    }
+    return candidate;
+}
+
+function duplicateDocumentRecord(record, existingTitles, now = Date.now()) {
+    return createDocumentRecord({
+        title: uniqueDocumentTitle(record.title, existingTitles),
+        content: record.content,
+        format: record.format
+    }, now);
+}
+
+// Most recently edited first
+function sortDocuments(documents) {
+    return [...documents].sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function formatRelativeTime(timestamp, now = Date.now()) {
+    const minutes = Math.floor((now - timestamp) / 60000);
+    if (minutes < 1) {
+        return 'just now';
+    }
+    if (minutes < 60) {
+        return `${minutes} min ago`;
+    }
+    if (minutes < 24 * 60) {
+        return `${Math.floor(minutes / 60)} h ago`;
+    }
+    return new Date(timestamp).toLocaleDateString();
+}
+
+// Workspace UI
+
+function getActiveDocument() {
+    return workspace.documents.find(doc => doc.id === workspace.activeId) || null;
+}
+
+function documentTitles() {
+    return workspace.documents.map(doc => doc.title);
+}
+
+async function storeDocument(record) {
+    await putRecord(DOCUMENT_STORE, record);
+    workspace.documents = sortDocuments([
+        ...workspace.documents.filter(doc => doc.id !== record.id),
+        record
+    ]);
+}
+
+// Load the workspace and open a document; returns false when documents cannot be stored
+async function initializeWorkspace() {
+    try {
+        const records = await getAllRecords(DOCUMENT_STORE);
+        workspace.documents = sortDocuments(records.map(normalizeDocumentRecord));
+        workspace.available = true;
+    } catch (error) {
+        logError('Document storage unavailable', error);
+        showNotification('⚠️ Documents cannot be saved in this browser', 'warning');
+        return false;
+    }
+
+    setupDocumentSidebar();
+
+    // The manifest's "New Document" shortcut opens /?action=new
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('action') === 'new') {
+        window.history.replaceState(null, '', window.location.pathname);
+        await createNewDocument();
+        return true;
+    }
+
+    const lastId = localStorage.getItem(ACTIVE_DOCUMENT_KEY);
+    const lastDocument = workspace.documents.find(doc => doc.id === lastId) || workspace.documents[0];
+
+    if (lastDocument) {
+        await openDocument(lastDocument.id);
+    } else {
+        const welcome = createDocumentRecord({ title: 'Welcome', content: getDefaultContent() });
+        await storeDocument(welcome);
+        await openDocument(welcome.id);
+    }
+    return true;
+}
+
+function setupDocumentSidebar() {
+    const sidebar = document.getElementById('documentSidebar');
+    const list = document.getElementById('documentList');
+    if (!sidebar || !list) {
+        return;
+    }
+
+    sidebar.hidden = false;
+    sidebar.closest('.editor-container')?.classList.add('has-sidebar');
+
+    list.addEventListener('click', event => {
+        const target = event.target.closest('[data-doc-action]');
+        if (!target) {
+            return;
+        }
+
+        const id = target.closest('[data-doc-id]').dataset.docId;
+        const actions = {
+            open: openDocument,
+            rename: renameDocument,
+            duplicate: duplicateDocument,
+            delete: deleteDocument
+        };
+        actions[target.dataset.docAction](id).catch(error => {
+            logError('Document action failed', error, { action: target.dataset.docAction, id });
+            showNotification('❌ Could not update the document', 'error');
+        });
+    });
+}
+
+function renderDocumentList() {
+    const list = document.getElementById('documentList');
+    if (!list) {
+        return;
+    }
+
+    list.innerHTML = workspace.documents.map(doc => {
+        const meta = formatRelativeTime(doc.updatedAt) + (doc.format ? ` · ${doc.format}` : '');
+        return `
+        <li class="document-item${doc.id === workspace.activeId ? ' active' : ''}" data-doc-id="${escapeHtml(doc.id)}">
+            <button type="button" class="document-open" data-doc-action="open">
+                <span class="document-title">${escapeHtml(doc.title)}</span>
+                <span class="document-meta">${escapeHtml(meta)}</span>
+            </button>
+            <div class="document-actions">
+                <button type="button" data-doc-action="rename" title="Rename">✏️</button>
+                <button type="button" data-doc-action="duplicate" title="Duplicate">⧉</button>
+                <button type="button" data-doc-action="delete" title="Delete">🗑️</button>
+            </div>
+        </li>`;
+    }).join('');
+}
+
+// Write the editor content and last-used format back to the active document
+async function saveActiveDocument() {
+    const active = getActiveDocument();
+    if (!workspace.available || !active) {
+        return;
+    }
+
+    const content = editor.value;
+    const format = editorState.currentFormat;
+    if (active.content === content && active.format === format) {
+        return;
+    }
+
+    await storeDocument({ ...active, content, format, updatedAt: Date.now() });
+    renderDocumentList();
+}
+
+async function openDocument(id) {
+    const target = workspace.documents.find(doc => doc.id === id);
+    if (!target) {
+        return;
+    }
+
+    if (id !== workspace.activeId) {
+        await saveActiveDocument();
+    }
+
+    workspace.activeId = id;
+    localStorage.setItem(ACTIVE_DOCUMENT_KEY, id);
+
+    editorState.currentFormat = target.format;
+    document.querySelectorAll('.format-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.format === target.format);
+    });
+
+    loadEditorContent(target.content);
+    renderDocumentList();
+    // Queued AI results wait in the document they were requested for
+    refreshOutbox();
+}
+
+async function createNewDocument() {
+    await addDocument({ title: UNTITLED_DOCUMENT });
+    editor.focus();
+}
+
+// Store a new document and open it, saving the current one first
+async function addDocument({ title, content = '' }) {
+    await saveActiveDocument();
+
+    const record = createDocumentRecord({ title: uniqueDocumentTitle(title, documentTitles()), content });
+    await storeDocument(record);
+    await openDocument(record.id);
+    return record;
+}
+
+async function renameDocument(id) {
+    const target = workspace.documents.find(doc => doc.id === id);
+    const title = prompt('Rename document', target.title);
+    if (!title || !title.trim() || title.trim() === target.title) {
+        return;
+    }
+
+    await storeDocument({ ...target, title: title.trim(), updatedAt: Date.now() });
+    renderDocumentList();
+}
+
+async function duplicateDocument(id) {
+    // Save first so the copy includes any edits that have not been written yet
+    await saveActiveDocument();
+
+    const target = workspace.documents.find(doc => doc.id === id);
+    const copy = duplicateDocumentRecord(target, documentTitles());
+    await storeDocument(copy);
+    await openDocument(copy.id);
+    showNotification(`📄 Created "${copy.title}"`, 'success');
+}
+
+async function deleteDocument(id) {
+    const target = workspace.documents.find(doc => doc.id === id);
+    if (!confirm(`Delete "${target.title}"? This cannot be undone.`)) {
+        return;
+    }
+
+    await deleteRecord(DOCUMENT_STORE, id);
+    workspace.documents = workspace.documents.filter(doc => doc.id !== id);
+
+    if (id === workspace.activeId) {
+        workspace.activeId = null;
+        if (workspace.documents.length) {
+            await openDocument(workspace.documents[0].id);
+        } else {
+            await createNewDocument();
+        }
+    } else {
+        renderDocumentList();
+    }
+    showNotification(`🗑️ Deleted "${target.title}"`, 'info');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createDocumentRecord,
+        normalizeDocumentRecord,
+        uniqueDocumentTitle,
+        duplicateDocumentRecord,
+        sortDocuments,
+        formatRelativeTime
+    };
+}
@@ -0,0 +1,366 @@
+// Word (.docx) export
+// Builds the Office Open XML package from the markdown.js block tree. Blocks use Word's built-in styles
+// (Heading 1–6, Quote, List Paragraph, HTML Preformatted, Table Grid, Hyperlink), so the navigation pane,
+// restyling and Google Docs import all work on the exported file.
+
+/* global parseMarkdown, maskFrontMatter, createZip, findDocumentTitle, editor, confirmPlatformLimits,
+   toggleExportMenu, showNotification, logError */
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const DOCX_NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const DOCX_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Twips (1/20 pt): list levels and quotes indent by half an inch; Letter page with one-inch margins
+const DOCX_INDENT = 720;
+const DOCX_TEXT_WIDTH = 9360;
+
+const DOCX_CODE_SHADING = 'F6F8FA';
+const DOCX_BULLETS = ['•', '◦', '▪'];
+const DOCX_NUMBER_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+
+// Characters XML 1.0 cannot contain are dropped
+function escapeXml(text) {
+    return String(text)
+        .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Parts that do not depend on the content
+
+function docxContentTypesXml() {
+    const part = (name, type) =>
+        `<Override PartName="${name}" ContentType="application/vnd.openxmlformats-${type}+xml"/>`;
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        part('/word/document.xml', 'officedocument.wordprocessingml.document.main') +
+        part('/word/styles.xml', 'officedocument.wordprocessingml.styles') +
+        part('/word/numbering.xml', 'officedocument.wordprocessingml.numbering') +
+        part('/docProps/core.xml', 'package.core-properties') +
+        '</Types>';
+}
+
+function docxRelationshipsXml(relationships) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        relationships.map(rel => `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXml(rel.target)}"` +
+            `${rel.external ? ' TargetMode="External"' : ''}/>`).join('') +
+        '</Relationships>';
+}
+
+function docxCorePropertiesXml(title, date) {
+    const created = date.toISOString().replace(/\.\d+Z$/, 'Z');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        (title ? `<dc:title>${escapeXml(title)}</dc:title>` : '') +
+        '<dc:creator>MarkdownGPT</dc:creator>' +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>` +
+        `<dcterms:modified xsi:type="dcterms:W3CDTF">${created}</dcterms:modified>` +
+        '</cp:coreProperties>';
+}
+
+function docxStylesXml() {
+    const style = (type, id, name, body, extra = '') =>
+        `<w:style w:type="${type}" w:styleId="${id}"${extra}><w:name w:val="${name}"/>${body}</w:style>`;
+    const headingSizes = [32, 28, 26, 24, 22, 22];
+    const headings = headingSizes.map((size, index) => style('paragraph', `Heading${index + 1}`,
+        `heading ${index + 1}`,
+        '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>' +
+        `<w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${index < 2 ? 360 : 240}" w:after="120"/>` +
+        `<w:outlineLvl w:val="${index}"/></w:pPr>` +
+        `<w:rPr><w:b/>${index >= 4 ? '<w:i/>' : ''}<w:color w:val="1F2937"/><w:sz w:val="${size}"/></w:rPr>`)).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<w:styles ${DOCX_NAMESPACES}>` +
+        '<w:docDefaults><w:rPrDefault><w:rPr>' +
+        '<w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+        '<w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+        '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>' +
+        '</w:docDefaults>' +
+        style('paragraph', 'Normal', 'Normal', '<w:qFormat/>', ' w:default="1"') +
+        headings +
+        style('paragraph', 'Quote', 'Quote',
+            '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="29"/><w:qFormat/>' +
+            '<w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="D0D7DE"/></w:pBdr>' +
+            `<w:ind w:left="${DOCX_INDENT}"/></w:pPr><w:rPr><w:i/><w:color w:val="57606A"/></w:rPr>`) +
+        style('paragraph', 'ListParagraph', 'List Paragraph',
+            '<w:basedOn w:val="Normal"/><w:uiPriority w:val="34"/><w:qFormat/>' +
+            `<w:pPr><w:ind w:left="${DOCX_INDENT}"/><w:contextualSpacing/></w:pPr>`) +
+        style('paragraph', 'HTMLPreformatted', 'HTML Preformatted',
+            '<w:basedOn w:val="Normal"/><w:uiPriority w:val="99"/>' +
+            '<w:pPr><w:shd w:val="clear" w:color="auto" w:fill="' + DOCX_CODE_SHADING + '"/>' +
+            '<w:spacing w:before="120" w:after="240" w:line="240" w:lineRule="auto"/></w:pPr>' +
+            '<w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/></w:rPr>') +
+        style('paragraph', 'HorizontalRule', 'Horizontal Rule',
+            '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+            '<w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="D0D7DE"/></w:pBdr></w:pPr>') +
+        style('character', 'HTMLCode', 'HTML Code',
+            '<w:uiPriority w:val="99"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>' +
+            `<w:sz w:val="20"/><w:shd w:val="clear" w:color="auto" w:fill="${DOCX_CODE_SHADING}"/></w:rPr>`) +
+        style('character', 'Hyperlink', 'Hyperlink',
+            '<w:uiPriority w:val="99"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr>') +
+        style('table', 'TableGrid', 'Table Grid',
+            '<w:uiPriority w:val="39"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr>' +
+            '<w:tblPr><w:tblBorders>' +
+            ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+                .map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="D0D7DE"/>`).join('') +
+            '</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/>' +
+            '</w:tblCellMar></w:tblPr>') +
+        '</w:styles>';
+}
+
+// Bullet lists share abstract numbering 0 and ordered lists 1; every list gets its own instance so
+// ordered lists restart at their own start number
+function docxNumberingXml(lists) {
+    const levels = ordered => Array.from({ length: 9 }, (_, level) => {
+        const format = ordered ? DOCX_NUMBER_FORMATS[level % 3] : 'bullet';
+        const text = ordered ? `%${level + 1}.` : DOCX_BULLETS[level % 3];
+        return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/>` +
+            `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+            `<w:pPr><w:ind w:left="${DOCX_INDENT * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+    }).join('');
+    const abstract = (id, ordered) =>
+        `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>${levels(ordered)}` +
+        '</w:abstractNum>';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<w:numbering ${DOCX_NAMESPACES}>` +
+        abstract(0, false) + abstract(1, true) +
+        lists.map(list => `<w:num w:numId="${list.id}"><w:abstractNumId w:val="${list.ordered ? 1 : 0}"/>` +
+            (list.ordered
+                ? `<w:lvlOverride w:ilvl="${list.level}"><w:startOverride w:val="${list.start}"/></w:lvlOverride>`
+                : '') +
+            '</w:num>').join('') +
+        '</w:numbering>';
+}
+
+// Runs
+
+function docxRunProperties(format) {
+    const style = format.code ? 'HTMLCode' : format.link ? 'Hyperlink' : null;
+    const properties = (style ? `<w:rStyle w:val="${style}"/>` : '') +
+        (format.bold ? '<w:b/>' : '') +
+        (format.italic ? '<w:i/>' : '') +
+        (format.strike ? '<w:strike/>' : '');
+    return properties ? `<w:rPr>${properties}</w:rPr>` : '';
+}
+
+// Tabs and line breaks inside the text become Word's own tab and break elements
+function docxRun(text, format = {}) {
+    if (!text) {
+        return '';
+    }
+    const content = text.split('\n').map(line => line.split('\t')
+        .map(part => part ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>` : '')
+        .join('<w:tab/>')).join('<w:br/>');
+    return `<w:r>${docxRunProperties(format)}${content}</w:r>`;
+}
+
+// Only web and mail links become hyperlinks; anything else keeps just its text
+function isDocxLink(href) {
+    return /^(?:https?:|mailto:)/i.test(href || '');
+}
+
+function docxHyperlink(href, runs, context) {
+    const id = `rIdLink${context.relationships.length + 1}`;
+    context.relationships.push({ id, type: `${DOCX_RELATIONSHIP_TYPE}/hyperlink`, target: href, external: true });
+    return `<w:hyperlink r:id="${id}" w:history="1">${runs}</w:hyperlink>`;
+}
+
+function docxRuns(nodes, context, format = {}) {
+    return nodes.map(node => {
+        switch (node.type) {
+        case 'text':
+            return docxRun(node.text, format);
+        case 'softbreak':
+            return docxRun(' ', format);
+        case 'br':
+            return `<w:r>${docxRunProperties(format)}<w:br/></w:r>`;
+        case 'strong':
+            return docxRuns(node.children, context, { ...format, bold: true });
+        case 'em':
+            return docxRuns(node.children, context, { ...format, italic: true });
+        case 'del':
+            return docxRuns(node.children, context, { ...format, strike: true });
+        case 'codespan':
+            return docxRun(node.text, { ...format, code: true });
+        case 'link':
+            return isDocxLink(node.href)
+                ? docxHyperlink(node.href, docxRuns(node.children, context, { ...format, link: true }), context)
+                : docxRuns(node.children, context, format);
+        case 'image':
+            // Images are not embedded; their alt text links to the image instead
+            return isDocxLink(node.src)
+                ? docxHyperlink(node.src, docxRun(node.alt || node.src, { ...format, link: true }), context)
+                : docxRun(node.alt, format);
+        default:
+            // Inline HTML tags are dropped; the text between them is kept
+            return '';
+        }
+    }).join('');
+}
+
+// Blocks
+
+function docxParagraph(runs, { style = null, numbering = null, indent = 0, align = null } = {}) {
+    const properties = (style ? `<w:pStyle w:val="${style}"/>` : '') +
+        (numbering ? `<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.id}"/></w:numPr>` : '') +
+        (indent ? `<w:ind w:left="${indent}"/>` : '') +
+        (align ? `<w:jc w:val="${align}"/>` : '');
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+function docxTable(token, context) {
+    const columns = token.align.length;
+    const width = Math.floor(DOCX_TEXT_WIDTH / columns);
+    const alignments = { left: 'left', center: 'center', right: 'right' };
+    const row = (cells, header) => '<w:tr>' + (header ? '<w:trPr><w:tblHeader/></w:trPr>' : '') +
+        token.align.map((align, index) => {
+            const runs = docxRuns(cells[index] || [], context, header ? { bold: true } : {});
+            const shading = header ? `<w:shd w:val="clear" w:color="auto" w:fill="${DOCX_CODE_SHADING}"/>` : '';
+            return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>` +
+                docxParagraph(runs, { align: alignments[align] || null }) + '</w:tc>';
+        }).join('') + '</w:tr>';
+
+    return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/>' +
+        '<w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" ' +
+        'w:noHBand="0" w:noVBand="1"/></w:tblPr>' +
+        `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>` +
+        row(token.header, true) + token.rows.map(cells => row(cells, false)).join('') +
+        // Word needs a paragraph between a table and whatever follows it
+        '</w:tbl><w:p><w:pPr><w:spacing w:after="0"/></w:pPr></w:p>';
+}
+
+function docxList(token, context, options) {
+    const level = options.level;
+    const list = { id: context.lists.length + 1, ordered: token.ordered, start: token.start ?? 1, level };
+    context.lists.push(list);
+    const indent = DOCX_INDENT * (level + 1);
+
+    return token.items.map(item => {
+        const [first, ...rest] = item.children;
+        const checkbox = item.task ? docxRun(item.task.checked ? '☒ ' : '☐ ') : '';
+        const numbering = { id: list.id, level };
+        const inline = first && (first.type === 'paragraph' || first.type === 'heading');
+        const label = docxParagraph(checkbox + (inline ? docxRuns(first.children, context) : ''), {
+            style: 'ListParagraph',
+            numbering
+        });
+        const following = inline ? rest : item.children;
+        return label + docxBlocks(following, context, { ...options, level: level + 1, indent, inList: true });
+    }).join('');
+}
+
+// options: level for nested lists, indent of the enclosing list item, quote inside blockquotes
+function docxBlocks(tokens, context, options = { level: 0, indent: 0, quote: false, inList: false }) {
+    return tokens.map(token => {
+        switch (token.type) {
+        case 'heading':
+            return docxParagraph(docxRuns(token.children, context), { style: `Heading${token.depth}` });
+        case 'paragraph':
+            return docxParagraph(docxRuns(token.children, context), {
+                style: options.quote ? 'Quote' : options.inList ? 'ListParagraph' : null,
+                indent: options.quote ? 0 : options.indent
+            });
+        case 'code':
+            return docxParagraph(docxRun(token.text.replace(/\n$/, '') || ' '), {
+                style: 'HTMLPreformatted',
+                indent: options.indent
+            });
+        case 'blockquote':
+            return docxBlocks(token.children, context, { ...options, quote: true });
+        case 'list':
+            return docxList(token, context, options);
+        case 'table':
+            return docxTable(token, context);
+        case 'hr':
+            return docxParagraph('', { style: 'HorizontalRule' });
+        case 'html': {
+            const text = token.text.replace(/<[^>]*>/g, '').trim();
+            return text ? docxParagraph(docxRun(text), { indent: options.indent }) : '';
+        }
+        default:
+            return '';
+        }
+    }).join('');
+}
+
+// Markdown to the files of a .docx package
+function buildDocxFiles(content, { title = null, date = new Date() } = {}) {
+    const context = { relationships: [], lists: [] };
+    const body = docxBlocks(parseMarkdown(maskFrontMatter(content)).tokens, context);
+
+    const documentXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<w:document ${DOCX_NAMESPACES}><w:body>${body || '<w:p/>'}` +
+        '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>' +
+        '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" ' +
+        'w:gutter="0"/></w:sectPr></w:body></w:document>';
+
+    const documentRelationships = [
+        { id: 'rIdStyles', type: `${DOCX_RELATIONSHIP_TYPE}/styles`, target: 'styles.xml' },
+        { id: 'rIdNumbering', type: `${DOCX_RELATIONSHIP_TYPE}/numbering`, target: 'numbering.xml' },
+        ...context.relationships
+    ];
+    const packageRelationships = [
+        { id: 'rIdDocument', type: `${DOCX_RELATIONSHIP_TYPE}/officeDocument`, target: 'word/document.xml' },
+        {
+            id: 'rIdCore',
+            type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+            target: 'docProps/core.xml'
+        }
+    ];
+
+    return [
+        { name: '[Content_Types].xml', data: docxContentTypesXml() },
+        { name: '_rels/.rels', data: docxRelationshipsXml(packageRelationships) },
+        { name: 'docProps/core.xml', data: docxCorePropertiesXml(title, date) },
+        { name: 'word/document.xml', data: documentXml },
+        { name: 'word/_rels/document.xml.rels', data: docxRelationshipsXml(documentRelationships) },
+        { name: 'word/styles.xml', data: docxStylesXml() },
+        { name: 'word/numbering.xml', data: docxNumberingXml(context.lists) }
+    ];
+}
+
+function createDocx(content, options = {}) {
+    return createZip(buildDocxFiles(content, options), { date: options.date });
+}
+
+// DOCX export UI
+
+function exportDocx() {
+    if (!confirmPlatformLimits('Export')) {
+        return;
+    }
+    try {
+        const content = editor.value;
+        const blob = new Blob([createDocx(content, { title: findDocumentTitle(content) })], { type: DOCX_MIME_TYPE });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'document.docx';
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        logError('DOCX export failed', error);
+        showNotification('❌ Could not create the Word document', 'error');
+    }
+    toggleExportMenu(false);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DOCX_MIME_TYPE,
+        escapeXml,
+        buildDocxFiles,
+        createDocx
+    };
+}
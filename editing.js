@@ -0,0 +1,376 @@
+// Toolbar formatting
+// Formatting toggles: applying a format to text that already has it removes it. Line formats (headings,
+// quotes and lists) apply to every selected line, ordered lists are renumbered after each change, and list
+// items nest and un-nest with Tab and Shift+Tab. Every function takes the text and selection and returns the
+// new text and selection, so the editor only has to apply the result.
+
+const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])( +|$)/;
+const HEADING_PREFIX_PATTERN = /^ {0,3}(#{1,6})(?: +|$)/;
+const QUOTE_PREFIX_PATTERN = /^ {0,3}> ?/;
+const CODE_FENCE_LINE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+// The full lines a selection touches; a selection that ends at the start of a line leaves that line out
+function selectedLineRange(text, start, end) {
+    const from = text.lastIndexOf('\n', start - 1) + 1;
+    const last = end > start && text[end - 1] === '\n' ? end - 1 : end;
+    const lineEnd = text.indexOf('\n', last);
+    return { from, to: lineEnd === -1 ? text.length : lineEnd };
+}
+
+function lineIndex(text, offset) {
+    return text.slice(0, offset).split('\n').length - 1;
+}
+
+// Length of the run of one character starting at index and going forwards (step 1) or backwards (step -1)
+function runLength(text, index, char, step) {
+    let length = 0;
+    while (text[index + length * step] === char) {
+        length++;
+    }
+    return length;
+}
+
+// Whether a marker run really is the marker: "**" is bold, not two italics; "***" is both
+function matchesMarkerRun(marker, run) {
+    if (run === marker.length) {
+        return true;
+    }
+    return run === 3 && (marker === '*' || marker === '**' || marker === '_' || marker === '__');
+}
+
+function isRepeatedMarker(marker) {
+    return marker.length > 0 && marker.split('').every(char => char === marker[0]);
+}
+
+// Wrap the selection in inline markers, or remove them when they are already there, inside or around it
+function toggleInlineMarkers(text, start, end, before, after, placeholder) {
+    const selected = text.slice(start, end);
+    const symmetric = before === after && isRepeatedMarker(before);
+
+    const insideMatches = selected.length >= before.length + after.length &&
+        selected.startsWith(before) && selected.endsWith(after) &&
+        (!symmetric || (matchesMarkerRun(before, runLength(selected, 0, before[0], 1)) &&
+            matchesMarkerRun(after, runLength(selected, selected.length - 1, after[0], -1))));
+    if (insideMatches && selected.length > before.length + after.length) {
+        const inner = selected.slice(before.length, selected.length - after.length);
+        return {
+            value: text.slice(0, start) + inner + text.slice(end),
+            selectionStart: start,
+            selectionEnd: start + inner.length,
+            removed: true
+        };
+    }
+
+    const outsideMatches = text.slice(start - before.length, start) === before &&
+        text.slice(end, end + after.length) === after &&
+        (!symmetric || (matchesMarkerRun(before, runLength(text, start - 1, before[0], -1)) &&
+            matchesMarkerRun(after, runLength(text, end, after[0], 1))));
+    if (outsideMatches && start >= before.length) {
+        return {
+            value: text.slice(0, start - before.length) + selected + text.slice(end + after.length),
+            selectionStart: start - before.length,
+            selectionEnd: end - before.length,
+            removed: true
+        };
+    }
+
+    const inner = selected || placeholder;
+    return {
+        value: text.slice(0, start) + before + inner + after + text.slice(end),
+        selectionStart: start + before.length,
+        selectionEnd: start + before.length + inner.length,
+        removed: false
+    };
+}
+
+// A fenced code block around the selection, or the fences removed when the selection is a fenced block
+function toggleCodeFence(text, start, end, placeholder) {
+    const selected = text.slice(start, end);
+    const lines = selected.replace(/\n$/, '').split('\n');
+    const opening = lines[0].match(CODE_FENCE_LINE_PATTERN);
+    const closing = lines.length > 1 && lines[lines.length - 1].trim();
+    if (opening && closing && closing[0] === opening[1][0] && /^(`{3,}|~{3,})$/.test(closing) &&
+        closing.length >= opening[1].length) {
+        const inner = lines.slice(1, -1).join('\n');
+        return {
+            value: text.slice(0, start) + inner + text.slice(start + lines.join('\n').length),
+            selectionStart: start,
+            selectionEnd: start + inner.length,
+            removed: true
+        };
+    }
+
+    // Fences go on lines of their own
+    const inner = selected.replace(/\n$/, '') || placeholder;
+    const longest = Math.max(2, ...Array.from(inner.matchAll(/`+/g), match => match[0].length));
+    const fence = '`'.repeat(longest + 1);
+    const lead = start > 0 && text[start - 1] !== '\n' ? '\n' : '';
+    const rest = text.slice(start + (selected.endsWith('\n') ? selected.length - 1 : selected.length));
+    const trail = rest && rest[0] !== '\n' ? '\n' : '';
+    const opened = `${lead}${fence}\n`;
+    return {
+        value: text.slice(0, start) + opened + inner + `\n${fence}` + trail + rest,
+        selectionStart: start + opened.length,
+        selectionEnd: start + opened.length + inner.length,
+        removed: false
+    };
+}
+
+function linePrefixKind(prefix) {
+    if (/^#{1,6} $/.test(prefix)) {
+        return 'heading';
+    }
+    if (prefix === '> ') {
+        return 'quote';
+    }
+    if (/^[-*+] $/.test(prefix)) {
+        return 'bullet';
+    }
+    return /^\d+[.)] $/.test(prefix) ? 'ordered' : null;
+}
+
+function hasLinePrefix(line, kind, prefix) {
+    if (kind === 'heading') {
+        const match = line.match(HEADING_PREFIX_PATTERN);
+        return Boolean(match) && match[1].length === prefix.length - 1;
+    }
+    if (kind === 'quote') {
+        return QUOTE_PREFIX_PATTERN.test(line);
+    }
+    const match = line.match(LIST_ITEM_PATTERN);
+    return Boolean(match) && /\d/.test(match[2]) === (kind === 'ordered');
+}
+
+function removeLinePrefix(line, kind) {
+    if (kind === 'heading') {
+        return line.replace(HEADING_PREFIX_PATTERN, '');
+    }
+    if (kind === 'quote') {
+        return line.replace(QUOTE_PREFIX_PATTERN, '');
+    }
+    return line.replace(LIST_ITEM_PATTERN, '$1');
+}
+
+// Headings replace another heading level and lists replace the other kind of list marker
+function addLinePrefix(line, kind, prefix) {
+    if (kind === 'heading') {
+        return prefix + line.replace(HEADING_PREFIX_PATTERN, '').trimStart();
+    }
+    if (kind === 'quote') {
+        return prefix + line;
+    }
+    const marker = prefix.trim();
+    const match = line.match(LIST_ITEM_PATTERN);
+    if (match) {
+        return `${match[1]}${marker} ${line.slice(match[0].length)}`;
+    }
+    const indent = line.match(/^ */)[0];
+    return `${indent}${marker} ${line.slice(indent.length)}`;
+}
+
+// Add a line prefix to every selected line, or remove it when every line already has it
+function toggleLinePrefix(text, start, end, prefix, placeholder) {
+    const kind = linePrefixKind(prefix);
+    const { from, to } = selectedLineRange(text, start, end);
+    const block = text.slice(from, to);
+    const lines = block.split('\n');
+
+    let result;
+    if (lines.length === 1 && !block.trim()) {
+        // An empty line gets the prefix and a placeholder to type over
+        const line = addLinePrefix(block, kind, prefix);
+        result = {
+            value: text.slice(0, from) + line + placeholder + text.slice(to),
+            selectionStart: from + line.length,
+            selectionEnd: from + line.length + placeholder.length,
+            removed: false
+        };
+    } else {
+        const removing = lines.filter(line => line.trim()).every(line => hasLinePrefix(line, kind, prefix));
+        const updated = lines.map(line => {
+            if (!line.trim()) {
+                // Blank lines inside a quote keep it one quote
+                return kind === 'quote' && !removing && lines.length > 1 ? '>' : line;
+            }
+            return removing ? removeLinePrefix(line, kind) : addLinePrefix(line, kind, prefix);
+        }).join('\n');
+
+        const caret = start === end;
+        const shift = updated.length - block.length;
+        result = {
+            value: text.slice(0, from) + updated + text.slice(to),
+            selectionStart: caret ? Math.max(from, start + shift) : from,
+            selectionEnd: caret ? Math.max(from, start + shift) : from + updated.length,
+            removed: removing
+        };
+    }
+
+    if (kind === 'bullet' || kind === 'ordered') {
+        return renumberAround(result, from);
+    }
+    return result;
+}
+
+// Renumber the ordered lists around the given line range. The outermost list keeps its first number; nested
+// lists count from 1, and an item continues the numbering of the item above it at the same indent.
+function renumberOrderedLists(text, from = 0, to = from) {
+    const lines = text.split('\n');
+    const inList = index => lines[index] !== undefined && lines[index].trim() !== '' &&
+        (LIST_ITEM_PATTERN.test(lines[index]) || /^ +\S/.test(lines[index]));
+    let first = lineIndex(text, from);
+    let last = lineIndex(text, to);
+    while (first > 0 && inList(first - 1)) {
+        first--;
+    }
+    while (last < lines.length - 1 && inList(last + 1)) {
+        last++;
+    }
+
+    const stack = [];
+    for (let index = first; index <= last; index++) {
+        const match = lines[index].match(LIST_ITEM_PATTERN);
+        if (!match) {
+            continue;
+        }
+        const indent = match[1].length;
+        const ordered = /\d/.test(match[2]);
+        while (stack.length && stack[stack.length - 1].indent > indent) {
+            stack.pop();
+        }
+
+        let top = stack[stack.length - 1];
+        if (top && top.indent === indent && top.ordered !== ordered) {
+            stack.pop();
+            top = null;
+        }
+        if (!ordered) {
+            if (!top || top.indent !== indent) {
+                stack.push({ indent, ordered });
+            }
+            continue;
+        }
+
+        let number;
+        if (top && top.indent === indent) {
+            number = top.number + 1;
+            top.number = number;
+        } else {
+            number = stack.length ? 1 : parseInt(match[2], 10);
+            stack.push({ indent, ordered, number });
+        }
+        const delimiter = match[2].slice(-1);
+        lines[index] = `${match[1]}${number}${delimiter}${lines[index].slice(match[1].length + match[2].length)}`;
+    }
+    return lines.join('\n');
+}
+
+// Renumbering can change the length of the lines, so the selection is moved with it
+function renumberAround(result, from) {
+    const value = renumberOrderedLists(result.value, from, result.selectionEnd);
+    if (value === result.value) {
+        return result;
+    }
+    const oldLines = result.value.split('\n');
+    const newLines = value.split('\n');
+    // Numbers sit at the start of a line, so a position keeps its distance from the end of its line
+    const moveOffset = offset => {
+        const line = lineIndex(result.value, offset);
+        const oldStart = result.value.lastIndexOf('\n', offset - 1) + 1;
+        const newStart = newLines.slice(0, line).reduce((total, current) => total + current.length + 1, 0);
+        const column = offset - oldStart;
+        const shifted = column && column + newLines[line].length - oldLines[line].length;
+        return newStart + Math.max(0, shifted);
+    };
+    return {
+        ...result,
+        value,
+        selectionStart: moveOffset(result.selectionStart),
+        selectionEnd: moveOffset(result.selectionEnd)
+    };
+}
+
+// Nest the selected list items one level deeper, or bring them out one level. Returns null when the first
+// selected line is not a list item, so Tab keeps its usual meaning elsewhere.
+function indentListItems(text, start, end, outdent = false) {
+    const { from, to } = selectedLineRange(text, start, end);
+    const lines = text.split('\n');
+    const firstLine = lineIndex(text, from);
+    const lastLine = lineIndex(text, to);
+    const match = lines[firstLine].match(LIST_ITEM_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const indent = match[1].length;
+    let target;
+    if (outdent) {
+        // The indent of the item this one is nested in
+        target = 0;
+        for (let index = firstLine - 1; index >= 0 && lines[index].trim(); index--) {
+            const parent = lines[index].match(LIST_ITEM_PATTERN);
+            if (parent && parent[1].length < indent) {
+                target = parent[1].length;
+                break;
+            }
+        }
+    } else {
+        // Under the text of the item above at the same level, so the item becomes its child
+        target = indent + match[2].length + 1;
+        for (let index = firstLine - 1; index >= 0 && lines[index].trim(); index--) {
+            const sibling = lines[index].match(LIST_ITEM_PATTERN);
+            if (sibling && sibling[1].length <= indent) {
+                if (sibling[1].length === indent) {
+                    target = indent + sibling[2].length + sibling[3].length;
+                }
+                break;
+            }
+        }
+    }
+
+    const shift = target - indent;
+    if (shift === 0) {
+        return { value: text, selectionStart: start, selectionEnd: end };
+    }
+
+    for (let index = firstLine; index <= lastLine; index++) {
+        if (lines[index].trim()) {
+            lines[index] = shift > 0
+                ? ' '.repeat(shift) + lines[index]
+                : lines[index].replace(new RegExp(`^ {0,${-shift}}`), '');
+        }
+    }
+
+    const value = lines.join('\n');
+    const change = value.length - text.length;
+    // A caret moves with its line; a selection of several lines stays on the whole lines
+    const result = firstLine === lastLine
+        ? {
+            value,
+            selectionStart: Math.max(from, start + change),
+            selectionEnd: Math.max(from, end + change)
+        }
+        : { value, selectionStart: from, selectionEnd: to + change };
+    return renumberAround(result, from);
+}
+
+// Apply a toolbar format to the selection: line prefixes, code fences or inline markers
+function formatSelection(text, start, end, before, after, placeholder) {
+    if (!after && linePrefixKind(before)) {
+        return toggleLinePrefix(text, start, end, before, placeholder);
+    }
+    if (/^(`{3,}|~{3,})\n$/.test(before) && after === `\n${before.trim()}`) {
+        return toggleCodeFence(text, start, end, placeholder);
+    }
+    return toggleInlineMarkers(text, start, end, before, after, placeholder);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toggleInlineMarkers,
+        toggleCodeFence,
+        toggleLinePrefix,
+        renumberOrderedLists,
+        indentListItems,
+        formatSelection
+    };
+}
@@ -0,0 +1,688 @@
+// Format registry
+// Each format defines its AI prompt, an optional starter template and the enrichment rules applied to
+// the AI result. Built-in formats live here; user formats are imported from JSON and kept in localStorage.
+
+/* global buildThread, THREAD_SEPARATOR, escapeHtml, processWithAI, showNotification, logError */
+
+const CUSTOM_FORMATS_KEY = 'markdowngpt.customFormats';
+
+// Numeric limits a format's platform profile may set (see docs/FORMATS.md)
+const PLATFORM_LIMITS = ['maxLength', 'foldAt', 'postLength', 'maxHashtags', 'titleMaxLength'];
+
+// Applied to formats that do not define their own enrichment
+const GENERIC_ENRICHMENT = [
+    // Ensure proper spacing after sentence punctuation
+    { type: 'replace', pattern: '([.!?])\\s*([A-Z])', flags: 'g', replacement: '$1 $2' },
+    // Clean up excessive line breaks
+    { type: 'replace', pattern: '\\n{3,}', flags: 'g', replacement: '\n\n' }
+];
+
+const BUILT_IN_FORMATS = [
+    {
+        id: 'dev-article',
+        label: 'Dev.to Article',
+        icon: '📚',
+        description: 'Headers, code blocks, lists',
+        prompt: 'Transform this into a well-structured development article with clear sections, proper headings, and code examples where appropriate.',
+        template: `# Your Article Title
+
+Brief introduction to your topic...
+
+## Introduction
+
+Explain what you'll cover in this article.
+
+## Main Content
+
+### Subsection 1
+
+Your content here...
+
+\`\`\`javascript
+// Code example
+const example = "Hello World";
+console.log(example);
+\`\`\`
+
+### Subsection 2
+
+More content...
+
+## Conclusion
+
+Wrap up your thoughts...
+
+---
+
+Thanks for reading! Follow me for more content.`,
+        enrich: GENERIC_ENRICHMENT
+    },
+    {
+        id: 'Med-Article',
+        label: 'Medium.com Article',
+        icon: '📊',
+        description: 'Engaging headers, proper formatting',
+        prompt: 'Transform this into a well-structured Medium-style article with engaging headings, proper formatting, and clear sections.',
+        enrich: GENERIC_ENRICHMENT
+    },
+    {
+        id: 'tutorial',
+        label: 'Tutorial',
+        icon: '📖',
+        description: 'Step-by-step instructions',
+        prompt: 'Format this as a step-by-step tutorial with numbered sections and clear instructions.',
+        template: `# Step-by-Step Tutorial: [Topic]
+
+## Prerequisites
+
+- Requirement 1
+- Requirement 2
+- Requirement 3
+
+## Step 1: Setup
+
+First, let's set up our environment...
+
+\`\`\`bash
+npm install package-name
+\`\`\`
+
+## Step 2: Configuration
+
+Next, we'll configure...
+
+## Step 3: Implementation
+
+Now let's implement the solution...
+
+## Step 4: Testing
+
+Finally, let's test our implementation...
+
+## Conclusion
+
+You've successfully learned how to...`,
+        enrich: GENERIC_ENRICHMENT
+    },
+    {
+        id: 'readme',
+        label: 'README',
+        icon: '📄',
+        description: 'Installation, usage, examples',
+        prompt: 'Format this as a professional README document with sections for installation, usage, and examples.',
+        template: `# Project Name
+
+Brief description of what this project does.
+
+## Features
+
+- Feature 1
+- Feature 2
+- Feature 3
+
+## Installation
+
+\`\`\`bash
+npm install project-name
+\`\`\`
+
+## Usage
+
+\`\`\`javascript
+const project = require('project-name');
+project.doSomething();
+\`\`\`
+
+## API Reference
+
+### Method 1
+
+Description of method...
+
+## Contributing
+
+Contributions are welcome! Please feel free to submit a Pull Request.
+
+## License
+
+This project is licensed under the MIT License.`,
+        enrich: GENERIC_ENRICHMENT
+    },
+    {
+        id: 'chatgpt-prompt',
+        label: 'ChatGPT Prompt',
+        icon: '🤖',
+        description: 'Structured AI instructions',
+        prompt: 'Reformat this as a clear, structured prompt for ChatGPT with specific requirements and context.',
+        template: `**Context:** Provide clear context about what you need
+
+**Task:** Clearly state what you want ChatGPT to do
+
+**Requirements:**
+- Specific requirement 1
+- Specific requirement 2
+- Output format needed
+
+**Example:** If helpful, provide an example of what you're looking for
+
+**Additional Notes:** Any extra context or constraints`,
+        enrich: GENERIC_ENRICHMENT
+    },
+    {
+        id: 'peerlist-article',
+        label: 'Peerlist Article',
+        icon: '👥',
+        description: 'Professional networking content',
+        platform: { name: 'Peerlist', titleMaxLength: 100 },
+        prompt: 'Transform this into a professional Peerlist article that showcases expertise and builds credibility. Focus on insights, career lessons, and actionable advice. Use engaging headlines and professional tone suitable for networking.',
+        template: `# Professional Insight: [Your Topic]
+
+## The Challenge
+
+Describe the professional challenge or situation you encountered...
+
+## Key Insights
+
+### Insight 1
+Your first key learning or insight...
+
+### Insight 2
+Another important realization...
+
+### Insight 3
+A third valuable takeaway...
+
+## Practical Application
+
+How can others apply these insights in their own work?
+
+- Actionable tip 1
+- Actionable tip 2
+- Actionable tip 3
+
+## Key Takeaway
+
+**The main lesson:** Summarize the core message that advances your career or professional growth.
+
+---
+
+What's your experience with this? Share your thoughts below!`,
+        enrich: [
+            {
+                type: 'insertBeforeLastLine',
+                text: '\n**Key takeaway:** Focus on practical insights that advance your career.',
+                minLines: 4,
+                unless: ['Key takeaway', 'Lesson learned']
+            }
+        ]
+    },
+    {
+        id: 'twitter-post',
+        label: 'X (Twitter) Post',
+        icon: '🐦',
+        description: 'Concise, engaging threads',
+        platform: { name: 'X', postLength: 280, maxHashtags: 3 },
+        prompt: 'Transform this into an engaging Twitter/X thread. Break into concise, punchy tweets (max 280 chars each). Use hooks, numbered points, and encourage engagement. Include relevant hashtags and maintain conversational tone.',
+        template: `🧵 Thread: [Your Topic]
+
+1/7 Hook: Start with an attention-grabbing statement or question...
+
+2/7 Problem: Identify the key issue or challenge...
+
+3/7 Solution: Present your main insight or approach...
+
+4/7 Example: Give a concrete example or case study...
+
+5/7 Benefits: Highlight the positive outcomes...
+
+6/7 Action: Tell people what they should do next...
+
+7/7 Conclusion: Wrap up with a key takeaway and encourage engagement.
+
+What do you think? Drop a reply with your experience! 🚀
+
+#YourHashtag #Relevant #Tags`,
+        enrich: [
+            { type: 'thread', maxLength: 280 }
+        ]
+    },
+    {
+        id: 'linkedin-post',
+        label: 'LinkedIn Post',
+        icon: '💼',
+        description: 'Professional insights, networking',
+        // LinkedIn cuts posts off with "…see more" after roughly 210 characters
+        platform: { name: 'LinkedIn', maxLength: 3000, foldAt: 210, maxHashtags: 5 },
+        prompt: 'Transform this into a professional LinkedIn post that drives engagement. Use storytelling elements, professional insights, and calls-to-action. Include relevant hashtags and maintain thought leadership tone.',
+        template: `🚀 [Attention-grabbing headline about your topic]
+
+I recently discovered something fascinating about [topic]...
+
+Here's what happened:
+→ Context about the situation
+→ The challenge you faced
+→ What you learned
+
+The key insight? 
+[Your main takeaway or lesson learned]
+
+This changed my perspective because:
+• Point 1 about impact
+• Point 2 about application
+• Point 3 about results
+
+💡 Key takeaway: [One sentence summary]
+
+---
+
+What's your experience with this? I'd love to hear your thoughts in the comments!
+
+♻️ Repost if you found this valuable
+👥 Follow me for more insights on [your area of expertise]
+
+#Leadership #Professional #YourIndustry #Networking`,
+        enrich: [
+            {
+                type: 'append',
+                text: '\n\nWhat are your thoughts on this? Share your experience in the comments below!',
+                unless: ['What do you think?', 'Share your thoughts']
+            },
+            { type: 'replace', pattern: '\\n{3,}', flags: 'g', replacement: '\n\n' }
+        ]
+    },
+    {
+        id: 'dailydev-article',
+        label: 'Daily.dev Article',
+        icon: '🌐',
+        description: 'Developer community content',
+        platform: { name: 'daily.dev', titleMaxLength: 80, maxHashtags: 5 },
+        prompt: 'Transform this into a Daily.dev community article. Focus on practical development insights, code examples, and developer-focused content. Use clear sections, code blocks, and actionable takeaways for the developer community.',
+        template: `# [Your Development Topic] 🚀
+
+*A practical guide for developers*
+
+## TL;DR
+- Quick summary point 1
+- Quick summary point 2  
+- Quick summary point 3
+
+## The Problem
+
+Describe the development challenge you're addressing...
+
+## The Solution
+
+\`\`\`javascript
+// Your code example here
+const solution = {
+    approach: 'clean and readable',
+    benefits: ['performance', 'maintainability', 'scalability']
+};
+\`\`\`
+
+### Step-by-step implementation:
+
+1. **First step**: Explain what to do...
+2. **Second step**: Next action...
+3. **Third step**: Final implementation...
+
+## Code Example
+
+\`\`\`javascript
+// Complete working example
+function practicalExample() {
+    // Your implementation
+    return 'working code';
+}
+\`\`\`
+
+## Best Practices
+
+- ✅ Do this for better results
+- ✅ Remember this important point
+- ❌ Avoid this common mistake
+
+## Conclusion
+
+Key takeaways:
+- Main learning point 1
+- Main learning point 2
+- Main learning point 3
+
+Happy coding! 🚀
+
+What's your experience with this approach? Let me know in the comments!
+
+---
+*Follow for more dev tips and tricks*`,
+        enrich: [
+            {
+                type: 'replace',
+                pattern: '```\\s*\\n',
+                flags: 'g',
+                replacement: '```javascript\n',
+                when: ['function', 'const', 'code']
+            },
+            {
+                type: 'append',
+                text: '\n\nHappy coding! 🚀\n\nWhat\'s your experience with this? Let me know in the comments!',
+                unless: ['Happy coding', 'developer']
+            }
+        ]
+    }
+];
+
+const formatRegistry = {
+    builtIn: BUILT_IN_FORMATS,
+    custom: []
+};
+
+// Enrichment rules
+
+const ENRICHMENT_RULES = {
+    replace(content, rule) {
+        return content.replace(new RegExp(rule.pattern, rule.flags || ''), rule.replacement);
+    },
+
+    append(content, rule) {
+        return content + rule.text;
+    },
+
+    prepend(content, rule) {
+        return rule.text + content;
+    },
+
+    insertBeforeLastLine(content, rule) {
+        const lines = content.split('\n');
+        if (lines.length < (rule.minLines || 1)) {
+            return content;
+        }
+        lines.splice(-1, 0, rule.text);
+        return lines.join('\n');
+    },
+
+    // Split into numbered posts of at most maxLength characters (as X counts them), separated by --- rules
+    thread(content, rule) {
+        return buildThread(content, { maxLength: rule.maxLength }).join(THREAD_SEPARATOR);
+    }
+};
+
+// A rule runs only if the content contains one of `when` and none of `unless`
+function ruleApplies(content, rule) {
+    if (rule.when && !rule.when.some(text => content.includes(text))) {
+        return false;
+    }
+    return !(rule.unless && rule.unless.some(text => content.includes(text)));
+}
+
+function applyEnrichmentRules(content, rules) {
+    return rules.reduce((enriched, rule) => (
+        ruleApplies(enriched, rule) ? ENRICHMENT_RULES[rule.type](enriched, rule) : enriched
+    ), content);
+}
+
+// Validation
+
+function validateEnrichmentRule(rule, index) {
+    const where = `Enrichment rule ${index + 1}`;
+    if (!rule || !ENRICHMENT_RULES[rule.type]) {
+        throw new Error(`${where}: unknown type "${rule && rule.type}"`);
+    }
+    if (rule.type === 'replace') {
+        if (typeof rule.pattern !== 'string' || typeof rule.replacement !== 'string') {
+            throw new Error(`${where}: replace rules need a pattern and a replacement`);
+        }
+        try {
+            new RegExp(rule.pattern, rule.flags || '');
+        } catch (error) {
+            throw new Error(`${where}: invalid pattern (${error.message})`);
+        }
+    }
+    if (['append', 'prepend', 'insertBeforeLastLine'].includes(rule.type) && typeof rule.text !== 'string') {
+        throw new Error(`${where}: ${rule.type} rules need a text`);
+    }
+    if (rule.type === 'thread' && rule.maxLength !== undefined && !(Number.isInteger(rule.maxLength) && rule.maxLength > 20)) {
+        throw new Error(`${where}: maxLength must be a whole number above 20`);
+    }
+    ['when', 'unless'].forEach(key => {
+        if (rule[key] !== undefined && !(Array.isArray(rule[key]) && rule[key].every(item => typeof item === 'string'))) {
+            throw new Error(`${where}: ${key} must be a list of strings`);
+        }
+    });
+    return rule;
+}
+
+function validatePlatformProfile(platform, id) {
+    if (!platform || typeof platform !== 'object' || Array.isArray(platform)) {
+        throw new Error(`Format "${id}": platform must be an object`);
+    }
+    if (platform.name !== undefined && typeof platform.name !== 'string') {
+        throw new Error(`Format "${id}": platform name must be a string`);
+    }
+    PLATFORM_LIMITS.forEach(key => {
+        if (platform[key] !== undefined && !(Number.isInteger(platform[key]) && platform[key] > 0)) {
+            throw new Error(`Format "${id}": platform ${key} must be a positive whole number`);
+        }
+    });
+    return { ...platform };
+}
+
+// Check a format definition and fill in defaults; throws with a message naming the problem
+function normalizeFormatDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('Format definitions must be objects');
+    }
+
+    const { id, label, prompt } = definition;
+    if (typeof id !== 'string' || !/^[A-Za-z0-9][\w-]*$/.test(id)) {
+        throw new Error(`Invalid format id "${id}": use letters, numbers, "-" and "_"`);
+    }
+    if (typeof label !== 'string' || !label.trim()) {
+        throw new Error(`Format "${id}" needs a label`);
+    }
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw new Error(`Format "${id}" needs a prompt`);
+    }
+    if (definition.template !== undefined && typeof definition.template !== 'string') {
+        throw new Error(`Format "${id}": template must be a string`);
+    }
+    if (definition.enrich !== undefined && !Array.isArray(definition.enrich)) {
+        throw new Error(`Format "${id}": enrich must be a list of rules`);
+    }
+
+    let enrich = GENERIC_ENRICHMENT;
+    if (definition.enrich) {
+        try {
+            enrich = definition.enrich.map(validateEnrichmentRule);
+        } catch (error) {
+            throw new Error(`Format "${id}": ${error.message}`);
+        }
+    }
+
+    return {
+        id,
+        label: label.trim(),
+        icon: typeof definition.icon === 'string' && definition.icon.trim() ? definition.icon.trim() : '📝',
+        description: typeof definition.description === 'string' ? definition.description : '',
+        prompt: prompt.trim(),
+        template: definition.template || '',
+        enrich,
+        platform: definition.platform === undefined ? null : validatePlatformProfile(definition.platform, id)
+    };
+}
+
+// Accepts a list of formats or { "formats": [...] }
+function parseFormatFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a valid JSON file: ${error.message}`);
+    }
+
+    const definitions = Array.isArray(data) ? data : data && data.formats;
+    if (!Array.isArray(definitions) || !definitions.length) {
+        throw new Error('The file does not contain any formats');
+    }
+    return definitions.map(normalizeFormatDefinition);
+}
+
+// Registry
+
+// Custom formats replace built-in formats with the same id, in place
+function listFormats() {
+    const customById = new Map(formatRegistry.custom.map(format => [format.id, format]));
+    const builtIn = formatRegistry.builtIn.map(format => customById.get(format.id) || format);
+    const builtInIds = new Set(formatRegistry.builtIn.map(format => format.id));
+    return [...builtIn, ...formatRegistry.custom.filter(format => !builtInIds.has(format.id))];
+}
+
+function getFormat(id) {
+    return listFormats().find(format => format.id === id) || null;
+}
+
+function isCustomFormat(id) {
+    return formatRegistry.custom.some(format => format.id === id);
+}
+
+// Add or replace custom formats; returns how many were new and how many replaced existing ones
+function registerCustomFormats(definitions) {
+    const result = { added: 0, replaced: 0 };
+
+    definitions.forEach(definition => {
+        const existing = formatRegistry.custom.findIndex(format => format.id === definition.id);
+        if (existing >= 0) {
+            formatRegistry.custom[existing] = definition;
+            result.replaced++;
+        } else {
+            if (formatRegistry.builtIn.some(format => format.id === definition.id)) {
+                result.replaced++;
+            } else {
+                result.added++;
+            }
+            formatRegistry.custom.push(definition);
+        }
+    });
+
+    return result;
+}
+
+function unregisterCustomFormat(id) {
+    formatRegistry.custom = formatRegistry.custom.filter(format => format.id !== id);
+}
+
+function loadCustomFormats() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_FORMATS_KEY) || '[]');
+        formatRegistry.custom = [];
+        registerCustomFormats(saved.map(normalizeFormatDefinition));
+    } catch (error) {
+        logError('Failed to load custom formats', error);
+    }
+}
+
+function saveCustomFormats() {
+    try {
+        localStorage.setItem(CUSTOM_FORMATS_KEY, JSON.stringify(formatRegistry.custom));
+    } catch (error) {
+        logError('Failed to save custom formats', error);
+    }
+}
+
+// Format panel UI
+
+function renderFormatButtons() {
+    const container = document.getElementById('formatOptions');
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = listFormats().map(format => `
+        <div class="format-btn" data-format="${escapeHtml(format.id)}" title="${escapeHtml(format.description || format.label)}">
+            <strong>${escapeHtml(format.icon)} ${escapeHtml(format.label)}</strong><br>
+            <small>${escapeHtml(format.description)}</small>
+            ${isCustomFormat(format.id)
+        ? `<button type="button" class="format-remove" data-remove-format="${escapeHtml(format.id)}" title="Remove custom format">✕</button>`
+        : ''}
+        </div>`).join('');
+}
+
+function setupFormatPanel() {
+    loadCustomFormats();
+    renderFormatButtons();
+
+    const container = document.getElementById('formatOptions');
+    const fileInput = document.getElementById('formatImportInput');
+
+    container?.addEventListener('click', event => {
+        const remove = event.target.closest('[data-remove-format]');
+        if (remove) {
+            event.stopPropagation();
+            removeCustomFormat(remove.dataset.removeFormat);
+            return;
+        }
+
+        const button = event.target.closest('.format-btn');
+        if (button) {
+            processWithAI(button, button.dataset.format);
+        }
+    });
+
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) {
+            importFormatFile(await file.text());
+        }
+    });
+}
+
+function importFormatFile(text) {
+    try {
+        const result = registerCustomFormats(parseFormatFile(text));
+        saveCustomFormats();
+        renderFormatButtons();
+        showNotification(`📥 Imported formats: ${result.added} added, ${result.replaced} replaced`, 'success');
+    } catch (error) {
+        logError('Format import failed', error);
+        showNotification(`❌ Could not import formats: ${error.message}`, 'error');
+    }
+}
+
+function removeCustomFormat(id) {
+    const format = getFormat(id);
+    if (!format || !confirm(`Remove the custom format "${format.label}"?`)) {
+        return;
+    }
+
+    unregisterCustomFormat(id);
+    saveCustomFormats();
+    renderFormatButtons();
+    showNotification(`🗑️ Removed format "${format.label}"`, 'info');
+}
+
+// Download every format as JSON, as a starting point for writing new ones
+function exportFormats() {
+    const data = JSON.stringify({ formats: listFormats() }, null, 2);
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'markdowngpt-formats.json';
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GENERIC_ENRICHMENT,
+        BUILT_IN_FORMATS,
+        applyEnrichmentRules,
+        normalizeFormatDefinition,
+        parseFormatFile,
+        listFormats,
+        getFormat,
+        registerCustomFormats,
+        unregisterCustomFormat
+    };
+}
@@ -0,0 +1,730 @@
+// YAML front matter
+// Blog platforms read post metadata from a YAML block at the top of the file. This covers the YAML that
+// front matter uses in practice (maps, lists, quoted and block scalars, comments) so existing front matter
+// can be edited field by field without losing keys the form does not know about.
+
+/* global editor, escapeHtml, createModal, setEditorContent, showNotification, logError */
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Form fields and the key each platform stores them under. `invert` stores "published" as a draft flag,
+// `list` stores the cover image as a list of images and `comma` stores tags as one comma-separated string.
+const FRONT_MATTER_PRESETS = {
+    devto: {
+        label: 'dev.to',
+        fields: {
+            title: 'title',
+            published: 'published',
+            description: 'description',
+            tags: 'tags',
+            canonicalUrl: 'canonical_url',
+            coverImage: 'cover_image'
+        },
+        maxTags: 4,
+        tagPattern: /^[a-z0-9]+$/
+    },
+    hugo: {
+        label: 'Hugo',
+        fields: {
+            title: 'title',
+            date: 'date',
+            published: { key: 'draft', invert: true },
+            description: 'description',
+            tags: 'tags',
+            canonicalUrl: 'canonicalURL',
+            coverImage: { key: 'images', list: true }
+        }
+    },
+    jekyll: {
+        label: 'Jekyll',
+        defaults: { layout: 'post' },
+        fields: {
+            title: 'title',
+            date: 'date',
+            description: 'description',
+            tags: 'tags',
+            published: 'published',
+            canonicalUrl: 'canonical_url',
+            coverImage: 'image'
+        }
+    },
+    hashnode: {
+        label: 'Hashnode',
+        fields: {
+            title: 'title',
+            description: 'subtitle',
+            tags: { key: 'tags', comma: true },
+            canonicalUrl: 'canonical',
+            coverImage: 'cover',
+            published: { key: 'saveAsDraft', invert: true }
+        },
+        maxTags: 5
+    }
+};
+
+const DEFAULT_FRONT_MATTER_PRESET = 'devto';
+
+// A map key: quoted, or plain text up to the first colon
+const YAML_KEY = '"(?:[^"\\\\]|\\\\.)*"|\'(?:[^\']|\'\')*\'|[^\\s#\'"{[\\]}][^:]*?';
+const YAML_MAP_ENTRY_PATTERN = new RegExp(`^(${YAML_KEY})[ \\t]*:(?:[ \\t]+(.*))?$`);
+const YAML_MAP_START_PATTERN = new RegExp(`^(?:${YAML_KEY})[ \\t]*:(?:[ \\t]|$)`);
+
+// YAML parsing
+
+function yamlError(line, message) {
+    return new Error(`Front matter line ${line}: ${message}`);
+}
+
+// Drop a trailing comment; # only starts a comment at the start or after whitespace, outside quotes
+function stripYamlComment(text) {
+    let quote = null;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+            return text.slice(0, index).trimEnd();
+        }
+    }
+    return text.trimEnd();
+}
+
+// Split a flow collection's inside at top-level commas
+function splitFlowItems(text, line) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            items.push(text.slice(start, index));
+            start = index + 1;
+        }
+    }
+    if (quote || depth !== 0) {
+        throw yamlError(line, 'unclosed quote or bracket');
+    }
+    items.push(text.slice(start));
+    return items.map(item => item.trim()).filter((item, index, all) => item || index < all.length - 1);
+}
+
+function parseYamlScalar(text, line) {
+    const value = text.trim();
+
+    if (value.startsWith('"')) {
+        if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+            throw yamlError(line, 'unclosed double quote');
+        }
+        try {
+            return JSON.parse(value.replace(/\\'/g, '\'').replace(/\t/g, '\\t'));
+        } catch {
+            throw yamlError(line, 'invalid escape in double-quoted string');
+        }
+    }
+    if (value.startsWith('\'')) {
+        if (!/^'(?:[^']|'')*'$/.test(value)) {
+            throw yamlError(line, 'unclosed single quote');
+        }
+        return value.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (value.startsWith('[')) {
+        if (!value.endsWith(']')) {
+            throw yamlError(line, 'unclosed [');
+        }
+        return splitFlowItems(value.slice(1, -1), line).map(item => parseYamlScalar(item, line));
+    }
+    if (value.startsWith('{')) {
+        if (!value.endsWith('}')) {
+            throw yamlError(line, 'unclosed {');
+        }
+        const map = {};
+        splitFlowItems(value.slice(1, -1), line).forEach(item => {
+            const match = item.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?)\s*:(?:\s+([\s\S]*))?$/);
+            if (!match) {
+                throw yamlError(line, `expected key: value in "${item}"`);
+            }
+            map[parseYamlKey(match[1], line)] = match[2] === undefined ? null : parseYamlScalar(match[2], line);
+        });
+        return map;
+    }
+
+    if (/^(?:~|null|Null|NULL)?$/.test(value)) {
+        return null;
+    }
+    if (/^(?:true|True|TRUE)$/.test(value)) {
+        return true;
+    }
+    if (/^(?:false|False|FALSE)$/.test(value)) {
+        return false;
+    }
+    if (/^[-+]?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][-+]?\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    // Dates stay strings, so "2024-05-01" round-trips unchanged
+    return value;
+}
+
+function parseYamlKey(text, line) {
+    return /^["']/.test(text) ? String(parseYamlScalar(text, line)) : text.trim();
+}
+
+// Parse a YAML document whose top level is a map. lineOffset is added to line numbers in errors.
+function parseYaml(text, { lineOffset = 0 } = {}) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => ({
+        raw,
+        number: index + 1 + lineOffset,
+        indent: raw.match(/^ */)[0].length,
+        text: stripYamlComment(raw).trim()
+    }));
+    let position = 0;
+
+    const isBlank = line => !line.text;
+    const skipBlank = () => {
+        while (position < lines.length && isBlank(lines[position])) {
+            position++;
+        }
+        return lines[position];
+    };
+    const isSequenceItem = line => /^-(?:\s|$)/.test(line.text);
+
+    // Literal (|) and folded (>) scalars keep the raw lines indented deeper than their key
+    const parseBlockScalar = (header, parentIndent) => {
+        const style = header[0];
+        const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+        const body = [];
+        let indent = null;
+        while (position < lines.length) {
+            const line = lines[position];
+            if (line.raw.trim()) {
+                if (line.indent <= parentIndent) {
+                    break;
+                }
+                indent = indent === null ? line.indent : indent;
+                if (line.indent < indent) {
+                    throw yamlError(line.number, 'block scalar line is indented less than the first line');
+                }
+            }
+            body.push(line.raw.trim() ? line.raw.slice(indent) : '');
+            position++;
+        }
+
+        let value = style === '|'
+            ? body.join('\n')
+            : body.reduce((folded, part, index) => {
+                if (index === 0) {
+                    return part;
+                }
+                const previous = body[index - 1];
+                return folded + (part === '' || previous === '' || /^\s/.test(part) ? '\n' : ' ') + part;
+            }, '');
+        const trailing = value.match(/\n*$/)[0];
+        value = value.slice(0, value.length - trailing.length);
+        if (chomp === 'keep') {
+            return value + trailing + '\n';
+        }
+        return chomp === 'strip' || !value ? value : value + '\n';
+    };
+
+    // A plain scalar may continue on more deeply indented lines, which fold into one line
+    const parseValue = (text, line, parentIndent) => {
+        if (/^[|>][-+]?\d?$/.test(text)) {
+            return parseBlockScalar(text, parentIndent);
+        }
+        let value = text;
+        while (position < lines.length && !/^["'[{]/.test(text)) {
+            const next = lines[position];
+            if (isBlank(next) || next.indent <= parentIndent) {
+                break;
+            }
+            value += ' ' + next.text;
+            position++;
+        }
+        return parseYamlScalar(value, line);
+    };
+
+    const parseNode = parentIndent => {
+        const line = skipBlank();
+        if (!line || line.indent < parentIndent) {
+            return null;
+        }
+        return isSequenceItem(line) ? parseSequence(line.indent) : parseMap(line.indent);
+    };
+
+    const parseMap = indent => {
+        const map = {};
+        for (let line = skipBlank(); line && line.indent === indent && !isSequenceItem(line); line = skipBlank()) {
+            const match = line.text.match(YAML_MAP_ENTRY_PATTERN);
+            if (!match) {
+                throw yamlError(line.number, `expected "key: value" but found "${line.text}"`);
+            }
+            const key = parseYamlKey(match[1], line.number);
+            if (Object.prototype.hasOwnProperty.call(map, key)) {
+                throw yamlError(line.number, `duplicate key "${key}"`);
+            }
+            position++;
+
+            if (match[2] !== undefined) {
+                map[key] = parseValue(match[2], line.number, indent);
+                continue;
+            }
+            // Nothing after the colon: a nested block (lists may sit at the key's own indent) or null
+            const next = skipBlank();
+            if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next)))) {
+                map[key] = parseNode(next.indent);
+            } else {
+                map[key] = null;
+            }
+        }
+        const line = skipBlank();
+        if (line && line.indent > indent) {
+            throw yamlError(line.number, 'unexpected indentation');
+        }
+        return map;
+    };
+
+    const parseSequence = indent => {
+        const list = [];
+        for (let line = skipBlank(); line && line.indent === indent && isSequenceItem(line); line = skipBlank()) {
+            const rest = line.text.slice(1).trim();
+            if (!rest) {
+                position++;
+                list.push(parseNode(indent + 1));
+                continue;
+            }
+            // "- key: value" starts a map whose keys line up with the text after the dash
+            const itemIndent = indent + line.raw.slice(indent).match(/^-\s+/)[0].length;
+            if (YAML_MAP_START_PATTERN.test(rest)) {
+                lines[position] = { ...line, indent: itemIndent, text: rest };
+                list.push(parseMap(itemIndent));
+            } else {
+                position++;
+                list.push(parseValue(rest, line.number, indent));
+            }
+        }
+        return list;
+    };
+
+    const first = skipBlank();
+    if (!first) {
+        return {};
+    }
+    if (first.indent > 0 || isSequenceItem(first)) {
+        throw yamlError(first.number, 'front matter must be a list of "key: value" lines');
+    }
+    const data = parseMap(0);
+    const rest = skipBlank();
+    if (rest) {
+        throw yamlError(rest.number, `unexpected "${rest.text}"`);
+    }
+    return data;
+}
+
+// YAML serialization
+
+function needsYamlQuotes(text) {
+    return text === '' ||
+        text !== text.trim() ||
+        /[\n\r\t]/.test(text) ||
+        /^[-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+        /:(?:\s|$)|\s#/.test(text) ||
+        parseYamlScalar(text, 0) !== text;
+}
+
+function stringifyYamlScalar(value, inFlow = false) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+    return needsYamlQuotes(value) || (inFlow && /[,[\]{}]/.test(value)) ? JSON.stringify(value) : value;
+}
+
+function stringifyYamlKey(key) {
+    return /^[A-Za-z0-9_][\w.-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+const isYamlMap = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Lists of scalars are written inline ([a, b]), as blog front matter usually is
+function stringifyYaml(data, indent = '') {
+    return Object.entries(data).map(([key, value]) => {
+        const name = `${indent}${stringifyYamlKey(key)}:`;
+        if (Array.isArray(value)) {
+            if (value.every(item => !isYamlMap(item) && !Array.isArray(item))) {
+                return `${name} [${value.map(item => stringifyYamlScalar(item, true)).join(', ')}]`;
+            }
+            return `${name}\n${stringifyYamlList(value, indent + '  ')}`;
+        }
+        if (isYamlMap(value)) {
+            return Object.keys(value).length ? `${name}\n${stringifyYaml(value, indent + '  ')}` : `${name} {}`;
+        }
+        const scalar = stringifyYamlScalar(value);
+        return scalar ? `${name} ${scalar}` : name;
+    }).join('\n');
+}
+
+function stringifyYamlList(list, indent) {
+    return list.map(item => {
+        if (isYamlMap(item)) {
+            return `${indent}- ${stringifyYaml(item, indent + '  ').trimStart()}`;
+        }
+        if (Array.isArray(item)) {
+            return `${indent}- [${item.map(value => stringifyYamlScalar(value, true)).join(', ')}]`;
+        }
+        const scalar = stringifyYamlScalar(item);
+        return scalar ? `${indent}- ${scalar}` : `${indent}-`;
+    }).join('\n');
+}
+
+// Front matter in a document
+
+// The YAML between the opening and closing --- lines, and the Markdown after them
+function splitFrontMatter(content) {
+    const match = content.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return { yaml: null, body: content, raw: '' };
+    }
+    return { yaml: match[1] || '', body: content.slice(match[0].length), raw: match[0] };
+}
+
+// Throws with the document's line number when the YAML is invalid
+function parseFrontMatter(content) {
+    const { yaml, body } = splitFrontMatter(content);
+    return {
+        data: yaml === null ? {} : parseYaml(yaml, { lineOffset: 1 }),
+        body,
+        hasFrontMatter: yaml !== null
+    };
+}
+
+// Lenient read for counters and titles: data is null when there is no front matter or it is invalid
+function readFrontMatter(content) {
+    const { yaml, body } = splitFrontMatter(content);
+    if (yaml === null) {
+        return { data: null, body };
+    }
+    try {
+        return { data: parseYaml(yaml), body };
+    } catch {
+        return { data: null, body };
+    }
+}
+
+// Write data as the document's front matter; an empty object removes the block
+function replaceFrontMatter(content, data) {
+    const { yaml, body } = splitFrontMatter(content);
+    const text = yaml === null ? content.replace(/^\n+/, '') : body;
+    if (!Object.keys(data).length) {
+        return yaml === null ? content : body.replace(/^\n+/, '');
+    }
+    const separator = yaml === null && text ? '\n' : '';
+    return `---\n${stringifyYaml(data)}\n---\n${separator}${text}`;
+}
+
+// Blank out the front matter but keep its lines, so renderers and the linter report the right line numbers
+function maskFrontMatter(content) {
+    const { raw } = splitFrontMatter(content);
+    return raw ? raw.replace(/[^\n]/g, '') + content.slice(raw.length) : content;
+}
+
+// Presets
+
+function getFrontMatterPreset(presetId) {
+    return FRONT_MATTER_PRESETS[presetId] || FRONT_MATTER_PRESETS[DEFAULT_FRONT_MATTER_PRESET];
+}
+
+function presetField(preset, field) {
+    const spec = preset.fields[field];
+    return typeof spec === 'string' ? { key: spec } : spec || null;
+}
+
+// Guess which platform existing front matter was written for from keys only that platform uses
+function detectFrontMatterPreset(data) {
+    const has = key => Object.prototype.hasOwnProperty.call(data || {}, key);
+    if (has('saveAsDraft') || has('subtitle') || has('cover')) {
+        return 'hashnode';
+    }
+    if (has('draft') || has('canonicalURL') || has('images')) {
+        return 'hugo';
+    }
+    if (has('layout') || has('image')) {
+        return 'jekyll';
+    }
+    return DEFAULT_FRONT_MATTER_PRESET;
+}
+
+// "a, #b c" or ['a', 'b'] to a clean list of tags
+function normalizeTags(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const tags = list.map(tag => String(tag ?? '').trim().replace(/^#+/, '').trim()).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+// Reshape tags to what the platform accepts: dev.to only takes up to four lowercase alphanumeric tags
+function fitTagsToPreset(tags, presetId) {
+    const preset = getFrontMatterPreset(presetId);
+    let fitted = normalizeTags(tags);
+    if (preset.tagPattern) {
+        fitted = normalizeTags(fitted.map(tag => tag.toLowerCase().replace(/[^a-z0-9]/g, '')));
+    }
+    return preset.maxTags ? fitted.slice(0, preset.maxTags) : fitted;
+}
+
+// Form values from front matter data, read through the preset's key names
+function readFrontMatterFields(data, presetId) {
+    const preset = getFrontMatterPreset(presetId);
+    const value = field => {
+        const spec = presetField(preset, field);
+        return spec ? data[spec.key] : undefined;
+    };
+    const text = field => {
+        const raw = value(field);
+        const first = Array.isArray(raw) ? raw[0] : raw;
+        return first === null || first === undefined ? '' : String(first);
+    };
+
+    const published = value('published');
+    const publishedSpec = presetField(preset, 'published');
+    return {
+        title: text('title'),
+        description: text('description'),
+        tags: normalizeTags(value('tags')),
+        canonicalUrl: text('canonicalUrl'),
+        coverImage: text('coverImage'),
+        published: typeof published === 'boolean'
+            ? published !== Boolean(publishedSpec && publishedSpec.invert)
+            : false
+    };
+}
+
+// Front matter data with the form values written under the preset's keys. Keys the form does not manage
+// are kept in place; replacePreset removes another preset's keys when switching platforms.
+function writeFrontMatterFields(data, fields, presetId, { replacePreset = null, now = new Date() } = {}) {
+    const preset = getFrontMatterPreset(presetId);
+    const result = { ...data };
+
+    if (replacePreset && replacePreset !== presetId) {
+        const keys = preset => [
+            ...Object.keys(preset.fields).map(field => presetField(preset, field).key),
+            ...Object.keys(preset.defaults || {})
+        ];
+        const kept = new Set(keys(preset));
+        keys(getFrontMatterPreset(replacePreset)).filter(key => !kept.has(key)).forEach(key => delete result[key]);
+    }
+
+    Object.entries(preset.defaults || {}).forEach(([key, value]) => {
+        if (result[key] === undefined) {
+            result[key] = value;
+        }
+    });
+
+    Object.keys(preset.fields).forEach(field => {
+        const spec = presetField(preset, field);
+        if (field === 'date') {
+            if (result[spec.key] === undefined || result[spec.key] === null) {
+                result[spec.key] = now.toISOString().slice(0, 10);
+            }
+            return;
+        }
+        if (field === 'published') {
+            result[spec.key] = spec.invert ? !fields.published : Boolean(fields.published);
+            return;
+        }
+        if (field === 'tags') {
+            const tags = normalizeTags(fields.tags);
+            result[spec.key] = spec.comma ? (tags.join(', ') || null) : tags;
+            return;
+        }
+        const text = String(fields[field] ?? '').trim();
+        if (spec.list) {
+            result[spec.key] = text ? [text] : [];
+        } else {
+            result[spec.key] = text || null;
+        }
+    });
+
+    return result;
+}
+
+// Problems that would make the platform reject the post
+function validateFrontMatterFields(fields, presetId) {
+    const preset = getFrontMatterPreset(presetId);
+    const errors = [];
+    const tags = normalizeTags(fields.tags);
+
+    if (!String(fields.title ?? '').trim()) {
+        errors.push('Title is required');
+    }
+    if (preset.maxTags && tags.length > preset.maxTags) {
+        errors.push(`${preset.label} allows ${preset.maxTags} tags; this has ${tags.length}`);
+    }
+    if (preset.tagPattern) {
+        const invalid = tags.filter(tag => !preset.tagPattern.test(tag));
+        if (invalid.length) {
+            errors.push(`${preset.label} tags can only use lowercase letters and numbers: ${invalid.join(', ')}`);
+        }
+    }
+    const canonicalUrl = String(fields.canonicalUrl ?? '').trim();
+    if (canonicalUrl && !/^https?:\/\/\S+$/.test(canonicalUrl)) {
+        errors.push('Canonical URL must start with http:// or https://');
+    }
+    return errors;
+}
+
+// Front matter UI
+
+function openFrontMatterEditor() {
+    let parsed;
+    try {
+        parsed = parseFrontMatter(editor.value);
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'error');
+        return;
+    }
+
+    const detected = parsed.hasFrontMatter ? detectFrontMatterPreset(parsed.data) : DEFAULT_FRONT_MATTER_PRESET;
+    const fields = readFrontMatterFields(parsed.data, detected);
+    const options = Object.entries(FRONT_MATTER_PRESETS).map(([id, preset]) =>
+        `<option value="${id}"${id === detected ? ' selected' : ''}>${escapeHtml(preset.label)}</option>`).join('');
+
+    const modal = createModal('🧾 Front matter', 'front-matter-modal');
+    modal.body.innerHTML = `
+        <form class="front-matter-form" novalidate>
+            <div class="setting-item setting-field">
+                <label for="fmPreset">Platform</label>
+                <select id="fmPreset" name="preset">${options}</select>
+            </div>
+            <div class="setting-item setting-field">
+                <label for="fmTitle">Title</label>
+                <input type="text" id="fmTitle" name="title" value="${escapeHtml(fields.title)}">
+            </div>
+            <div class="setting-item setting-field">
+                <label for="fmDescription">Description</label>
+                <input type="text" id="fmDescription" name="description" value="${escapeHtml(fields.description)}">
+            </div>
+            <div class="setting-item setting-field">
+                <label for="fmTags">Tags</label>
+                <input type="text" id="fmTags" name="tags" value="${escapeHtml(fields.tags.join(', '))}"
+                    placeholder="javascript, webdev">
+                <span class="front-matter-tag-count" id="fmTagCount"></span>
+            </div>
+            <div class="setting-item setting-field">
+                <label for="fmCanonicalUrl">Canonical URL</label>
+                <input type="url" id="fmCanonicalUrl" name="canonicalUrl" value="${escapeHtml(fields.canonicalUrl)}"
+                    placeholder="https://">
+            </div>
+            <div class="setting-item setting-field">
+                <label for="fmCoverImage">Cover image</label>
+                <input type="text" id="fmCoverImage" name="coverImage" value="${escapeHtml(fields.coverImage)}"
+                    placeholder="https://">
+            </div>
+            <label class="setting-item">
+                <input type="checkbox" id="fmPublished" name="published"${fields.published ? ' checked' : ''}>
+                <span>Published</span>
+            </label>
+            <ul class="front-matter-errors" id="fmErrors"></ul>
+        </form>`;
+    modal.footer.innerHTML = `
+        <button class="btn secondary" type="button" data-action="cancel">Cancel</button>
+        <button class="btn" type="button" data-action="save">💾 Save</button>`;
+
+    const form = modal.body.querySelector('form');
+    const saveButton = modal.footer.querySelector('[data-action="save"]');
+    const readForm = () => ({
+        title: form.elements.title.value,
+        description: form.elements.description.value,
+        tags: normalizeTags(form.elements.tags.value),
+        canonicalUrl: form.elements.canonicalUrl.value,
+        coverImage: form.elements.coverImage.value,
+        published: form.elements.published.checked
+    });
+
+    const validate = () => {
+        const presetId = form.elements.preset.value;
+        const preset = getFrontMatterPreset(presetId);
+        const values = readForm();
+        const errors = validateFrontMatterFields(values, presetId);
+
+        const count = modal.body.querySelector('#fmTagCount');
+        count.textContent = preset.maxTags ? `${values.tags.length}/${preset.maxTags}` : `${values.tags.length}`;
+        count.classList.toggle('over-limit', Boolean(preset.maxTags && values.tags.length > preset.maxTags));
+
+        modal.body.querySelector('#fmErrors').innerHTML =
+            errors.map(error => `<li>⚠️ ${escapeHtml(error)}</li>`).join('');
+        saveButton.disabled = errors.length > 0;
+        return errors;
+    };
+
+    const save = () => {
+        if (validate().length) {
+            return;
+        }
+        const presetId = form.elements.preset.value;
+        try {
+            const data = writeFrontMatterFields(parsed.data, readForm(), presetId, { replacePreset: detected });
+            setEditorContent(replaceFrontMatter(editor.value, data), 'Edit front matter');
+            modal.close();
+            showNotification('🧾 Front matter updated', 'success');
+        } catch (error) {
+            logError('Front matter update failed', error);
+            showNotification('❌ Could not update the front matter', 'error');
+        }
+    };
+
+    form.addEventListener('input', validate);
+    form.addEventListener('change', validate);
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        save();
+    });
+    modal.footer.addEventListener('click', event => {
+        const action = event.target.dataset.action;
+        if (action === 'cancel') {
+            modal.close();
+        } else if (action === 'save') {
+            save();
+        }
+    });
+
+    validate();
+    form.elements.title.focus();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FRONT_MATTER_PRESETS,
+        parseYaml,
+        stringifyYaml,
+        splitFrontMatter,
+        parseFrontMatter,
+        readFrontMatter,
+        replaceFrontMatter,
+        maskFrontMatter,
+        detectFrontMatterPreset,
+        normalizeTags,
+        fitTagsToPreset,
+        readFrontMatterFields,
+        writeFrontMatterFields,
+        validateFrontMatterFields
+    };
+}
@@ -0,0 +1,88 @@
+// Application-level undo/redo history
+// Programmatic edits replace the textarea value, which clears the browser's native undo stack,
+// so every change is recorded here as a labelled snapshot instead.
+
+function createEditHistory(limit = 100) {
+    const history = {
+        entries: [],
+        index: -1,
+
+        current() {
+            return history.entries[history.index] || null;
+        },
+
+        // Record a snapshot after a change. With mergeWithin, a snapshot with the same label
+        // that was updated less than mergeWithin ms ago is updated in place (used for typing).
+        record(value, label, selection = {}, options = {}) {
+            const current = history.current();
+            if (current && current.value === value) {
+                return false;
+            }
+
+            const isNewest = history.index === history.entries.length - 1;
+            if (options.mergeWithin && current && isNewest && current.label === label &&
+                Date.now() - current.timestamp < options.mergeWithin) {
+                Object.assign(current, createHistoryEntry(value, label, selection));
+                return true;
+            }
+
+            // Recording after an undo drops the redo branch
+            history.entries = history.entries.slice(0, history.index + 1);
+            history.entries.push(createHistoryEntry(value, label, selection));
+
+            if (history.entries.length > limit) {
+                history.entries.shift();
+            }
+            history.index = history.entries.length - 1;
+            return true;
+        },
+
+        undo() {
+            return history.canUndo() ? history.entries[--history.index] : null;
+        },
+
+        redo() {
+            return history.canRedo() ? history.entries[++history.index] : null;
+        },
+
+        jumpTo(index) {
+            if (index < 0 || index >= history.entries.length) {
+                return null;
+            }
+            history.index = index;
+            return history.entries[index];
+        },
+
+        // Start over from a single snapshot, e.g. when another document is opened
+        reset(value, label) {
+            history.entries = [createHistoryEntry(value, label, {})];
+            history.index = 0;
+        },
+
+        canUndo() {
+            return history.index > 0;
+        },
+
+        canRedo() {
+            return history.index < history.entries.length - 1;
+        }
+    };
+
+    return history;
+}
+
+function createHistoryEntry(value, label, selection) {
+    return {
+        value,
+        label,
+        selectionStart: selection.selectionStart ?? value.length,
+        selectionEnd: selection.selectionEnd ?? value.length,
+        timestamp: Date.now()
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createEditHistory
+    };
+}
@@ -0,0 +1,318 @@
+// HTML to Markdown
+// Converts HTML documents and fragments to GitHub-flavoured Markdown for imported files and pasted content.
+// The HTML is parsed into an inert document, so scripts never run and images never load while converting.
+
+const BLOCK_ELEMENT_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+    'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+const HTML_SKIPPED_TAGS = new Set([
+    'head', 'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas', 'button',
+    'select', 'textarea', 'meta', 'link', 'title'
+]);
+
+const CODE_LANGUAGE_PATTERN = /(?:^|\s)(?:language|lang|highlight-source)-([\w+#.-]+)/;
+const SAFE_LINK_PATTERN = /^(?:https?:|mailto:|tel:|#|\/|\.{0,2}\/|[^:]*$)/i;
+
+// Markdown punctuation in ordinary text, so it stays text after the round trip
+function escapeMarkdownText(text) {
+    return text
+        .replace(/[\\`*[\]]|<(?=[a-z/!?])/gi, '\\$&')
+        .replace(/(^|[^\w\\])_|_(?=[^\w]|$)/g, (match, before) => before !== undefined ? `${before}\\_` : '\\_');
+}
+
+// Line-start characters that would otherwise turn a paragraph into a heading, list or quote
+function escapeLineStart(line) {
+    return line
+        .replace(/^(\s*)([#>])/, '$1\\$2')
+        .replace(/^(\s*)([-+])(?=\s|$)/, '$1\\$2')
+        .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2')
+        .replace(/^(\s*)(={3,}|-{3,})\s*$/, '$1\\$2');
+}
+
+function codeLanguage(element) {
+    for (const node of [element, element.querySelector('code')]) {
+        const match = node && (node.getAttribute('class') || '').match(CODE_LANGUAGE_PATTERN);
+        if (match) {
+            return match[1];
+        }
+    }
+    return element.getAttribute('data-lang') || element.getAttribute('data-language') || '';
+}
+
+// The shortest run of backticks that does not appear in the text
+function codeFence(text, minimum) {
+    const longest = Math.max(0, ...Array.from(text.matchAll(/`+/g), match => match[0].length));
+    return '`'.repeat(Math.max(minimum, longest + 1));
+}
+
+// Emphasis markers must hug the text, so surrounding spaces move outside them
+function wrapInline(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+}
+
+function linkDestination(url) {
+    return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+}
+
+function linkTitle(element) {
+    const title = element.getAttribute('title');
+    return title ? ` "${title.replace(/["\\]/g, '\\$&')}"` : '';
+}
+
+function convertInlineChildren(node, context) {
+    return Array.from(node.childNodes, child => convertInline(child, context)).join('');
+}
+
+function convertInline(node, context) {
+    if (node.nodeType === 3) {
+        return escapeMarkdownText(node.nodeValue.replace(/[\t\n\r ]+/g, ' '));
+    }
+    if (node.nodeType !== 1) {
+        return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (HTML_SKIPPED_TAGS.has(tag)) {
+        return '';
+    }
+
+    switch (tag) {
+    case 'br':
+        return '\n';
+    case 'strong':
+    case 'b':
+        return wrapInline(convertInlineChildren(node, context), '**');
+    case 'em':
+    case 'i':
+        return wrapInline(convertInlineChildren(node, context), '*');
+    case 'del':
+    case 's':
+    case 'strike':
+        return wrapInline(convertInlineChildren(node, context), '~~');
+    case 'code':
+    case 'kbd':
+    case 'samp':
+    case 'tt': {
+        const text = node.textContent.replace(/\s+/g, ' ');
+        if (!text.trim()) {
+            return text;
+        }
+        const fence = codeFence(text, 1);
+        const padding = /^`|`$/.test(text) ? ' ' : '';
+        return `${fence}${padding}${text}${padding}${fence}`;
+    }
+    case 'a': {
+        const text = convertInlineChildren(node, context).trim();
+        const href = (node.getAttribute('href') || '').trim();
+        if (!href || !SAFE_LINK_PATTERN.test(href)) {
+            return text;
+        }
+        if (text === escapeMarkdownText(href) && /^(?:https?:|mailto:)/i.test(href) && !linkTitle(node)) {
+            return `<${href}>`;
+        }
+        return `[${text || href}](${linkDestination(href)}${linkTitle(node)})`;
+    }
+    case 'img': {
+        const src = (node.getAttribute('src') || '').trim();
+        if (!src || /^(?:javascript|data):/i.test(src)) {
+            return '';
+        }
+        const alt = escapeMarkdownText(node.getAttribute('alt') || '').replace(/\s+/g, ' ');
+        return `![${alt}](${linkDestination(src)}${linkTitle(node)})`;
+    }
+    case 'input':
+        return '';
+    default:
+        if (BLOCK_ELEMENT_TAGS.has(tag)) {
+            // Block content inside an inline context, such as a paragraph in a table cell
+            return ` ${convertInlineChildren(node, context)} `;
+        }
+        return convertInlineChildren(node, context);
+    }
+}
+
+// Headings and table cells are a single line
+function singleLine(text) {
+    return text.replace(/[\t\n\r ]+/g, ' ').trim();
+}
+
+// Tidy the text of one paragraph: collapse spaces, trim lines and keep hard breaks
+function finishParagraph(text) {
+    const lines = text
+        .split('\n')
+        .map(line => line.replace(/ {2,}/g, ' ').trim());
+    while (lines.length && !lines[0]) {
+        lines.shift();
+    }
+    while (lines.length && !lines[lines.length - 1]) {
+        lines.pop();
+    }
+    return lines.map(escapeLineStart).join('  \n');
+}
+
+function convertBlockChildren(node, context) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+        const paragraph = finishParagraph(inline);
+        if (paragraph) {
+            blocks.push(paragraph);
+        }
+        inline = '';
+    };
+
+    node.childNodes.forEach(child => {
+        const tag = child.nodeType === 1 ? child.tagName.toLowerCase() : '';
+        if (BLOCK_ELEMENT_TAGS.has(tag)) {
+            flush();
+            blocks.push(...convertBlock(child, context));
+        } else {
+            inline += convertInline(child, context);
+        }
+    });
+    flush();
+    return blocks;
+}
+
+function prefixLines(text, first, rest) {
+    return text.split('\n').map((line, index) => {
+        const prefix = index === 0 ? first : rest;
+        return line ? prefix + line : prefix.trimEnd();
+    }).join('\n');
+}
+
+function convertList(list, context) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    let number = ordered ? parseInt(list.getAttribute('start'), 10) : 1;
+    if (!Number.isFinite(number)) {
+        number = 1;
+    }
+
+    const items = Array.from(list.children).filter(child => child.tagName.toLowerCase() === 'li');
+    const loose = items.some(item => Array.from(item.children).some(child => child.tagName.toLowerCase() === 'p'));
+    const converted = items.map(item => {
+        const marker = ordered ? `${number++}.` : '-';
+        const checkbox = item.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+        const task = checkbox ? `[${checkbox.checked || checkbox.hasAttribute('checked') ? 'x' : ' '}] ` : '';
+        const body = convertBlockChildren(item, context).join(loose ? '\n\n' : '\n');
+        return prefixLines(task + body, `${marker} `, ' '.repeat(marker.length + 1));
+    });
+
+    return converted.join(loose ? '\n\n' : '\n');
+}
+
+function cellAlignment(cell) {
+    const align = (cell.getAttribute('align') || cell.style?.textAlign || '').toLowerCase();
+    return ['left', 'center', 'right'].includes(align) ? align : '';
+}
+
+function convertTable(table, context) {
+    const rows = Array.from(table.rows || []).filter(row => row.closest('table') === table);
+    if (!rows.length) {
+        return '';
+    }
+
+    const cells = rows.map(row => Array.from(row.cells, cell => {
+        return singleLine(convertInlineChildren(cell, context)).replace(/\|/g, '\\|');
+    }));
+    const columns = Math.max(...cells.map(row => row.length));
+    if (!columns) {
+        return '';
+    }
+    cells.forEach(row => {
+        while (row.length < columns) {
+            row.push('');
+        }
+    });
+
+    const alignments = Array.from({ length: columns }, (_, index) => {
+        const cell = rows[0].cells[index];
+        return cell ? cellAlignment(cell) : '';
+    });
+    const widths = Array.from({ length: columns }, (_, index) => Math.max(3, ...cells.map(row => row[index].length)));
+
+    const formatRow = row => `| ${row.map((cell, index) => cell.padEnd(widths[index])).join(' | ')} |`;
+    const delimiter = alignments.map((align, index) => {
+        const dashes = '-'.repeat(widths[index] - (align === 'center' ? 2 : align ? 1 : 0));
+        if (align === 'center') {
+            return `:${dashes}:`;
+        }
+        return align === 'right' ? `${dashes}:` : align === 'left' ? `:${dashes}` : dashes;
+    });
+
+    return [formatRow(cells[0]), `| ${delimiter.join(' | ')} |`, ...cells.slice(1).map(formatRow)].join('\n');
+}
+
+function convertBlock(element, context) {
+    const tag = element.tagName.toLowerCase();
+
+    switch (tag) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+        const text = singleLine(convertInlineChildren(element, context));
+        return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+    }
+    case 'p':
+    case 'dt':
+    case 'summary': {
+        const text = finishParagraph(convertInlineChildren(element, context));
+        return text ? [text] : [];
+    }
+    case 'hr':
+        return ['---'];
+    case 'pre': {
+        const code = element.textContent.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+        const fence = codeFence(code, 3);
+        return [`${fence}${codeLanguage(element)}\n${code}\n${fence}`];
+    }
+    case 'ul':
+    case 'ol': {
+        const list = convertList(element, context);
+        return list ? [list] : [];
+    }
+    case 'blockquote': {
+        const quoted = convertBlockChildren(element, context).join('\n\n');
+        return quoted ? [prefixLines(quoted, '> ', '> ')] : [];
+    }
+    case 'table': {
+        const table = convertTable(element, context);
+        return table ? [table] : [];
+    }
+    case 'li':
+        // A stray item outside a list
+        return convertBlockChildren(element, context).map((block, index) => index === 0 ? `- ${block}` : block);
+    default:
+        return convertBlockChildren(element, context);
+    }
+}
+
+// Parse HTML without running it; the DOMParser document has no scripting and loads nothing
+function parseHtmlDocument(html) {
+    return new DOMParser().parseFromString(html, 'text/html');
+}
+
+// Markdown for an HTML document or fragment
+function htmlToMarkdown(html) {
+    const doc = typeof html === 'string' ? parseHtmlDocument(html) : html;
+    const root = doc.body || doc;
+    return convertBlockChildren(root, {})
+        .join('\n\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeMarkdownText,
+        parseHtmlDocument,
+        htmlToMarkdown
+    };
+}
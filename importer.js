@@ -0,0 +1,136 @@
+// File import
+// Markdown, text and HTML files open as new documents, from the Open button or dropped on the editor.
+// Markdown and text are taken as they are, front matter included; HTML is converted to Markdown.
+
+/* global htmlToMarkdown, parseHtmlDocument, CONFIG, workspace, addDocument, setEditorContent, showNotification,
+   logError */
+
+const IMPORT_FILE_KINDS = {
+    md: 'markdown',
+    markdown: 'markdown',
+    mdown: 'markdown',
+    txt: 'text',
+    text: 'text',
+    html: 'html',
+    htm: 'html'
+};
+
+const IMPORT_MIME_KINDS = {
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown',
+    'text/plain': 'text',
+    'text/html': 'html'
+};
+
+function fileExtension(name) {
+    const match = name.match(/\.([^./\\]+)$/);
+    return match ? match[1].toLowerCase() : '';
+}
+
+// 'markdown', 'text', 'html', or null for files that cannot be imported
+function importFileKind(name, type = '') {
+    return IMPORT_FILE_KINDS[fileExtension(name)] || IMPORT_MIME_KINDS[type.split(';')[0].trim()] || null;
+}
+
+// Title and Markdown content of an imported file
+function convertImportedFile(name, text, kind = importFileKind(name)) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const fileTitle = name.replace(/\.[^./\\]+$/, '').trim() || 'Imported document';
+
+    if (kind === 'html') {
+        const doc = parseHtmlDocument(normalized);
+        return {
+            title: doc.title.trim() || fileTitle,
+            content: htmlToMarkdown(doc) + '\n'
+        };
+    }
+    return { title: fileTitle, content: normalized };
+}
+
+// Import UI
+
+function openImportDialog() {
+    document.getElementById('fileImportInput')?.click();
+}
+
+async function importFiles(fileList) {
+    const files = Array.from(fileList);
+    const supported = files.filter(file => importFileKind(file.name, file.type));
+    const skipped = files.length - supported.length;
+    if (skipped) {
+        showNotification(`⚠️ ${skipped} file${skipped === 1 ? '' : 's'} skipped: only .md, .txt and .html can be imported`,
+            'warning');
+    }
+
+    // Without document storage there is only the editor, so only one file can be opened
+    const targets = workspace.available ? supported : supported.slice(0, 1);
+    for (const file of targets) {
+        try {
+            await importFile(file);
+        } catch (error) {
+            logError('File import failed', error, { name: file.name, type: file.type });
+            showNotification(`❌ Could not import ${file.name}`, 'error');
+        }
+    }
+}
+
+async function importFile(file) {
+    const imported = convertImportedFile(file.name, await file.text(), importFileKind(file.name, file.type));
+    let content = imported.content;
+    if (content.length > CONFIG.MAX_DOCUMENT_LENGTH) {
+        content = content.substring(0, CONFIG.MAX_DOCUMENT_LENGTH);
+        showNotification(`⚠️ ${file.name} truncated to ${CONFIG.MAX_DOCUMENT_LENGTH} characters`, 'warning');
+    }
+
+    if (workspace.available) {
+        await addDocument({ title: imported.title, content });
+    } else {
+        setEditorContent(content, `Import ${file.name}`, { selectionStart: 0 });
+    }
+    showNotification(`📂 Imported ${file.name}`, 'success');
+}
+
+function isFileDrag(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files');
+}
+
+function setupFileImport() {
+    const input = document.getElementById('fileImportInput');
+    input?.addEventListener('change', () => {
+        const files = Array.from(input.files);
+        input.value = '';
+        importFiles(files);
+    });
+
+    // Text dragged within the page keeps the textarea's own drop behaviour
+    const panel = document.querySelector('.editor-panel');
+    if (!panel) {
+        return;
+    }
+    panel.addEventListener('dragover', event => {
+        if (isFileDrag(event)) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            panel.classList.add('drop-target');
+        }
+    });
+    panel.addEventListener('dragleave', event => {
+        if (!panel.contains(event.relatedTarget)) {
+            panel.classList.remove('drop-target');
+        }
+    });
+    panel.addEventListener('drop', event => {
+        panel.classList.remove('drop-target');
+        if (isFileDrag(event)) {
+            event.preventDefault();
+            importFiles(event.dataTransfer.files);
+        }
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        importFileKind,
+        convertImportedFile
+    };
+}
@@ -0,0 +1,412 @@
+// Markdown linter
+// Rules run over the markdown.js block tree plus the raw source lines. Each problem points at a 0-based
+// line and may carry a fix: a { from, to, text } replacement in the document, offered only when applying
+// it cannot change what the author meant.
+
+/* global parseMarkdown, maskFrontMatter, editor, escapeHtml, setEditorContent, showNotification, logError */
+
+const LINT_RULES = [
+    {
+        id: 'heading-increment',
+        description: 'Heading levels should only increase by one at a time',
+        check: checkHeadingIncrement
+    },
+    {
+        id: 'single-h1',
+        description: 'A document should have a single top-level heading',
+        check: checkSingleH1
+    },
+    {
+        id: 'unclosed-fence',
+        description: 'Code fences must be closed',
+        check: checkUnclosedFences
+    },
+    {
+        id: 'list-marker-style',
+        description: 'Bullet lists should use the same marker throughout',
+        check: checkListMarkers
+    },
+    {
+        id: 'trailing-whitespace',
+        description: 'Lines should not end with whitespace',
+        check: checkTrailingWhitespace
+    },
+    {
+        id: 'bare-url',
+        description: 'URLs should be written as links',
+        check: checkBareUrls
+    },
+    {
+        id: 'image-alt',
+        description: 'Images need alt text',
+        check: checkImageAlt
+    }
+];
+
+let lintProblems = [];
+
+// Call visit(token) for every block token in document order, including list items
+function walkBlocks(tokens, visit) {
+    tokens.forEach(token => {
+        visit(token);
+        if (token.type === 'list') {
+            token.items.forEach(item => {
+                visit(item);
+                walkBlocks(item.children, visit);
+            });
+        } else if (token.children && token.type === 'blockquote') {
+            walkBlocks(token.children, visit);
+        }
+    });
+}
+
+// Inline node lists held by a block token
+function inlineGroups(token) {
+    if (token.type === 'heading' || token.type === 'paragraph') {
+        return [token.children];
+    }
+    if (token.type === 'table') {
+        return [token.header, ...token.rows].flat();
+    }
+    return [];
+}
+
+function collectInline(nodes, predicate, found = []) {
+    nodes.forEach(node => {
+        if (predicate(node)) {
+            found.push(node);
+        }
+        if (node.children) {
+            collectInline(node.children, predicate, found);
+        }
+    });
+    return found;
+}
+
+function createLintContext(content) {
+    const lines = content.split('\n');
+    const lineOffsets = [];
+    let offset = 0;
+    lines.forEach(line => {
+        lineOffsets.push(offset);
+        offset += line.length + 1;
+    });
+
+    const blocks = [];
+    walkBlocks(parseMarkdown(maskFrontMatter(content)).tokens, token => blocks.push(token));
+
+    // Lines inside code blocks are left alone by the text-based rules
+    const codeLines = new Set();
+    blocks.filter(token => token.type === 'code').forEach(token => {
+        for (let line = token.line; line <= token.endLine; line++) {
+            codeLines.add(line);
+        }
+    });
+
+    // Lines followed by more of the same paragraph, where trailing spaces are a hard line break
+    const breakLines = new Set();
+    blocks.filter(token => token.type === 'paragraph').forEach(token => {
+        for (let line = token.line; line < token.endLine; line++) {
+            breakLines.add(line);
+        }
+    });
+
+    return { content, lines, lineOffsets, blocks, codeLines, breakLines };
+}
+
+function problemAt(context, rule, line, column, message, fix = null) {
+    return { rule, line, column, offset: context.lineOffsets[line] + column, message, fix };
+}
+
+// Rules
+
+function checkHeadingIncrement(context) {
+    const problems = [];
+    let previous = null;
+    context.blocks.filter(token => token.type === 'heading').forEach(token => {
+        if (previous && token.depth > previous + 1) {
+            problems.push(problemAt(context, 'heading-increment', token.line, 0,
+                `Heading jumps from H${previous} to H${token.depth}`));
+        }
+        previous = token.depth;
+    });
+    return problems;
+}
+
+function checkSingleH1(context) {
+    return context.blocks
+        .filter(token => token.type === 'heading' && token.depth === 1)
+        .slice(1)
+        .map(token => problemAt(context, 'single-h1', token.line, 0, 'Document already has an H1 heading'));
+}
+
+function checkUnclosedFences(context) {
+    return context.blocks.filter(token => token.type === 'code' && token.fenced && !token.closed).map(token => {
+        const opening = context.lines[token.line];
+        const marker = opening.match(/(`{3,}|~{3,})/);
+        // Close at the same indentation, keeping any blockquote markers in front of the fence
+        const prefix = opening.slice(0, marker.index).replace(/[^\s>]/g, ' ');
+        const end = context.lineOffsets[token.endLine] + context.lines[token.endLine].length;
+        return problemAt(context, 'unclosed-fence', token.line, marker.index, 'Code fence is never closed', {
+            label: 'Close the code fence',
+            from: end,
+            to: end,
+            text: `\n${prefix}${marker[1]}`
+        });
+    });
+}
+
+function checkListMarkers(context) {
+    const problems = [];
+    let expected = null;
+    context.blocks.filter(token => token.type === 'listItem').forEach(item => {
+        const match = context.lines[item.line].match(/^([ \t>]*)([-*+])(?=[ \t]|$)/);
+        if (!match) {
+            return;
+        }
+        const marker = match[2];
+        if (!expected) {
+            expected = marker;
+        } else if (marker !== expected) {
+            const column = match[1].length;
+            const from = context.lineOffsets[item.line] + column;
+            problems.push(problemAt(context, 'list-marker-style', item.line, column,
+                `List marker "${marker}" differs from "${expected}" used earlier`,
+                { label: `Use "${expected}"`, from, to: from + 1, text: expected }));
+        }
+    });
+    return problems;
+}
+
+function checkTrailingWhitespace(context) {
+    const problems = [];
+    context.lines.forEach((line, index) => {
+        const match = line.match(/[ \t]+$/);
+        if (!match || context.codeLines.has(index)) {
+            return;
+        }
+        const from = context.lineOffsets[index] + match.index;
+        // Two or more spaces inside a paragraph are a line break, so the fix keeps two of them
+        if (context.breakLines.has(index) && / {2,}$/.test(match[0])) {
+            if (match[0] !== '  ') {
+                problems.push(problemAt(context, 'trailing-whitespace', index, match.index,
+                    'Line break has extra trailing whitespace',
+                    { label: 'Keep a two-space line break', from, to: from + match[0].length, text: '  ' }));
+            }
+            return;
+        }
+        problems.push(problemAt(context, 'trailing-whitespace', index, match.index, 'Trailing whitespace',
+            { label: 'Remove trailing whitespace', from, to: from + match[0].length, text: '' }));
+    });
+    return problems;
+}
+
+// Find each needle in the block's source lines, in order, so repeated text maps to successive positions
+function locateInBlock(context, token, needles, isMatch = () => true) {
+    let line = token.line;
+    let column = 0;
+    return needles.map(needle => {
+        for (; line <= token.endLine; line++, column = 0) {
+            let index = context.lines[line].indexOf(needle, column);
+            while (index >= 0 && !isMatch(context.lines[line], index, needle)) {
+                index = context.lines[line].indexOf(needle, index + 1);
+            }
+            if (index >= 0) {
+                column = index + needle.length;
+                return { line, column: index };
+            }
+        }
+        return null;
+    });
+}
+
+function checkBareUrls(context) {
+    const problems = [];
+    context.blocks.forEach(token => {
+        const urls = inlineGroups(token)
+            .flatMap(nodes => collectInline(nodes, node => node.type === 'link' && node.bare))
+            .map(node => node.children[0].text);
+        if (!urls.length) {
+            return;
+        }
+
+        // Skip occurrences that are part of a link or an autolink
+        const standalone = (line, index) => !/[<[\w/]/.test(line[index - 1] || '') && line.slice(index - 2, index) !== '](';
+        locateInBlock(context, token, urls, standalone).forEach((position, i) => {
+            if (!position) {
+                return;
+            }
+            // <...> only makes a link of URLs with a scheme and of email addresses
+            const url = urls[i];
+            const from = context.lineOffsets[position.line] + position.column;
+            const fix = url.startsWith('www.') ? null : { label: 'Wrap in <>', from, to: from + url.length, text: `<${url}>` };
+            problems.push(problemAt(context, 'bare-url', position.line, position.column, `Bare URL ${url}`, fix));
+        });
+    });
+    return problems;
+}
+
+function checkImageAlt(context) {
+    const problems = [];
+    context.blocks.forEach(token => {
+        const images = inlineGroups(token)
+            .flatMap(nodes => collectInline(nodes, node => node.type === 'image' && !node.alt.trim()));
+        if (!images.length) {
+            return;
+        }
+
+        let line = token.line;
+        let column = 0;
+        images.forEach(() => {
+            let position = null;
+            for (; line <= token.endLine; line++, column = 0) {
+                const match = context.lines[line].slice(column).match(/!\[\s*\]/);
+                if (match) {
+                    position = { line, column: column + match.index };
+                    column = position.column + match[0].length;
+                    break;
+                }
+            }
+            const at = position || { line: token.line, column: 0 };
+            problems.push(problemAt(context, 'image-alt', at.line, at.column, 'Image has no alt text'));
+        });
+    });
+    return problems;
+}
+
+// Run every enabled rule and return problems sorted by position
+function lintMarkdown(content, { disabledRules = [] } = {}) {
+    const context = createLintContext(content);
+    return LINT_RULES
+        .filter(rule => !disabledRules.includes(rule.id))
+        .flatMap(rule => rule.check(context))
+        .sort((a, b) => a.offset - b.offset);
+}
+
+function applyLintFix(content, fix) {
+    return content.slice(0, fix.from) + fix.text + content.slice(fix.to);
+}
+
+// Apply fixes back to front so earlier offsets stay valid; overlapping fixes are skipped
+function applyLintFixes(content, problems) {
+    const fixes = problems.map(problem => problem.fix).filter(Boolean).sort((a, b) => b.from - a.from);
+    let result = content;
+    let limit = Infinity;
+    fixes.forEach(fix => {
+        if (fix.to <= limit) {
+            result = applyLintFix(result, fix);
+            limit = fix.from;
+        }
+    });
+    return result;
+}
+
+// Problems panel
+
+function updateProblems(content) {
+    try {
+        lintProblems = lintMarkdown(content);
+        renderProblems();
+    } catch (error) {
+        logError('Markdown lint failed', error);
+    }
+}
+
+function renderProblems() {
+    const toggle = document.getElementById('problemsToggle');
+    const list = document.getElementById('problemsList');
+    const fixAll = document.getElementById('problemsFixAll');
+    if (!toggle || !list) {
+        return;
+    }
+
+    const count = lintProblems.length;
+    toggle.textContent = count ? `⚠️ ${count} problem${count === 1 ? '' : 's'}` : '✅ No problems';
+    toggle.classList.toggle('has-problems', count > 0);
+
+    const fixable = lintProblems.filter(problem => problem.fix).length;
+    if (fixAll) {
+        fixAll.hidden = fixable < 2;
+        fixAll.textContent = `🔧 Fix all (${fixable})`;
+    }
+
+    list.innerHTML = count ? lintProblems.map((problem, index) => `
+        <li class="problem-item" data-problem-index="${index}">
+            <button type="button" class="problem-line" data-problem-action="goto">Line ${problem.line + 1}</button>
+            <span class="problem-message">${escapeHtml(problem.message)}</span>
+            <span class="problem-rule">${escapeHtml(problem.rule)}</span>
+            ${problem.fix ? `<button type="button" class="btn problem-fix" data-problem-action="fix"
+                title="${escapeHtml(problem.fix.label)}">Fix</button>` : ''}
+        </li>`).join('') : '<li class="problem-empty">No problems found.</li>';
+}
+
+function setupProblemsPanel() {
+    const toggle = document.getElementById('problemsToggle');
+    const panel = document.getElementById('problemsPanel');
+    const list = document.getElementById('problemsList');
+    if (!toggle || !panel || !list) {
+        return;
+    }
+
+    toggle.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        toggle.setAttribute('aria-expanded', String(!panel.hidden));
+    });
+
+    document.getElementById('problemsFixAll')?.addEventListener('click', fixAllProblems);
+
+    list.addEventListener('click', event => {
+        const target = event.target.closest('[data-problem-action]');
+        if (!target) {
+            return;
+        }
+        const problem = lintProblems[Number(target.closest('[data-problem-index]').dataset.problemIndex)];
+        if (target.dataset.problemAction === 'goto') {
+            goToProblem(problem);
+        } else {
+            fixProblem(problem);
+        }
+    });
+}
+
+function goToProblem(problem) {
+    editor.focus();
+    editor.setSelectionRange(problem.offset, problem.offset);
+
+    const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 20;
+    editor.scrollTop = Math.max(0, (problem.line - 3) * lineHeight);
+}
+
+// The panel can lag behind typing, so a fix is taken from a fresh lint of the editor text rather than trusting
+// the offsets it was listed with
+function fixProblem(problem) {
+    const current = problem && lintMarkdown(editor.value).find(candidate => candidate.rule === problem.rule &&
+        candidate.line === problem.line && candidate.message === problem.message);
+    if (!current || !current.fix) {
+        updateProblems(editor.value);
+        return;
+    }
+    setEditorContent(applyLintFix(editor.value, current.fix), current.fix.label);
+    updateProblems(editor.value);
+}
+
+function fixAllProblems() {
+    updateProblems(editor.value);
+    const fixable = lintProblems.filter(problem => problem.fix);
+    if (!fixable.length) {
+        return;
+    }
+    const before = lintProblems.length;
+    setEditorContent(applyLintFixes(editor.value, fixable), 'Fix lint problems');
+    updateProblems(editor.value);
+    showNotification(`🔧 Fixed ${before - lintProblems.length} of ${before} problems`, 'success');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LINT_RULES,
+        lintMarkdown,
+        applyLintFix,
+        applyLintFixes
+    };
+}
@@ -0,0 +1,1083 @@
+// Self-contained GFM Markdown renderer
+// Renders the preview and every export. parseMarkdown returns a block tree (with source lines) that other
+// features can walk; renderMarkdown turns it into HTML that matches marked's output closely.
+
+// Block tokens: { type, line, endLine, ... } where line and endLine are 0-based source line numbers
+// Inline nodes: text, codespan, strong, em, del, link, image, br, softbreak, html
+
+const MARKDOWN_PUNCTUATION = /[!-/:-@[-`{-~\p{P}\p{S}]/u;
+const HTML_BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'base', 'basefont', 'blockquote', 'body', 'caption', 'center', 'col',
+    'colgroup', 'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'frame', 'frameset', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hr', 'html',
+    'iframe', 'legend', 'li', 'link', 'main', 'menu', 'menuitem', 'nav', 'noframes', 'ol', 'optgroup', 'option',
+    'p', 'param', 'section', 'source', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr',
+    'track', 'ul', 'script', 'pre', 'style', 'textarea'
+]);
+
+// Open and closing HTML tags, shared by the block and inline patterns
+const HTML_OPEN_TAG = '<[A-Za-z][A-Za-z0-9-]*(?:\\s+[A-Za-z_:][\\w.:-]*' +
+    '(?:\\s*=\\s*(?:"[^"]*"|\'[^\']*\'|[^\\s"\'=<>`]+))?)*\\s*\\/?>';
+const HTML_CLOSE_TAG = '<\\/[A-Za-z][A-Za-z0-9-]*\\s*>';
+
+const BLOCK_PATTERNS = {
+    atxHeading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    fence: /^( {0,3})(`{3,}|~{3,})(.*)$/,
+    hr: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+    blockquote: /^ {0,3}>/,
+    listItem: /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)([ \t]*)(.*)$/,
+    setext: /^ {0,3}(=+|-+)[ \t]*$/,
+    tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    htmlBlock: /^ {0,3}(?:<!--|<\/?([A-Za-z][A-Za-z0-9-]*)(?=[\s/>]|$))/,
+    htmlLineTag: new RegExp(`^ {0,3}(?:${HTML_OPEN_TAG}|${HTML_CLOSE_TAG})[ \\t]*$`),
+    definition: new RegExp('^ {0,3}\\[((?:[^\\]\\\\]|\\\\.){1,999})\\]:[ \\t]*(?:<([^>\\n]*)>|(\\S+))' +
+        '(?:[ \\t]+(?:"([^"]*)"|\'([^\']*)\'|\\(([^)]*)\\)))?[ \\t]*$')
+};
+
+const INLINE_PATTERNS = {
+    autolink: /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^<>\s]*)>/,
+    email: /^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*)>/,
+    html: new RegExp(`^(?:${HTML_OPEN_TAG}|${HTML_CLOSE_TAG}|<!--[\\s\\S]*?-->)`),
+    entity: /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/,
+    // GFM autolink literals: http(s):// and www. URLs, and email addresses
+    bareUrl: new RegExp('(^|[\\s*_~(])((?:https?:\\/\\/|www\\.)[^\\s<]*[^\\s<?!.,:*_~\'")\\]]|' +
+        '[A-Za-z0-9._+-]+@[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}(?![\\w@-]))', 'g')
+};
+
+function isBlankLine(line) {
+    return !line || /^[ \t]*$/.test(line);
+}
+
+function leadingSpaces(line) {
+    return line.match(/^ */)[0].length;
+}
+
+// Expand tabs in leading whitespace so indentation can be measured in spaces
+function expandLeadingTabs(line) {
+    return line.replace(/^[ \t]+/, whitespace => {
+        let width = 0;
+        for (const char of whitespace) {
+            width += char === '\t' ? 4 - (width % 4) : 1;
+        }
+        return ' '.repeat(width);
+    });
+}
+
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) {
+        row = row.slice(1);
+    }
+    if (row.endsWith('|') && !row.endsWith('\\|')) {
+        row = row.slice(0, -1);
+    }
+
+    const cells = [];
+    let current = '';
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += row[i];
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+function parseTableAlign(delimiterRow) {
+    return splitTableRow(delimiterRow).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) {
+            return 'center';
+        }
+        return right ? 'right' : left ? 'left' : null;
+    });
+}
+
+function isTableStart(line, nextLine) {
+    if (nextLine === undefined || !line.includes('|') || !BLOCK_PATTERNS.tableDelimiter.test(nextLine)) {
+        return false;
+    }
+    return splitTableRow(line).length === splitTableRow(nextLine).length;
+}
+
+function matchListItem(line) {
+    const match = line.match(BLOCK_PATTERNS.listItem);
+    if (!match) {
+        return null;
+    }
+
+    const [, indent, marker, spacing, content] = match;
+    const ordered = /\d/.test(marker);
+    const markerEnd = indent.length + marker.length;
+    // Content indented 5+ spaces past the marker is an indented code block inside the item
+    const contentIndent = !content || spacing.length > 4 ? markerEnd + 1 : markerEnd + spacing.length;
+
+    return {
+        ordered,
+        bullet: ordered ? marker.slice(-1) : marker,
+        start: ordered ? parseInt(marker, 10) : null,
+        contentIndent,
+        empty: !content,
+        firstLine: spacing.length > 4 ? ' '.repeat(spacing.length - 1) + content : content
+    };
+}
+
+// Whether a line can end a paragraph by starting a different block
+function interruptsParagraph(line, nextLine) {
+    if (BLOCK_PATTERNS.atxHeading.test(line) || BLOCK_PATTERNS.fence.test(line) || BLOCK_PATTERNS.hr.test(line) ||
+        BLOCK_PATTERNS.blockquote.test(line) || isTableStart(line, nextLine)) {
+        return true;
+    }
+
+    const item = matchListItem(line);
+    if (item && !item.empty && (!item.ordered || item.start === 1)) {
+        return true;
+    }
+
+    const html = line.match(BLOCK_PATTERNS.htmlBlock);
+    return Boolean(html && (!html[1] || HTML_BLOCK_TAGS.has(html[1].toLowerCase())));
+}
+
+// Block parsing
+
+function parseBlocks(lines, offset, refs) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const lineNumber = offset + i;
+
+        if (isBlankLine(line)) {
+            i++;
+            continue;
+        }
+
+        // Indented code
+        if (leadingSpaces(line) >= 4) {
+            const codeLines = [];
+            while (i < lines.length && (isBlankLine(lines[i]) || leadingSpaces(lines[i]) >= 4)) {
+                codeLines.push(lines[i].slice(4));
+                i++;
+            }
+            while (codeLines.length && isBlankLine(codeLines[codeLines.length - 1])) {
+                codeLines.pop();
+                i--;
+            }
+            tokens.push({ type: 'code', lang: '', text: codeLines.join('\n'), line: lineNumber, endLine: offset + i - 1 });
+            continue;
+        }
+
+        const fence = line.match(BLOCK_PATTERNS.fence);
+        if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+            const [, fenceIndent, marker, info] = fence;
+            const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+            const codeLines = [];
+            let closed = false;
+            i++;
+            while (i < lines.length) {
+                if (closing.test(lines[i])) {
+                    closed = true;
+                    i++;
+                    break;
+                }
+                codeLines.push(lines[i].replace(new RegExp(`^ {0,${fenceIndent.length}}`), ''));
+                i++;
+            }
+            tokens.push({
+                type: 'code',
+                lang: unescapeMarkdown(info.trim().split(/\s+/)[0] || ''),
+                text: codeLines.join('\n'),
+                fenced: true,
+                closed,
+                line: lineNumber,
+                endLine: offset + i - 1
+            });
+            continue;
+        }
+
+        const heading = line.match(BLOCK_PATTERNS.atxHeading);
+        if (heading) {
+            tokens.push({
+                type: 'heading',
+                depth: heading[1].length,
+                children: parseInline((heading[2] || '').replace(/[ \t]+#+$/, ''), refs),
+                line: lineNumber,
+                endLine: lineNumber
+            });
+            i++;
+            continue;
+        }
+
+        if (BLOCK_PATTERNS.hr.test(line)) {
+            tokens.push({ type: 'hr', line: lineNumber, endLine: lineNumber });
+            i++;
+            continue;
+        }
+
+        if (BLOCK_PATTERNS.blockquote.test(line)) {
+            const start = i;
+            const quoted = [];
+            while (i < lines.length) {
+                if (BLOCK_PATTERNS.blockquote.test(lines[i])) {
+                    quoted.push(expandLeadingTabs(lines[i].replace(/^ {0,3}> ?/, '')));
+                } else if (!isBlankLine(lines[i]) && quoted.length && !isBlankLine(quoted[quoted.length - 1]) &&
+                    !interruptsParagraph(lines[i], lines[i + 1]) && leadingSpaces(lines[i]) < 4) {
+                    // Lazy continuation of a quoted paragraph
+                    quoted.push(lines[i]);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            tokens.push({
+                type: 'blockquote',
+                children: parseBlocks(quoted, offset + start, refs),
+                line: lineNumber,
+                endLine: offset + i - 1
+            });
+            continue;
+        }
+
+        const item = matchListItem(line);
+        if (item) {
+            const list = parseList(lines, i, offset, refs);
+            tokens.push(list.token);
+            i = list.next;
+            continue;
+        }
+
+        const html = line.match(BLOCK_PATTERNS.htmlBlock);
+        if (html && (!html[1] || HTML_BLOCK_TAGS.has(html[1].toLowerCase()) || BLOCK_PATTERNS.htmlLineTag.test(line))) {
+            const start = i;
+            const isComment = !html[1];
+            const rawTag = html[1] && /^(script|pre|style|textarea)$/i.test(html[1]) ? html[1].toLowerCase() : null;
+            const htmlLines = [];
+            while (i < lines.length) {
+                const current = lines[i];
+                if (!rawTag && !isComment && isBlankLine(current)) {
+                    break;
+                }
+                htmlLines.push(current);
+                i++;
+                if ((isComment && current.includes('-->')) || (rawTag && current.toLowerCase().includes(`</${rawTag}>`))) {
+                    break;
+                }
+            }
+            tokens.push({ type: 'html', text: htmlLines.join('\n'), line: lineNumber, endLine: offset + start + htmlLines.length - 1 });
+            continue;
+        }
+
+        if (isTableStart(line, lines[i + 1])) {
+            const header = splitTableRow(line);
+            const align = parseTableAlign(lines[i + 1]);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && !isBlankLine(lines[i]) && !interruptsParagraph(lines[i], lines[i + 1])) {
+                const cells = splitTableRow(lines[i]);
+                rows.push(header.map((cell, index) => parseInline(cells[index] || '', refs)));
+                i++;
+            }
+            tokens.push({
+                type: 'table',
+                align,
+                header: header.map(cell => parseInline(cell, refs)),
+                rows,
+                line: lineNumber,
+                endLine: offset + i - 1
+            });
+            continue;
+        }
+
+        // Definitions were collected by collectDefinitions and render nothing
+        if (BLOCK_PATTERNS.definition.test(line)) {
+            i++;
+            continue;
+        }
+
+        // Paragraph, possibly turned into a setext heading by the line that follows it
+        const paragraph = [line.replace(/^ +/, '')];
+        i++;
+        let setextDepth = 0;
+        while (i < lines.length && !isBlankLine(lines[i])) {
+            const setext = lines[i].match(BLOCK_PATTERNS.setext);
+            if (setext) {
+                setextDepth = setext[1][0] === '=' ? 1 : 2;
+                i++;
+                break;
+            }
+            if (interruptsParagraph(lines[i], lines[i + 1])) {
+                break;
+            }
+            paragraph.push(lines[i].replace(/^ +/, ''));
+            i++;
+        }
+
+        const text = paragraph.join('\n').replace(/[ \t]+$/, '');
+        tokens.push(setextDepth
+            ? { type: 'heading', depth: setextDepth, children: parseInline(text, refs), line: lineNumber, endLine: offset + i - 1 }
+            : { type: 'paragraph', children: parseInline(text, refs), line: lineNumber, endLine: offset + i - 1 });
+    }
+
+    return tokens;
+}
+
+function parseList(lines, startIndex, offset, refs) {
+    const first = matchListItem(lines[startIndex]);
+    const token = {
+        type: 'list',
+        ordered: first.ordered,
+        start: first.start,
+        loose: false,
+        items: [],
+        line: offset + startIndex
+    };
+
+    let i = startIndex;
+    let endOfLastItem = startIndex;
+
+    while (i < lines.length) {
+        const marker = matchListItem(lines[i]);
+        if (!marker || marker.ordered !== first.ordered || marker.bullet !== first.bullet ||
+            BLOCK_PATTERNS.hr.test(lines[i])) {
+            break;
+        }
+
+        // A blank line between items makes the whole list loose
+        if (token.items.length && endOfLastItem < i - 1) {
+            token.loose = true;
+        }
+
+        const itemStart = i;
+        const itemLines = [marker.firstLine];
+        i++;
+        while (i < lines.length) {
+            const current = lines[i];
+            if (isBlankLine(current)) {
+                itemLines.push('');
+            } else if (leadingSpaces(current) >= marker.contentIndent) {
+                itemLines.push(current.slice(marker.contentIndent));
+            } else if (!isBlankLine(itemLines[itemLines.length - 1]) && !matchListItem(current) &&
+                !interruptsParagraph(current, lines[i + 1])) {
+                // Lazy continuation of the item's paragraph
+                itemLines.push(current.trim());
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        // Trailing blank lines belong between items, not to this item
+        while (itemLines.length > 1 && isBlankLine(itemLines[itemLines.length - 1])) {
+            itemLines.pop();
+        }
+        endOfLastItem = itemStart + itemLines.length - 1;
+        i = endOfLastItem + 1;
+        while (i < lines.length && isBlankLine(lines[i])) {
+            i++;
+        }
+
+        let task = null;
+        const taskMatch = itemLines[0].match(/^\[([ xX])\](?=[ \t]|$)[ \t]*/);
+        if (taskMatch) {
+            task = { checked: taskMatch[1] !== ' ' };
+            itemLines[0] = itemLines[0].slice(taskMatch[0].length);
+        }
+
+        const children = parseBlocks(itemLines, offset + itemStart, refs);
+        for (let k = 1; k < children.length; k++) {
+            if (children[k].line > children[k - 1].endLine + 1) {
+                token.loose = true;
+            }
+        }
+
+        token.items.push({
+            type: 'listItem',
+            task,
+            children,
+            line: offset + itemStart,
+            endLine: offset + endOfLastItem
+        });
+    }
+
+    token.endLine = offset + endOfLastItem;
+    return { token, next: endOfLastItem + 1 };
+}
+
+// Inline parsing
+
+function unescapeMarkdown(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+function isWhitespaceChar(char) {
+    return !char || /\s/.test(char);
+}
+
+function isPunctuationChar(char) {
+    return Boolean(char) && MARKDOWN_PUNCTUATION.test(char);
+}
+
+// Parse "(destination "title")" after a closing bracket
+function parseInlineLinkTarget(text, start) {
+    if (text[start] !== '(') {
+        return null;
+    }
+
+    let i = start + 1;
+    const skipSpace = () => {
+        while (i < text.length && /[ \t\n]/.test(text[i])) {
+            i++;
+        }
+    };
+
+    skipSpace();
+    let href = '';
+    if (text[i] === '<') {
+        const end = text.indexOf('>', i);
+        if (end < 0 || text.slice(i, end).includes('\n')) {
+            return null;
+        }
+        href = text.slice(i + 1, end);
+        i = end + 1;
+    } else {
+        let depth = 0;
+        const begin = i;
+        while (i < text.length && !/[\s]/.test(text[i])) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                i += 2;
+                continue;
+            }
+            if (text[i] === '(') {
+                depth++;
+            } else if (text[i] === ')') {
+                if (depth === 0) {
+                    break;
+                }
+                depth--;
+            }
+            i++;
+        }
+        href = text.slice(begin, i);
+    }
+
+    const beforeTitle = i;
+    skipSpace();
+    let title = null;
+    const closeFor = { '"': '"', '\'': '\'', '(': ')' };
+    if (i > beforeTitle && closeFor[text[i]]) {
+        const close = closeFor[text[i]];
+        let end = i + 1;
+        while (end < text.length && text[end] !== close) {
+            end += text[end] === '\\' ? 2 : 1;
+        }
+        if (end >= text.length) {
+            return null;
+        }
+        title = unescapeMarkdown(text.slice(i + 1, end));
+        i = end + 1;
+        skipSpace();
+    }
+
+    if (text[i] !== ')') {
+        return null;
+    }
+    return { href: unescapeMarkdown(href), title, end: i + 1 };
+}
+
+function findCodeSpanEnd(text, start, length) {
+    let i = start;
+    while (i < text.length) {
+        const next = text.indexOf('`', i);
+        if (next < 0) {
+            return -1;
+        }
+        let run = 0;
+        while (text[next + run] === '`') {
+            run++;
+        }
+        if (run === length) {
+            return next;
+        }
+        i = next + run;
+    }
+    return -1;
+}
+
+function parseInline(text, refs = {}) {
+    const nodes = [];
+    const delimiters = [];
+    const brackets = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) {
+            nodes.push({ type: 'text', text: buffer });
+            buffer = '';
+        }
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\\') {
+            if (text[i + 1] === '\n') {
+                flush();
+                nodes.push({ type: 'br' });
+                i += 2;
+                while (text[i] === ' ') {
+                    i++;
+                }
+            } else if (isPunctuationChar(text[i + 1]) && /[!-/:-@[-`{-~]/.test(text[i + 1])) {
+                buffer += text[i + 1];
+                i += 2;
+            } else {
+                buffer += char;
+                i++;
+            }
+            continue;
+        }
+
+        if (char === '`') {
+            let run = 0;
+            while (text[i + run] === '`') {
+                run++;
+            }
+            const end = findCodeSpanEnd(text, i + run, run);
+            if (end < 0) {
+                buffer += '`'.repeat(run);
+                i += run;
+                continue;
+            }
+            let code = text.slice(i + run, end).replace(/\n/g, ' ');
+            if (/^ .*[^ ].* $/.test(code) || /^ [^ ] $/.test(code)) {
+                code = code.slice(1, -1);
+            }
+            flush();
+            nodes.push({ type: 'codespan', text: code });
+            i = end + run;
+            continue;
+        }
+
+        if (char === '*' || char === '_' || char === '~') {
+            let run = 0;
+            while (text[i + run] === char) {
+                run++;
+            }
+            const before = i > 0 ? text[i - 1] : '';
+            const after = text[i + run] || '';
+            const leftFlanking = !isWhitespaceChar(after) &&
+                (!isPunctuationChar(after) || isWhitespaceChar(before) || isPunctuationChar(before));
+            const rightFlanking = !isWhitespaceChar(before) &&
+                (!isPunctuationChar(before) || isWhitespaceChar(after) || isPunctuationChar(after));
+
+            let canOpen = leftFlanking;
+            let canClose = rightFlanking;
+            if (char === '_') {
+                canOpen = leftFlanking && (!rightFlanking || isPunctuationChar(before));
+                canClose = rightFlanking && (!leftFlanking || isPunctuationChar(after));
+            }
+
+            flush();
+            const node = { type: 'text', text: char.repeat(run) };
+            nodes.push(node);
+            if ((canOpen || canClose) && (char !== '~' || run <= 2)) {
+                delimiters.push({ char, count: run, original: run, node, canOpen, canClose });
+            }
+            i += run;
+            continue;
+        }
+
+        if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+            flush();
+            const image = char === '!';
+            const node = { type: 'text', text: image ? '![' : '[' };
+            nodes.push(node);
+            i += image ? 2 : 1;
+            brackets.push({ node, image, active: true, delimiterBottom: delimiters.length, textStart: i });
+            continue;
+        }
+
+        if (char === ']') {
+            const opener = brackets.pop();
+            if (!opener || !opener.active) {
+                buffer += ']';
+                i++;
+                continue;
+            }
+
+            let target = parseInlineLinkTarget(text, i + 1);
+            let end = target ? target.end : i + 1;
+            if (!target) {
+                // Reference links: [text][label], [text][] and [text]
+                const label = text.slice(opener.textStart, i);
+                const full = text.slice(i + 1).match(/^\[((?:[^\]\\]|\\.)*)\]/);
+                const key = normalizeLabel(full && full[1] ? full[1] : label);
+                if (refs[key] && (full || text[i + 1] !== '(')) {
+                    target = refs[key];
+                    end = full ? i + 1 + full[0].length : i + 1;
+                }
+            }
+
+            if (!target) {
+                buffer += ']';
+                i++;
+                continue;
+            }
+
+            flush();
+            processEmphasis(nodes, delimiters, opener.delimiterBottom);
+            const openerIndex = nodes.indexOf(opener.node);
+            const children = nodes.splice(openerIndex + 1);
+            nodes.pop();
+            nodes.push(opener.image
+                ? { type: 'image', src: target.href, title: target.title, alt: plainText(children) }
+                : { type: 'link', href: target.href, title: target.title, children });
+
+            // Links may not contain other links
+            if (!opener.image) {
+                brackets.forEach(bracket => {
+                    if (!bracket.image) {
+                        bracket.active = false;
+                    }
+                });
+            }
+            i = end;
+            continue;
+        }
+
+        if (char === '<') {
+            const rest = text.slice(i);
+            const autolink = rest.match(INLINE_PATTERNS.autolink);
+            const email = rest.match(INLINE_PATTERNS.email);
+            const html = rest.match(INLINE_PATTERNS.html);
+
+            if (autolink || email) {
+                flush();
+                const address = (autolink || email)[1];
+                nodes.push({
+                    type: 'link',
+                    href: email ? `mailto:${address}` : address,
+                    title: null,
+                    children: [{ type: 'text', text: address }]
+                });
+                i += (autolink || email)[0].length;
+                continue;
+            }
+            if (html) {
+                flush();
+                nodes.push({ type: 'html', text: html[0] });
+                i += html[0].length;
+                continue;
+            }
+        }
+
+        if (char === '&') {
+            const entity = text.slice(i).match(INLINE_PATTERNS.entity);
+            if (entity) {
+                flush();
+                nodes.push({ type: 'html', text: entity[0] });
+                i += entity[0].length;
+                continue;
+            }
+        }
+
+        if (char === '\n') {
+            const hard = / {2,}$/.test(buffer);
+            buffer = buffer.replace(/ +$/, '');
+            flush();
+            nodes.push({ type: hard ? 'br' : 'softbreak' });
+            i++;
+            while (text[i] === ' ') {
+                i++;
+            }
+            continue;
+        }
+
+        buffer += char;
+        i++;
+    }
+
+    flush();
+    processEmphasis(nodes, delimiters, 0);
+    return linkifyBareUrls(mergeTextNodes(nodes));
+}
+
+// Match * _ ~ delimiter runs into strong, em and del nodes (CommonMark's "process emphasis")
+function processEmphasis(nodes, delimiters, bottom) {
+    const openersBottom = {};
+    let closerIndex = bottom;
+
+    while (closerIndex < delimiters.length) {
+        const closer = delimiters[closerIndex];
+        if (!closer.canClose) {
+            closerIndex++;
+            continue;
+        }
+
+        const key = `${closer.char}${closer.canOpen}${closer.original % 3}`;
+        let openerIndex = closerIndex - 1;
+        let opener = null;
+        while (openerIndex >= bottom && delimiters[openerIndex] !== openersBottom[key]) {
+            const candidate = delimiters[openerIndex];
+            const oddMatch = closer.char !== '~' && (closer.canOpen || candidate.canClose) &&
+                closer.original % 3 !== 0 && (candidate.original + closer.original) % 3 === 0;
+            const sameCount = closer.char !== '~' || candidate.count === closer.count;
+            if (candidate.char === closer.char && candidate.canOpen && !oddMatch && sameCount) {
+                opener = candidate;
+                break;
+            }
+            openerIndex--;
+        }
+
+        if (!opener) {
+            openersBottom[key] = delimiters[closerIndex - 1];
+            if (!closer.canOpen) {
+                delimiters.splice(closerIndex, 1);
+            } else {
+                closerIndex++;
+            }
+            continue;
+        }
+
+        const use = closer.char === '~' ? closer.count : (closer.count >= 2 && opener.count >= 2 ? 2 : 1);
+        opener.count -= use;
+        closer.count -= use;
+        opener.node.text = opener.node.text.slice(0, opener.count);
+        closer.node.text = closer.node.text.slice(0, closer.count);
+
+        const start = nodes.indexOf(opener.node);
+        const end = nodes.indexOf(closer.node);
+        const type = closer.char === '~' ? 'del' : use === 2 ? 'strong' : 'em';
+        const children = nodes.splice(start + 1, end - start - 1);
+        nodes.splice(start + 1, 0, { type, children });
+
+        delimiters.splice(openerIndex + 1, closerIndex - openerIndex - 1);
+        closerIndex = openerIndex + 1;
+
+        if (opener.count === 0) {
+            nodes.splice(nodes.indexOf(opener.node), 1);
+            delimiters.splice(openerIndex, 1);
+            closerIndex--;
+        }
+        if (closer.count === 0) {
+            nodes.splice(nodes.indexOf(closer.node), 1);
+            delimiters.splice(closerIndex, 1);
+        }
+    }
+
+    delimiters.splice(bottom);
+}
+
+function mergeTextNodes(nodes) {
+    const merged = [];
+    nodes.forEach(node => {
+        if (node.type === 'text') {
+            if (!node.text) {
+                return;
+            }
+            const last = merged[merged.length - 1];
+            if (last && last.type === 'text') {
+                last.text += node.text;
+                return;
+            }
+        } else if (node.children) {
+            node.children = mergeTextNodes(node.children);
+        }
+        merged.push(node);
+    });
+    return merged;
+}
+
+// Turn bare URLs in text outside links into links
+function linkifyBareUrls(nodes) {
+    const pattern = INLINE_PATTERNS.bareUrl;
+
+    return nodes.flatMap(node => {
+        if (node.type === 'link') {
+            return [node];
+        }
+        if (node.children) {
+            node.children = linkifyBareUrls(node.children);
+            return [node];
+        }
+        if (node.type !== 'text') {
+            return [node];
+        }
+
+        const parts = [];
+        let last = 0;
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(node.text))) {
+            let url = match[2];
+            // Keep a closing parenthesis only when it balances one inside the URL
+            while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+                url = url.slice(0, -1);
+            }
+            const start = match.index + match[1].length;
+            if (start > last) {
+                parts.push({ type: 'text', text: node.text.slice(last, start) });
+            }
+            const href = url.includes('@') && !/^(https?:\/\/|www\.)/.test(url)
+                ? `mailto:${url}`
+                : url.startsWith('www.') ? `http://${url}` : url;
+            parts.push({ type: 'link', href, title: null, bare: true, children: [{ type: 'text', text: url }] });
+            last = start + url.length;
+            pattern.lastIndex = last;
+        }
+
+        if (!parts.length) {
+            return [node];
+        }
+        if (last < node.text.length) {
+            parts.push({ type: 'text', text: node.text.slice(last) });
+        }
+        return parts;
+    });
+}
+
+function plainText(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'text' || node.type === 'codespan') {
+            return node.text;
+        }
+        if (node.type === 'image') {
+            return node.alt;
+        }
+        if (node.type === 'softbreak' || node.type === 'br') {
+            return ' ';
+        }
+        return node.children ? plainText(node.children) : '';
+    }).join('');
+}
+
+function readDefinition(match) {
+    return {
+        href: unescapeMarkdown(match[2] !== undefined ? match[2] : match[3]),
+        title: unescapeMarkdown(match[4] ?? match[5] ?? match[6] ?? '') || null
+    };
+}
+
+// Link reference definitions may come after the links that use them, so collect them up front
+function collectDefinitions(lines) {
+    const refs = {};
+    let fence = null;
+    lines.forEach(line => {
+        const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (marker && (!fence || (marker[1][0] === fence[0] && marker[1].length >= fence.length))) {
+            fence = fence ? null : marker[1];
+            return;
+        }
+        const definition = !fence && line.match(BLOCK_PATTERNS.definition);
+        if (definition) {
+            const label = normalizeLabel(definition[1]);
+            refs[label] = refs[label] || readDefinition(definition);
+        }
+    });
+    return refs;
+}
+
+function parseMarkdown(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n').map(expandLeadingTabs);
+    const refs = collectDefinitions(lines);
+    return { tokens: parseBlocks(lines, 0, refs), refs };
+}
+
+// HTML rendering
+
+// Escape like marked: existing entities are left alone unless encode is set
+function escapeMarkdownHtml(text, encode = false) {
+    const pattern = encode ? /[&<>"']/g : /[<>"']|&(?!#?\w+;)/g;
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+    return text.replace(pattern, char => map[char]);
+}
+
+function encodeUrl(url) {
+    try {
+        return encodeURI(url).replace(/%25/g, '%');
+    } catch (error) {
+        return url;
+    }
+}
+
+// marked's heading id slugger
+function createSlugger() {
+    const seen = {};
+    return text => {
+        const base = text.toLowerCase().trim()
+            .replace(/<[!/a-z].*?>/gi, '')
+            .replace(/[\u2000-\u206F\u2E00-\u2E7F\\'!"#$%&()*+,./:;<=>?@[\]^`{|}~]/g, '')
+            .replace(/\s/g, '-');
+
+        let slug = base;
+        if (Object.prototype.hasOwnProperty.call(seen, base)) {
+            let count = seen[base];
+            do {
+                count++;
+                slug = `${base}-${count}`;
+            } while (Object.prototype.hasOwnProperty.call(seen, slug));
+            seen[base] = count;
+        }
+        seen[slug] = 0;
+        return slug;
+    };
+}
+
+function renderInline(nodes, options) {
+    return nodes.map(node => {
+        switch (node.type) {
+        case 'text':
+            return escapeMarkdownHtml(node.text);
+        case 'codespan':
+            return `<code>${escapeMarkdownHtml(node.text, true)}</code>`;
+        case 'strong':
+            return `<strong>${renderInline(node.children, options)}</strong>`;
+        case 'em':
+            return `<em>${renderInline(node.children, options)}</em>`;
+        case 'del':
+            return `<del>${renderInline(node.children, options)}</del>`;
+        case 'link': {
+            const title = node.title ? ` title="${escapeMarkdownHtml(node.title)}"` : '';
+            return `<a href="${escapeMarkdownHtml(encodeUrl(node.href))}"${title}>${renderInline(node.children, options)}</a>`;
+        }
+        case 'image': {
+            const title = node.title ? ` title="${escapeMarkdownHtml(node.title)}"` : '';
+            return `<img src="${escapeMarkdownHtml(encodeUrl(node.src))}" alt="${escapeMarkdownHtml(node.alt)}"${title}>`;
+        }
+        case 'br':
+            return '<br>';
+        case 'softbreak':
+            return options.breaks ? '<br>' : '\n';
+        case 'html':
+            return node.text;
+        default:
+            return '';
+        }
+    }).join('');
+}
+
+function sourceLineAttribute(token, options) {
+    return options.sourceLines ? ` data-source-line="${token.line}"` : '';
+}
+
+function renderCode(token, options) {
+    const lang = token.lang;
+    let code = null;
+    if (options.highlight) {
+        code = options.highlight(token.text, lang);
+    }
+    if (code === null || code === undefined || code === token.text) {
+        code = escapeMarkdownHtml(token.text, true);
+    }
+    const className = lang ? ` class="${options.langPrefix}${escapeMarkdownHtml(lang, true)}"` : '';
+    return `<pre${sourceLineAttribute(token, options)}><code${className}>${code}\n</code></pre>\n`;
+}
+
+function renderListItem(item, list, options) {
+    let body = '';
+    let checkbox = '';
+    if (item.task) {
+        checkbox = `<input ${item.task.checked ? 'checked="" ' : ''}disabled="" type="checkbox"> `;
+    }
+
+    item.children.forEach((child, index) => {
+        if (child.type === 'paragraph' && !list.loose) {
+            body += renderInline(child.children, options);
+        } else {
+            body += renderBlocks([child], options);
+        }
+        if (index === 0 && checkbox) {
+            // In loose lists the checkbox goes inside the first paragraph, as marked does
+            body = child.type === 'paragraph' && list.loose
+                ? body.replace(/^(<p[^>]*>)/, `$1${checkbox}`)
+                : checkbox + body;
+            checkbox = '';
+        }
+    });
+    if (checkbox) {
+        body = checkbox + body;
+    }
+
+    return `<li${sourceLineAttribute(item, options)}>${body}</li>\n`;
+}
+
+function renderTableCell(cell, align, tag, options) {
+    const alignAttribute = align ? ` align="${align}"` : '';
+    return `<${tag}${alignAttribute}>${renderInline(cell, options)}</${tag}>\n`;
+}
+
+function renderBlocks(tokens, options) {
+    return tokens.map(token => {
+        const line = sourceLineAttribute(token, options);
+        switch (token.type) {
+        case 'heading': {
+            const id = options.headerIds ? ` id="${options.headerPrefix}${options.slugger(plainText(token.children))}"` : '';
+            return `<h${token.depth}${id}${line}>${renderInline(token.children, options)}</h${token.depth}>\n`;
+        }
+        case 'paragraph':
+            return `<p${line}>${renderInline(token.children, options)}</p>\n`;
+        case 'code':
+            return renderCode(token, options);
+        case 'hr':
+            return `<hr${line}>\n`;
+        case 'blockquote':
+            return `<blockquote${line}>\n${renderBlocks(token.children, options)}</blockquote>\n`;
+        case 'list': {
+            const tag = token.ordered ? 'ol' : 'ul';
+            const start = token.ordered && token.start !== 1 ? ` start="${token.start}"` : '';
+            const items = token.items.map(item => renderListItem(item, token, options)).join('');
+            return `<${tag}${start}${line}>\n${items}</${tag}>\n`;
+        }
+        case 'table': {
+            const header = `<tr>\n${token.header.map((cell, i) => renderTableCell(cell, token.align[i], 'th', options)).join('')}</tr>\n`;
+            const rows = token.rows.map(row =>
+                `<tr>\n${row.map((cell, i) => renderTableCell(cell, token.align[i], 'td', options)).join('')}</tr>\n`
+            ).join('');
+            return `<table${line}>\n<thead>\n${header}</thead>\n${rows ? `<tbody>${rows}</tbody>` : ''}</table>\n`;
+        }
+        case 'html':
+            return `${token.text}\n`;
+        default:
+            return '';
+        }
+    }).join('');
+}
+
+// Render Markdown to HTML. Options mirror marked's: breaks, headerIds, headerPrefix, langPrefix and
+// highlight(code, lang); sourceLines adds data-source-line attributes to block elements.
+function renderMarkdown(text, options = {}) {
+    const settings = {
+        breaks: false,
+        headerIds: true,
+        headerPrefix: '',
+        langPrefix: 'language-',
+        highlight: null,
+        sourceLines: false,
+        ...options,
+        slugger: createSlugger()
+    };
+    return renderBlocks(parseMarkdown(text).tokens, settings);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseMarkdown,
+        parseInline,
+        plainText,
+        renderMarkdown,
+        createSlugger
+    };
+}
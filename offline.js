@@ -0,0 +1,33 @@
+// Offline mode
+// The service worker keeps the app and its libraries cached, so it opens, previews and exports without a
+// network. AI requests still need one: while offline an indicator says so, and AI requests wait in the outbox
+// (see outbox.js) until the connection is back.
+
+/* global showNotification */
+
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+// Offline UI
+
+function updateOfflineIndicator() {
+    const offline = isOffline();
+    const indicator = document.getElementById('offlineIndicator');
+    if (indicator) {
+        indicator.hidden = !offline;
+    }
+    document.body.classList.toggle('offline', offline);
+}
+
+function setupOfflineMode() {
+    updateOfflineIndicator();
+    window.addEventListener('offline', () => {
+        updateOfflineIndicator();
+        showNotification('📴 You are offline. AI requests are queued until you reconnect', 'warning');
+    });
+    window.addEventListener('online', () => {
+        updateOfflineIndicator();
+        showNotification('🌐 Back online', 'success');
+    });
+}
@@ -0,0 +1,358 @@
+// AI request outbox
+// AI requests made offline, or that fail for lack of a network, are kept in IndexedDB instead of being lost. The
+// service worker replays them through Background Sync once the connection is back (the page does it on the
+// `online` event where Background Sync is missing), and each result waits in its document as a suggestion to review.
+// Tokens and API keys are never stored with a request: whoever sends it reads the current ones from an open page.
+
+/* global getAllRecords, putRecord, deleteRecord, buildAIPayload, runAIRequest, processInChunks, workspace,
+   editor, reviewAIResult, enrichContent, getEnrichmentSettings, getAIRequestCredentials, showNotification,
+   logError */
+
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_SYNC_TAG = 'markdowngpt-outbox';
+const OUTBOX_MESSAGE = 'outbox-updated';
+const OUTBOX_CREDENTIALS_REQUEST = 'outbox-credentials';
+
+// How browsers word the TypeError fetch() rejects with when the request never reaches a server
+const NETWORK_ERROR_PATTERN = /failed to fetch|networkerror|load failed/i;
+
+// Only requests that found no network are queued. A timeout or an error the server sent back means it was reached,
+// and replaying the request later would only bill it again.
+function isNetworkError(error) {
+    return Boolean(error) && error.name === 'TypeError' && NETWORK_ERROR_PATTERN.test(error.message || '');
+}
+
+function generateOutboxId() {
+    return 'req_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
+}
+
+// What to send later: the text and the prompt. The session, token and provider settings are read when it is sent.
+function createOutboxEntry({ documentId = null, label, format, prompt, content, enrich = false, maxTextLength },
+    now = Date.now()) {
+    return {
+        id: generateOutboxId(),
+        documentId,
+        label: label || format,
+        format,
+        prompt,
+        content,
+        enrich,
+        maxTextLength,
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        result: null,
+        provider: null,
+        createdAt: now,
+        completedAt: null
+    };
+}
+
+function sortOutbox(entries) {
+    return [...entries].sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Pending requests, results waiting in the given document, and the documents holding the other results
+function summarizeOutbox(entries, documentId) {
+    const sorted = sortOutbox(entries);
+    const finished = sorted.filter(entry => entry.status === 'ready' || entry.status === 'failed');
+    return {
+        pending: sorted.filter(entry => entry.status === 'pending').length,
+        ready: finished.filter(entry => entry.documentId === documentId),
+        elsewhere: [...new Set(finished.filter(entry => entry.documentId !== documentId)
+            .map(entry => entry.documentId))]
+    };
+}
+
+// Toolbar text for a summary; null when there is nothing to show
+function outboxButtonLabel(summary) {
+    if (summary.ready.length > 0) {
+        const count = summary.ready.length;
+        return `🤖 ${count} AI suggestion${count === 1 ? '' : 's'}`;
+    }
+    if (summary.pending > 0) {
+        return `📮 ${summary.pending} queued`;
+    }
+    if (summary.elsewhere.length > 0) {
+        return '🤖 Suggestions in other documents';
+    }
+    return null;
+}
+
+// Send one queued request the way requestAIText does, section by section for long texts
+async function sendOutboxEntry(entry, { sessionId = null, token = null, config }) {
+    // Nobody is watching the stream while the request replays
+    const replayConfig = { ...config, stream: false };
+    const send = (text, prompt) => runAIRequest(buildAIPayload({
+        text,
+        prompt,
+        format: entry.format,
+        sessionId,
+        token
+    }), replayConfig);
+
+    if (entry.content.length <= entry.maxTextLength) {
+        return send(entry.content, entry.prompt);
+    }
+
+    let provider = null;
+    const processedText = await processInChunks(entry.content, entry.prompt, entry.maxTextLength,
+        async (chunkText, chunkPrompt) => {
+            const result = await send(chunkText, chunkPrompt);
+            provider = result.provider;
+            return result.processedText;
+        });
+    return { processedText, provider };
+}
+
+// Send the pending requests oldest first, with the credentials getCredentials() resolves to. Without a network, or
+// without an open page to read the credentials from, the rest stay pending and the returned promise rejects, so
+// Background Sync tries again later; unless it is the last chance, where they wait for the next sync or the next
+// start. Any other error marks the request failed, to be reported in its document.
+async function sendPendingRequests({ lastChance = false, getCredentials }) {
+    const entries = sortOutbox(await getAllRecords(OUTBOX_STORE)).filter(entry => entry.status === 'pending');
+    const summary = { sent: 0, failed: 0, pending: entries.length };
+    if (entries.length === 0) {
+        return summary;
+    }
+
+    const credentials = await getCredentials();
+    if (!credentials) {
+        if (lastChance) {
+            return summary;
+        }
+        throw new Error('Queued AI requests wait for the app to be open');
+    }
+
+    for (const entry of entries) {
+        try {
+            const result = await sendOutboxEntry(entry, credentials);
+            await putRecord(OUTBOX_STORE, {
+                ...entry,
+                status: 'ready',
+                attempts: entry.attempts + 1,
+                error: null,
+                result: result.processedText,
+                provider: result.provider,
+                completedAt: Date.now()
+            });
+            summary.sent++;
+            summary.pending--;
+        } catch (error) {
+            if (isNetworkError(error)) {
+                await putRecord(OUTBOX_STORE, { ...entry, attempts: entry.attempts + 1, error: error.message });
+                if (lastChance) {
+                    return summary;
+                }
+                throw error;
+            }
+            await putRecord(OUTBOX_STORE, {
+                ...entry,
+                status: 'failed',
+                attempts: entry.attempts + 1,
+                error: error.message,
+                completedAt: Date.now()
+            });
+            summary.failed++;
+            summary.pending--;
+        }
+    }
+    return summary;
+}
+
+let outboxReplay = null;
+
+// One replay at a time, so a request is never sent twice by the same page or worker
+function replayOutbox(options) {
+    if (!outboxReplay) {
+        outboxReplay = sendPendingRequests(options).finally(() => {
+            outboxReplay = null;
+        });
+    }
+    return outboxReplay;
+}
+
+// Outbox UI
+
+const outboxState = {
+    available: false,
+    backgroundSync: false,
+    announced: new Set()
+};
+
+// Save a request that could not be sent now; resolves to false when there is nowhere to keep it
+async function queueAIRequest(request) {
+    if (!outboxState.available) {
+        return false;
+    }
+
+    try {
+        const entry = createOutboxEntry({ ...request, documentId: workspace.activeId });
+        await putRecord(OUTBOX_STORE, entry);
+        // Without Background Sync the page sends it on the next `online` event or the next start
+        await requestOutboxSync();
+        await refreshOutbox();
+        return true;
+    } catch (error) {
+        logError('AI request could not be queued', error, { format: request.format });
+        return false;
+    }
+}
+
+// Ask the service worker to replay the outbox once the network is back; false without Background Sync
+async function requestOutboxSync() {
+    if (!outboxState.backgroundSync) {
+        return false;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (registration?.sync && registration.active) {
+            await registration.sync.register(OUTBOX_SYNC_TAG);
+            return true;
+        }
+    } catch (error) {
+        logError('Background Sync registration failed', error);
+    }
+    return false;
+}
+
+// Replay through the service worker where possible, otherwise from the page while it is open
+async function flushOutbox() {
+    if (!await requestOutboxSync() && navigator.onLine !== false) {
+        await replayOutboxInPage();
+    }
+}
+
+async function replayOutboxInPage() {
+    try {
+        await replayOutbox({ getCredentials: getAIRequestCredentials });
+    } catch (error) {
+        // Still no network; the next `online` event tries again
+    }
+    await refreshOutbox();
+}
+
+// Update the toolbar button, drop results of deleted documents and announce newly arrived suggestions
+async function refreshOutbox() {
+    if (!outboxState.available) {
+        return;
+    }
+
+    let entries;
+    try {
+        entries = await getAllRecords(OUTBOX_STORE);
+        if (workspace.available) {
+            const orphans = entries.filter(entry => !workspace.documents.some(doc => doc.id === entry.documentId));
+            await Promise.all(orphans.map(entry => deleteRecord(OUTBOX_STORE, entry.id)));
+            entries = entries.filter(entry => !orphans.includes(entry));
+        }
+    } catch (error) {
+        logError('Outbox could not be read', error);
+        return;
+    }
+
+    const summary = summarizeOutbox(entries, workspace.activeId);
+    const button = document.getElementById('outboxButton');
+    if (button) {
+        const label = outboxButtonLabel(summary);
+        button.hidden = !label;
+        button.textContent = label || '';
+        button.classList.toggle('has-suggestions', summary.ready.length > 0);
+    }
+
+    const arrived = summary.ready.filter(entry => entry.status === 'ready' && !outboxState.announced.has(entry.id));
+    summary.ready.forEach(entry => outboxState.announced.add(entry.id));
+    if (arrived.length > 0) {
+        showNotification(`🤖 Queued AI ${arrived.length === 1 ? 'result is' : 'results are'} ready to review`,
+            'success');
+    }
+}
+
+// Review the results waiting in the open document, one at a time, then clear them from the outbox
+async function reviewOutboxSuggestions() {
+    if (!outboxState.available) {
+        showNotification('ℹ️ No AI requests are queued', 'info');
+        return;
+    }
+
+    const summary = summarizeOutbox(await getAllRecords(OUTBOX_STORE), workspace.activeId);
+    if (summary.ready.length === 0) {
+        if (summary.pending > 0) {
+            showNotification(`📮 ${summary.pending} AI request${summary.pending === 1 ? ' is' : 's are'} ` +
+                'waiting for the network', 'info');
+        } else if (summary.elsewhere.length > 0) {
+            const titles = workspace.documents.filter(doc => summary.elsewhere.includes(doc.id))
+                .map(doc => doc.title);
+            showNotification(`🤖 AI suggestions are waiting in: ${titles.join(', ')}`, 'info');
+        } else {
+            showNotification('ℹ️ No AI requests are queued', 'info');
+        }
+        return;
+    }
+
+    for (const entry of summary.ready) {
+        if (entry.status === 'failed') {
+            showNotification(`❌ Queued ${entry.label} request failed: ${entry.error}`, 'error');
+        } else {
+            const proposed = entry.enrich
+                ? enrichContent(entry.result, entry.format, getEnrichmentSettings())
+                : entry.result;
+            await reviewAIResult(editor.value, proposed, `Review queued AI changes: ${entry.label}`,
+                `AI: ${entry.label}`);
+        }
+        await deleteRecord(OUTBOX_STORE, entry.id);
+    }
+    await refreshOutbox();
+}
+
+async function setupOutbox() {
+    try {
+        await getAllRecords(OUTBOX_STORE);
+        outboxState.available = true;
+    } catch (error) {
+        // No IndexedDB: AI requests fall back to local formatting as before
+        return;
+    }
+
+    outboxState.backgroundSync = 'serviceWorker' in navigator && 'SyncManager' in window;
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data?.type === OUTBOX_MESSAGE) {
+                refreshOutbox();
+            } else if (event.data?.type === OUTBOX_CREDENTIALS_REQUEST && event.ports[0]) {
+                // The worker replays the outbox with this page's session, token and provider settings
+                getAIRequestCredentials().then(credentials => event.ports[0].postMessage(credentials));
+            }
+        });
+    }
+
+    // Background Sync fires by itself, but registering again also covers a worker that was not active yet
+    window.addEventListener('online', () => {
+        flushOutbox();
+    });
+
+    // Results that came back while the app was closed, and requests a given-up sync left behind
+    const entries = await getAllRecords(OUTBOX_STORE);
+    entries.filter(entry => entry.status === 'ready' && entry.documentId !== workspace.activeId)
+        .forEach(entry => outboxState.announced.add(entry.id));
+    if (entries.some(entry => entry.status === 'pending')) {
+        await flushOutbox();
+    }
+    await refreshOutbox();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OUTBOX_SYNC_TAG,
+        OUTBOX_MESSAGE,
+        OUTBOX_CREDENTIALS_REQUEST,
+        isNetworkError,
+        createOutboxEntry,
+        summarizeOutbox,
+        outboxButtonLabel,
+        sendOutboxEntry,
+        replayOutbox
+    };
+}
@@ -0,0 +1,86 @@
+// Document outline
+// Headings of rendered HTML, for the tables of contents in printed and exported documents. It works on the
+// sanitized HTML rather than the Markdown, so links match the ids whichever renderer produced them.
+
+/* global createSlugger, escapeHtml */
+
+const HEADING_TAG_PATTERN = /<h([1-6])((?:\s[^>]*)?)>([\s\S]*?)<\/h\1\s*>/gi;
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+// Text content of an HTML fragment
+function htmlToText(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(?:#(\d+)|#x([0-9a-f]+)|(\w+));/gi, (entity, decimal, hex, name) => {
+            if (decimal || hex) {
+                return String.fromCodePoint(parseInt(decimal || hex, decimal ? 10 : 16));
+            }
+            return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Give every heading an id, keeping ids that are already there, and list the headings in order
+function addHeadingIds(html) {
+    const taken = new Set(Array.from(html.matchAll(/\sid="([^"]*)"/g), match => match[1]));
+    const slugger = createSlugger();
+    const headings = [];
+
+    const result = html.replace(HEADING_TAG_PATTERN, (tag, level, attributes, inner) => {
+        const text = htmlToText(inner);
+        const existing = attributes.match(/\sid="([^"]*)"/);
+        let id = existing ? existing[1] : null;
+        if (!id) {
+            do {
+                id = slugger(text) || 'section';
+            } while (taken.has(id));
+            taken.add(id);
+            attributes += ` id="${escapeHtml(id)}"`;
+        }
+        headings.push({ level: Number(level), id, text });
+        return `<h${level}${attributes}>${inner}</h${level}>`;
+    });
+
+    return { html: result, headings };
+}
+
+// Nested list of links to the headings down to maxDepth, relative to the highest heading level used
+function renderTableOfContents(headings, { maxDepth = 3, title = 'Contents' } = {}) {
+    const shown = headings.filter(heading => heading.level <= maxDepth && heading.text);
+    if (!shown.length) {
+        return '';
+    }
+
+    const top = Math.min(...shown.map(heading => heading.level));
+    let html = '<ol>';
+    let depth = 1;
+    let itemOpen = false;
+    shown.forEach(heading => {
+        const level = heading.level - top + 1;
+        while (depth < level) {
+            // A skipped level gets an empty item so the nesting stays valid
+            html += (itemOpen ? '' : '<li>') + '<ol>';
+            depth++;
+            itemOpen = false;
+        }
+        while (depth > level) {
+            html += '</li></ol>';
+            depth--;
+            itemOpen = true;
+        }
+        html += `${itemOpen ? '</li>' : ''}<li><a href="#${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a>`;
+        itemOpen = true;
+    });
+    html += '</li></ol>'.repeat(depth);
+
+    return `<nav class="toc" aria-label="${escapeHtml(title)}"><h2 class="toc-title">${escapeHtml(title)}</h2>${html}</nav>`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        htmlToText,
+        addHeadingIds,
+        renderTableOfContents
+    };
+}
@@ -0,0 +1,241 @@
+// Rich paste
+// HTML on the clipboard, from Google Docs, Notion or a web page, is pasted as Markdown. Formatting that word
+// processors express as inline styles becomes Markdown, then the styles and tracking parameters are dropped.
+// Ctrl+Shift+V (⌘⇧V) pastes the plain text instead.
+
+/* global parseHtmlDocument, htmlToMarkdown, editor, setEditorContent, logError */
+
+const TRACKING_PARAMS = new Set([
+    'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc',
+    '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id', 'wickedid', 'ref_src', 'ref_url', 'spm'
+]);
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'hsa_'];
+
+// Redirect wrappers whose real destination is a query parameter
+const REDIRECT_HOSTS = {
+    'www.google.com': { path: '/url', param: 'q' },
+    'l.facebook.com': { path: '/l.php', param: 'u' },
+    'l.instagram.com': { path: '/', param: 'u' },
+    'out.reddit.com': { path: null, param: 'url' }
+};
+
+const MONOSPACE_FONT_PATTERN = /\b(?:monospace|courier|consolas|menlo|monaco|source code|fira code|roboto mono)\b/i;
+const RICH_ELEMENTS_SELECTOR = 'h1, h2, h3, h4, h5, h6, strong, b, em, i, del, s, a[href], ul, ol, table, pre, ' +
+    'code, blockquote, img, hr';
+const INVISIBLE_CHARACTERS = /[\u200B-\u200D\u2060\uFEFF]/g;
+
+// A link without its redirect wrapper and tracking parameters
+function cleanLinkUrl(href) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch (error) {
+        return href;
+    }
+
+    const redirect = REDIRECT_HOSTS[url.hostname];
+    if (redirect && (!redirect.path || url.pathname === redirect.path) && url.searchParams.get(redirect.param)) {
+        return cleanLinkUrl(url.searchParams.get(redirect.param));
+    }
+
+    const tracking = Array.from(new Set(url.searchParams.keys())).filter(name => {
+        const lower = name.toLowerCase();
+        return TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+    });
+    if (!tracking.length) {
+        return href;
+    }
+    tracking.forEach(name => url.searchParams.delete(name));
+    return url.toString().replace(/\?(?=#|$)/, '');
+}
+
+function unwrapElement(element) {
+    element.replaceWith(...element.childNodes);
+}
+
+function wrapChildren(element, tag) {
+    const wrapper = element.ownerDocument.createElement(tag);
+    wrapper.append(...element.childNodes);
+    element.appendChild(wrapper);
+}
+
+function isBoldWeight(weight) {
+    return weight === 'bold' || weight === 'bolder' || Number(weight) >= 600;
+}
+
+// Markdown equivalents for formatting that word processors set with inline styles
+function applyStyleFormatting(element) {
+    const style = element.style;
+    if (!element.textContent.trim() || element.closest('pre, code')) {
+        return;
+    }
+
+    if (MONOSPACE_FONT_PATTERN.test(style.fontFamily)) {
+        wrapChildren(element, 'code');
+        return;
+    }
+    if (/line-through/.test(style.textDecoration || style.textDecorationLine || '')) {
+        wrapChildren(element, 'del');
+    }
+    if (style.fontStyle === 'italic' && !element.closest('em, i')) {
+        wrapChildren(element, 'em');
+    }
+    if (isBoldWeight(style.fontWeight) && !element.closest('h1, h2, h3, h4, h5, h6, th, strong, b')) {
+        wrapChildren(element, 'strong');
+    }
+}
+
+// Styled spans laid out with white-space: pre come from code editors, which paste best as their plain text
+function isCodeEditorHtml(root) {
+    return Array.from(root.querySelectorAll('[style]')).some(element => element.style.whiteSpace === 'pre');
+}
+
+// Turn clipboard HTML into plain, semantic HTML for the Markdown converter
+function cleanPastedHtml(doc) {
+    const root = doc.body;
+
+    // Google Docs wraps the whole selection in <b style="font-weight:normal">
+    root.querySelectorAll('b[style], strong[style]').forEach(element => {
+        if (element.style.fontWeight && !isBoldWeight(element.style.fontWeight)) {
+            unwrapElement(element);
+        }
+    });
+    root.querySelectorAll('span[style], font[style]').forEach(applyStyleFormatting);
+
+    // List items wrapped in a single paragraph would become a loose list
+    root.querySelectorAll('li > p:only-child').forEach(unwrapElement);
+
+    root.querySelectorAll('a[href]').forEach(link => {
+        link.setAttribute('href', cleanLinkUrl(link.getAttribute('href')));
+    });
+    // Tracking pixels
+    root.querySelectorAll('img').forEach(image => {
+        if (Number(image.getAttribute('width')) === 1 || Number(image.getAttribute('height')) === 1) {
+            image.remove();
+        }
+    });
+    root.querySelectorAll('[style]').forEach(element => element.removeAttribute('style'));
+
+    const walker = doc.createTreeWalker(root, 4);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        node.nodeValue = node.nodeValue.replace(INVISIBLE_CHARACTERS, '');
+        if (!node.parentElement.closest('pre, code')) {
+            node.nodeValue = node.nodeValue.replace(/\u00A0/g, ' ');
+        }
+    }
+    return doc;
+}
+
+// Markdown for clipboard HTML, or null when a plain-text paste gives the same or a better result
+function pastedHtmlToMarkdown(html) {
+    const doc = parseHtmlDocument(html);
+    if (isCodeEditorHtml(doc.body)) {
+        return null;
+    }
+
+    cleanPastedHtml(doc);
+    if (!doc.body.querySelector(RICH_ELEMENTS_SELECTOR)) {
+        return null;
+    }
+    return htmlToMarkdown(doc) || null;
+}
+
+// Whether a position is inside a fenced code block, where pasted text must stay as it is
+function isInsideCodeFence(text, position) {
+    let fence = null;
+    text.slice(0, position).split('\n').slice(0, -1).forEach(line => {
+        const match = line.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (!match) {
+            return;
+        }
+        if (!fence) {
+            fence = match[1];
+        } else if (match[1][0] === fence[0] && match[1].length >= fence.length) {
+            // A closing fence has nothing after it
+            fence = line.trim().slice(match[1].length) ? fence : null;
+        }
+    });
+    return fence !== null;
+}
+
+// Insert pasted Markdown, giving block content lines of its own
+function insertPastedMarkdown(text, start, end, markdown) {
+    const before = text.slice(0, start);
+    let after = text.slice(end);
+    let inserted = markdown;
+
+    if (/\n/.test(markdown) || /^(?:#{1,6} |> |[-*+] |\d+\. |\||```|---$)/.test(markdown)) {
+        const lineBefore = before.slice(before.lastIndexOf('\n') + 1);
+        if (lineBefore.trim()) {
+            inserted = '\n\n' + inserted;
+        } else if (before.trim() && !/\n\s*\n\s*$/.test(before)) {
+            inserted = '\n' + inserted;
+        }
+        const lineAfter = after.split('\n')[0];
+        if (lineAfter.trim()) {
+            inserted += '\n\n';
+            after = after.replace(/^[ \t]+/, '');
+        }
+    }
+
+    return {
+        value: before + inserted + after,
+        caret: start + inserted.length
+    };
+}
+
+// Rich paste UI
+
+const pasteState = {
+    plainRequested: false
+};
+
+function handleRichPaste(event) {
+    const plain = pasteState.plainRequested;
+    pasteState.plainRequested = false;
+
+    const html = event.clipboardData?.getData('text/html');
+    if (plain || !html || isInsideCodeFence(editor.value, editor.selectionStart)) {
+        return false;
+    }
+
+    let markdown;
+    try {
+        markdown = pastedHtmlToMarkdown(html);
+    } catch (error) {
+        logError('Rich paste conversion failed', error);
+        return false;
+    }
+    if (!markdown) {
+        return false;
+    }
+
+    event.preventDefault();
+    const result = insertPastedMarkdown(editor.value, editor.selectionStart, editor.selectionEnd, markdown);
+    setEditorContent(result.value, 'Paste', { selectionStart: result.caret });
+    return true;
+}
+
+function setupRichPaste() {
+    // The paste event does not say which keys were held, so the shortcut is noted as it is pressed
+    editor.addEventListener('keydown', event => {
+        if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === 'v') {
+            pasteState.plainRequested = true;
+        }
+    });
+    editor.addEventListener('keyup', () => {
+        pasteState.plainRequested = false;
+    });
+    editor.addEventListener('paste', handleRichPaste);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        cleanLinkUrl,
+        cleanPastedHtml,
+        pastedHtmlToMarkdown,
+        isInsideCodeFence,
+        insertPastedMarkdown
+    };
+}
@@ -0,0 +1,138 @@
+// Platform limits for social formats
+// A format's `platform` profile (see formats.js) sets limits such as LinkedIn's 3000 characters or X's
+// 280 per post. checkPlatformLimits turns a profile into the counters shown in the stats bar and the
+// warnings shown before copying or exporting.
+
+/* global readFrontMatter, getFormat, editor, editorState, tweetLength, readThread, escapeHtml, sanitizeHtml, CONFIG */
+
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#(/])#([\p{L}_][\p{L}\p{N}_]*)/gu;
+// Classes of the fold preview's own markup; the post inside it is escaped text
+const FOLD_PREVIEW_CLASSES = [/^platform-post(?:-text)?$/, /^fold-marker$/, /^after-fold$/];
+
+function countCharacters(text) {
+    return Array.from(text).length;
+}
+
+function countHashtags(text) {
+    return Array.from(text.matchAll(HASHTAG_PATTERN)).length;
+}
+
+// Title of an article: the front matter title, or else the first H1
+function findDocumentTitle(content) {
+    const { data, body } = readFrontMatter(content);
+    if (data && typeof data.title === 'string' && data.title.trim()) {
+        return data.title.trim();
+    }
+    const heading = body.match(/^ {0,3}#[ \t]+(.+?)[ \t#]*$/m);
+    return heading ? heading[1].trim() : null;
+}
+
+// Counters and warnings for content posted with the given profile
+function checkPlatformLimits(content, profile) {
+    const name = profile.name || 'Platform';
+    const text = content.trim();
+    const counters = [];
+    const warnings = [];
+
+    if (profile.maxLength) {
+        const length = countCharacters(text);
+        counters.push(`${name}: ${length}/${profile.maxLength}`);
+        if (length > profile.maxLength) {
+            warnings.push(`${name} allows ${profile.maxLength} characters; this is ${length}`);
+        }
+    }
+
+    if (profile.postLength) {
+        const posts = readThread(text);
+        const lengths = posts.map(tweetLength);
+        const longest = Math.max(0, ...lengths);
+        counters.push(`Posts: ${posts.length} | Longest: ${longest}/${profile.postLength}`);
+        lengths.forEach((length, index) => {
+            if (length > profile.postLength) {
+                warnings.push(posts.length > 1
+                    ? `Post ${index + 1} is ${length}/${profile.postLength} characters`
+                    : `${name} posts allow ${profile.postLength} characters; this is ${length}`);
+            }
+        });
+    }
+
+    if (profile.maxHashtags) {
+        const hashtags = countHashtags(text);
+        counters.push(`Hashtags: ${hashtags}/${profile.maxHashtags}`);
+        if (hashtags > profile.maxHashtags) {
+            warnings.push(`${hashtags} hashtags; ${name} posts do best with ${profile.maxHashtags} or fewer`);
+        }
+    }
+
+    if (profile.titleMaxLength) {
+        const title = findDocumentTitle(text);
+        if (!title) {
+            counters.push('Title: none');
+            warnings.push('No title: add one to the front matter or start the article with a # heading');
+        } else {
+            const length = countCharacters(title);
+            counters.push(`Title: ${length}/${profile.titleMaxLength}`);
+            if (length > profile.titleMaxLength) {
+                warnings.push(`Title is ${length} characters; ${name} shows up to ${profile.titleMaxLength}`);
+            }
+        }
+    }
+
+    return { counters, warnings };
+}
+
+// Split text at the fold: what readers see before "…see more", and the rest
+function splitAtFold(content, foldAt) {
+    const chars = Array.from(content.trim());
+    return {
+        visible: chars.slice(0, foldAt).join(''),
+        hidden: chars.slice(foldAt).join('')
+    };
+}
+
+// Platform UI
+
+function getPlatformProfile(formatId) {
+    const format = formatId ? getFormat(formatId) : null;
+    return (format && format.platform) || null;
+}
+
+function currentPlatformReport(content = editor.value) {
+    const profile = getPlatformProfile(editorState.currentFormat);
+    return profile ? { profile, ...checkPlatformLimits(content, profile) } : null;
+}
+
+// Ask before copying or exporting content that breaks the current platform's limits
+function confirmPlatformLimits(action) {
+    const report = currentPlatformReport();
+    if (!report || !report.warnings.length) {
+        return true;
+    }
+    const list = report.warnings.map(warning => `• ${warning}`).join('\n');
+    return confirm(`This does not fit ${report.profile.name || 'the platform'}:\n\n${list}\n\n${action} anyway?`);
+}
+
+// Posts are shown as plain text, as the platform shows them, with the "see more" fold marked
+function renderFoldPreview(content, profile) {
+    const { visible, hidden } = splitAtFold(content, profile.foldAt);
+    const title = `${profile.name || 'The platform'} cuts the post here`;
+    const fold = hidden
+        ? `<span class="fold-marker" title="${escapeHtml(title)}">…see more</span>` +
+            `<span class="after-fold">${escapeHtml(hidden)}</span>`
+        : '';
+
+    return sanitizeHtml(`
+        <div class="platform-post">
+            <div class="platform-post-text">${escapeHtml(visible)}${fold}</div>
+        </div>`, { ...CONFIG.SANITIZER, allowedClasses: FOLD_PREVIEW_CLASSES });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        countCharacters,
+        countHashtags,
+        findDocumentTitle,
+        checkPlatformLimits,
+        splitAtFold
+    };
+}
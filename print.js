@@ -0,0 +1,241 @@
+// Print layout and PDF export
+// "Export PDF" renders the document into a print-only layout and opens the browser's print dialog, where
+// "Save as PDF" writes the file. The layout and @page rules are built as strings so they can be tested
+// without a browser; header and footer text go in the page margins, where page numbers are available.
+
+/* global addHeadingIds, renderTableOfContents, escapeHtml, renderMarkdownHtml, findDocumentTitle, readFrontMatter,
+   editor, createModal, confirmPlatformLimits, toggleExportMenu, showNotification, logError */
+
+const PRINT_OPTIONS_KEY = 'markdowngpt.printOptions';
+
+const PRINT_PAGE_SIZES = ['A4', 'letter'];
+
+// {title}, {date}, {page} and {pages} are filled in per page
+const PRINT_DEFAULTS = {
+    cover: false,
+    toc: false,
+    tocDepth: 3,
+    breakBeforeH1: false,
+    header: '{title}',
+    footer: 'Page {page} of {pages}',
+    pageSize: 'A4'
+};
+
+const PRINT_PLACEHOLDER_PATTERN = /\{(title|date|page|pages)\}/g;
+
+function cssString(text) {
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\A ')}"`;
+}
+
+// Header or footer text as a CSS content value; page numbers become CSS page counters
+function pageMarginContent(template, values) {
+    const parts = [];
+    let last = 0;
+    template.replace(PRINT_PLACEHOLDER_PATTERN, (placeholder, name, index) => {
+        parts.push(cssString(template.slice(last, index)));
+        parts.push(name === 'page' || name === 'pages' ? `counter(${name})` : cssString(values[name] || ''));
+        last = index + placeholder.length;
+        return placeholder;
+    });
+    parts.push(cssString(template.slice(last)));
+
+    const content = parts.filter(part => part !== '""').join(' ');
+    return content || 'none';
+}
+
+// @page rules for the page size, header and footer; the cover page has neither
+function buildPrintPageCss(options, values) {
+    const settings = { ...PRINT_DEFAULTS, ...options };
+    const size = PRINT_PAGE_SIZES.includes(settings.pageSize) ? settings.pageSize : PRINT_DEFAULTS.pageSize;
+    const rules = [
+        '@page {',
+        `    size: ${size};`,
+        '    margin: 20mm 18mm;',
+        `    @top-center { content: ${pageMarginContent(settings.header.trim(), values)}; }`,
+        `    @bottom-center { content: ${pageMarginContent(settings.footer.trim(), values)}; }`,
+        '}'
+    ];
+    if (settings.cover) {
+        rules.push('@page :first {', '    @top-center { content: none; }', '    @bottom-center { content: none; }', '}');
+    }
+    if (settings.breakBeforeH1) {
+        rules.push('.print-content h1:not(:first-child) { break-before: page; }');
+    }
+    return rules.join('\n');
+}
+
+// Cover page, table of contents and the rendered document, ready for the print root
+function buildPrintDocument(html, options = {}, values = {}) {
+    const settings = { ...PRINT_DEFAULTS, ...options };
+    const sections = [];
+
+    if (settings.cover) {
+        sections.push(`
+        <section class="print-cover">
+            <h1 class="print-cover-title">${escapeHtml(values.title || 'Untitled document')}</h1>
+            ${values.description ? `<p class="print-cover-description">${escapeHtml(values.description)}</p>` : ''}
+            ${values.date ? `<p class="print-cover-date">${escapeHtml(values.date)}</p>` : ''}
+        </section>`);
+    }
+
+    let content = html;
+    if (settings.toc) {
+        const outline = addHeadingIds(html);
+        content = outline.html;
+        const toc = renderTableOfContents(outline.headings, { maxDepth: settings.tocDepth });
+        if (toc) {
+            sections.push(`<section class="print-toc">${toc}</section>`);
+        }
+    }
+
+    sections.push(`<article class="print-content">${content}</article>`);
+    return sections.join('\n');
+}
+
+// Print UI
+
+function loadPrintOptions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PRINT_OPTIONS_KEY) || '{}');
+        return { ...PRINT_DEFAULTS, ...saved };
+    } catch (error) {
+        logError('Failed to load print options', error);
+        return { ...PRINT_DEFAULTS };
+    }
+}
+
+function savePrintOptions(options) {
+    try {
+        localStorage.setItem(PRINT_OPTIONS_KEY, JSON.stringify(options));
+    } catch (error) {
+        logError('Failed to save print options', error);
+    }
+}
+
+function exportPDF() {
+    if (!confirmPlatformLimits('Export')) {
+        return;
+    }
+    toggleExportMenu(false);
+
+    const options = loadPrintOptions();
+    const modal = createModal('🖨️ Export PDF', 'print-modal');
+    modal.body.innerHTML = `
+        <form class="print-options">
+            <label class="setting-item">
+                <input type="checkbox" name="cover"${options.cover ? ' checked' : ''}>
+                <span>Cover page with the title, description and date</span>
+            </label>
+            <label class="setting-item">
+                <input type="checkbox" name="toc"${options.toc ? ' checked' : ''}>
+                <span>Table of contents</span>
+            </label>
+            <label class="setting-item">
+                <input type="checkbox" name="breakBeforeH1"${options.breakBeforeH1 ? ' checked' : ''}>
+                <span>Start each H1 section on a new page</span>
+            </label>
+            <div class="setting-item setting-field">
+                <label for="printHeader">Header</label>
+                <input type="text" id="printHeader" name="header" value="${escapeHtml(options.header)}">
+            </div>
+            <div class="setting-item setting-field">
+                <label for="printFooter">Footer</label>
+                <input type="text" id="printFooter" name="footer" value="${escapeHtml(options.footer)}">
+            </div>
+            <div class="setting-item setting-field">
+                <label for="printPageSize">Page size</label>
+                <select id="printPageSize" name="pageSize">
+                    ${PRINT_PAGE_SIZES.map(size => `<option value="${size}"${size === options.pageSize ? ' selected' : ''}>` +
+                        `${size === 'letter' ? 'US Letter' : size}</option>`).join('')}
+                </select>
+            </div>
+            <p class="print-hint">Use {title}, {date}, {page} and {pages} in the header and footer. Choose
+                "Save as PDF" as the printer in the next dialog.</p>
+        </form>`;
+    modal.footer.innerHTML = `
+        <button class="btn secondary" type="button" data-action="cancel">Cancel</button>
+        <button class="btn" type="button" data-action="print">🖨️ Print / Save as PDF</button>`;
+
+    const form = modal.body.querySelector('form');
+    const submit = () => {
+        const chosen = {
+            ...options,
+            cover: form.elements.cover.checked,
+            toc: form.elements.toc.checked,
+            breakBeforeH1: form.elements.breakBeforeH1.checked,
+            header: form.elements.header.value,
+            footer: form.elements.footer.value,
+            pageSize: form.elements.pageSize.value
+        };
+        savePrintOptions(chosen);
+        modal.close();
+        printDocument(chosen);
+    };
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        submit();
+    });
+    modal.footer.addEventListener('click', event => {
+        const action = event.target.dataset.action;
+        if (action === 'cancel') {
+            modal.close();
+        } else if (action === 'print') {
+            submit();
+        }
+    });
+}
+
+// Fill the print root, print, and clear it again once the dialog closes
+function printDocument(options) {
+    try {
+        const content = editor.value;
+        const frontMatter = readFrontMatter(content).data || {};
+        const values = {
+            title: findDocumentTitle(content) || '',
+            description: typeof frontMatter.description === 'string' ? frontMatter.description.trim() : '',
+            date: new Date().toLocaleDateString()
+        };
+
+        let root = document.getElementById('printRoot');
+        if (!root) {
+            root = document.createElement('div');
+            root.id = 'printRoot';
+            root.className = 'print-root';
+            document.body.appendChild(root);
+        }
+        let pageStyle = document.getElementById('printPageStyle');
+        if (!pageStyle) {
+            pageStyle = document.createElement('style');
+            pageStyle.id = 'printPageStyle';
+            document.head.appendChild(pageStyle);
+        }
+
+        root.innerHTML = buildPrintDocument(renderMarkdownHtml(content), options, values);
+        pageStyle.textContent = buildPrintPageCss(options, values);
+        document.body.classList.add('printing');
+
+        const previousTitle = document.title;
+        document.title = values.title || previousTitle;
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing');
+            document.title = previousTitle;
+            root.innerHTML = '';
+            pageStyle.textContent = '';
+        }, { once: true });
+
+        window.print();
+    } catch (error) {
+        logError('PDF export failed', error);
+        showNotification('❌ Could not prepare the document for printing', 'error');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRINT_DEFAULTS,
+        pageMarginContent,
+        buildPrintPageCss,
+        buildPrintDocument
+    };
+}
@@ -0,0 +1,387 @@
+// AI provider layer
+// Every AI request goes through runAIRequest, which walks the configured providers
+// in order and applies the same retry, timeout and payload rules to each of them.
+// Providers can also stream their output as Server-Sent Events or NDJSON; see readStreamingResponse.
+
+const STREAM_ACCEPT_HEADER = 'text/event-stream, application/x-ndjson, application/json';
+
+// Marker for the OpenAI-style `data: [DONE]` terminator
+const STREAM_DONE = Object.freeze({ done: true });
+
+const AI_PROVIDERS = {
+    cloudflare: {
+        id: 'cloudflare',
+        label: 'Cloudflare Worker',
+        isConfigured: config => Boolean(config.cloudflare && config.cloudflare.url),
+        buildRequest(payload, config, stream) {
+            return {
+                url: `${config.cloudflare.url}/process`,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': stream ? STREAM_ACCEPT_HEADER : 'application/json'
+                    },
+                    body: JSON.stringify(stream ? { ...payload, stream: true } : payload)
+                }
+            };
+        },
+        parseResponse(data) {
+            if (data.success && data.processedText) {
+                return data.processedText;
+            }
+            throw new Error(data.error || 'Processing failed - no processed text returned');
+        },
+        // The worker streams Workers AI style `{ response }` tokens and may finish with the full `processedText`
+        parseStreamEvent(data) {
+            if (data.error) {
+                return { error: data.error };
+            }
+            if (typeof data.processedText === 'string') {
+                return { text: data.processedText, done: true };
+            }
+            return { delta: data.response ?? data.token ?? data.delta ?? '', done: Boolean(data.done) };
+        }
+    },
+
+    // GitHub Models exposes an OpenAI-compatible chat completions API
+    'github-models': {
+        id: 'github-models',
+        label: 'GitHub Models',
+        isConfigured: config => Boolean(
+            config.githubModels && config.githubModels.endpoint && config.githubModels.token
+        ),
+        buildRequest(payload, config, stream) {
+            const settings = config.githubModels;
+            return {
+                url: `${settings.endpoint.replace(/\/$/, '')}/chat/completions`,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': stream ? 'text/event-stream' : 'application/json',
+                        'Authorization': `Bearer ${settings.token}`
+                    },
+                    body: JSON.stringify({
+                        model: settings.model,
+                        messages: buildChatMessages(payload),
+                        max_tokens: settings.maxTokens,
+                        temperature: settings.temperature,
+                        stream
+                    })
+                }
+            };
+        },
+        parseResponse(data) {
+            const text = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+            if (text) {
+                return text;
+            }
+            throw new Error((data.error && data.error.message) || 'Processing failed - no completion returned');
+        },
+        parseStreamEvent(data) {
+            if (data.error) {
+                return { error: data.error.message || data.error };
+            }
+            const choice = data.choices && data.choices[0];
+            return {
+                delta: (choice && choice.delta && choice.delta.content) || '',
+                done: Boolean(choice && choice.finish_reason)
+            };
+        }
+    },
+
+    // Local Ollama-style endpoint
+    ollama: {
+        id: 'ollama',
+        label: 'Local (Ollama)',
+        isConfigured: config => Boolean(config.ollama && config.ollama.url),
+        buildRequest(payload, config, stream) {
+            const settings = config.ollama;
+            return {
+                url: `${settings.url.replace(/\/$/, '')}/api/chat`,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        model: settings.model,
+                        messages: buildChatMessages(payload),
+                        stream
+                    })
+                }
+            };
+        },
+        parseResponse(data) {
+            if (data.message && data.message.content) {
+                return data.message.content;
+            }
+            throw new Error(data.error || 'Processing failed - no response from local model');
+        },
+        // Ollama streams NDJSON, one message fragment per line
+        parseStreamEvent(data) {
+            if (data.error) {
+                return { error: data.error };
+            }
+            return { delta: (data.message && data.message.content) || '', done: Boolean(data.done) };
+        }
+    }
+};
+
+// Build the request payload shared by every provider
+function buildAIPayload({ text, prompt, format, sessionId, token }) {
+    const payload = {
+        text,
+        prompt,
+        format,
+        sessionId: sessionId || 'anonymous',
+        timestamp: Date.now()
+    };
+
+    // Only add token if we have one
+    if (token) {
+        payload.token = token;
+    }
+
+    return payload;
+}
+
+// Chat-style providers take the prompt as a system message and the text as the user message
+function buildChatMessages(payload) {
+    return [
+        {
+            role: 'system',
+            content: `${payload.prompt}\nRespond with the transformed text only, formatted as Markdown.`
+        },
+        { role: 'user', content: payload.text }
+    ];
+}
+
+// Resolve the ordered list of providers to try
+function resolveProviderOrder(config) {
+    const order = [config.primary, ...(config.fallback ? config.order : [])];
+    const seen = new Set();
+
+    return order.filter(id => {
+        if (!id || seen.has(id) || !AI_PROVIDERS[id]) {
+            return false;
+        }
+        seen.add(id);
+        return AI_PROVIDERS[id].isConfigured(config);
+    }).map(id => AI_PROVIDERS[id]);
+}
+
+// Abort timer for a single attempt; streaming reads reset it whenever data arrives
+function createRequestTimer(timeoutMs) {
+    const controller = new AbortController();
+    let timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    return {
+        signal: controller.signal,
+        reset() {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        },
+        clear() {
+            clearTimeout(timeoutId);
+        }
+    };
+}
+
+// Split buffered stream text into parsed events, keeping any incomplete trailing line
+function splitStreamEvents(buffer, isEventStream) {
+    const lines = buffer.split(/\r?\n/);
+    const remainder = lines.pop();
+    const events = [];
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            continue;
+        }
+
+        if (isEventStream) {
+            // Ignore SSE comments, event names and ids; only data lines carry tokens
+            if (!trimmed.startsWith('data:')) {
+                continue;
+            }
+            const data = trimmed.slice(5).trim();
+            events.push(data === '[DONE]' ? STREAM_DONE : JSON.parse(data));
+        } else {
+            events.push(JSON.parse(trimmed));
+        }
+    }
+
+    return { events, remainder };
+}
+
+// Read an SSE or NDJSON body, reporting the accumulated text as tokens arrive.
+// Providers that answer with plain JSON are handled as a single chunk.
+async function readStreamingResponse(response, provider, onToken, onData) {
+    const contentType = (response.headers && response.headers.get('Content-Type')) || '';
+    const isEventStream = contentType.includes('text/event-stream');
+    const isNdjson = contentType.includes('ndjson');
+
+    if ((!isEventStream && !isNdjson) || !response.body) {
+        const text = provider.parseResponse(await response.json());
+        onToken(text, text);
+        return text;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const handleEvents = events => {
+        for (const event of events) {
+            const parsed = event === STREAM_DONE ? event : provider.parseStreamEvent(event);
+            if (parsed.error) {
+                throw new Error(parsed.error);
+            }
+            if (typeof parsed.text === 'string') {
+                text = parsed.text;
+                onToken('', text);
+            } else if (parsed.delta) {
+                text += parsed.delta;
+                onToken(parsed.delta, text);
+            }
+            if (parsed.done) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+        if (onData) {
+            onData();
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const { events, remainder } = splitStreamEvents(buffer, isEventStream);
+        buffer = remainder;
+
+        if (handleEvents(events)) {
+            reader.cancel().catch(() => {});
+            break;
+        }
+    }
+
+    // Flush a final line that arrived without a trailing newline
+    if (buffer.trim()) {
+        handleEvents(splitStreamEvents(buffer + '\n', isEventStream).events);
+    }
+
+    if (!text) {
+        throw new Error('Processing failed - stream ended without any text');
+    }
+    return text;
+}
+
+async function readErrorMessage(response) {
+    let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+    try {
+        const errorData = await response.json();
+        const detail = typeof errorData.error === 'string' ? errorData.error : errorData.error?.message;
+        errorMessage = detail || errorMessage;
+    } catch (e) {
+        // Use default error message if JSON parsing fails
+    }
+    return errorMessage;
+}
+
+// Single provider with retry logic and exponential backoff
+async function requestFromProvider(provider, payload, config, hooks = {}) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= config.retryAttempts; attempt++) {
+        try {
+            if (hooks.onAttempt) {
+                hooks.onAttempt(provider, attempt, config.retryAttempts);
+            }
+
+            const stream = Boolean(config.stream && hooks.onToken);
+            const { url, init } = provider.buildRequest(payload, config, stream);
+            const timer = createRequestTimer(config.timeoutMs);
+
+            try {
+                const response = await fetch(url, { ...init, signal: timer.signal });
+
+                if (!response.ok) {
+                    throw new Error(await readErrorMessage(response));
+                }
+
+                const processedText = stream
+                    ? await readStreamingResponse(response, provider, hooks.onToken, timer.reset)
+                    : provider.parseResponse(await response.json());
+                return { processedText, attempt };
+            } finally {
+                timer.clear();
+            }
+
+        } catch (error) {
+            lastError = error;
+
+            if (error.name === 'AbortError') {
+                throw new Error(`Processing timeout after ${config.timeoutMs / 1000} seconds`);
+            }
+
+            if (attempt === config.retryAttempts) {
+                throw error; // Final attempt failed
+            }
+
+            // Wait before retry (exponential backoff)
+            const waitTime = Math.pow(2, attempt) * config.retryDelayMs;
+            if (hooks.onRetry) {
+                hooks.onRetry(provider, waitTime);
+            }
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+    }
+
+    throw lastError || new Error('All retry attempts failed');
+}
+
+// Try each provider in order until one succeeds
+async function runAIRequest(payload, config, hooks = {}) {
+    const providers = resolveProviderOrder(config);
+
+    if (providers.length === 0) {
+        throw new Error('No AI provider is configured. Check the provider settings.');
+    }
+
+    let lastError;
+    for (const provider of providers) {
+        try {
+            const result = await requestFromProvider(provider, payload, config, hooks);
+            return { ...result, provider: provider.id };
+        } catch (error) {
+            lastError = error;
+            if (hooks.onProviderFailed) {
+                hooks.onProviderFailed(provider, error);
+            }
+        }
+    }
+
+    throw lastError;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AI_PROVIDERS,
+        buildAIPayload,
+        buildChatMessages,
+        resolveProviderOrder,
+        splitStreamEvents,
+        readStreamingResponse,
+        requestFromProvider,
+        runAIRequest
+    };
+}
@@ -0,0 +1,180 @@
+// Allowlist HTML sanitizer for rendered Markdown
+// Everything that reaches the preview or an export is parsed into an inert <template>, and only
+// allowlisted tags, attributes and URL schemes survive. Unknown tags are unwrapped so their text is kept;
+// tags that carry code or foreign content are dropped together with their children. Classes and ids are
+// limited too, so untrusted HTML cannot pick up the app's own styles or shadow the app's element lookups.
+
+const SANITIZER_DEFAULTS = {
+    allowedTags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'div',
+        'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input',
+        'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strong',
+        'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+    ],
+    // '*' applies to every allowed tag
+    allowedAttributes: {
+        '*': ['class', 'title', 'lang', 'dir', 'data-source-line'],
+        a: ['href', 'name', 'id', 'target', 'rel'],
+        img: ['src', 'alt', 'width', 'height'],
+        h1: ['id'],
+        h2: ['id'],
+        h3: ['id'],
+        h4: ['id'],
+        h5: ['id'],
+        h6: ['id'],
+        li: ['id', 'value'],
+        ol: ['start', 'reversed'],
+        td: ['align', 'colspan', 'rowspan'],
+        th: ['align', 'colspan', 'rowspan'],
+        col: ['span'],
+        blockquote: ['cite'],
+        q: ['cite'],
+        del: ['cite'],
+        ins: ['cite'],
+        details: ['open'],
+        // Task list checkboxes; anything other than a disabled checkbox is removed
+        input: ['type', 'checked', 'disabled']
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    // Class names kept from the class attribute: code languages and highlight.js tokens
+    allowedClasses: [/^language-[\w#+.-]+$/, /^hljs(?:-[\w-]+)?$/],
+    // Prepended to ids, anchor names and the in-page links that point at them
+    idPrefix: 'user-content-'
+};
+
+// Removed together with their content instead of being unwrapped
+const SANITIZER_DROP_CONTENT = [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'noembed',
+    'noframes', 'template', 'textarea', 'select', 'option', 'title', 'head', 'meta', 'link', 'base', 'svg',
+    'math', 'xmp', 'plaintext', 'button'
+];
+
+const URL_ATTRIBUTES = ['href', 'src', 'cite'];
+
+// Images may also use inline raster data, which cannot run script
+const SAFE_DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp|avif);/i;
+
+function resolveSanitizerConfig(options = {}) {
+    const allowedAttributes = options.allowedAttributes || SANITIZER_DEFAULTS.allowedAttributes;
+    return {
+        allowedTags: new Set((options.allowedTags || SANITIZER_DEFAULTS.allowedTags).map(tag => tag.toLowerCase())),
+        allowedAttributes: Object.fromEntries(Object.entries(allowedAttributes)
+            .map(([tag, attributes]) => [tag.toLowerCase(), new Set(attributes.map(name => name.toLowerCase()))])),
+        allowedSchemes: new Set((options.allowedSchemes || SANITIZER_DEFAULTS.allowedSchemes)
+            .map(scheme => scheme.toLowerCase())),
+        allowedClasses: options.allowedClasses || SANITIZER_DEFAULTS.allowedClasses,
+        idPrefix: options.idPrefix ?? SANITIZER_DEFAULTS.idPrefix
+    };
+}
+
+// Browsers ignore whitespace and control characters inside a scheme ("java\tscript:"), so compare without them
+function isSafeUrl(value, config, tag, attribute) {
+    const compact = Array.from(value).filter(char => char.charCodeAt(0) > 32 && char !== '\u007f').join('');
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (!scheme) {
+        // Relative URLs, fragments and protocol-relative links
+        return true;
+    }
+    if (tag === 'img' && attribute === 'src' && SAFE_DATA_IMAGE.test(compact)) {
+        return true;
+    }
+    return config.allowedSchemes.has(scheme[1].toLowerCase());
+}
+
+// Prefix an id once, so HTML that is sanitized again keeps the same ids
+function prefixId(value, prefix) {
+    return value.startsWith(prefix) ? value : prefix + value;
+}
+
+// Drop class names outside the allowlist, and prefix ids and the fragment links that refer to them
+function rewriteAttribute(element, name, config) {
+    const value = element.getAttribute(name);
+
+    if (name === 'class') {
+        const kept = value.split(/\s+/).filter(token => config.allowedClasses.some(pattern => pattern.test(token)));
+        if (kept.length) {
+            element.setAttribute(name, kept.join(' '));
+        } else {
+            element.removeAttribute(name);
+        }
+    } else if ((name === 'id' || name === 'name') && config.idPrefix) {
+        element.setAttribute(name, prefixId(value, config.idPrefix));
+    } else if (name === 'href' && config.idPrefix && value.length > 1 && value.startsWith('#')) {
+        element.setAttribute(name, '#' + prefixId(value.slice(1), config.idPrefix));
+    }
+}
+
+function sanitizeAttributes(element, tag, config) {
+    const allowedForTag = config.allowedAttributes[tag];
+    const allowedForAll = config.allowedAttributes['*'];
+
+    Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        const allowed = (allowedForTag && allowedForTag.has(name)) || (allowedForAll && allowedForAll.has(name));
+
+        if (!allowed || name.startsWith('on') ||
+            (URL_ATTRIBUTES.includes(name) && !isSafeUrl(attribute.value, config, tag, name))) {
+            element.removeAttribute(attribute.name);
+        } else {
+            rewriteAttribute(element, name, config);
+        }
+    });
+
+    if (tag === 'a' && element.getAttribute('target') === '_blank') {
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+}
+
+function sanitizeChildren(parent, config) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            // Comments, processing instructions and CDATA
+            node.remove();
+            return;
+        }
+
+        const tag = node.nodeName.toLowerCase();
+        if (!config.allowedTags.has(tag)) {
+            if (SANITIZER_DROP_CONTENT.includes(tag)) {
+                node.remove();
+            } else {
+                sanitizeChildren(node, config);
+                node.replaceWith(...node.childNodes);
+            }
+            return;
+        }
+
+        if (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+            node.remove();
+            return;
+        }
+
+        sanitizeAttributes(node, tag, config);
+        if (tag === 'input') {
+            node.setAttribute('disabled', '');
+        }
+        sanitizeChildren(node, config);
+    });
+}
+
+// Return html with everything outside the allowlist removed
+function sanitizeHtml(html, options = {}) {
+    const config = resolveSanitizerConfig(options);
+
+    // Template content is inert: nothing in it loads or runs while it is being cleaned
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    sanitizeChildren(template.content, config);
+    return template.innerHTML;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SANITIZER_DEFAULTS,
+        sanitizeHtml
+    };
+}
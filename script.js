@@ -1,12 +1,51 @@
+/* global AI_PROVIDERS, buildAIPayload, runAIRequest, splitIntoChunks, processInChunks, escapeHtml, openReviewDialog,
+   createEditHistory, initializeWorkspace, loadEditorSettings, readSessionSnapshot, startAutosave, scheduleAutosave,
+   getFormat, applyEnrichmentRules, GENERIC_ENRICHMENT, setupFormatPanel, sanitizeHtml, renderMarkdown,
+   updateProblems, setupProblemsPanel, getThreadRule, renderThreadPreview, getPlatformProfile, renderFoldPreview,
+   currentPlatformReport, confirmPlatformLimits, maskFrontMatter, parseFrontMatter, replaceFrontMatter,
+   readFrontMatterFields, writeFrontMatterFields, fitTagsToPreset, detectFrontMatterPreset, findDocumentTitle,
+   setupFileImport, setupRichPaste, setupScrollSync, invalidateScrollSync,
+   setupCommands, formatSelection, indentListItems, setupTableEditor, isOffline, setupOfflineMode,
+   setupOutbox, queueAIRequest, isNetworkError */
+
 // Configuration for worker endpoints
 const CONFIG = {
     JWT_WORKER_URL: 'https://markdowngpt-worker-jwt.sethkeddy.workers.dev',
     AI_WORKER_URL: 'https://markdowngpt-worker-ai.sethkeddy.workers.dev',
     ENABLE_JWT: false,
     ENABLE_GITHUB_MODELS: false,
+    // Longer documents are split into chunks of at most MAX_TEXT_LENGTH characters per AI request
     MAX_TEXT_LENGTH: 1000,
+    MAX_DOCUMENT_LENGTH: 50000,
     RETRY_ATTEMPTS: 3,
-    TIMEOUT_MS: 30000
+    RETRY_DELAY_MS: 1000,
+    TIMEOUT_MS: 30000,
+    ENABLE_STREAMING: true,
+    AUTOSAVE_DELAY_MS: 1000,
+    // Overrides for allowedTags, allowedAttributes and allowedSchemes (defaults in sanitizer.js)
+    SANITIZER: {},
+    HISTORY_LIMIT: 100,
+    // Keystrokes closer together than this are undone as one step
+    HISTORY_TYPING_MERGE_MS: 1500,
+    // Provider fallback order; the provider picked in settings is always tried first
+    AI_PROVIDER_ORDER: ['cloudflare', 'github-models', 'ollama'],
+    GITHUB_MODELS_ENDPOINT: 'https://models.inference.ai.azure.com',
+    GITHUB_MODEL_NAME: 'gpt-4o-mini',
+    GITHUB_MAX_TOKENS: 1000,
+    GITHUB_TEMPERATURE: 0.3,
+    OLLAMA_URL: 'http://localhost:11434',
+    OLLAMA_MODEL: 'llama3.2'
+};
+
+// AI provider settings, persisted in localStorage
+const PROVIDER_SETTINGS_KEY = 'markdowngpt.providerSettings';
+const providerSettings = {
+    primary: CONFIG.ENABLE_GITHUB_MODELS ? 'github-models' : 'cloudflare',
+    fallback: true,
+    githubToken: '',
+    githubModel: CONFIG.GITHUB_MODEL_NAME,
+    ollamaUrl: '',
+    ollamaModel: CONFIG.OLLAMA_MODEL
 };
 
 // Application state management with error tracking
@@ -17,10 +56,14 @@ const editorState = {
     token: null,
     tokenExpiry: null,
     isProcessing: false,
+    streamingText: '',
     lastError: null,
     errors: []
 };
 
+// Undo/redo history for every change to the editor
+const editHistory = createEditHistory(CONFIG.HISTORY_LIMIT);
+
 // DOM element references with null checks
 const editor = document.getElementById('editor');
 const preview = document.getElementById('preview');
@@ -28,47 +71,28 @@ const stats = document.getElementById('stats');
 
 // Library availability flags
 const librariesReady = {
-    marked: false,
     hljs: false
 };
 
 // Initialize libraries with fallbacks
 function initializeLibraries() {
-    // Check if marked is available
-    if (typeof marked !== 'undefined') {
-        librariesReady.marked = true;
-
-        // Check if highlight.js is available
-        if (typeof hljs !== 'undefined') {
-            librariesReady.hljs = true;
-
-            // Configure marked with syntax highlighting
-            marked.setOptions({
-                highlight: function(code, lang) {
-                    if (lang && hljs.getLanguage(lang)) {
-                        try {
-                            return hljs.highlight(code, { language: lang }).value;
-                        } catch (err) {
-                            logError('Syntax highlighting error', err);
-                        }
-                    }
-                    return hljs.highlightAuto(code).value;
-                },
-                breaks: true,
-                gfm: true
-            });
-        } else {
-            // Configure marked without syntax highlighting
-            marked.setOptions({
-                breaks: true,
-                gfm: true
-            });
-            showNotification('⚠️ Syntax highlighting not available', 'warning');
+    librariesReady.hljs = typeof hljs !== 'undefined';
+
+    if (!librariesReady.hljs) {
+        showNotification('⚠️ Syntax highlighting not available', 'warning');
+    }
+}
+
+// Highlight callback for the built-in renderer
+function highlightCode(code, lang) {
+    if (lang && hljs.getLanguage(lang)) {
+        try {
+            return hljs.highlight(code, { language: lang }).value;
+        } catch (err) {
+            logError('Syntax highlighting error', err);
         }
-    } else {
-        librariesReady.marked = false;
-        showNotification('⚠️ Markdown rendering not available - using basic formatting', 'warning');
     }
+    return hljs.highlightAuto(code).value;
 }
 
 // Error logging and tracking
@@ -103,6 +127,16 @@ document.addEventListener('DOMContentLoaded', async function() {
             throw new Error('Required DOM elements not found');
         }
 
+        loadProviderSettings();
+        loadEditorSettings();
+        // Format buttons must exist before a document marks its last-used format as active
+        setupFormatPanel();
+        setupProblemsPanel();
+        setupFileImport();
+        // Toolbar buttons, shortcuts (undo and redo included) and the command palette
+        setupCommands();
+        setupOfflineMode();
+
         // Initialize session
         if (CONFIG.ENABLE_JWT) {
             await initializeSession();
@@ -111,14 +145,21 @@ document.addEventListener('DOMContentLoaded', async function() {
             editorState.sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
         }
 
-        // Set default content
-        const defaultContent = getDefaultContent();
-        editor.value = defaultContent;
-        updatePreview(defaultContent);
-        updateStats(defaultContent);
+        // Read before anything is saved, so a crashed session can still be offered for recovery
+        const previousSession = readSessionSnapshot();
+
+        // Open the last document, or the welcome text when documents cannot be stored
+        const workspaceReady = await initializeWorkspace();
+        if (!workspaceReady) {
+            loadEditorContent(getDefaultContent());
+        }
+
+        // Queued AI requests and the results that came back while the app was closed
+        setupOutbox().catch(error => logError('Outbox setup failed', error));
 
         // Setup event listeners with error handling
         setupEventListeners();
+        startAutosave(previousSession);
 
         showNotification('✅ MarkdownGPT initialized successfully', 'success');
 
@@ -133,7 +174,13 @@ function setupEventListeners() {
     try {
         // Real-time preview update with debouncing
         let updateTimeout;
-        editor.addEventListener('input', function() {
+        editor.addEventListener('input', function(event) {
+            // Only real keystrokes; programmatic changes record their own history entry
+            if (event.isTrusted) {
+                scheduleTypingHistory();
+            }
+            scheduleAutosave();
+
             clearTimeout(updateTimeout);
             updateTimeout = setTimeout(() => {
                 try {
@@ -141,20 +188,25 @@ function setupEventListeners() {
                     editorState.content = content;
                     updatePreview(content);
                     updateStats(content);
+                    updateProblems(content);
                 } catch (error) {
                     logError('Preview update failed', error);
                 }
             }, 300); // 300ms debounce
         });
 
-        // Handle paste events
+        // Clipboard HTML is pasted as Markdown; this handler only checks the resulting length
+        setupRichPaste();
         editor.addEventListener('paste', function(e) {
             try {
                 setTimeout(() => {
                     const content = editor.value;
-                    if (content.length > CONFIG.MAX_TEXT_LENGTH) {
-                        editor.value = content.substring(0, CONFIG.MAX_TEXT_LENGTH);
-                        showNotification(`⚠️ Text truncated to ${CONFIG.MAX_TEXT_LENGTH} characters`, 'warning');
+                    if (content.length > CONFIG.MAX_DOCUMENT_LENGTH) {
+                        setEditorContent(content.substring(0, CONFIG.MAX_DOCUMENT_LENGTH), 'Paste (truncated)');
+                        showNotification(`⚠️ Text truncated to ${CONFIG.MAX_DOCUMENT_LENGTH} characters`, 'warning');
+                    } else if (content.length > CONFIG.MAX_TEXT_LENGTH) {
+                        const sections = splitIntoChunks(content, CONFIG.MAX_TEXT_LENGTH).length;
+                        showNotification(`📑 Long text will be processed in ${sections} sections`, 'info');
                     }
                 }, 10);
             } catch (error) {
@@ -162,6 +214,13 @@ function setupEventListeners() {
             }
         });
 
+        // Tab and Enter move between table cells first; Tab on list items is handled after
+        setupTableEditor();
+        editor.addEventListener('keydown', handleListIndentKey);
+
+        // Scrolling either pane keeps the other at the same place in the document
+        setupScrollSync();
+
         // Global error handler
         window.addEventListener('error', function(e) {
             logError('Global error', e.error, {
@@ -178,6 +237,8 @@ function setupEventListeners() {
         });
 
         // Settings event listeners
+        setupProviderSettings();
+
         const enableIconsCheckbox = document.getElementById('enableIcons');
         const enablePrefilledCheckbox = document.getElementById('enablePrefilled');
 
@@ -194,15 +255,12 @@ function setupEventListeners() {
                     const currentContent = editor.value.trim();
                     const defaultContent = getDefaultContent().trim();
                     if (currentContent === defaultContent || currentContent.includes('Welcome to MarkdownGPT')) {
-                        editor.value = '';
-                        editor.dispatchEvent(new Event('input'));
+                        setEditorContent('', 'Clear prefilled text');
                     }
                 } else {
                     // Restore default content if enabled and editor is empty
                     if (!editor.value.trim()) {
-                        const defaultContent = getDefaultContent();
-                        editor.value = defaultContent;
-                        editor.dispatchEvent(new Event('input'));
+                        setEditorContent(getDefaultContent(), 'Restore prefilled text');
                     }
                 }
                 showNotification(`Prefilled text ${this.checked ? 'enabled' : 'disabled'}`, 'info');
@@ -304,6 +362,236 @@ async function ensureValidToken() {
     return true;
 }
 
+// Load persisted AI provider settings
+function loadProviderSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_KEY) || 'null');
+        if (saved) {
+            Object.assign(providerSettings, saved);
+        }
+    } catch (error) {
+        logError('Failed to load provider settings', error);
+    }
+}
+
+function saveProviderSettings() {
+    try {
+        localStorage.setItem(PROVIDER_SETTINGS_KEY, JSON.stringify(providerSettings));
+    } catch (error) {
+        logError('Failed to save provider settings', error);
+    }
+}
+
+// Build the provider layer configuration from CONFIG and the user's settings
+function getAIProviderConfig() {
+    return {
+        primary: providerSettings.primary,
+        fallback: providerSettings.fallback,
+        order: CONFIG.AI_PROVIDER_ORDER,
+        stream: document.getElementById('enableStreaming')?.checked ?? CONFIG.ENABLE_STREAMING,
+        retryAttempts: CONFIG.RETRY_ATTEMPTS,
+        retryDelayMs: CONFIG.RETRY_DELAY_MS,
+        timeoutMs: CONFIG.TIMEOUT_MS,
+        cloudflare: {
+            url: CONFIG.AI_WORKER_URL
+        },
+        githubModels: {
+            endpoint: CONFIG.GITHUB_MODELS_ENDPOINT,
+            token: providerSettings.githubToken,
+            model: providerSettings.githubModel || CONFIG.GITHUB_MODEL_NAME,
+            maxTokens: CONFIG.GITHUB_MAX_TOKENS,
+            temperature: CONFIG.GITHUB_TEMPERATURE
+        },
+        ollama: {
+            // The local endpoint is only used once it has been set up, unless it is the primary provider
+            url: providerSettings.ollamaUrl || (providerSettings.primary === 'ollama' ? CONFIG.OLLAMA_URL : ''),
+            model: providerSettings.ollamaModel || CONFIG.OLLAMA_MODEL
+        }
+    };
+}
+
+// Progress notifications and streaming hooks shared by every AI entry point
+function createAIRequestHooks(config) {
+    const hooks = {
+        onAttempt(provider, attempt, total) {
+            showNotification(`🔄 ${provider.label}: attempt ${attempt}/${total}...`, 'info');
+        },
+        onRetry(provider, waitTime) {
+            showNotification(`⏳ Retrying in ${waitTime / 1000} seconds...`, 'info');
+        },
+        onProviderFailed(provider, error) {
+            logError(`${provider.label} request failed`, error, { provider: provider.id });
+        }
+    };
+
+    if (config.stream) {
+        hooks.onToken = (delta, text) => showStreamProgress(text);
+    }
+
+    return hooks;
+}
+
+// Send text through the provider layer, splitting documents longer than MAX_TEXT_LENGTH
+// into sections that are processed in order with shared context and stitched back together
+async function requestAIText(content, prompt, format, onSectionProgress) {
+    const aiConfig = getAIProviderConfig();
+    const hooks = createAIRequestHooks(aiConfig);
+    const sendRequest = (text, requestPrompt) => runAIRequest(buildAIPayload({
+        text,
+        prompt: requestPrompt,
+        format,
+        sessionId: editorState.sessionId,
+        token: CONFIG.ENABLE_JWT ? editorState.token : null
+    }), aiConfig, hooks);
+
+    if (content.length <= CONFIG.MAX_TEXT_LENGTH) {
+        const result = await sendRequest(content, prompt);
+        return { ...result, sections: 1 };
+    }
+
+    let provider = null;
+    let completed = '';
+    let section = { index: 0, total: 1 };
+
+    hooks.onAttempt = (requestProvider, attempt, attempts) => {
+        showNotification(
+            `📑 Section ${section.index + 1}/${section.total} · ${requestProvider.label}: attempt ${attempt}/${attempts}...`,
+            'info'
+        );
+    };
+
+    if (hooks.onToken) {
+        // Keep finished sections visible while the current one streams in
+        const onToken = hooks.onToken;
+        hooks.onToken = (delta, text) => onToken(delta, completed ? `${completed}\n\n${text}` : text);
+    }
+
+    const processChunk = async (chunkText, chunkPrompt) => {
+        const result = await sendRequest(chunkText, chunkPrompt);
+        provider = result.provider;
+        completed = completed ? `${completed}\n\n${result.processedText.trim()}` : result.processedText.trim();
+        return result.processedText;
+    };
+
+    const onProgress = (index, total) => {
+        section = { index, total };
+        setStreamStatus(`⚡ Receiving section ${index + 1} of ${total}...`);
+        if (onSectionProgress) {
+            onSectionProgress(index, total);
+        }
+    };
+
+    const processedText = await processInChunks(content, prompt, CONFIG.MAX_TEXT_LENGTH, processChunk, onProgress);
+
+    return { processedText, provider, sections: section.total };
+}
+
+// Streamed tokens go to a staging area and the preview; the editor is only written once the stream completes
+let streamRenderFrame = null;
+
+function showStreamProgress(text) {
+    editorState.streamingText = text;
+
+    const staging = document.getElementById('streamStaging');
+    const output = document.getElementById('streamOutput');
+    if (staging) {
+        staging.hidden = false;
+    }
+    if (output) {
+        output.textContent = text;
+        output.scrollTop = output.scrollHeight;
+    }
+
+    // Render the preview at most once per frame while tokens arrive
+    if (streamRenderFrame === null) {
+        streamRenderFrame = requestAnimationFrame(() => {
+            streamRenderFrame = null;
+            updatePreview(editorState.streamingText);
+        });
+    }
+}
+
+function setStreamStatus(message) {
+    const header = document.querySelector('.stream-staging-header');
+    if (header) {
+        header.textContent = message;
+    }
+}
+
+function endStreamProgress() {
+    if (streamRenderFrame !== null) {
+        cancelAnimationFrame(streamRenderFrame);
+        streamRenderFrame = null;
+    }
+
+    const staging = document.getElementById('streamStaging');
+    if (staging && !staging.hidden) {
+        staging.hidden = true;
+        setStreamStatus('⚡ Receiving AI output...');
+        // Show whatever the editor holds now: the final result, or the original text after a failure
+        updatePreview(editor.value);
+    }
+    editorState.streamingText = '';
+}
+
+// Wire the provider controls in the settings panel
+function setupProviderSettings() {
+    const providerSelect = document.getElementById('aiProvider');
+    const fallbackCheckbox = document.getElementById('aiFallback');
+    if (!providerSelect) {
+        return;
+    }
+
+    providerSelect.innerHTML = CONFIG.AI_PROVIDER_ORDER
+        .filter(id => AI_PROVIDERS[id])
+        .map(id => `<option value="${id}">${AI_PROVIDERS[id].label}</option>`)
+        .join('');
+    providerSelect.value = providerSettings.primary;
+
+    const fields = {
+        githubToken: document.getElementById('githubToken'),
+        githubModel: document.getElementById('githubModel'),
+        ollamaUrl: document.getElementById('ollamaUrl'),
+        ollamaModel: document.getElementById('ollamaModel')
+    };
+
+    const showProviderFields = () => {
+        document.querySelectorAll('.provider-fields').forEach(group => {
+            // Fallback providers need their credentials too
+            group.hidden = group.dataset.provider !== providerSelect.value && !providerSettings.fallback;
+        });
+    };
+
+    providerSelect.addEventListener('change', function() {
+        providerSettings.primary = this.value;
+        saveProviderSettings();
+        showProviderFields();
+        showNotification(`AI provider set to ${AI_PROVIDERS[this.value].label}`, 'info');
+    });
+
+    if (fallbackCheckbox) {
+        fallbackCheckbox.checked = providerSettings.fallback;
+        fallbackCheckbox.addEventListener('change', function() {
+            providerSettings.fallback = this.checked;
+            saveProviderSettings();
+            showProviderFields();
+        });
+    }
+
+    Object.entries(fields).forEach(([key, input]) => {
+        if (!input) {
+            return;
+        }
+        input.value = providerSettings[key];
+        input.addEventListener('change', function() {
+            providerSettings[key] = this.value.trim();
+            saveProviderSettings();
+        });
+    });
+
+    showProviderFields();
+}
+
 // Real-time preview update
 editor.addEventListener('input', function() {
     const content = editor.value;
@@ -318,20 +606,14 @@ function updatePreview(content) {
             throw new Error('Preview element not found');
         }
 
-        if (librariesReady.marked) {
-            // Use marked.js for full markdown parsing
-            preview.innerHTML = marked.parse(content);
-        } else {
-            // Fallback to basic HTML conversion
-            const basicHtml = convertBasicMarkdown(content);
-            preview.innerHTML = basicHtml;
-        }
+        preview.innerHTML = renderPreviewHtml(content);
+        invalidateScrollSync();
 
         // Update character counter
         const charCounter = document.getElementById('charCounter');
         if (charCounter) {
-            const remaining = CONFIG.MAX_TEXT_LENGTH - content.length;
-            charCounter.textContent = `${content.length}/${CONFIG.MAX_TEXT_LENGTH}`;
+            const remaining = CONFIG.MAX_DOCUMENT_LENGTH - content.length;
+            charCounter.textContent = `${content.length}/${CONFIG.MAX_DOCUMENT_LENGTH}`;
             charCounter.style.color = remaining < 100 ? '#ff6b6b' : '#666';
         }
 
@@ -343,23 +625,32 @@ function updatePreview(content) {
     }
 }
 
-// Basic markdown conversion fallback
-function convertBasicMarkdown(content) {
-    try {
-        return content
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/`(.*?)`/g, '<code>$1</code>')
-            .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-            .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-            .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-            .replace(/^> (.*$)/gm, '<blockquote>$1</blockquote>')
-            .replace(/^- (.*$)/gm, '<li>$1</li>')
-            .replace(/\n/g, '<br>');
-    } catch (error) {
-        logError('Basic markdown conversion failed', error);
-        return content.replace(/\n/g, '<br>');
+// Social formats preview the post the way the platform shows it
+function renderPreviewHtml(content) {
+    const threadRule = getThreadRule(editorState.currentFormat);
+    if (threadRule) {
+        return renderThreadPreview(content, threadRule);
+    }
+    const profile = getPlatformProfile(editorState.currentFormat);
+    if (profile && profile.foldAt) {
+        return renderFoldPreview(content, profile);
     }
+    return renderMarkdownHtml(content, { sourceLines: true });
+}
+
+// Markdown to sanitized HTML, shared by the preview and every export
+function renderMarkdownHtml(content, { sourceLines = false } = {}) {
+    // Front matter is metadata, not text; masking it keeps the remaining line numbers unchanged
+    content = maskFrontMatter(content);
+
+    // The built-in GFM renderer (markdown.js) renders both, so an export matches what the preview showed. It also
+    // records the source lines scroll sync needs.
+    const html = renderMarkdown(content, {
+        breaks: true,
+        sourceLines,
+        highlight: librariesReady.hljs ? highlightCode : null
+    });
+    return sanitizeHtml(html, CONFIG.SANITIZER);
 }
 
 function updateStats(content) {
@@ -371,49 +662,183 @@ function updateStats(content) {
         const words = content.trim() ? content.trim().split(/\s+/).length : 0;
         const chars = content.length;
         const lines = content.split('\n').length;
-        const remaining = CONFIG.MAX_TEXT_LENGTH - chars;
+        const remaining = CONFIG.MAX_DOCUMENT_LENGTH - chars;
 
-        const statsText = `Words: ${words} | Characters: ${chars} | Lines: ${lines}`;
+        let statsText = `Words: ${words} | Characters: ${chars} | Lines: ${lines}`;
+        if (chars > CONFIG.MAX_TEXT_LENGTH) {
+            statsText += ` | Sections: ${splitIntoChunks(content, CONFIG.MAX_TEXT_LENGTH).length}`;
+        }
         const statusText = remaining < 0 ? ` | ⚠️ Exceeded limit by ${Math.abs(remaining)}` :
             remaining < 100 ? ` | ${remaining} remaining` : '';
 
+        // Live counters for the current format's platform
+        const platform = currentPlatformReport(content);
+        if (platform) {
+            statsText += ` | ${platform.counters.join(' | ')}`;
+        }
+        const platformWarning = platform && platform.warnings.length > 0;
+
         stats.textContent = statsText + statusText;
-        stats.style.color = remaining < 0 ? '#ff6b6b' : remaining < 100 ? '#ff9800' : '#666';
+        stats.title = platformWarning ? platform.warnings.join('\n') : '';
+        stats.style.color = remaining < 0 ? '#ff6b6b' : remaining < 100 || platformWarning ? '#ff9800' : '#666';
 
     } catch (error) {
         logError('Stats update failed', error);
     }
 }
 
+// Show a whole document in the editor, starting a fresh undo history
+function loadEditorContent(content, label = 'Open document') {
+    clearTimeout(typingHistoryTimeout);
+
+    editor.value = content;
+    editorState.content = content;
+    editHistory.reset(content, label);
+
+    updatePreview(content);
+    updateStats(content);
+    updateProblems(content);
+    updateHistoryControls();
+}
+
+// Replace the editor content and record it in the undo history
+function setEditorContent(value, label, selection = {}) {
+    flushTypingHistory();
+
+    editor.value = value;
+    if (selection.selectionStart !== undefined) {
+        editor.setSelectionRange(selection.selectionStart, selection.selectionEnd ?? selection.selectionStart);
+    }
+
+    editHistory.record(value, label, {
+        selectionStart: editor.selectionStart,
+        selectionEnd: editor.selectionEnd
+    });
+    editor.dispatchEvent(new Event('input'));
+    updateHistoryControls();
+}
+
+// Typing is recorded after a short pause, merging quick bursts into one undo step
+let typingHistoryTimeout;
+
+function scheduleTypingHistory() {
+    clearTimeout(typingHistoryTimeout);
+    typingHistoryTimeout = setTimeout(flushTypingHistory, 400);
+}
+
+function flushTypingHistory() {
+    clearTimeout(typingHistoryTimeout);
+    if (!editor) {
+        return;
+    }
+
+    const recorded = editHistory.record(editor.value, 'Typing', {
+        selectionStart: editor.selectionStart,
+        selectionEnd: editor.selectionEnd
+    }, { mergeWithin: CONFIG.HISTORY_TYPING_MERGE_MS });
+
+    if (recorded) {
+        updateHistoryControls();
+    }
+}
+
+function applyHistoryEntry(entry) {
+    if (!entry) {
+        return;
+    }
+
+    editor.value = entry.value;
+    editor.focus();
+    editor.setSelectionRange(entry.selectionStart, entry.selectionEnd);
+    editor.dispatchEvent(new Event('input'));
+    updateHistoryControls();
+}
+
+function undoEdit() {
+    // Unrecorded keystrokes become their own step first, so undo takes them back
+    flushTypingHistory();
+    const entry = editHistory.undo();
+    if (entry) {
+        applyHistoryEntry(entry);
+    } else {
+        showNotification('Nothing to undo', 'info');
+    }
+}
+
+function redoEdit() {
+    flushTypingHistory();
+    const entry = editHistory.redo();
+    if (entry) {
+        applyHistoryEntry(entry);
+    } else {
+        showNotification('Nothing to redo', 'info');
+    }
+}
+
+function updateHistoryControls() {
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
+
+    if (undoButton) {
+        undoButton.disabled = !editHistory.canUndo();
+        undoButton.title = editHistory.canUndo() ? `Undo ${editHistory.current().label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    }
+    if (redoButton) {
+        redoButton.disabled = !editHistory.canRedo();
+        redoButton.title = editHistory.canRedo()
+            ? `Redo ${editHistory.entries[editHistory.index + 1].label} (Ctrl+Shift+Z)`
+            : 'Redo (Ctrl+Shift+Z)';
+    }
+}
+
+// List every recorded step; picking one restores the document as it was at that point
+function showHistoryList() {
+    flushTypingHistory();
+
+    const modal = createModal('🕘 Edit history', 'history-modal');
+    const items = editHistory.entries.map((entry, index) => {
+        const state = index === editHistory.index ? ' current' : index > editHistory.index ? ' undone' : '';
+        return `
+        <li>
+            <button type="button" class="history-entry${state}" data-index="${index}">
+                <span class="history-label">${escapeHtml(entry.label)}</span>
+                <span class="history-meta">${new Date(entry.timestamp).toLocaleTimeString()} · ${entry.value.length} chars</span>
+            </button>
+        </li>`;
+    }).reverse();
+
+    modal.body.innerHTML = `<ol class="history-list">${items.join('')}</ol>`;
+    modal.body.addEventListener('click', event => {
+        const button = event.target.closest('[data-index]');
+        if (button) {
+            modal.close();
+            applyHistoryEntry(editHistory.jumpTo(Number(button.dataset.index)));
+            showNotification(`🕘 Restored: ${editHistory.current().label}`, 'info');
+        }
+    });
+}
+
 function insertFormat(before, after, placeholder) {
     try {
         if (!editor) {
             throw new Error('Editor element not found');
         }
 
-        const start = editor.selectionStart;
-        const end = editor.selectionEnd;
-        const selectedText = editor.value.substring(start, end);
-        const textToInsert = selectedText || placeholder;
-        const newText = before + textToInsert + after;
+        // Applying a format that is already there removes it
+        const result = formatSelection(editor.value, editor.selectionStart, editor.selectionEnd,
+            before, after, placeholder);
 
         // Check if the new text would exceed the limit
-        const newTotalLength = editor.value.length - (end - start) + newText.length;
-        if (newTotalLength > CONFIG.MAX_TEXT_LENGTH) {
+        if (result.value.length > CONFIG.MAX_DOCUMENT_LENGTH) {
             showNotification('⚠️ Text would exceed character limit', 'warning');
             return;
         }
 
-        editor.value = editor.value.substring(0, start) + newText + editor.value.substring(end);
         editor.focus();
-
-        if (!selectedText) {
-            editor.setSelectionRange(start + before.length, start + before.length + placeholder.length);
-        } else {
-            editor.setSelectionRange(start + newText.length, start + newText.length);
-        }
-
-        editor.dispatchEvent(new Event('input'));
+        setEditorContent(result.value, `${result.removed ? 'Remove format' : 'Format'}: ${placeholder}`, {
+            selectionStart: result.selectionStart,
+            selectionEnd: result.selectionEnd
+        });
 
     } catch (error) {
         logError('Format insertion failed', error, { before, after, placeholder });
@@ -421,6 +846,50 @@ function insertFormat(before, after, placeholder) {
     }
 }
 
+// Tab and Shift+Tab on list items nest them and bring them back out; elsewhere Tab moves focus as usual
+function handleListIndentKey(event) {
+    if (event.key !== 'Tab' || event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented) {
+        return;
+    }
+    const result = indentListItems(editor.value, editor.selectionStart, editor.selectionEnd, event.shiftKey);
+    if (!result) {
+        return;
+    }
+
+    event.preventDefault();
+    if (result.value !== editor.value && result.value.length <= CONFIG.MAX_DOCUMENT_LENGTH) {
+        setEditorContent(result.value, event.shiftKey ? 'Outdent list item' : 'Indent list item', {
+            selectionStart: result.selectionStart,
+            selectionEnd: result.selectionEnd
+        });
+    }
+}
+
+// Wrap the selection in a link and select the URL placeholder, or use a selected URL as the link target
+function insertLink() {
+    const start = editor.selectionStart;
+    const end = editor.selectionEnd;
+    const selectedText = editor.value.substring(start, end);
+    const isUrl = /^(?:https?:\/\/|mailto:)\S+$/.test(selectedText.trim());
+
+    const text = isUrl || !selectedText ? 'link text' : selectedText;
+    const url = isUrl ? selectedText.trim() : 'https://';
+    const link = `[${text}](${url})`;
+    if (editor.value.length - (end - start) + link.length > CONFIG.MAX_DOCUMENT_LENGTH) {
+        showNotification('⚠️ Text would exceed character limit', 'warning');
+        return;
+    }
+
+    // The part still to be filled in is selected, ready to type over
+    const placeholderStart = isUrl || !selectedText ? start + 1 : start + text.length + 3;
+    const placeholderLength = isUrl || !selectedText ? text.length : url.length;
+    editor.focus();
+    setEditorContent(editor.value.substring(0, start) + link + editor.value.substring(end), 'Format: link', {
+        selectionStart: placeholderStart,
+        selectionEnd: placeholderStart + placeholderLength
+    });
+}
+
 // Enhanced auto-format with AI processing
 async function autoFormat() {
     const content = editor.value.trim();
@@ -430,13 +899,35 @@ async function autoFormat() {
         return;
     }
 
-    if (content.length > 1000) {
-        alert('Text is too long. Please limit to 1000 characters.');
+    if (content.length > CONFIG.MAX_DOCUMENT_LENGTH) {
+        alert(`Text is too long. Please limit to ${CONFIG.MAX_DOCUMENT_LENGTH} characters.`);
         return;
     }
 
-    // Get the button that triggered this (if called from button click)
-    const button = event && event.target ? event.target : document.querySelector('button[onclick="autoFormat()"]');
+    // Determine format based on content analysis
+    let detectedFormat = 'general';
+    if (content.includes('function') || content.includes('const') || content.includes('class')) {
+        detectedFormat = 'dev-article';
+    } else if (content.toLowerCase().includes('step') || content.toLowerCase().includes('tutorial')) {
+        detectedFormat = 'tutorial';
+    } else if (content.includes('please') || content.includes('can you') || content.includes('prompt')) {
+        detectedFormat = 'chatgpt-prompt';
+    }
+    const prompt = 'Format this text for better readability and structure';
+
+    // AI requests need the network; keep this one for later, or format locally when it cannot be kept
+    if (isOffline()) {
+        if (await deferAIRequest(content, prompt, detectedFormat, { label: 'auto-format' })) {
+            showNotification('📮 Offline: auto-format queued. Review the result once you are back online', 'info');
+        } else {
+            showNotification('📴 Offline: local formatting applied instead of AI', 'info');
+            autoFormatLocal();
+        }
+        return;
+    }
+
+    // The button that runs this command, if the page has one
+    const button = document.querySelector('[data-command="ai.autoFormat"]');
 
     try {
         // Show loading state
@@ -454,60 +945,28 @@ async function autoFormat() {
             throw new Error('Authentication failed');
         }
 
-        // Determine format based on content analysis
-        let detectedFormat = 'general';
-        if (content.includes('function') || content.includes('const') || content.includes('class')) {
-            detectedFormat = 'dev-article';
-        } else if (content.toLowerCase().includes('step') || content.toLowerCase().includes('tutorial')) {
-            detectedFormat = 'tutorial';
-        } else if (content.includes('please') || content.includes('can you') || content.includes('prompt')) {
-            detectedFormat = 'chatgpt-prompt';
-        }
-
-        // Prepare payload that matches worker expectations
-        const payload = {
-            text: content,
-            prompt: 'Format this text for better readability and structure',
-            format: detectedFormat,
-            sessionId: editorState.sessionId || 'anonymous'
-        };
-
-        // Only add token if JWT is enabled and we have one
-        if (CONFIG.ENABLE_JWT && editorState.token) {
-            payload.token = editorState.token;
-        }
-
-        // Call AI worker
-        const response = await fetch(`${CONFIG.AI_WORKER_URL}/process`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-                // Note: Authorization header removed as worker expects token in body
-            },
-            body: JSON.stringify(payload)
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Processing failed');
-        }
-
-        const result = await response.json();
+        const result = await requestAIText(
+            content,
+            prompt,
+            detectedFormat,
+            (index, total) => {
+                if (button) {
+                    button.textContent = `🔄 Processing ${index + 1}/${total}...`;
+                }
+            }
+        );
 
-        if (result.success) {
-            editor.value = result.processedText;
-            editor.dispatchEvent(new Event('input'));
-
-            // Show success message
-            showNotification('✨ Auto-formatting completed!', 'success');
-        } else {
-            throw new Error(result.error || 'Processing failed');
-        }
+        // Show success message
+        showNotification('✨ Auto-formatting completed! Review the changes to apply them.', 'success');
+        // The button stays busy until the review is closed
+        await reviewAIResult(editor.value, result.processedText, 'Review AI changes: auto-format', 'AI: auto-format');
 
     } catch (error) {
         console.error('Auto-format error:', error);
 
-        if (error.message.includes('Rate limit')) {
+        if (isNetworkError(error) && await deferAIRequest(content, prompt, detectedFormat, { label: 'auto-format' })) {
+            showNotification('📮 No connection to the AI service: auto-format queued for when it is back', 'warning');
+        } else if (error.message.includes('Rate limit')) {
             showNotification('⏱️ Rate limit exceeded. Please wait before trying again.', 'warning');
         } else if (error.message.includes('Authentication')) {
             showNotification('🔐 Authentication failed. Please refresh the page.', 'error');
@@ -518,6 +977,8 @@ async function autoFormat() {
             autoFormatLocal();
         }
     } finally {
+        endStreamProgress();
+
         // Restore button state
         if (button) {
             button.textContent = button.dataset.originalText || '🪄 Auto Format';
@@ -527,6 +988,52 @@ async function autoFormat() {
     }
 }
 
+// Keep an AI request that cannot be sent now; its result comes back as a suggestion in this document
+function deferAIRequest(content, prompt, format, { label = format, enrich = false } = {}) {
+    return queueAIRequest({
+        label,
+        format,
+        prompt,
+        content,
+        enrich,
+        maxTextLength: CONFIG.MAX_TEXT_LENGTH
+    });
+}
+
+// What queued AI requests are sent with, read when they are sent so that no token or API key is stored with them
+async function getAIRequestCredentials() {
+    await ensureValidToken();
+    return {
+        sessionId: editorState.sessionId,
+        token: CONFIG.ENABLE_JWT ? editorState.token : null,
+        config: getAIProviderConfig()
+    };
+}
+
+// Let the user accept all, some or none of an AI result before it reaches the editor
+async function reviewAIResult(original, proposed, title, historyLabel) {
+    try {
+        if (proposed === original) {
+            showNotification('ℹ️ The AI result is identical to your text', 'info');
+            return false;
+        }
+
+        const accepted = await openReviewDialog(original, proposed, { title });
+        if (accepted === null) {
+            showNotification('↩️ AI changes discarded', 'info');
+            return false;
+        }
+
+        setEditorContent(accepted, historyLabel);
+        showNotification(accepted === proposed ? '✅ AI changes applied' : '✅ Selected AI changes applied', 'success');
+        return true;
+    } catch (error) {
+        logError('AI result review failed', error);
+        showNotification('❌ Failed to show the AI changes', 'error');
+        return false;
+    }
+}
+
 // Local fallback formatting
 function autoFormatLocal() {
     let content = editor.value;
@@ -540,8 +1047,7 @@ function autoFormatLocal() {
         content = formatAsArticle(content);
     }
 
-    editor.value = content;
-    editor.dispatchEvent(new Event('input'));
+    setEditorContent(content, 'Local formatting');
     showNotification('📝 Local formatting applied', 'info');
 }
 
@@ -561,8 +1067,22 @@ async function processWithAI(element, format, customPrompt = null) {
         return;
     }
 
-    if (content.length > CONFIG.MAX_TEXT_LENGTH) {
-        showNotification(`⚠️ Text is too long. Please limit to ${CONFIG.MAX_TEXT_LENGTH} characters. Current: ${content.length}`, 'warning');
+    if (content.length > CONFIG.MAX_DOCUMENT_LENGTH) {
+        showNotification(`⚠️ Text is too long. Please limit to ${CONFIG.MAX_DOCUMENT_LENGTH} characters. Current: ${content.length}`, 'warning');
+        return;
+    }
+
+    const definition = getFormat(format);
+    const prompt = customPrompt || definition?.prompt || 'Improve the formatting and structure of this text.';
+
+    if (isOffline()) {
+        if (await deferAIRequest(content, prompt, format, { enrich: true })) {
+            showNotification(`📮 Offline: ${format} request queued. Review the result once you are back online`,
+                'info');
+        } else {
+            showNotification('📴 Offline: local formatting applied instead of AI', 'info');
+            autoFormatLocal();
+        }
         return;
     }
 
@@ -593,123 +1113,31 @@ async function processWithAI(element, format, customPrompt = null) {
             throw new Error('Authentication failed. Please refresh the page and try again.');
         }
 
-        const prompts = {
-            'dev-article': 'Transform this into a well-structured development article with clear sections, proper headings, and code examples where appropriate.',
-            'tutorial': 'Format this as a step-by-step tutorial with numbered sections and clear instructions.',
-            'chatgpt-prompt': 'Reformat this as a clear, structured prompt for ChatGPT with specific requirements and context.',
-            'readme': 'Format this as a professional README document with sections for installation, usage, and examples.',
-            'Med-Article': 'Transform this into a well-structured Medium-style article with engaging headings, proper formatting, and clear sections.',
-            // New platform-specific formats
-            'peerlist-article': 'Transform this into a professional Peerlist article that showcases expertise and builds credibility. Focus on insights, career lessons, and actionable advice. Use engaging headlines and professional tone suitable for networking.',
-            'twitter-post': 'Transform this into an engaging Twitter/X thread. Break into concise, punchy tweets (max 280 chars each). Use hooks, numbered points, and encourage engagement. Include relevant hashtags and maintain conversational tone.',
-            'linkedin-post': 'Transform this into a professional LinkedIn post that drives engagement. Use storytelling elements, professional insights, and calls-to-action. Include relevant hashtags and maintain thought leadership tone.',
-            'dailydev-article': 'Transform this into a Daily.dev community article. Focus on practical development insights, code examples, and developer-focused content. Use clear sections, code blocks, and actionable takeaways for the developer community.'
-        };
-
-        const prompt = customPrompt || prompts[format] || 'Improve the formatting and structure of this text.';
-
-        // Prepare payload that matches worker expectations
-        const payload = {
-            text: content,
-            prompt: prompt,
-            format: format,
-            sessionId: editorState.sessionId || 'anonymous',
-            timestamp: Date.now()
-        };
-
-        // Only add token if JWT is enabled and we have one
-        if (CONFIG.ENABLE_JWT && editorState.token) {
-            payload.token = editorState.token;
-        }
-
-        // Retry logic with exponential backoff
-        let lastError;
-        for (let attempt = 1; attempt <= CONFIG.RETRY_ATTEMPTS; attempt++) {
-            try {
-                showNotification(`🔄 Processing attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS}...`, 'info');
-
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT_MS);
-
-                const response = await fetch(`${CONFIG.AI_WORKER_URL}/process`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    body: JSON.stringify(payload),
-                    signal: controller.signal
-                });
-
-                clearTimeout(timeoutId);
-
-                if (!response.ok) {
-                    let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-                    try {
-                        const errorData = await response.json();
-                        errorMessage = errorData.error || errorMessage;
-                    } catch (e) {
-                        // Use default error message if JSON parsing fails
-                    }
-                    throw new Error(errorMessage);
-                }
-
-                const result = await response.json();
-
-                if (result.success && result.processedText) {
-                    const processingTime = Date.now() - startTime;
-
-                    // Get current settings
-                    const enableIcons = document.getElementById('enableIcons')?.checked ?? true;
-                    const enablePrefilled = document.getElementById('enablePrefilled')?.checked ?? true;
-
-                    const settings = {
-                        enableIcons,
-                        enablePrefilled
-                    };
-
-                    // Apply content enrichment based on platform and settings
-                    const enrichedText = enrichContent(result.processedText, format, settings);
-
-                    editor.value = enrichedText;
-                    editor.dispatchEvent(new Event('input'));
-
-                    showNotification(`✨ ${format} formatting completed! (${processingTime}ms)`, 'success');
-
-                    // Log successful processing
-                    logError('AI processing completed', null, {
-                        format,
-                        processingTime,
-                        textLength: content.length,
-                        attempt
-                    });
-
-                    return; // Success - exit retry loop
-
-                } else {
-                    throw new Error(result.error || 'Processing failed - no processed text returned');
-                }
-
-            } catch (error) {
-                lastError = error;
-
-                if (error.name === 'AbortError') {
-                    throw new Error(`Processing timeout after ${CONFIG.TIMEOUT_MS / 1000} seconds`);
-                }
+        const result = await requestAIText(content, prompt, format, (index, total) => {
+            if (button) {
+                button.innerHTML = `🔄 Processing section ${index + 1}/${total}...`;
+            }
+        });
+        const processingTime = Date.now() - startTime;
 
-                if (attempt === CONFIG.RETRY_ATTEMPTS) {
-                    throw error; // Final attempt failed
-                }
+        // Apply content enrichment based on platform and settings
+        const enrichedText = enrichContent(result.processedText, format, getEnrichmentSettings());
 
-                // Wait before retry (exponential backoff)
-                const waitTime = Math.pow(2, attempt) * 1000;
-                showNotification(`⏳ Retrying in ${waitTime / 1000} seconds...`, 'info');
-                await new Promise(resolve => setTimeout(resolve, waitTime));
-            }
+        showNotification(`✨ ${format} formatting completed! (${processingTime}ms) Review the changes to apply them.`, 'success');
+        // Processing ends when the review is closed, and the document only takes the format if the result was applied
+        if (await reviewAIResult(editor.value, enrichedText, `Review AI changes: ${format}`, `AI: ${format}`)) {
+            editorState.currentFormat = format;
+            updatePreview(editor.value);
         }
 
-        // If we get here, all retries failed
-        throw lastError || new Error('All retry attempts failed');
+        // Log successful processing
+        logError('AI processing completed', null, {
+            format,
+            processingTime,
+            textLength: content.length,
+            provider: result.provider,
+            sections: result.sections
+        });
 
     } catch (error) {
         const processingTime = Date.now() - startTime;
@@ -720,6 +1148,13 @@ async function processWithAI(element, format, customPrompt = null) {
             retryAttempts: CONFIG.RETRY_ATTEMPTS
         });
 
+        // Without a network the request waits in the outbox instead of being lost
+        if (isNetworkError(error) && await deferAIRequest(content, prompt, format, { enrich: true })) {
+            showNotification(`📮 No connection to the AI service: ${format} request queued for when it is back`,
+                'warning');
+            return;
+        }
+
         // Provide helpful error messages based on error type
         let userMessage = '❌ Processing failed: ';
         if (error.message.includes('fetch')) {
@@ -756,6 +1191,7 @@ async function processWithAI(element, format, customPrompt = null) {
     } finally {
         // Reset processing state and UI
         editorState.isProcessing = false;
+        endStreamProgress();
 
         if (button) {
             button.innerHTML = originalButtonContent;
@@ -838,26 +1274,24 @@ function formatAsArticle(content) {
 function optimizeForDevTo() {
     let content = editor.value;
 
-    // Add dev.to specific formatting
-    if (!content.includes('---')) {
-        const frontMatter = `---
-title: "Your Title Here"
-published: false
-description: "Brief description"
-tags: [javascript, tutorial, webdev]
-canonical_url: 
-cover_image: 
----
-
-`;
-        content = frontMatter + content;
+    // Fill in the dev.to front matter, keeping whatever is already there
+    try {
+        const { data } = parseFrontMatter(content);
+        const fields = readFrontMatterFields(data, 'devto');
+        fields.title = fields.title || findDocumentTitle(content) || 'Your Title Here';
+        fields.tags = fitTagsToPreset(fields.tags, 'devto');
+        content = replaceFrontMatter(content, writeFrontMatterFields(data, fields, 'devto', {
+            replacePreset: detectFrontMatterPreset(data)
+        }));
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'error');
+        return;
     }
 
     // Optimize code blocks for dev.to
     content = content.replace(/```(\w+)/g, '```$1');
 
-    editor.value = content;
-    editor.dispatchEvent(new Event('input'));
+    setEditorContent(content, 'Optimize for Dev.to');
 }
 
 function optimizeForChatGPT() {
@@ -879,8 +1313,7 @@ function optimizeForChatGPT() {
         }
     }
 
-    editor.value = formatted.join('\n');
-    editor.dispatchEvent(new Event('input'));
+    setEditorContent(formatted.join('\n'), 'Optimize for ChatGPT');
 }
 
 function applyFormat(element, format) {
@@ -892,7 +1325,7 @@ function applyFormat(element, format) {
 
     // Check if we should use AI processing or templates
     const content = editor.value.trim();
-    if (content && content.length <= 1000) {
+    if (content && content.length <= CONFIG.MAX_DOCUMENT_LENGTH) {
         // Use AI processing for existing content
         processWithAI(format);
     } else {
@@ -902,266 +1335,9 @@ function applyFormat(element, format) {
 }
 
 function useTemplate(format) {
-    const templates = {
-        'dev-article': `# Your Article Title
-
-Brief introduction to your topic...
-
-## Introduction
-
-Explain what you'll cover in this article.
-
-## Main Content
-
-### Subsection 1
-
-Your content here...
-
-\`\`\`javascript
-// Code example
-const example = "Hello World";
-console.log(example);
-\`\`\`
-
-### Subsection 2
-
-More content...
-
-## Conclusion
-
-Wrap up your thoughts...
-
----
-
-Thanks for reading! Follow me for more content.`,
-
-        'tutorial': `# Step-by-Step Tutorial: [Topic]
-
-## Prerequisites
-
-- Requirement 1
-- Requirement 2
-- Requirement 3
-
-## Step 1: Setup
-
-First, let's set up our environment...
-
-\`\`\`bash
-npm install package-name
-\`\`\`
-
-## Step 2: Configuration
-
-Next, we'll configure...
-
-## Step 3: Implementation
-
-Now let's implement the solution...
-
-## Step 4: Testing
-
-Finally, let's test our implementation...
-
-## Conclusion
-
-You've successfully learned how to...`,
-
-        'chatgpt-prompt': `**Context:** Provide clear context about what you need
-
-**Task:** Clearly state what you want ChatGPT to do
-
-**Requirements:**
-- Specific requirement 1
-- Specific requirement 2
-- Output format needed
-
-**Example:** If helpful, provide an example of what you're looking for
-
-**Additional Notes:** Any extra context or constraints`,
-
-        'readme': `# Project Name
-
-Brief description of what this project does.
-
-## Features
-
-- Feature 1
-- Feature 2
-- Feature 3
-
-## Installation
-
-\`\`\`bash
-npm install project-name
-\`\`\`
-
-## Usage
-
-\`\`\`javascript
-const project = require('project-name');
-project.doSomething();
-\`\`\`
-
-## API Reference
-
-### Method 1
-
-Description of method...
-
-## Contributing
-
-Contributions are welcome! Please feel free to submit a Pull Request.
-
-## License
-
-This project is licensed under the MIT License.`,
-
-        // New platform templates
-        'peerlist-article': `# Professional Insight: [Your Topic]
-
-## The Challenge
-
-Describe the professional challenge or situation you encountered...
-
-## Key Insights
-
-### Insight 1
-Your first key learning or insight...
-
-### Insight 2
-Another important realization...
-
-### Insight 3
-A third valuable takeaway...
-
-## Practical Application
-
-How can others apply these insights in their own work?
-
-- Actionable tip 1
-- Actionable tip 2
-- Actionable tip 3
-
-## Key Takeaway
-
-**The main lesson:** Summarize the core message that advances your career or professional growth.
-
----
-
-What's your experience with this? Share your thoughts below!`,
-
-        'twitter-post': `🧵 Thread: [Your Topic]
-
-1/7 Hook: Start with an attention-grabbing statement or question...
-
-2/7 Problem: Identify the key issue or challenge...
-
-3/7 Solution: Present your main insight or approach...
-
-4/7 Example: Give a concrete example or case study...
-
-5/7 Benefits: Highlight the positive outcomes...
-
-6/7 Action: Tell people what they should do next...
-
-7/7 Conclusion: Wrap up with a key takeaway and encourage engagement.
-
-What do you think? Drop a reply with your experience! 🚀
-
-#YourHashtag #Relevant #Tags`,
-
-        'linkedin-post': `🚀 [Attention-grabbing headline about your topic]
-
-I recently discovered something fascinating about [topic]...
-
-Here's what happened:
-→ Context about the situation
-→ The challenge you faced
-→ What you learned
-
-The key insight? 
-[Your main takeaway or lesson learned]
-
-This changed my perspective because:
-• Point 1 about impact
-• Point 2 about application
-• Point 3 about results
-
-💡 Key takeaway: [One sentence summary]
-
----
-
-What's your experience with this? I'd love to hear your thoughts in the comments!
-
-♻️ Repost if you found this valuable
-👥 Follow me for more insights on [your area of expertise]
-
-#Leadership #Professional #YourIndustry #Networking`,
-
-        'dailydev-article': `# [Your Development Topic] 🚀
-
-*A practical guide for developers*
-
-## TL;DR
-- Quick summary point 1
-- Quick summary point 2  
-- Quick summary point 3
-
-## The Problem
-
-Describe the development challenge you're addressing...
-
-## The Solution
-
-\`\`\`javascript
-// Your code example here
-const solution = {
-    approach: 'clean and readable',
-    benefits: ['performance', 'maintainability', 'scalability']
-};
-\`\`\`
-
-### Step-by-step implementation:
-
-1. **First step**: Explain what to do...
-2. **Second step**: Next action...
-3. **Third step**: Final implementation...
-
-## Code Example
-
-\`\`\`javascript
-// Complete working example
-function practicalExample() {
-    // Your implementation
-    return 'working code';
-}
-\`\`\`
-
-## Best Practices
-
-- ✅ Do this for better results
-- ✅ Remember this important point
-- ❌ Avoid this common mistake
-
-## Conclusion
-
-Key takeaways:
-- Main learning point 1
-- Main learning point 2
-- Main learning point 3
-
-Happy coding! 🚀
-
-What's your experience with this approach? Let me know in the comments!
-
----
-*Follow for more dev tips and tricks*`
-    };
-
-    if (templates[format]) {
-        editor.value = templates[format];
-        editor.dispatchEvent(new Event('input'));
+    const definition = getFormat(format);
+    if (definition?.template) {
+        setEditorContent(definition.template, `Template: ${format}`);
     }
 }
 
@@ -1220,12 +1396,65 @@ function showNotification(message, type = 'info') {
     });
 }
 
-function toggleExportMenu() {
+// Modal dialog shell shared by the review and form dialogs
+function createModal(title, className = '') {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal ${className}" role="dialog" aria-modal="true" aria-label="${escapeHtml(title)}">
+            <div class="modal-header">
+                <h3>${escapeHtml(title)}</h3>
+                <button class="modal-close" type="button" aria-label="Close">✕</button>
+            </div>
+            <div class="modal-body"></div>
+            <div class="modal-footer"></div>
+        </div>`;
+
+    const onKeydown = event => {
+        if (event.key === 'Escape') {
+            modal.close();
+        }
+    };
+
+    const modal = {
+        overlay,
+        body: overlay.querySelector('.modal-body'),
+        footer: overlay.querySelector('.modal-footer'),
+        onClose: null,
+        close() {
+            if (!overlay.parentNode) {
+                return;
+            }
+            overlay.remove();
+            document.removeEventListener('keydown', onKeydown);
+            if (modal.onClose) {
+                modal.onClose();
+            }
+        }
+    };
+
+    overlay.querySelector('.modal-close').addEventListener('click', () => modal.close());
+    overlay.addEventListener('click', event => {
+        if (event.target === overlay) {
+            modal.close();
+        }
+    });
+    document.addEventListener('keydown', onKeydown);
+    document.body.appendChild(overlay);
+
+    return modal;
+}
+
+// Opens or closes the menu; show forces one or the other
+function toggleExportMenu(show) {
     const dropdown = document.getElementById('exportDropdown');
-    dropdown.classList.toggle('show');
+    dropdown.classList.toggle('show', show ?? !dropdown.classList.contains('show'));
 }
 
 function exportMarkdown() {
+    if (!confirmPlatformLimits('Export')) {
+        return;
+    }
     const content = editor.value;
     const blob = new Blob([content], { type: 'text/markdown' });
     const url = URL.createObjectURL(blob);
@@ -1234,35 +1463,7 @@ function exportMarkdown() {
     a.download = 'document.md';
     a.click();
     URL.revokeObjectURL(url);
-    toggleExportMenu();
-}
-
-function exportHTML() {
-    const htmlContent = `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>Markdown Document</title>
-    <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; max-width: 800px; margin: 0 auto; padding: 20px; }
-        code { background: #f4f4f4; padding: 2px 6px; border-radius: 3px; }
-        pre { background: #f4f4f4; padding: 15px; border-radius: 5px; overflow-x: auto; }
-        blockquote { border-left: 4px solid #ddd; margin: 0; padding-left: 20px; color: #666; }
-    </style>
-</head>
-<body>
-${preview.innerHTML}
-</body>
-</html>`;
-
-    const blob = new Blob([htmlContent], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'document.html';
-    a.click();
-    URL.revokeObjectURL(url);
-    toggleExportMenu();
+    toggleExportMenu(false);
 }
 
 // Export and clipboard functions are defined below in the improved section
@@ -1289,10 +1490,8 @@ function clearEditor() {
             throw new Error('Editor element not found');
         }
 
-        if (confirm('Are you sure you want to clear all content? This action cannot be undone.')) {
-            const defaultContent = getDefaultContent();
-            editor.value = defaultContent;
-            editor.dispatchEvent(new Event('input'));
+        if (confirm('Are you sure you want to clear all content? You can undo this with Ctrl+Z.')) {
+            setEditorContent(getDefaultContent(), 'Clear');
             showNotification('🗑️ Editor cleared and reset to default', 'info');
         }
     } catch (error) {
@@ -1313,14 +1512,12 @@ function clearPrefilled() {
         const defaultContent = getDefaultContent().trim();
 
         if (currentContent === defaultContent || currentContent.includes('Welcome to MarkdownGPT')) {
-            editor.value = '';
-            editor.dispatchEvent(new Event('input'));
+            setEditorContent('', 'Clear prefilled text');
             showNotification('📝 Prefilled text cleared', 'info');
         } else {
             // Ask for confirmation if there's user content
             if (confirm('This will clear all content. Are you sure?')) {
-                editor.value = '';
-                editor.dispatchEvent(new Event('input'));
+                setEditorContent('', 'Clear');
                 showNotification('📝 Content cleared', 'info');
             }
         }
@@ -1330,6 +1527,14 @@ function clearPrefilled() {
     }
 }
 
+// The enrichment checkboxes in the settings panel
+function getEnrichmentSettings() {
+    return {
+        enableIcons: document.getElementById('enableIcons')?.checked ?? true,
+        enablePrefilled: document.getElementById('enablePrefilled')?.checked ?? true
+    };
+}
+
 // Enhanced content enrichment based on settings and platform
 function enrichContent(content, format, settings = {}) {
     try {
@@ -1342,23 +1547,9 @@ function enrichContent(content, format, settings = {}) {
             enriched = enriched.replace(/—|–/g, '-'); // Replace em dashes
         }
 
-        // Platform-specific enrichment patterns
-        switch (format) {
-        case 'twitter-post':
-            enriched = enrichTwitterContent(enriched, settings);
-            break;
-        case 'linkedin-post':
-            enriched = enrichLinkedInContent(enriched, settings);
-            break;
-        case 'peerlist-article':
-            enriched = enrichPeerlistContent(enriched, settings);
-            break;
-        case 'dailydev-article':
-            enriched = enrichDailyDevContent(enriched, settings);
-            break;
-        default:
-            enriched = enrichGenericContent(enriched, settings);
-        }
+        // Format-specific enrichment rules from the registry
+        const definition = getFormat(format);
+        enriched = applyEnrichmentRules(enriched, definition ? definition.enrich : GENERIC_ENRICHMENT);
 
         return enriched;
     } catch (error) {
@@ -1367,92 +1558,6 @@ function enrichContent(content, format, settings = {}) {
     }
 }
 
-// Platform-specific enrichment functions
-function enrichTwitterContent(content, settings) {
-    // Twitter-specific optimizations
-    const lines = content.split('\n').filter(line => line.trim());
-    const tweets = [];
-    let currentTweet = '';
-
-    for (const line of lines) {
-        if ((currentTweet + '\n' + line).length <= 280) {
-            currentTweet += (currentTweet ? '\n' : '') + line;
-        } else {
-            if (currentTweet) {
-                tweets.push(currentTweet);
-            }
-            currentTweet = line.length <= 280 ? line : line.substring(0, 277) + '...';
-        }
-    }
-    if (currentTweet) {
-        tweets.push(currentTweet);
-    }
-
-    return tweets.map((tweet, index) =>
-        tweets.length > 1 ? `${index + 1}/${tweets.length}\n\n${tweet}` : tweet
-    ).join('\n\n---\n\n');
-}
-
-function enrichLinkedInContent(content, settings) {
-    // LinkedIn-specific optimizations
-    let enriched = content;
-
-    // Add engagement hooks
-    if (!enriched.includes('What do you think?') && !enriched.includes('Share your thoughts')) {
-        enriched += '\n\nWhat are your thoughts on this? Share your experience in the comments below!';
-    }
-
-    // Ensure professional tone and structure
-    enriched = enriched.replace(/\n{3,}/g, '\n\n'); // Clean up excessive line breaks
-
-    return enriched;
-}
-
-function enrichPeerlistContent(content, settings) {
-    // Peerlist-specific optimizations for professional networking
-    let enriched = content;
-
-    // Ensure professional insights format
-    if (!enriched.includes('Key takeaway') && !enriched.includes('Lesson learned')) {
-        const lines = enriched.split('\n');
-        if (lines.length > 3) {
-            lines.splice(-1, 0, '\n**Key takeaway:** Focus on practical insights that advance your career.');
-        }
-        enriched = lines.join('\n');
-    }
-
-    return enriched;
-}
-
-function enrichDailyDevContent(content, settings) {
-    // Daily.dev-specific optimizations for developer community
-    let enriched = content;
-
-    // Ensure developer-focused structure
-    if (enriched.includes('function') || enriched.includes('const') || enriched.includes('code')) {
-        // Already has code content, ensure proper formatting
-        enriched = enriched.replace(/```\s*\n/g, '```javascript\n');
-    }
-
-    // Add developer community engagement
-    if (!enriched.includes('Happy coding') && !enriched.includes('developer')) {
-        enriched += '\n\nHappy coding! 🚀\n\nWhat\'s your experience with this? Let me know in the comments!';
-    }
-
-    return enriched;
-}
-
-function enrichGenericContent(content, settings) {
-    // Generic content improvements
-    let enriched = content;
-
-    // Improve readability
-    enriched = enriched.replace(/([.!?])\s*([A-Z])/g, '$1 $2'); // Ensure proper spacing
-    enriched = enriched.replace(/\n{3,}/g, '\n\n'); // Clean up excessive line breaks
-
-    return enriched;
-}
-
 // Copy editor content to clipboard
 function copyToClipboard() {
     try {
@@ -1465,6 +1570,9 @@ function copyToClipboard() {
             showNotification('📋 Nothing to copy - editor is empty', 'warning');
             return;
         }
+        if (!confirmPlatformLimits('Copy')) {
+            return;
+        }
 
         // Use modern Clipboard API if available
         if (navigator.clipboard && window.isSecureContext) {
@@ -1532,7 +1640,7 @@ Transform your raw text with AI-powered formatting and processing for profession
 
 ## 🚀 Quick Start
 
-1. **Enter Text**: Type or paste your raw text (max ${CONFIG.MAX_TEXT_LENGTH} characters)
+1. **Enter Text**: Type or paste your raw text (long documents are processed section by section)
 2. **Choose Format**: Select from AI processing options below
 3. **Process**: Click a format button to transform your text
 4. **Export**: Use toolbar buttons to save or copy your content
@@ -0,0 +1,215 @@
+// Editor and preview scroll sync
+// Preview blocks carry the source line they were rendered from (data-source-line), and the editor's wrapped
+// lines are measured in a hidden copy of the textarea. Scroll positions are interpolated between those points,
+// so the block at the top of one pane stays at the top of the other.
+
+/* global editor, preview */
+
+// Points [{ line, top }] from the start to the end of a pane, with lines and tops both increasing
+function buildScrollMap(anchors, totalLines, scrollHeight) {
+    const points = [{ line: 0, top: 0 }];
+    anchors
+        .slice()
+        .sort((a, b) => a.line - b.line)
+        .forEach(anchor => {
+            const last = points[points.length - 1];
+            if (anchor.line === last.line) {
+                last.top = Math.min(last.top, anchor.top);
+            } else if (anchor.line > last.line && anchor.top >= last.top && anchor.line < totalLines) {
+                points.push({ line: anchor.line, top: anchor.top });
+            }
+        });
+
+    const last = points[points.length - 1];
+    points.push({ line: Math.max(totalLines, last.line + 1), top: Math.max(scrollHeight, last.top) });
+    return points;
+}
+
+// Linear interpolation between the two points either side of value
+function interpolateScrollMap(points, value, fromKey, toKey) {
+    let index = 1;
+    while (index < points.length - 1 && points[index][fromKey] <= value) {
+        index++;
+    }
+    const before = points[index - 1];
+    const after = points[index];
+    const span = after[fromKey] - before[fromKey];
+    const ratio = span > 0 ? Math.min(Math.max((value - before[fromKey]) / span, 0), 1) : 0;
+    return before[toKey] + ratio * (after[toKey] - before[toKey]);
+}
+
+function topForLine(points, line) {
+    return interpolateScrollMap(points, line, 'line', 'top');
+}
+
+function lineForTop(points, top) {
+    return interpolateScrollMap(points, top, 'top', 'line');
+}
+
+// Character offset where a 0-based line starts
+function lineStartOffset(text, line) {
+    let offset = 0;
+    for (let current = 0; current < line; current++) {
+        const next = text.indexOf('\n', offset);
+        if (next === -1) {
+            return text.length;
+        }
+        offset = next + 1;
+    }
+    return offset;
+}
+
+// Scroll sync UI
+
+const MIRRORED_EDITOR_STYLES = [
+    'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'wordSpacing', 'lineHeight',
+    'tabSize', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'borderLeftWidth', 'borderRightWidth'
+];
+
+const scrollSync = {
+    editorMap: null,
+    previewMap: null,
+    // The pane that was scrolled by the sync itself, whose next scroll event is not passed back
+    ignoreScroll: null,
+    frame: null
+};
+
+function isScrollSyncEnabled() {
+    return document.getElementById('syncScroll')?.checked !== false;
+}
+
+// Top of every source line in the editor, wrapping included, from a hidden copy with the same text layout
+function measureEditorMap() {
+    const style = window.getComputedStyle(editor);
+    const mirror = document.createElement('div');
+    MIRRORED_EDITOR_STYLES.forEach(property => {
+        mirror.style[property] = style[property];
+    });
+    Object.assign(mirror.style, {
+        position: 'absolute',
+        top: '0',
+        left: '-9999px',
+        visibility: 'hidden',
+        width: `${editor.clientWidth}px`,
+        whiteSpace: 'pre-wrap',
+        overflowWrap: 'break-word'
+    });
+
+    const lines = editor.value.split('\n');
+    lines.forEach(line => {
+        const row = document.createElement('div');
+        row.textContent = line || ' ';
+        mirror.appendChild(row);
+    });
+    document.body.appendChild(mirror);
+    const anchors = Array.from(mirror.children, (row, line) => ({ line, top: row.offsetTop }));
+    mirror.remove();
+
+    return buildScrollMap(anchors, lines.length, editor.scrollHeight);
+}
+
+function measurePreviewMap() {
+    const base = preview.getBoundingClientRect().top - preview.scrollTop;
+    const anchors = Array.from(preview.querySelectorAll('[data-source-line]'), block => ({
+        line: Number(block.dataset.sourceLine),
+        top: block.getBoundingClientRect().top - base
+    }));
+    return buildScrollMap(anchors, editor.value.split('\n').length, preview.scrollHeight);
+}
+
+function editorScrollMap() {
+    scrollSync.editorMap = scrollSync.editorMap || measureEditorMap();
+    return scrollSync.editorMap;
+}
+
+function previewScrollMap() {
+    scrollSync.previewMap = scrollSync.previewMap || measurePreviewMap();
+    return scrollSync.previewMap;
+}
+
+// Called whenever the text or the preview changes; the maps are measured again on the next scroll
+function invalidateScrollSync() {
+    scrollSync.editorMap = null;
+    scrollSync.previewMap = null;
+}
+
+function scrollPaneTo(pane, top) {
+    const target = Math.round(Math.min(Math.max(top, 0), pane.scrollHeight - pane.clientHeight));
+    if (Math.abs(pane.scrollTop - target) < 1) {
+        return;
+    }
+    scrollSync.ignoreScroll = pane;
+    pane.scrollTop = target;
+}
+
+function syncScrollFrom(source) {
+    // Thread and post previews have no source lines to follow
+    if (!preview.querySelector('[data-source-line]')) {
+        return;
+    }
+
+    if (source === editor) {
+        const line = lineForTop(editorScrollMap(), editor.scrollTop);
+        scrollPaneTo(preview, topForLine(previewScrollMap(), line));
+    } else {
+        const line = lineForTop(previewScrollMap(), preview.scrollTop);
+        scrollPaneTo(editor, topForLine(editorScrollMap(), line));
+    }
+}
+
+function handlePaneScroll(event) {
+    const source = event.currentTarget;
+    if (scrollSync.ignoreScroll === source) {
+        scrollSync.ignoreScroll = null;
+        return;
+    }
+    if (!isScrollSyncEnabled() || scrollSync.frame) {
+        return;
+    }
+    scrollSync.frame = window.requestAnimationFrame(() => {
+        scrollSync.frame = null;
+        syncScrollFrom(source);
+    });
+}
+
+// Put the caret at the start of a source line and bring the line into view
+function moveCaretToLine(line) {
+    const offset = lineStartOffset(editor.value, line);
+    editor.focus({ preventScroll: true });
+    editor.setSelectionRange(offset, offset);
+    scrollPaneTo(editor, topForLine(editorScrollMap(), line) - editor.clientHeight / 3);
+}
+
+function handlePreviewClick(event) {
+    // Links, checkboxes and text being selected keep their usual behaviour
+    if (event.target.closest('a, input, button, summary') || String(window.getSelection?.() || '')) {
+        return;
+    }
+    const block = event.target.closest('[data-source-line]');
+    if (block && preview.contains(block)) {
+        moveCaretToLine(Number(block.dataset.sourceLine));
+    }
+}
+
+function setupScrollSync() {
+    editor.addEventListener('scroll', handlePaneScroll);
+    preview.addEventListener('scroll', handlePaneScroll);
+    preview.addEventListener('click', handlePreviewClick);
+    editor.addEventListener('input', () => {
+        scrollSync.editorMap = null;
+    });
+    // Images change the preview's layout as they load
+    preview.addEventListener('load', () => {
+        scrollSync.previewMap = null;
+    }, true);
+    window.addEventListener('resize', invalidateScrollSync);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildScrollMap,
+        topForLine,
+        lineForTop,
+        lineStartOffset
+    };
+}
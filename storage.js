@@ -0,0 +1,102 @@
+// Small promise wrapper around IndexedDB, shared by the app and the service worker
+
+const DB_NAME = 'markdowngpt';
+const DB_VERSION = 2;
+
+// Object stores created on upgrade; new stores only need an entry here and a version bump
+const DB_STORES = {
+    documents: { keyPath: 'id', indexes: ['updatedAt'] },
+    outbox: { keyPath: 'id', indexes: ['createdAt'] }
+};
+
+let databasePromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!databasePromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(DB_STORES).forEach(([storeName, options]) => {
+                if (db.objectStoreNames.contains(storeName)) {
+                    return;
+                }
+                const store = db.createObjectStore(storeName, { keyPath: options.keyPath });
+                (options.indexes || []).forEach(index => store.createIndex(index, index));
+            });
+        };
+
+        databasePromise = requestToPromise(request).then(db => {
+            // Let a newer version of the app, in another tab or the service worker, upgrade the database
+            db.onversionchange = () => {
+                db.close();
+                databasePromise = null;
+            };
+            return db;
+        }).catch(error => {
+            // Allow a later call to try again, e.g. after the user frees up storage
+            databasePromise = null;
+            throw error;
+        });
+    }
+
+    return databasePromise;
+}
+
+// Run work(store) in a transaction and resolve with its result once the transaction commits
+async function runTransaction(storeName, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        let result;
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+        const request = work(transaction.objectStore(storeName));
+        if (request) {
+            request.onsuccess = () => {
+                result = request.result;
+            };
+        }
+    });
+}
+
+function getAllRecords(storeName) {
+    return runTransaction(storeName, 'readonly', store => store.getAll());
+}
+
+function getRecord(storeName, key) {
+    return runTransaction(storeName, 'readonly', store => store.get(key));
+}
+
+function putRecord(storeName, record) {
+    return runTransaction(storeName, 'readwrite', store => store.put(record));
+}
+
+function deleteRecord(storeName, key) {
+    return runTransaction(storeName, 'readwrite', store => store.delete(key));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        openDatabase,
+        getAllRecords,
+        getRecord,
+        putRecord,
+        deleteRecord
+    };
+}
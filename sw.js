@@ -1,14 +1,130 @@
 // Service Worker for MarkdownGPT
-// Provides offline functionality and caching
+// Provides offline functionality and caching. The app and the libraries it loads from cdnjs are cached on
+// install and served stale-while-revalidate, so the app opens, previews and highlights code offline. Worker API
+// calls and other AI providers always go to the network. AI requests queued in the outbox while offline are sent
+// from here through Background Sync, with the token and provider settings of an open page.
 
-const CACHE_NAME = 'markdowngpt-v1.0.0';
+/* global importScripts, replayOutbox, OUTBOX_SYNC_TAG, OUTBOX_MESSAGE, OUTBOX_CREDENTIALS_REQUEST */
+
+// The outbox and the AI provider layer, which use no DOM
+importScripts('/storage.js', '/providers.js', '/chunking.js', '/outbox.js');
+
+const CACHE_NAME = 'markdowngpt-v2.1.0';
+const CDN_ORIGIN = 'https://cdnjs.cloudflare.com';
+// How long an open page has to answer with the credentials for the outbox
+const CREDENTIALS_TIMEOUT_MS = 5000;
 const urlsToCache = [
     '/',
     '/index.html',
+    '/utils.js',
+    '/sanitizer.js',
+    '/markdown.js',
+    '/frontmatter.js',
+    '/htmlmarkdown.js',
+    '/paste.js',
+    '/lint.js',
+    '/providers.js',
+    '/chunking.js',
+    '/diff.js',
+    '/thread.js',
+    '/platforms.js',
+    '/zip.js',
+    '/docx.js',
+    '/outline.js',
+    '/scrollsync.js',
+    '/print.js',
+    '/themes.js',
+    '/formats.js',
+    '/history.js',
+    '/storage.js',
+    '/documents.js',
+    '/autosave.js',
+    '/commands.js',
+    '/editing.js',
+    '/tables.js',
+    '/importer.js',
+    '/offline.js',
+    '/outbox.js',
     '/script.js',
     '/styles.css',
     '/manifest.json'
 ];
+// Syntax highlighting, as loaded by index.html
+const cdnUrlsToCache = [
+    `${CDN_ORIGIN}/ajax/libs/highlight.js/11.8.0/highlight.min.js`,
+    `${CDN_ORIGIN}/ajax/libs/highlight.js/11.8.0/styles/github-dark.min.css`
+];
+
+// 'cache' for the app and its libraries, 'network' for everything else, API calls included
+function cacheStrategy(request, scopeOrigin) {
+    if (request.method !== 'GET') {
+        return 'network';
+    }
+    const { origin } = new URL(request.url);
+    return origin === scopeOrigin || origin === CDN_ORIGIN ? 'cache' : 'network';
+}
+
+// Answer from the cache straight away and refresh the cached copy in the background
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    // Navigations with a query, such as the New Document shortcut, use the cached page
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = fetch(request).then(response => {
+        // Scripts from the CDN load without CORS, so their responses are opaque
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    try {
+        return await refresh;
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const page = await cache.match('/index.html');
+            if (page) {
+                return page;
+            }
+        }
+        throw error;
+    }
+}
+
+// Tell open pages that queued AI results arrived, even when only some of them did
+async function notifyOutboxClients() {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage({ type: OUTBOX_MESSAGE }));
+}
+
+// Ask an open page for its session, token and provider settings; null when no page answers in time
+async function requestClientCredentials() {
+    const [client] = await self.clients.matchAll({ type: 'window' });
+    if (!client) {
+        return null;
+    }
+
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), CREDENTIALS_TIMEOUT_MS);
+        channel.port1.onmessage = event => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+        client.postMessage({ type: OUTBOX_CREDENTIALS_REQUEST }, [channel.port2]);
+    });
+}
+
+// A rejected promise makes the browser try the sync again later
+function replayOutboxOnSync(event) {
+    return replayOutbox({ lastChance: event.lastChance, getCredentials: requestClientCredentials })
+        .finally(notifyOutboxClients);
+}
 
 // Install event - cache resources
 self.addEventListener('install', event => {
@@ -16,29 +132,31 @@ self.addEventListener('install', event => {
         caches.open(CACHE_NAME)
             .then(cache => {
                 console.log('MarkdownGPT: Cache opened');
-                return cache.addAll(urlsToCache);
+                // Without the CDN libraries the app still works offline, only without code highlighting
+                const cdn = cache.addAll(cdnUrlsToCache).catch(error => {
+                    console.warn('MarkdownGPT: CDN assets not cached:', error);
+                });
+                return Promise.all([cache.addAll(urlsToCache), cdn]);
             })
+            .then(() => self.skipWaiting())
             .catch(error => {
                 console.error('MarkdownGPT: Cache installation failed:', error);
             })
     );
 });
 
-// Fetch event - serve from cache when offline
+// Fetch event - serve the app from the cache, leave API calls to the network
 self.addEventListener('fetch', event => {
-    event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                // Return cached version or fetch from network
-                return response || fetch(event.request);
-            })
-            .catch(() => {
-                // Return offline page for navigation requests
-                if (event.request.destination === 'document') {
-                    return caches.match('/index.html');
-                }
-            })
-    );
+    if (cacheStrategy(event.request, self.location.origin) === 'cache') {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// Sync event - send the AI requests queued while offline
+self.addEventListener('sync', event => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replayOutboxOnSync(event));
+    }
 });
 
 // Activate event - clean up old caches
@@ -53,6 +171,18 @@ self.addEventListener('activate', event => {
                     }
                 })
             );
-        })
+        }).then(() => self.clients.claim())
     );
 });
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CACHE_NAME,
+        urlsToCache,
+        cdnUrlsToCache,
+        cacheStrategy,
+        staleWhileRevalidate,
+        requestClientCredentials,
+        replayOutboxOnSync
+    };
+}
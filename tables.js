@@ -0,0 +1,528 @@
+// Table editor
+// GFM tables are edited as text. The table around the cursor is parsed into its header, alignments and rows,
+// changed, and written back with every column padded to the same width, with the cursor kept in its cell.
+// Tab and Enter move between cells, and comma- or tab-separated text converts to a table.
+
+/* global editor, CONFIG, createModal, setEditorContent, insertPastedMarkdown, showNotification, logError */
+
+const TABLE_ALIGNMENTS = ['left', 'center', 'right'];
+const TABLE_DELIMITER_CELL_PATTERN = /^:?-+:?$/;
+const TABLE_NUMBER_PATTERN = /^[-+]?[$€£¥]?\d[\d,]*(?:\.\d+)?%?$/;
+const TABLE_EDIT_LABELS = {
+    addRow: 'Add table row',
+    removeRow: 'Remove table row',
+    addColumn: 'Add table column',
+    removeColumn: 'Remove table column',
+    align: 'Align table'
+};
+
+// Where each cell of a row sits in the line: the text between the pipes, and the content without its padding
+function tableCellRanges(line) {
+    const segments = [];
+    let start = 0;
+    for (let index = 0; index <= line.length; index++) {
+        if (line[index] === '\\') {
+            index++;
+        } else if (index >= line.length || line[index] === '|') {
+            segments.push({ start, end: Math.min(index, line.length) });
+            start = index + 1;
+        }
+    }
+
+    // The outer pipes leave empty segments at either end
+    if (segments.length > 1 && /^\s*\|/.test(line)) {
+        segments.shift();
+    }
+    if (segments.length > 1 && /[^\\]\|\s*$/.test(line)) {
+        segments.pop();
+    }
+
+    return segments.map(({ start: from, end: to }) => {
+        const raw = line.slice(from, to);
+        if (!raw.trim()) {
+            // An empty cell is typed into after the space that follows its pipe
+            const caret = from + Math.min(1, raw.length);
+            return { start: from, end: to, contentStart: caret, contentEnd: caret };
+        }
+        const contentStart = from + (raw.length - raw.trimStart().length);
+        const contentEnd = to - (raw.length - raw.trimEnd().length);
+        return { start: from, end: to, contentStart, contentEnd };
+    });
+}
+
+// Cell contents of a row, with escaped pipes left escaped so they survive being written back
+function splitTableCells(line) {
+    return tableCellRanges(line).map(range => line.slice(range.contentStart, range.contentEnd));
+}
+
+function isTableDelimiterRow(line) {
+    return line.includes('-') && splitTableCells(line).every(cell => TABLE_DELIMITER_CELL_PATTERN.test(cell));
+}
+
+function parseAlignment(cell) {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) {
+        return 'center';
+    }
+    return right ? 'right' : left ? 'left' : null;
+}
+
+// Every row gets as many cells as the longest one, so no text is lost when rows disagree
+function normalizeTable(table) {
+    const columns = Math.max(1, table.header.length, ...table.rows.map(row => row.length));
+    const fill = (cells, value) => Array.from({ length: columns }, (_, index) => cells[index] ?? value);
+    return {
+        header: fill(table.header, ''),
+        alignments: fill(table.alignments, null),
+        rows: table.rows.map(row => fill(row, ''))
+    };
+}
+
+function parseTableLines(lines) {
+    return normalizeTable({
+        header: splitTableCells(lines[0]),
+        alignments: splitTableCells(lines[1]).map(parseAlignment),
+        rows: lines.slice(2).map(splitTableCells)
+    });
+}
+
+function tableCellWidth(cell) {
+    return Array.from(cell).length;
+}
+
+function padTableCell(cell, width, alignment) {
+    const space = width - tableCellWidth(cell);
+    if (alignment === 'right') {
+        return ' '.repeat(space) + cell;
+    }
+    if (alignment === 'center') {
+        const left = Math.floor(space / 2);
+        return ' '.repeat(left) + cell + ' '.repeat(space - left);
+    }
+    return cell + ' '.repeat(space);
+}
+
+// The table as Markdown, every column padded to its widest cell
+function formatTable(table) {
+    const widths = table.header.map((cell, index) => Math.max(3, tableCellWidth(cell),
+        ...table.rows.map(row => tableCellWidth(row[index]))));
+    const formatRow = cells => `| ${cells.map((cell, index) =>
+        padTableCell(cell, widths[index], table.alignments[index])).join(' | ')} |`;
+    const delimiter = widths.map((width, index) => {
+        const alignment = table.alignments[index];
+        const dashes = '-'.repeat(width - (alignment === 'center' ? 2 : alignment ? 1 : 0));
+        if (alignment === 'center') {
+            return `:${dashes}:`;
+        }
+        return alignment === 'right' ? `${dashes}:` : alignment === 'left' ? `:${dashes}` : dashes;
+    });
+    return [formatRow(table.header), `| ${delimiter.join(' | ')} |`, ...table.rows.map(formatRow)].join('\n');
+}
+
+// A new table with numbered column headings and empty body rows
+function createTable(rows, columns, alignment = null) {
+    return {
+        header: Array.from({ length: columns }, (_, index) => `Column ${index + 1}`),
+        alignments: Array(columns).fill(TABLE_ALIGNMENTS.includes(alignment) ? alignment : null),
+        rows: Array.from({ length: rows }, () => Array(columns).fill(''))
+    };
+}
+
+// The table around a position, and the cell the position is in. Row 0 is the header, which the delimiter row
+// also counts as; body rows follow from 1.
+function findTable(text, position) {
+    const lines = text.split('\n');
+    const caretLine = text.slice(0, position).split('\n').length - 1;
+    const isRow = index => index >= 0 && index < lines.length && lines[index].trim() !== '' &&
+        lines[index].includes('|');
+    if (!isRow(caretLine)) {
+        return null;
+    }
+
+    let first = caretLine;
+    let last = caretLine;
+    while (isRow(first - 1)) {
+        first--;
+    }
+    while (isRow(last + 1)) {
+        last++;
+    }
+    if (first === last || !isTableDelimiterRow(lines[first + 1]) ||
+        splitTableCells(lines[first]).length !== splitTableCells(lines[first + 1]).length) {
+        return null;
+    }
+
+    const from = lines.slice(0, first).reduce((total, line) => total + line.length + 1, 0);
+    const tableLines = lines.slice(first, last + 1);
+    const line = caretLine - first;
+    const lineStart = from + tableLines.slice(0, line).reduce((total, current) => total + current.length + 1, 0);
+    const column = position - lineStart;
+    const ranges = tableCellRanges(tableLines[line]);
+    let cell = ranges.findIndex(range => column <= range.end);
+    cell = cell === -1 ? ranges.length - 1 : cell;
+    const range = ranges[cell];
+
+    return {
+        from,
+        to: from + tableLines.join('\n').length,
+        table: parseTableLines(tableLines),
+        line,
+        row: line === 0 ? 0 : Math.max(0, line - 1),
+        column: cell,
+        offset: Math.min(Math.max(column - range.contentStart, 0), range.contentEnd - range.contentStart),
+        // Spaces typed after the cell's text, which padding would remove
+        trailing: column > range.contentEnd
+    };
+}
+
+// Offsets of a cell's content within formatted table text; line is the table line, the delimiter row included
+function tableCellOffsets(formatted, line, column) {
+    const lines = formatted.split('\n');
+    const lineStart = lines.slice(0, line).reduce((total, current) => total + current.length + 1, 0);
+    const range = tableCellRanges(lines[line])[column];
+    return { start: lineStart + range.contentStart, end: lineStart + range.contentEnd };
+}
+
+// Write a changed table back and select a cell, or put the cursor at an offset in it
+function rewriteTable(text, found, table, row, column, offset = null) {
+    const formatted = formatTable(table);
+    const line = offset !== null && row === found.row && found.line === 1 ? 1 : row === 0 ? 0 : row + 1;
+    const cell = tableCellOffsets(formatted, line, column);
+    const caret = offset === null ? null : Math.min(cell.start + offset, cell.end);
+    return {
+        value: text.slice(0, found.from) + formatted + text.slice(found.to),
+        selectionStart: found.from + (caret ?? cell.start),
+        selectionEnd: found.from + (caret ?? cell.end)
+    };
+}
+
+// Add or remove the row or column at a position, or just re-pad the table. Returns null when there is no
+// table there or the change would leave it without a header or a column.
+function applyTableEdit(text, position, edit) {
+    const found = findTable(text, position);
+    if (!found) {
+        return null;
+    }
+    const { table, row, column } = found;
+    const columns = table.header.length;
+
+    switch (edit) {
+    case 'addRow':
+        table.rows.splice(row, 0, Array(columns).fill(''));
+        return rewriteTable(text, found, table, row + 1, column);
+    case 'removeRow':
+        if (row === 0) {
+            return null;
+        }
+        table.rows.splice(row - 1, 1);
+        return rewriteTable(text, found, table, Math.min(row, table.rows.length), column);
+    case 'addColumn':
+        table.header.splice(column + 1, 0, '');
+        table.alignments.splice(column + 1, 0, null);
+        table.rows.forEach(cells => cells.splice(column + 1, 0, ''));
+        return rewriteTable(text, found, table, row, column + 1);
+    case 'removeColumn':
+        if (columns === 1) {
+            return null;
+        }
+        table.header.splice(column, 1);
+        table.alignments.splice(column, 1);
+        table.rows.forEach(cells => cells.splice(column, 1));
+        return rewriteTable(text, found, table, row, Math.min(column, columns - 2));
+    case 'align':
+        return rewriteTable(text, found, table, row, column, found.offset);
+    default:
+        throw new Error(`Unknown table edit: ${edit}`);
+    }
+}
+
+// Move to the next or previous cell, or down a row, adding a row past the end. Enter on an empty last row
+// removes it and leaves the table.
+function moveTableCell(text, position, direction) {
+    const found = findTable(text, position);
+    if (!found) {
+        return null;
+    }
+    const { table } = found;
+    const columns = table.header.length;
+    let { row, column } = found;
+
+    const lastRow = table.rows[table.rows.length - 1];
+    if (direction === 'down' && row > 0 && row === table.rows.length && lastRow.every(cell => !cell)) {
+        table.rows.pop();
+        const formatted = formatTable(table);
+        const caret = found.from + formatted.length + 2;
+        return {
+            value: text.slice(0, found.from) + formatted + '\n\n' + text.slice(found.to).replace(/^\n/, ''),
+            selectionStart: caret,
+            selectionEnd: caret,
+            added: false
+        };
+    }
+
+    if (direction === 'next') {
+        column++;
+        if (column === columns) {
+            column = 0;
+            row++;
+        }
+    } else if (direction === 'previous') {
+        column--;
+        if (column < 0) {
+            column = row === 0 ? 0 : columns - 1;
+            row = Math.max(row - 1, 0);
+        }
+    } else {
+        row++;
+    }
+
+    const added = row > table.rows.length;
+    if (added) {
+        table.rows.push(Array(columns).fill(''));
+    }
+    return { ...rewriteTable(text, found, table, row, column), added };
+}
+
+// Rows of comma-, semicolon- or tab-separated text, quoted fields included, or null when it is not that
+function parseDelimitedText(text) {
+    const source = text.replace(/\r\n?/g, '\n').replace(/^\n+|\n+$/g, '');
+    const firstLine = source.split('\n')[0];
+    const delimiter = ['\t', ',', ';'].find(candidate => firstLine.includes(candidate));
+    if (!delimiter) {
+        return null;
+    }
+
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && !cell.trim()) {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n') {
+            cells.push(cell);
+            rows.push(cells);
+            cells = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    rows.push(cells);
+
+    const filled = rows.filter(row => row.some(value => value.trim()));
+    if (quoted || !filled.length || Math.max(...filled.map(row => row.length)) < 2) {
+        return null;
+    }
+    return filled;
+}
+
+// A padded table from comma- or tab-separated text; the first row is the header, and number columns align right
+function delimitedTextToTable(text) {
+    const rows = parseDelimitedText(text);
+    if (!rows) {
+        return null;
+    }
+
+    const cells = rows.map(row => row.map(value => value.trim().replace(/\n/g, '<br>').replace(/\|/g, '\\|')));
+    const table = normalizeTable({ header: cells[0], alignments: [], rows: cells.slice(1) });
+    table.alignments = table.header.map((_, index) => {
+        const values = table.rows.map(row => row[index]).filter(Boolean);
+        return values.length && values.every(value => TABLE_NUMBER_PATTERN.test(value)) ? 'right' : null;
+    });
+    return formatTable(table);
+}
+
+// Table editor UI
+
+function applyTableResult(result, label) {
+    if (result.value.length > CONFIG.MAX_DOCUMENT_LENGTH) {
+        showNotification('⚠️ Text would exceed character limit', 'warning');
+        return;
+    }
+    editor.focus();
+    if (result.value === editor.value) {
+        editor.setSelectionRange(result.selectionStart, result.selectionEnd);
+        return;
+    }
+    setEditorContent(result.value, label, {
+        selectionStart: result.selectionStart,
+        selectionEnd: result.selectionEnd
+    });
+}
+
+function editTableAtCaret(edit) {
+    if (!findTable(editor.value, editor.selectionStart)) {
+        showNotification('⚠️ Put the cursor in a table first', 'warning');
+        return;
+    }
+    const result = applyTableEdit(editor.value, editor.selectionStart, edit);
+    if (!result) {
+        showNotification(edit === 'removeRow'
+            ? '⚠️ The header row cannot be removed'
+            : '⚠️ A table needs at least one column', 'warning');
+        return;
+    }
+    applyTableResult(result, TABLE_EDIT_LABELS[edit]);
+}
+
+// The selection, or the paragraph around the cursor, converted from CSV or TSV
+function convertDelimitedToTable() {
+    const text = editor.value;
+    let start = editor.selectionStart;
+    let end = editor.selectionEnd;
+    if (start === end) {
+        const blankBefore = text.lastIndexOf('\n\n', start - 1);
+        const blankAfter = text.indexOf('\n\n', end);
+        start = blankBefore === -1 ? 0 : blankBefore + 2;
+        end = blankAfter === -1 ? text.length : blankAfter;
+    }
+
+    const table = delimitedTextToTable(text.slice(start, end));
+    if (!table) {
+        showNotification('⚠️ No comma- or tab-separated text to convert', 'warning');
+        return;
+    }
+    const trailing = text.slice(start, end).match(/\n*$/)[0];
+    applyTableResult({
+        value: text.slice(0, start) + table + trailing + text.slice(end),
+        selectionStart: start,
+        selectionEnd: start
+    }, 'Convert to table');
+}
+
+function openInsertTableDialog() {
+    const modal = createModal('▦ Insert table', 'table-modal');
+    modal.body.innerHTML = `
+        <form class="table-form" novalidate>
+            <div class="setting-item setting-field">
+                <label for="tableRows">Rows</label>
+                <input type="number" id="tableRows" name="rows" min="1" max="100" value="2">
+            </div>
+            <div class="setting-item setting-field">
+                <label for="tableColumns">Columns</label>
+                <input type="number" id="tableColumns" name="columns" min="1" max="20" value="3">
+            </div>
+            <div class="setting-item setting-field">
+                <label for="tableAlignment">Alignment</label>
+                <select id="tableAlignment" name="alignment">
+                    <option value="">Default</option>
+                    <option value="left">Left</option>
+                    <option value="center">Center</option>
+                    <option value="right">Right</option>
+                </select>
+            </div>
+        </form>`;
+    modal.footer.innerHTML = `
+        <button class="btn secondary" type="button" data-action="cancel">Cancel</button>
+        <button class="btn" type="button" data-action="insert">▦ Insert</button>`;
+
+    const form = modal.body.querySelector('form');
+    const readCount = (input, max) => Math.min(Math.max(parseInt(input.value, 10) || 1, 1), max);
+    const insert = () => {
+        try {
+            const table = formatTable(createTable(readCount(form.elements.rows, 100),
+                readCount(form.elements.columns, 20), form.elements.alignment.value || null));
+            const start = editor.selectionStart;
+            const result = insertPastedMarkdown(editor.value, start, editor.selectionEnd, table);
+            const tableStart = result.value.indexOf(table, start);
+            const heading = tableCellOffsets(table, 0, 0);
+            modal.close();
+            applyTableResult({
+                value: result.value,
+                selectionStart: tableStart + heading.start,
+                selectionEnd: tableStart + heading.end
+            }, 'Insert table');
+        } catch (error) {
+            logError('Table insertion failed', error);
+            showNotification('❌ Failed to insert table', 'error');
+        }
+    };
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        insert();
+    });
+    modal.footer.addEventListener('click', event => {
+        const action = event.target.dataset.action;
+        if (action === 'cancel') {
+            modal.close();
+        } else if (action === 'insert') {
+            insert();
+        }
+    });
+    form.elements.rows.focus();
+}
+
+// Tab and Shift+Tab move between cells and Enter moves down a row; outside a table the keys work as usual
+function handleTableKey(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) {
+        return;
+    }
+    let direction = null;
+    if (event.key === 'Tab') {
+        direction = event.shiftKey ? 'previous' : 'next';
+    } else if (event.key === 'Enter' && !event.shiftKey) {
+        direction = 'down';
+    }
+    if (!direction) {
+        return;
+    }
+
+    const result = moveTableCell(editor.value, editor.selectionStart, direction);
+    if (result) {
+        event.preventDefault();
+        applyTableResult(result, result.added ? 'Add table row' : 'Align table');
+    }
+}
+
+// Columns are re-padded as you type, unless the cursor is after spaces the padding would remove
+function handleTableInput(event) {
+    if (!event.isTrusted || event.isComposing || editor.selectionStart !== editor.selectionEnd) {
+        return;
+    }
+    const found = findTable(editor.value, editor.selectionStart);
+    if (!found || found.trailing) {
+        return;
+    }
+    const result = applyTableEdit(editor.value, editor.selectionStart, 'align');
+    if (result && result.value !== editor.value) {
+        // Part of the typing, so it shares the typing's undo step
+        editor.value = result.value;
+        editor.setSelectionRange(result.selectionStart, result.selectionEnd);
+    }
+}
+
+function setupTableEditor() {
+    editor.addEventListener('keydown', handleTableKey);
+    editor.addEventListener('input', handleTableInput);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        splitTableCells,
+        formatTable,
+        createTable,
+        findTable,
+        applyTableEdit,
+        moveTableCell,
+        parseDelimitedText,
+        delimitedTextToTable
+    };
+}
@@ -0,0 +1,55 @@
+/**
+ * Tests for autosave snapshots and crash recovery
+ */
+
+const {
+    createSessionSnapshot,
+    readSessionSnapshot,
+    writeSessionSnapshot,
+    needsRecovery
+} = require('../autosave.js');
+
+describe('Autosave', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('createSessionSnapshot records content, cursor and scroll position', () => {
+        const snapshot = createSessionSnapshot({
+            documentId: 'doc_1',
+            content: 'Hello',
+            selectionStart: 2,
+            selectionEnd: 4,
+            scrollTop: 120
+        }, 1000);
+
+        expect(snapshot).toEqual({
+            documentId: 'doc_1',
+            content: 'Hello',
+            selectionStart: 2,
+            selectionEnd: 4,
+            scrollTop: 120,
+            savedAt: 1000,
+            clean: false
+        });
+    });
+
+    test('snapshots round-trip through storage and corrupt data is ignored', () => {
+        const snapshot = createSessionSnapshot({ content: 'draft' });
+        writeSessionSnapshot(snapshot);
+        expect(readSessionSnapshot()).toEqual(snapshot);
+
+        localStorage.setItem('markdowngpt.session', '{not json');
+        expect(readSessionSnapshot()).toBeNull();
+    });
+
+    test('needsRecovery only when an unclean session has unsaved text', () => {
+        const crashed = createSessionSnapshot({ content: 'unsaved draft' });
+
+        expect(needsRecovery(crashed, 'older text')).toBe(true);
+        expect(needsRecovery(crashed, 'unsaved draft')).toBe(false);
+        expect(needsRecovery({ ...crashed, clean: true }, 'older text')).toBe(false);
+        expect(needsRecovery({ ...crashed, content: '   ' }, 'older text')).toBe(false);
+        expect(needsRecovery(null, '')).toBe(false);
+    });
+});
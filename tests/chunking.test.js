@@ -0,0 +1,115 @@
+/**
+ * Tests for section-aware chunked processing
+ */
+
+const {
+    splitIntoChunks,
+    buildDocumentContext,
+    buildChunkPrompt,
+    processInChunks
+} = require('../chunking.js');
+
+const longDocument = [
+    '# Guide',
+    '',
+    'Intro paragraph. '.repeat(10).trim(),
+    '',
+    '## Setup',
+    '',
+    'Install the tools. '.repeat(12).trim(),
+    '',
+    '```bash',
+    'npm install',
+    '',
+    'npm test',
+    '```',
+    '',
+    '## Usage',
+    '',
+    'Run it. '.repeat(40).trim()
+].join('\n');
+
+describe('Chunked processing', () => {
+    test('splitIntoChunks keeps every chunk under the limit and preserves order', () => {
+        const chunks = splitIntoChunks(longDocument, 250);
+
+        expect(chunks.length).toBeGreaterThan(2);
+        chunks.forEach((chunk, index) => {
+            expect(chunk.index).toBe(index);
+            expect(chunk.text.length).toBeLessThanOrEqual(250);
+        });
+        expect(chunks[0].text.startsWith('# Guide')).toBe(true);
+        expect(chunks[chunks.length - 1].text.endsWith('Run it.')).toBe(true);
+    });
+
+    test('splitIntoChunks starts new chunks at headings and never splits a code fence', () => {
+        const chunks = splitIntoChunks(longDocument, 250);
+        const fenceChunk = chunks.find(chunk => chunk.text.includes('```bash'));
+
+        expect(fenceChunk.text).toContain('npm install\n\nnpm test\n```');
+        expect(chunks.some(chunk => chunk.text.startsWith('## Usage'))).toBe(true);
+    });
+
+    test('splitIntoChunks splits a long list between its items, keeping the line breaks', () => {
+        const items = Array.from({ length: 40 }, (_, i) => `- list item number ${i} with some words`);
+        const chunks = splitIntoChunks(`# T\n\n${items.join('\n')}`, 300);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => {
+            expect(chunk.text.length).toBeLessThanOrEqual(300);
+            chunk.text.replace(/^# T\n\n/, '').split('\n')
+                .forEach(line => expect(items).toContain(line));
+        });
+        expect(chunks.map(chunk => chunk.text).join('\n').replace(/^# T\n\n/, '')).toBe(items.join('\n'));
+    });
+
+    test('splitIntoChunks cuts a long code fence between lines and closes it in every chunk', () => {
+        const code = Array.from({ length: 40 }, (_, i) => `const x${i} = foo.bar(${i});`);
+        const chunks = splitIntoChunks(`Intro.\n\n\`\`\`js\n${code.join('\n')}\n\`\`\``, 200);
+
+        const fenced = chunks.filter(chunk => chunk.text.includes('const x'));
+        expect(fenced.length).toBeGreaterThan(1);
+        fenced.forEach(chunk => {
+            expect(chunk.text.length).toBeLessThanOrEqual(200);
+            expect(chunk.text).toMatch(/(^|\n)```js\n(const x\d+ = foo\.bar\(\d+\);\n)+```$/);
+        });
+        const lines = fenced.flatMap(chunk => chunk.text.split('\n').filter(line => line.startsWith('const')));
+        expect(lines).toEqual(code);
+    });
+
+    test('short text stays in a single chunk', () => {
+        expect(splitIntoChunks('Just one line.', 1000)).toEqual([{ index: 0, text: 'Just one line.' }]);
+    });
+
+    test('buildDocumentContext finds the title and outline outside code fences', () => {
+        const context = buildDocumentContext('```\n# not a heading\n```\n# Real Title\n## Section');
+
+        expect(context.title).toBe('Real Title');
+        expect(context.outline).toEqual(['# Real Title', '## Section']);
+    });
+
+    test('buildChunkPrompt shares context and position with each chunk', () => {
+        const prompt = buildChunkPrompt('Make it a tutorial.', { title: 'Guide', outline: ['# Guide'] },
+            { index: 1 }, 3, 'previous ending');
+
+        expect(prompt).toContain('Make it a tutorial.');
+        expect(prompt).toContain('part 2 of 3');
+        expect(prompt).toContain('Do not add a new introduction');
+        expect(prompt).toContain('Do not add a conclusion');
+        expect(prompt).toContain('previous ending');
+    });
+
+    test('processInChunks processes chunks in order and stitches the results', async () => {
+        const progress = [];
+        const processChunk = jest.fn(async (text, prompt, chunk) => `[${chunk.index}]`);
+
+        const result = await processInChunks(longDocument, 'Prompt', 250, processChunk,
+            (index, total) => progress.push(`${index + 1}/${total}`));
+
+        const total = processChunk.mock.calls.length;
+        expect(result).toBe(Array.from({ length: total }, (_, i) => `[${i}]`).join('\n\n'));
+        expect(progress[0]).toBe(`1/${total}`);
+        expect(progress).toHaveLength(total);
+        expect(processChunk.mock.calls[1][1]).toContain('The previous part ended with:\n[0]');
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for keyboard shortcuts and command search
+ */
+
+const {
+    normalizeShortcut,
+    shortcutFromEvent,
+    formatShortcut,
+    resolveShortcuts,
+    assignShortcut,
+    shortcutOverrides,
+    fuzzyScore,
+    searchCommands,
+    openShortcutSettings
+} = require('../commands.js');
+
+const commands = [
+    { id: 'format.bold', title: 'Bold', category: 'Format', shortcut: 'Mod+B' },
+    { id: 'format.link', title: 'Link', category: 'Format', shortcut: 'Mod+K' },
+    { id: 'export.pdf', title: 'PDF (print)', category: 'Export' },
+    { id: 'export.docx', title: 'Word (.docx)', category: 'Export' },
+    { id: 'view.palette', title: 'Command palette', category: 'View', shortcut: 'Mod+Shift+P' }
+];
+
+describe('keyboard shortcuts', () => {
+    test('normalizes written shortcuts', () => {
+        expect(normalizeShortcut('ctrl+shift+p')).toBe('Mod+Shift+P');
+        expect(normalizeShortcut('Shift + Cmd + k')).toBe('Mod+Shift+K');
+        expect(normalizeShortcut('Alt+Up')).toBe('Alt+ArrowUp');
+        expect(normalizeShortcut('f2')).toBe('F2');
+        expect(normalizeShortcut('Ctrl++')).toBe('Mod++');
+        expect(normalizeShortcut('Hyper+X')).toBeNull();
+        expect(normalizeShortcut('')).toBeNull();
+    });
+
+    test('reads shortcuts from key events by physical key', () => {
+        expect(shortcutFromEvent({ key: 'b', code: 'KeyB', ctrlKey: true })).toBe('Mod+B');
+        expect(shortcutFromEvent({ key: 'P', code: 'KeyP', metaKey: true, shiftKey: true })).toBe('Mod+Shift+P');
+        expect(shortcutFromEvent({ key: '∫', code: 'KeyB', altKey: true })).toBe('Alt+B');
+        expect(shortcutFromEvent({ key: 'F2', code: 'F2' })).toBe('F2');
+        // The layout decides the letter: Z on AZERTY sits where W is on QWERTY, and Dvorak's K where T is
+        expect(shortcutFromEvent({ key: 'z', code: 'KeyW', ctrlKey: true })).toBe('Mod+Z');
+        expect(shortcutFromEvent({ key: 'k', code: 'KeyT', metaKey: true })).toBe('Mod+K');
+        // Characters that are not ASCII letters or digits fall back to the physical key
+        expect(shortcutFromEvent({ key: '!', code: 'Digit1', ctrlKey: true, shiftKey: true })).toBe('Mod+Shift+1');
+        expect(shortcutFromEvent({ key: 'и', code: 'KeyB', ctrlKey: true })).toBe('Mod+B');
+        // Typing and lone modifiers are not shortcuts
+        expect(shortcutFromEvent({ key: 'b', code: 'KeyB' })).toBeNull();
+        expect(shortcutFromEvent({ key: 'B', code: 'KeyB', shiftKey: true })).toBeNull();
+        expect(shortcutFromEvent({ key: 'Control', code: 'ControlLeft', ctrlKey: true })).toBeNull();
+    });
+
+    test('formats shortcuts for the platform', () => {
+        expect(formatShortcut('Mod+Shift+P')).toBe('Ctrl+Shift+P');
+        expect(formatShortcut('Mod+Alt+K', true)).toBe('⌘⌥K');
+        expect(formatShortcut(null)).toBe('');
+    });
+
+    test('applies saved changes over the defaults', () => {
+        expect(resolveShortcuts(commands, { 'export.pdf': 'ctrl+k', 'view.palette': null, unknown: 'Mod+U' })).toEqual({
+            'format.bold': 'Mod+B',
+            'format.link': null,
+            'export.pdf': 'Mod+K',
+            'export.docx': null,
+            'view.palette': null
+        });
+    });
+
+    test('moves a shortcut to its new command and saves only the changes', () => {
+        const defaults = resolveShortcuts(commands);
+        const result = assignShortcut(defaults, 'export.docx', 'Mod+B');
+        expect(result.previousOwner).toBe('format.bold');
+        expect(result.shortcuts['export.docx']).toBe('Mod+B');
+        expect(result.shortcuts['format.bold']).toBeNull();
+        expect(shortcutOverrides(commands, result.shortcuts)).toEqual({ 'format.bold': null, 'export.docx': 'Mod+B' });
+        expect(assignShortcut(defaults, 'format.link', null)).toEqual({
+            shortcuts: { ...defaults, 'format.link': null },
+            previousOwner: null
+        });
+    });
+});
+
+describe('command search', () => {
+    test('scores ordered, consecutive and word-start matches higher', () => {
+        expect(fuzzyScore('xyz', 'Bold')).toBeNull();
+        expect(fuzzyScore('', 'Bold')).toBe(0);
+        expect(fuzzyScore('pal', 'Command palette')).toBeGreaterThan(fuzzyScore('pal', 'Open a local file'));
+        expect(fuzzyScore('cp', 'Command palette')).toBeGreaterThan(fuzzyScore('cp', 'Inline script'));
+    });
+
+    test('lists every command for an empty query and the best matches first', () => {
+        expect(searchCommands(commands, '  ')).toEqual(commands);
+        expect(searchCommands(commands, 'pdf').map(command => command.id)).toEqual(['export.pdf']);
+        expect(searchCommands(commands, 'export word').map(command => command.id)).toEqual(['export.docx']);
+        expect(searchCommands(commands, 'b')[0].id).toBe('format.bold');
+    });
+});
+
+describe('shortcut dialog', () => {
+    // Stand-in for script.js's createModal
+    function createModal() {
+        const overlay = document.createElement('div');
+        overlay.innerHTML = '<div class="modal-body"></div><div class="modal-footer"></div>';
+        document.body.appendChild(overlay);
+        const modal = {
+            overlay,
+            body: overlay.firstChild,
+            footer: overlay.lastChild,
+            onClose: null,
+            close() {
+                overlay.remove();
+                if (modal.onClose) {
+                    modal.onClose();
+                }
+            }
+        };
+        return modal;
+    }
+
+    test('stops listening for keys when it closes while recording', () => {
+        Object.assign(global, {
+            createModal,
+            listFormats: () => [],
+            escapeHtml: text => String(text),
+            showNotification: jest.fn(),
+            logError: jest.fn()
+        });
+
+        openShortcutSettings();
+        document.querySelector('.shortcut-key[data-command-id="format.bold"]').click();
+        document.querySelector('[data-action="done"]').click();
+
+        const key = new KeyboardEvent('keydown', { key: 'Backspace', bubbles: true, cancelable: true });
+        document.body.dispatchEvent(key);
+        expect(key.defaultPrevented).toBe(false);
+        expect(localStorage.getItem('markdowngpt.shortcuts')).toBeNull();
+    });
+});
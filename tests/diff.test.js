@@ -0,0 +1,59 @@
+/**
+ * Tests for the AI result review diff
+ */
+
+global.escapeHtml = require('../utils.js').escapeHtml;
+
+const {
+    diffSequences,
+    computeHunks,
+    applyHunks,
+    diffWords,
+    renderWordDiff
+} = require('../diff.js');
+
+// Replay the operations to recover both sides of the diff
+const sides = ops => ({
+    before: ops.filter(op => op.type !== 'insert').map(op => op.value),
+    after: ops.filter(op => op.type !== 'delete').map(op => op.value)
+});
+
+describe('Review diff', () => {
+    test('diffSequences produces a minimal edit script that reproduces both inputs', () => {
+        const a = 'kitten'.split('');
+        const b = 'sitting'.split('');
+        const ops = diffSequences(a, b);
+
+        expect(sides(ops)).toEqual({ before: a, after: b });
+        expect(ops.filter(op => op.type !== 'equal')).toHaveLength(5);
+    });
+
+    test('computeHunks groups changed lines between unchanged runs', () => {
+        const segments = computeHunks('a\nb\nc\nd', 'a\nB\nc\nd\ne');
+
+        expect(segments).toEqual([
+            { type: 'equal', lines: ['a'] },
+            { type: 'change', id: 0, removed: ['b'], added: ['B'] },
+            { type: 'equal', lines: ['c', 'd'] },
+            { type: 'change', id: 1, removed: [], added: ['e'] }
+        ]);
+    });
+
+    test('applyHunks accepts all, none or individual hunks', () => {
+        const original = 'Title\nold intro\nbody\nold end';
+        const proposed = '# Title\nold intro\nbody\nnew end';
+        const segments = computeHunks(original, proposed);
+
+        expect(applyHunks(segments, [0, 1])).toBe(proposed);
+        expect(applyHunks(segments, [])).toBe(original);
+        expect(applyHunks(segments, [1])).toBe('Title\nold intro\nbody\nnew end');
+    });
+
+    test('word diff highlights only the changed words', () => {
+        const ops = diffWords('The quick fox', 'The slow fox');
+
+        expect(renderWordDiff(ops, 'old')).toBe('The <del>quick</del> fox');
+        expect(renderWordDiff(ops, 'new')).toBe('The <ins>slow</ins> fox');
+        expect(renderWordDiff(diffWords('<b>', '<i>'), 'new')).toBe('&lt;<ins>i</ins>&gt;');
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the multi-document workspace records
+ */
+
+const {
+    createDocumentRecord,
+    normalizeDocumentRecord,
+    uniqueDocumentTitle,
+    duplicateDocumentRecord,
+    sortDocuments,
+    formatRelativeTime
+} = require('../documents.js');
+
+describe('Document workspace', () => {
+    test('createDocumentRecord stores content, format and timestamps', () => {
+        const record = createDocumentRecord({ title: 'Notes', content: '# Hi', format: 'tutorial' }, 1000);
+
+        expect(record).toMatchObject({
+            title: 'Notes',
+            content: '# Hi',
+            format: 'tutorial',
+            createdAt: 1000,
+            updatedAt: 1000,
+            schemaVersion: 1
+        });
+        expect(record.id).toMatch(/^doc_/);
+        expect(createDocumentRecord().id).not.toBe(record.id);
+    });
+
+    test('normalizeDocumentRecord fills fields missing from older records', () => {
+        const record = normalizeDocumentRecord({ id: 'doc_1', content: 'text', updatedAt: 5 });
+
+        expect(record).toMatchObject({ id: 'doc_1', title: 'Untitled document', format: null, createdAt: 5, updatedAt: 5 });
+    });
+
+    test('uniqueDocumentTitle numbers copies', () => {
+        expect(uniqueDocumentTitle('Notes', ['Other'])).toBe('Notes');
+        expect(uniqueDocumentTitle('Notes', ['Notes'])).toBe('Notes (copy)');
+        expect(uniqueDocumentTitle('Notes (copy)', ['Notes', 'Notes (copy)'])).toBe('Notes (copy 2)');
+    });
+
+    test('duplicateDocumentRecord copies content under a new id and title', () => {
+        const original = createDocumentRecord({ title: 'Draft', content: 'body', format: 'readme' }, 1);
+        const copy = duplicateDocumentRecord(original, ['Draft'], 50);
+
+        expect(copy.id).not.toBe(original.id);
+        expect(copy).toMatchObject({ title: 'Draft (copy)', content: 'body', format: 'readme', createdAt: 50 });
+    });
+
+    test('sortDocuments lists the most recently edited first', () => {
+        const sorted = sortDocuments([{ id: 'a', updatedAt: 1 }, { id: 'b', updatedAt: 3 }, { id: 'c', updatedAt: 2 }]);
+        expect(sorted.map(doc => doc.id)).toEqual(['b', 'c', 'a']);
+    });
+
+    test('formatRelativeTime describes recent edits', () => {
+        const now = 10 * 60 * 60 * 1000;
+        expect(formatRelativeTime(now - 10000, now)).toBe('just now');
+        expect(formatRelativeTime(now - 5 * 60000, now)).toBe('5 min ago');
+        expect(formatRelativeTime(now - 3 * 3600000, now)).toBe('3 h ago');
+    });
+});
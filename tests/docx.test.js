@@ -0,0 +1,84 @@
+/**
+ * Tests for the Word (.docx) exporter
+ */
+
+global.parseMarkdown = require('../markdown.js').parseMarkdown;
+global.maskFrontMatter = require('../frontmatter.js').maskFrontMatter;
+
+const { escapeXml, buildDocxFiles } = require('../docx.js');
+
+const fileOf = (files, name) => files.find(file => file.name === name).data;
+const documentXml = (content, options) => fileOf(buildDocxFiles(content, options), 'word/document.xml');
+
+describe('DOCX export', () => {
+    test('builds every part of the package and declares its content types', () => {
+        const files = buildDocxFiles('# Title', { title: 'My & Title', date: new Date('2024-05-01T10:00:00Z') });
+
+        expect(files.map(file => file.name)).toEqual([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'docProps/core.xml',
+            'word/document.xml',
+            'word/_rels/document.xml.rels',
+            'word/styles.xml',
+            'word/numbering.xml'
+        ]);
+        expect(fileOf(files, '[Content_Types].xml')).toContain('PartName="/word/document.xml"');
+        expect(fileOf(files, 'docProps/core.xml')).toContain('<dc:title>My &amp; Title</dc:title>');
+        expect(fileOf(files, 'docProps/core.xml')).toContain('2024-05-01T10:00:00Z');
+    });
+
+    test('maps headings, quotes and code blocks to Word styles', () => {
+        const xml = documentXml('---\ntitle: Hidden\n---\n## Sub\n\n> Quoted\n\n```js\nif (a < b) {\n    go();\n}\n```');
+
+        expect(xml).not.toContain('Hidden');
+        expect(xml).toContain('<w:pStyle w:val="Heading2"/></w:pPr><w:r><w:t xml:space="preserve">Sub</w:t>');
+        expect(xml).toContain('<w:pStyle w:val="Quote"/>');
+        expect(xml).toContain('<w:pStyle w:val="HTMLPreformatted"/></w:pPr><w:r>' +
+            '<w:t xml:space="preserve">if (a &lt; b) {</w:t><w:br/><w:t xml:space="preserve">    go();</w:t>');
+    });
+
+    test('formats inline text and links only web addresses', () => {
+        const files = buildDocxFiles('**B** *I* ~~S~~ `c` [site](https://a.dev) [bad](javascript:x) ![pic](p.png)');
+        const xml = fileOf(files, 'word/document.xml');
+
+        expect(xml).toContain('<w:rPr><w:b/></w:rPr><w:t xml:space="preserve">B</w:t>');
+        expect(xml).toContain('<w:rPr><w:i/></w:rPr>');
+        expect(xml).toContain('<w:rPr><w:strike/></w:rPr>');
+        expect(xml).toContain('<w:rStyle w:val="HTMLCode"/>');
+        expect(xml).toContain('<w:hyperlink r:id="rIdLink1" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/>');
+        expect(xml.match(/<w:hyperlink/g)).toHaveLength(1);
+        expect(xml).toContain('<w:t xml:space="preserve">bad</w:t>');
+        expect(xml).toContain('<w:t xml:space="preserve">pic</w:t>');
+        expect(fileOf(files, 'word/_rels/document.xml.rels'))
+            .toContain('Id="rIdLink1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" ' +
+                'Target="https://a.dev" TargetMode="External"');
+    });
+
+    test('numbers lists by level and restarts each ordered list', () => {
+        const files = buildDocxFiles('- one\n  1. nested\n- [x] done\n\n3. three\n4. four');
+        const xml = fileOf(files, 'word/document.xml');
+        const numbering = fileOf(files, 'word/numbering.xml');
+
+        expect(xml).toContain('<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>');
+        expect(xml).toContain('<w:numPr><w:ilvl w:val="1"/><w:numId w:val="2"/></w:numPr>');
+        expect(xml).toContain('☒ ');
+        expect(numbering).toContain('<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>');
+        expect(numbering).toContain('<w:num w:numId="3"><w:abstractNumId w:val="1"/>' +
+            '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="3"/></w:lvlOverride></w:num>');
+    });
+
+    test('writes tables with a repeating bold header row and column alignment', () => {
+        const xml = documentXml('| Name | Count |\n|:--|--:|\n| a | 1 |');
+
+        expect(xml).toContain('<w:tblStyle w:val="TableGrid"/>');
+        expect(xml).toContain('<w:trPr><w:tblHeader/></w:trPr>');
+        expect(xml).toContain('<w:rPr><w:b/></w:rPr><w:t xml:space="preserve">Name</w:t>');
+        expect(xml).toContain('<w:jc w:val="right"/></w:pPr><w:r><w:t xml:space="preserve">1</w:t>');
+        expect(xml.match(/<w:tc>/g)).toHaveLength(4);
+    });
+
+    test('escapes XML and drops characters XML cannot hold', () => {
+        expect(escapeXml('a < b & "c"\u0001')).toBe('a &lt; b &amp; &quot;c&quot;');
+    });
+});
@@ -58,7 +58,7 @@ test.describe('MarkdownGPT E2E Tests', () => {
     await editor.fill(testText);
     
     // Check if character counter updates
-    await expect(charCounter).toContainText(`${testText.length}/1000`);
+    await expect(charCounter).toContainText(`${testText.length}/50000`);
   });
 
   test('should update stats display', async ({ page }) => {
@@ -128,8 +128,8 @@ test.describe('MarkdownGPT E2E Tests', () => {
     const editor = page.locator('#editor');
     const charCounter = page.locator('#charCounter');
     
-    // Create text that exceeds the limit
-    const longText = 'a'.repeat(1001);
+    // Create text that exceeds the document limit
+    const longText = 'a'.repeat(50001);
     await editor.fill(longText);
     
     // Check if character counter shows warning
@@ -0,0 +1,153 @@
+/**
+ * Tests for toggling toolbar formats and indenting list items
+ */
+
+const {
+    toggleInlineMarkers,
+    toggleCodeFence,
+    toggleLinePrefix,
+    renumberOrderedLists,
+    indentListItems,
+    formatSelection
+} = require('../editing.js');
+
+describe('inline formats', () => {
+    test('wraps the selection and keeps it selected', () => {
+        expect(toggleInlineMarkers('say hi now', 4, 6, '**', '**', 'Bold text')).toEqual({
+            value: 'say **hi** now', selectionStart: 6, selectionEnd: 8, removed: false
+        });
+    });
+
+    test('inserts a selected placeholder when nothing is selected', () => {
+        expect(toggleInlineMarkers('ab', 1, 1, '`', '`', 'code')).toEqual({
+            value: 'a`code`b', selectionStart: 2, selectionEnd: 6, removed: false
+        });
+    });
+
+    test('removes markers around or inside the selection', () => {
+        expect(toggleInlineMarkers('say **hi** now', 6, 8, '**', '**', 'Bold text')).toMatchObject({
+            value: 'say hi now', selectionStart: 4, selectionEnd: 6, removed: true
+        });
+        expect(toggleInlineMarkers('say **hi** now', 4, 10, '**', '**', 'Bold text')).toMatchObject({
+            value: 'say hi now', selectionStart: 4, selectionEnd: 6, removed: true
+        });
+    });
+
+    test('tells italic and bold markers apart', () => {
+        // Bold text is not italic, so italic is added
+        expect(toggleInlineMarkers('**hi**', 2, 4, '*', '*', 'Italic text').value).toBe('***hi***');
+        expect(toggleInlineMarkers('***hi***', 3, 5, '*', '*', 'Italic text').value).toBe('**hi**');
+        expect(toggleInlineMarkers('***hi***', 3, 5, '**', '**', 'Bold text').value).toBe('*hi*');
+    });
+});
+
+describe('code blocks', () => {
+    test('puts the fences on lines of their own', () => {
+        expect(toggleCodeFence('see x here', 4, 5, 'code block')).toMatchObject({
+            value: 'see \n```\nx\n```\n here', selectionStart: 9, selectionEnd: 10
+        });
+    });
+
+    test('uses a longer fence when the code contains backticks', () => {
+        expect(toggleCodeFence('a ``` b', 0, 7, 'code block').value).toBe('````\na ``` b\n````');
+    });
+
+    test('removes the fences from a selected block', () => {
+        expect(toggleCodeFence('```js\nx = 1\n```\nafter', 0, 15, 'code block')).toMatchObject({
+            value: 'x = 1\nafter', removed: true
+        });
+    });
+});
+
+describe('line formats', () => {
+    test('prefix every selected line, skipping blank lines in lists', () => {
+        expect(toggleLinePrefix('one\ntwo\n\nthree', 0, 14, '- ', 'List item')).toMatchObject({
+            value: '- one\n- two\n\n- three', selectionStart: 0, selectionEnd: 20
+        });
+    });
+
+    test('keep a multi-line quote as one quote', () => {
+        expect(toggleLinePrefix('a\n\nb', 0, 4, '> ', 'Quote text').value).toBe('> a\n>\n> b');
+    });
+
+    test('are removed when every line already has them', () => {
+        expect(toggleLinePrefix('> a\n>\n> b', 0, 9, '> ', 'Quote text').value).toBe('a\n\nb');
+        expect(toggleLinePrefix('- one\n- two', 0, 11, '- ', 'List item').value).toBe('one\ntwo');
+    });
+
+    test('leave out a line the selection only touches at its start', () => {
+        expect(toggleLinePrefix('a\nb', 0, 2, '- ', 'List item').value).toBe('- a\nb');
+    });
+
+    test('replace another heading level or list kind', () => {
+        expect(toggleLinePrefix('# Title', 3, 3, '## ', 'Heading')).toMatchObject({
+            value: '## Title', selectionStart: 4
+        });
+        expect(toggleLinePrefix('## Title', 3, 3, '## ', 'Heading').value).toBe('Title');
+        expect(toggleLinePrefix('- a\n  - b', 0, 9, '1. ', 'List item').value).toBe('1. a\n  1. b');
+    });
+
+    test('insert a selected placeholder on an empty line', () => {
+        expect(toggleLinePrefix('a\n\nb', 2, 2, '- ', 'List item')).toMatchObject({
+            value: 'a\n- List item\nb', selectionStart: 4, selectionEnd: 13
+        });
+    });
+
+    test('continue the numbering of the list above', () => {
+        expect(toggleLinePrefix('1. a\n2. b\nc\nd', 10, 13, '1. ', 'List item')).toMatchObject({
+            value: '1. a\n2. b\n3. c\n4. d', selectionStart: 10, selectionEnd: 19
+        });
+    });
+});
+
+describe('renumbering ordered lists', () => {
+    test('numbers items in order, keeping the first number of the outer list', () => {
+        expect(renumberOrderedLists('3. a\n3. b\n7) c')).toBe('3. a\n4. b\n5) c');
+    });
+
+    test('numbers nested lists from 1 and resumes the outer list after them', () => {
+        const text = '1. a\n   5. b\n   9. c\n1. d\n   - e\n1. f';
+        expect(renumberOrderedLists(text)).toBe('1. a\n   1. b\n   2. c\n2. d\n   - e\n3. f');
+    });
+
+    test('only touches the list around the given range', () => {
+        const text = '1. a\n1. b\n\ntext\n\n1. c\n1. d';
+        expect(renumberOrderedLists(text, 0, 4)).toBe('1. a\n2. b\n\ntext\n\n1. c\n1. d');
+    });
+});
+
+describe('indenting list items', () => {
+    test('nests an item under the text of the item above', () => {
+        expect(indentListItems('- a\n- b', 5, 5)).toMatchObject({
+            value: '- a\n  - b', selectionStart: 7, selectionEnd: 7
+        });
+        expect(indentListItems('1. a\n2. b\n3. c', 8, 8)).toMatchObject({
+            value: '1. a\n   1. b\n2. c', selectionStart: 11
+        });
+    });
+
+    test('brings an item out to the level of its parent', () => {
+        expect(indentListItems('1. a\n   1. b\n2. c', 9, 9, true)).toMatchObject({
+            value: '1. a\n2. b\n3. c', selectionStart: 6
+        });
+    });
+
+    test('moves every selected line by the same amount', () => {
+        expect(indentListItems('- a\n- b\n  more\n- c', 4, 15)).toMatchObject({
+            value: '- a\n  - b\n    more\n- c', selectionStart: 4, selectionEnd: 18
+        });
+    });
+
+    test('leaves lines that are not list items to the default Tab behaviour', () => {
+        expect(indentListItems('text', 1, 1)).toBeNull();
+        expect(indentListItems('- a', 1, 1, true).value).toBe('- a');
+    });
+});
+
+describe('formatSelection', () => {
+    test('picks the kind of format from the markers', () => {
+        expect(formatSelection('x', 0, 1, '### ', '', 'Heading').value).toBe('### x');
+        expect(formatSelection('x', 0, 1, '```\n', '\n```', 'code block').value).toBe('```\nx\n```');
+        expect(formatSelection('x', 0, 1, '*', '*', 'Italic text').value).toBe('*x*');
+    });
+});
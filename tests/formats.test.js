@@ -0,0 +1,83 @@
+/**
+ * Tests for the format registry
+ */
+
+const { buildThread, THREAD_SEPARATOR } = require('../thread.js');
+
+global.buildThread = buildThread;
+global.THREAD_SEPARATOR = THREAD_SEPARATOR;
+
+const {
+    GENERIC_ENRICHMENT,
+    BUILT_IN_FORMATS,
+    applyEnrichmentRules,
+    normalizeFormatDefinition,
+    parseFormatFile,
+    listFormats,
+    getFormat,
+    registerCustomFormats,
+    unregisterCustomFormat
+} = require('../formats.js');
+
+describe('Format registry', () => {
+    afterEach(() => {
+        listFormats().forEach(format => unregisterCustomFormat(format.id));
+    });
+
+    test('every built-in format is valid and has a prompt', () => {
+        BUILT_IN_FORMATS.forEach(format => {
+            expect(normalizeFormatDefinition(format).prompt).toBe(format.prompt);
+        });
+        expect(getFormat('tutorial').template).toContain('## Step 1: Setup');
+    });
+
+    test('generic enrichment tidies spacing and blank lines', () => {
+        expect(applyEnrichmentRules('One.Two\n\n\n\nThree', GENERIC_ENRICHMENT)).toBe('One. Two\n\nThree');
+    });
+
+    test('append rules respect unless and replace rules respect when', () => {
+        const linkedIn = getFormat('linkedin-post').enrich;
+        expect(applyEnrichmentRules('Post', linkedIn)).toContain('Share your experience in the comments');
+        expect(applyEnrichmentRules('Post. Share your thoughts', linkedIn)).toBe('Post. Share your thoughts');
+
+        const dailyDev = getFormat('dailydev-article').enrich;
+        expect(applyEnrichmentRules('A developer note:\n```\nconst a = 1;', dailyDev))
+            .toBe('A developer note:\n```javascript\nconst a = 1;');
+    });
+
+    test('thread rule numbers posts that fit the length limit', () => {
+        const text = `${'a'.repeat(200)}\n${'b'.repeat(200)}`;
+        const thread = applyEnrichmentRules(text, [{ type: 'thread', maxLength: 280 }]);
+
+        expect(thread.split('\n\n---\n\n')).toEqual([`1/2\n\n${'a'.repeat(200)}`, `2/2\n\n${'b'.repeat(200)}`]);
+    });
+
+    test('parseFormatFile validates definitions and fills defaults', () => {
+        const [format] = parseFormatFile(JSON.stringify({
+            formats: [{ id: 'release-notes', label: 'Release Notes', prompt: 'Write release notes.' }]
+        }));
+
+        expect(format).toMatchObject({ id: 'release-notes', icon: '📝', template: '', enrich: GENERIC_ENRICHMENT });
+        expect(() => parseFormatFile('{')).toThrow('Not a valid JSON file');
+        expect(() => parseFormatFile('[{"id":"x","label":"X"}]')).toThrow('Format "x" needs a prompt');
+        expect(() => parseFormatFile(JSON.stringify([{
+            id: 'x', label: 'X', prompt: 'p', enrich: [{ type: 'replace', pattern: '(', replacement: '' }]
+        }]))).toThrow('invalid pattern');
+    });
+
+    test('custom formats are added after built-ins and override built-ins with the same id', () => {
+        const result = registerCustomFormats(parseFormatFile(JSON.stringify([
+            { id: 'release-notes', label: 'Release Notes', prompt: 'Write release notes.' },
+            { id: 'tutorial', label: 'Workshop', prompt: 'Write a workshop.' }
+        ])));
+
+        expect(result).toEqual({ added: 1, replaced: 1 });
+        const ids = listFormats().map(format => format.id);
+        expect(ids.indexOf('tutorial')).toBe(BUILT_IN_FORMATS.findIndex(format => format.id === 'tutorial'));
+        expect(ids[ids.length - 1]).toBe('release-notes');
+        expect(getFormat('tutorial').label).toBe('Workshop');
+
+        unregisterCustomFormat('tutorial');
+        expect(getFormat('tutorial').label).toBe('Tutorial');
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the YAML front matter parser, serializer and platform presets
+ */
+
+const {
+    parseYaml,
+    stringifyYaml,
+    parseFrontMatter,
+    replaceFrontMatter,
+    maskFrontMatter,
+    detectFrontMatterPreset,
+    fitTagsToPreset,
+    readFrontMatterFields,
+    writeFrontMatterFields,
+    validateFrontMatterFields
+} = require('../frontmatter.js');
+
+describe('Front matter', () => {
+    test('parses the YAML used in front matter', () => {
+        const yaml = [
+            'title: "Hello: world" # the title',
+            'published: false',
+            'tags: [javascript, "web, dev"]',
+            'date: 2024-05-01',
+            'weight: 1.5',
+            'cover: ~',
+            'description: >',
+            '  Folded',
+            '  text',
+            'notes: |-',
+            '  line one',
+            '  line two',
+            'author:',
+            '  name: \'It\'\'s me\'',
+            'images:',
+            '- a.png',
+            '- src: b.png',
+            '  alt: B'
+        ].join('\n');
+
+        expect(parseYaml(yaml)).toEqual({
+            title: 'Hello: world',
+            published: false,
+            tags: ['javascript', 'web, dev'],
+            date: '2024-05-01',
+            weight: 1.5,
+            cover: null,
+            description: 'Folded text\n',
+            notes: 'line one\nline two',
+            author: { name: 'It\'s me' },
+            images: ['a.png', { src: 'b.png', alt: 'B' }]
+        });
+    });
+
+    test('reports invalid YAML with its line in the document', () => {
+        expect(() => parseFrontMatter('---\ntitle: ok\ntags: [a, b\n---\n')).toThrow('Front matter line 3: unclosed [');
+        expect(() => parseFrontMatter('---\ntitle: a\ntitle: b\n---\n')).toThrow('Front matter line 3: duplicate key "title"');
+        expect(() => parseFrontMatter('---\njust text\n---\n')).toThrow('Front matter line 2');
+    });
+
+    test('serializes values so they parse back unchanged', () => {
+        const data = {
+            title: 'Colons: and # hashes',
+            published: false,
+            tags: ['a', 'b c', 'd,e'],
+            version: '1.0',
+            empty: '',
+            canonical_url: null,
+            author: { name: 'Ann', links: [{ url: 'https://a.dev' }] }
+        };
+        const yaml = stringifyYaml(data);
+
+        expect(yaml).toContain('title: "Colons: and # hashes"');
+        expect(yaml).toContain('tags: [a, b c, "d,e"]');
+        expect(yaml).toContain('version: "1.0"');
+        expect(yaml).toContain('\ncanonical_url:\n');
+        expect(parseYaml(yaml)).toEqual(data);
+    });
+
+    test('only treats a leading --- block as front matter', () => {
+        const withRule = 'Intro\n\n---\n\nMore text\n\n---\n';
+        expect(parseFrontMatter(withRule)).toEqual({ data: {}, body: withRule, hasFrontMatter: false });
+        expect(replaceFrontMatter(withRule, { title: 'T' })).toBe(`---\ntitle: T\n---\n\n${withRule}`);
+
+        const content = '---\ntitle: Old\nlayout: post\n---\n\n# Body';
+        expect(replaceFrontMatter(content, { title: 'New' })).toBe('---\ntitle: New\n---\n\n# Body');
+        expect(replaceFrontMatter(content, {})).toBe('# Body');
+        expect(maskFrontMatter(content)).toBe('\n\n\n\n\n# Body');
+    });
+
+    test('maps form fields to each platform\'s keys and keeps unknown keys', () => {
+        const fields = {
+            title: 'Post',
+            description: 'About it',
+            tags: ['js', 'css'],
+            canonicalUrl: 'https://blog.dev/post',
+            coverImage: 'cover.png',
+            published: true
+        };
+        const now = new Date('2024-05-01T12:00:00Z');
+
+        expect(writeFrontMatterFields({ series: 'Basics' }, fields, 'hugo', { now })).toEqual({
+            series: 'Basics',
+            title: 'Post',
+            date: '2024-05-01',
+            draft: false,
+            description: 'About it',
+            tags: ['js', 'css'],
+            canonicalURL: 'https://blog.dev/post',
+            images: ['cover.png']
+        });
+        const hashnode = writeFrontMatterFields({}, fields, 'hashnode');
+        expect(hashnode).toMatchObject({ subtitle: 'About it', tags: 'js, css', cover: 'cover.png', saveAsDraft: false });
+        expect(readFrontMatterFields(hashnode, 'hashnode')).toEqual(fields);
+        expect(writeFrontMatterFields({}, fields, 'jekyll', { now })).toMatchObject({ layout: 'post', image: 'cover.png' });
+
+        // Switching platforms drops the old platform's keys
+        const devto = writeFrontMatterFields({ draft: true, canonicalURL: 'x', images: [] }, fields, 'devto', {
+            replacePreset: 'hugo'
+        });
+        expect(Object.keys(devto)).toEqual(['title', 'published', 'description', 'tags', 'canonical_url', 'cover_image']);
+    });
+
+    test('detects presets and enforces dev.to tag rules', () => {
+        expect(detectFrontMatterPreset({ title: 'a', draft: true })).toBe('hugo');
+        expect(detectFrontMatterPreset({ layout: 'post' })).toBe('jekyll');
+        expect(detectFrontMatterPreset({ saveAsDraft: false })).toBe('hashnode');
+        expect(detectFrontMatterPreset({ title: 'a' })).toBe('devto');
+
+        const fields = { title: 'T', tags: ['one', 'Two', 'web-dev', 'four', 'five'], canonicalUrl: 'blog.dev' };
+        expect(validateFrontMatterFields(fields, 'devto')).toEqual([
+            'dev.to allows 4 tags; this has 5',
+            'dev.to tags can only use lowercase letters and numbers: Two, web-dev',
+            'Canonical URL must start with http:// or https://'
+        ]);
+        expect(fitTagsToPreset(fields.tags, 'devto')).toEqual(['one', 'two', 'webdev', 'four']);
+        expect(validateFrontMatterFields({ title: '', tags: [] }, 'hugo')).toEqual(['Title is required']);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for the undo/redo edit history
+ */
+
+const { createEditHistory } = require('../history.js');
+
+describe('Edit history', () => {
+    test('undo and redo walk through recorded snapshots', () => {
+        const history = createEditHistory();
+        history.reset('a', 'Open document');
+        history.record('ab', 'Format: bold');
+        history.record('abc', 'AI: tutorial');
+
+        expect(history.undo().value).toBe('ab');
+        expect(history.undo().value).toBe('a');
+        expect(history.undo()).toBeNull();
+        expect(history.redo().label).toBe('Format: bold');
+        expect(history.canRedo()).toBe(true);
+    });
+
+    test('recording after an undo drops the redo branch', () => {
+        const history = createEditHistory();
+        history.reset('a', 'Open document');
+        history.record('ab', 'Typing');
+        history.undo();
+        history.record('ax', 'Template: blog');
+
+        expect(history.entries.map(entry => entry.value)).toEqual(['a', 'ax']);
+        expect(history.canRedo()).toBe(false);
+    });
+
+    test('unchanged values are not recorded', () => {
+        const history = createEditHistory();
+        history.reset('a', 'Open document');
+
+        expect(history.record('a', 'Typing')).toBe(false);
+        expect(history.entries).toHaveLength(1);
+    });
+
+    test('quick typing merges into one entry but other labels do not', () => {
+        const history = createEditHistory();
+        history.reset('', 'Open document');
+        history.record('h', 'Typing', {}, { mergeWithin: 1000 });
+        history.record('hi', 'Typing', { selectionStart: 2, selectionEnd: 2 }, { mergeWithin: 1000 });
+        history.record('hi!', 'Format: bold', {}, { mergeWithin: 1000 });
+
+        expect(history.entries.map(entry => entry.value)).toEqual(['', 'hi', 'hi!']);
+        expect(history.entries[1].selectionStart).toBe(2);
+    });
+
+    test('jumpTo restores any earlier point and the limit drops the oldest entries', () => {
+        const history = createEditHistory(3);
+        history.reset('1', 'Open document');
+        history.record('2', 'Typing');
+        history.record('3', 'Typing');
+        history.record('4', 'Clear');
+
+        expect(history.entries.map(entry => entry.value)).toEqual(['2', '3', '4']);
+        expect(history.jumpTo(0).value).toBe('2');
+        expect(history.jumpTo(5)).toBeNull();
+        expect(history.current().value).toBe('2');
+    });
+});
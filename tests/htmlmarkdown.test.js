@@ -0,0 +1,73 @@
+/**
+ * Tests for the HTML to Markdown converter
+ */
+
+const { escapeMarkdownText, htmlToMarkdown } = require('../htmlmarkdown.js');
+
+describe('HTML to Markdown', () => {
+    test('converts headings, paragraphs and inline formatting', () => {
+        const html = '<h1>Title</h1><p>Some <strong>bold</strong>, <em>italic</em> and <del>old</del> text<br>next line</p>' +
+            '<h3>  Spaced\n heading </h3><hr>';
+        expect(htmlToMarkdown(html)).toBe(
+            '# Title\n\nSome **bold**, *italic* and ~~old~~ text  \nnext line\n\n### Spaced heading\n\n---');
+    });
+
+    test('moves spaces outside emphasis markers', () => {
+        expect(htmlToMarkdown('<p>a<b> bold </b>b</p>')).toBe('a **bold** b');
+    });
+
+    test('converts nested, ordered and task lists', () => {
+        const html = '<ul><li>One<ul><li>Nested</li></ul></li><li>Two</li></ul>' +
+            '<ol start="3"><li>Three</li><li>Four</li></ol>' +
+            '<ul><li><input type="checkbox" checked> Done</li><li><input type="checkbox"> Todo</li></ul>';
+        expect(htmlToMarkdown(html)).toBe(
+            '- One\n  - Nested\n- Two\n\n3. Three\n4. Four\n\n- [x] Done\n- [ ] Todo');
+    });
+
+    test('separates the items of loose lists with blank lines', () => {
+        expect(htmlToMarkdown('<ol><li><p>First</p><p>More</p></li><li><p>Second</p></li></ol>')).toBe(
+            '1. First\n\n   More\n\n2. Second');
+    });
+
+    test('converts code blocks with their language and inline code', () => {
+        const html = '<pre><code class="language-js">const a = `x`;\n</code></pre><p>Run <code>npm test</code> or <code>a`b</code></p>' +
+            '<pre>```\nfenced\n```</pre>';
+        expect(htmlToMarkdown(html)).toBe(
+            '```js\nconst a = `x`;\n```\n\nRun `npm test` or ``a`b``\n\n````\n```\nfenced\n```\n````');
+    });
+
+    test('converts links and images, dropping unsafe URLs', () => {
+        const html = '<p><a href="https://example.com/a" title="Site">Example</a> <a href="https://example.com">' +
+            'https://example.com</a> <a href="javascript:alert(1)">bad</a> <a href="docs/read me.md">doc</a> ' +
+            '<img src="/cat.png" alt="A cat"></p>';
+        expect(htmlToMarkdown(html)).toBe(
+            '[Example](https://example.com/a "Site") <https://example.com> bad [doc](<docs/read me.md>) ![A cat](/cat.png)');
+    });
+
+    test('converts tables with a header row, alignment and escaped pipes', () => {
+        const html = '<table><thead><tr><th>Name</th><th align="right">Count</th><th style="text-align:center">Mid</th></tr>' +
+            '</thead><tbody><tr><td>a | b</td><td>10</td></tr></tbody></table>';
+        expect(htmlToMarkdown(html)).toBe([
+            '| Name   | Count | Mid |',
+            '| ------ | ----: | :-: |',
+            '| a \\| b | 10    |     |'
+        ].join('\n'));
+    });
+
+    test('quotes blockquotes and skips scripts, styles and the head', () => {
+        const html = '<html><head><title>T</title><style>p{}</style></head><body>' +
+            '<blockquote><p>Quoted</p><p>Again</p></blockquote><script>alert(1)</script></body></html>';
+        expect(htmlToMarkdown(html)).toBe('> Quoted\n>\n> Again');
+    });
+
+    test('keeps Markdown punctuation in text as text', () => {
+        expect(escapeMarkdownText('a *b* [c] snake_case _x_ <div> 1 < 2')).toBe(
+            'a \\*b\\* \\[c\\] snake_case \\_x\\_ \\<div> 1 < 2');
+        expect(htmlToMarkdown('<p># not a heading</p><p>- not a list</p><p>1. not a list</p>')).toBe(
+            '\\# not a heading\n\n\\- not a list\n\n1\\. not a list');
+    });
+
+    test('wraps loose inline content of a container in paragraphs', () => {
+        expect(htmlToMarkdown('<div>Intro <b>text</b><p>Para</p>tail</div>')).toBe('Intro **text**\n\nPara\n\ntail');
+    });
+});
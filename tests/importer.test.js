@@ -0,0 +1,35 @@
+/**
+ * Tests for importing Markdown, text and HTML files
+ */
+
+Object.assign(global, require('../htmlmarkdown.js'));
+
+const { importFileKind, convertImportedFile } = require('../importer.js');
+
+describe('file import', () => {
+    test('recognises files by extension, then by type', () => {
+        expect(importFileKind('post.md')).toBe('markdown');
+        expect(importFileKind('NOTES.TXT')).toBe('text');
+        expect(importFileKind('page.htm')).toBe('html');
+        expect(importFileKind('export', 'text/html; charset=utf-8')).toBe('html');
+        expect(importFileKind('photo.png', 'image/png')).toBeNull();
+    });
+
+    test('keeps Markdown as it is, front matter included', () => {
+        const text = '\uFEFF---\r\ntitle: Hello\r\ntags: [a, b]\r\n---\r\n# Hello\r\n\r\nBody *text*\r\n';
+        expect(convertImportedFile('hello-world.md', text)).toEqual({
+            title: 'hello-world',
+            content: '---\ntitle: Hello\ntags: [a, b]\n---\n# Hello\n\nBody *text*\n'
+        });
+    });
+
+    test('converts HTML and takes its title', () => {
+        const html = '<!DOCTYPE html><html><head><title> Release notes </title></head>' +
+            '<body><h2>Fixes</h2><ul><li>One</li></ul></body></html>';
+        expect(convertImportedFile('notes.html', html)).toEqual({
+            title: 'Release notes',
+            content: '## Fixes\n\n- One\n'
+        });
+        expect(convertImportedFile('page.html', '<p>Hi</p>').title).toBe('page');
+    });
+});
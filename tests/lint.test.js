@@ -0,0 +1,89 @@
+/**
+ * Tests for the Markdown linter rules and fixes
+ */
+
+global.parseMarkdown = require('../markdown.js').parseMarkdown;
+global.maskFrontMatter = require('../frontmatter.js').maskFrontMatter;
+const { lintMarkdown, applyLintFix, applyLintFixes } = require('../lint.js');
+
+const rulesOf = problems => problems.map(problem => [problem.rule, problem.line]);
+
+describe('Markdown linter', () => {
+    test('reports skipped heading levels and extra H1s', () => {
+        const problems = lintMarkdown('# Title\n\n### Deep\n\n## Back\n\n# Again');
+        expect(rulesOf(problems)).toEqual([
+            ['heading-increment', 2],
+            ['single-h1', 6]
+        ]);
+        expect(problems[0].message).toBe('Heading jumps from H1 to H3');
+        expect(problems[0].fix).toBeNull();
+    });
+
+    test('closes an unclosed code fence at the end of its block', () => {
+        const content = '# Code\n\n> ```js\n> const a = 1;';
+        const [problem] = lintMarkdown(content);
+        expect(problem.rule).toBe('unclosed-fence');
+        expect(applyLintFix(content, problem.fix)).toBe('# Code\n\n> ```js\n> const a = 1;\n> ```');
+        expect(lintMarkdown(applyLintFix(content, problem.fix))).toEqual([]);
+    });
+
+    test('reports list markers that differ from the first one used', () => {
+        const content = '- one\n- two\n\n* three\n  + nested';
+        const problems = lintMarkdown(content);
+        expect(rulesOf(problems)).toEqual([
+            ['list-marker-style', 3],
+            ['list-marker-style', 4]
+        ]);
+        expect(applyLintFixes(content, problems)).toBe('- one\n- two\n\n- three\n  - nested');
+    });
+
+    test('reports trailing whitespace outside code, but allows hard line breaks', () => {
+        const content = 'Line break  \nnext\ntrailing \t\n\n```\ncode   \n```';
+        const problems = lintMarkdown(content);
+        expect(rulesOf(problems)).toEqual([['trailing-whitespace', 2]]);
+        expect(applyLintFix(content, problems[0].fix)).toBe('Line break  \nnext\ntrailing\n\n```\ncode   \n```');
+    });
+
+    test('keeps two spaces where extra trailing whitespace makes a line break', () => {
+        const content = 'Line break    \nnext  \n\n- item\t  \n  more\n\nlast line  \n# Heading';
+        const problems = lintMarkdown(content);
+        expect(rulesOf(problems)).toEqual([
+            ['trailing-whitespace', 0],
+            ['trailing-whitespace', 1],
+            ['trailing-whitespace', 3],
+            ['trailing-whitespace', 6]
+        ]);
+        expect(problems.map(problem => problem.fix.label)).toEqual([
+            'Keep a two-space line break',
+            'Remove trailing whitespace',
+            'Keep a two-space line break',
+            'Remove trailing whitespace'
+        ]);
+        expect(applyLintFixes(content, problems)).toBe('Line break  \nnext\n\n- item  \n  more\n\nlast line\n# Heading');
+    });
+
+    test('wraps bare URLs but leaves links and code alone', () => {
+        const content = 'See https://example.com and [https://a.dev](https://a.dev), `https://code.dev` or www.site.com';
+        const problems = lintMarkdown(content);
+        expect(problems.map(problem => problem.message)).toEqual([
+            'Bare URL https://example.com',
+            'Bare URL www.site.com'
+        ]);
+        expect(problems[1].fix).toBeNull();
+        expect(applyLintFixes(content, problems))
+            .toBe('See <https://example.com> and [https://a.dev](https://a.dev), `https://code.dev` or www.site.com');
+    });
+
+    test('reports images without alt text at their position', () => {
+        const problems = lintMarkdown('Intro\n\n![Logo](a.png) and ![](b.png)');
+        expect(problems).toEqual([
+            expect.objectContaining({ rule: 'image-alt', line: 2, column: 19, fix: null })
+        ]);
+    });
+
+    test('skips disabled rules and returns nothing for clean documents', () => {
+        expect(lintMarkdown('# Title\n\nSome text.\n\n- a\n- b\n')).toEqual([]);
+        expect(lintMarkdown('trailing ', { disabledRules: ['trailing-whitespace'] })).toEqual([]);
+        expect(lintMarkdown('---\ntitle: A\ncanonical_url: https://a.dev\n---\n# Title\n')).toEqual([]);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for the built-in GFM renderer
+ */
+
+const { parseMarkdown, parseInline, renderMarkdown } = require('../markdown.js');
+
+describe('Built-in Markdown renderer', () => {
+    test('renders headings with marked-style ids', () => {
+        expect(renderMarkdown('# Hello, World!\n\n## Hello, World!\n\nSetext\n---'))
+            .toBe('<h1 id="hello-world">Hello, World!</h1>\n' +
+                '<h2 id="hello-world-1">Hello, World!</h2>\n' +
+                '<h2 id="setext">Setext</h2>\n');
+    });
+
+    test('keeps paragraph lines together unless breaks is set', () => {
+        expect(renderMarkdown('one\ntwo\n\nthree')).toBe('<p>one\ntwo</p>\n<p>three</p>\n');
+        expect(renderMarkdown('one\ntwo', { breaks: true })).toBe('<p>one<br>two</p>\n');
+        expect(renderMarkdown('hard  \nbreak')).toBe('<p>hard<br>break</p>\n');
+    });
+
+    test('renders inline emphasis, code, strikethrough and escapes', () => {
+        expect(renderMarkdown('**bold** *em* ***both*** ~~gone~~ `a < b` snake_case_name \\*literal\\*'))
+            .toBe('<p><strong>bold</strong> <em>em</em> <em><strong>both</strong></em> <del>gone</del> ' +
+                '<code>a &lt; b</code> snake_case_name *literal*</p>\n');
+    });
+
+    test('renders nested, ordered and task lists', () => {
+        expect(renderMarkdown('- a\n  - b\n    1. c\n- [x] done\n\n3. three\n4. four'))
+            .toBe('<ul>\n<li>a<ul>\n<li>b<ol>\n<li>c</li>\n</ol>\n</li>\n</ul>\n</li>\n' +
+                '<li><input checked="" disabled="" type="checkbox"> done</li>\n</ul>\n' +
+                '<ol start="3">\n<li>three</li>\n<li>four</li>\n</ol>\n');
+    });
+
+    test('wraps the items of loose lists in paragraphs', () => {
+        expect(renderMarkdown('- a\n\n- b')).toBe('<ul>\n<li><p>a</p>\n</li>\n<li><p>b</p>\n</li>\n</ul>\n');
+    });
+
+    test('renders links, reference links, images and bare URLs', () => {
+        const markdown = '[site](https://example.com "Home") [ref] ![logo](logo.png) see https://example.com/a.\n\n' +
+            '[ref]: https://ref.example';
+        expect(renderMarkdown(markdown)).toBe('<p><a href="https://example.com" title="Home">site</a> ' +
+            '<a href="https://ref.example">ref</a> <img src="logo.png" alt="logo"> ' +
+            'see <a href="https://example.com/a">https://example.com/a</a>.</p>\n');
+    });
+
+    test('renders fenced code with highlighting and escapes it otherwise', () => {
+        const markdown = '```js\nif (a < b) {}\n```';
+        expect(renderMarkdown(markdown))
+            .toBe('<pre><code class="language-js">if (a &lt; b) {}\n</code></pre>\n');
+        expect(renderMarkdown(markdown, { highlight: (code, lang) => `<span>${lang}</span>` }))
+            .toBe('<pre><code class="language-js"><span>js</span>\n</code></pre>\n');
+        expect(renderMarkdown('    indented\n    code')).toBe('<pre><code>indented\ncode\n</code></pre>\n');
+    });
+
+    test('renders GFM tables with alignment', () => {
+        expect(renderMarkdown('| Name | Qty |\n|:-----|----:|\n| a \\| b | 1 |'))
+            .toBe('<table>\n<thead>\n<tr>\n<th align="left">Name</th>\n<th align="right">Qty</th>\n</tr>\n</thead>\n' +
+                '<tbody><tr>\n<td align="left">a | b</td>\n<td align="right">1</td>\n</tr>\n</tbody></table>\n');
+    });
+
+    test('renders blockquotes, rules and raw HTML blocks', () => {
+        expect(renderMarkdown('> quoted\nlazy\n\n---\n\n<div>\n*raw*\n</div>'))
+            .toBe('<blockquote>\n<p>quoted\nlazy</p>\n</blockquote>\n<hr>\n<div>\n*raw*\n</div>\n');
+    });
+
+    test('records source lines on block tokens', () => {
+        const { tokens } = parseMarkdown('# Title\n\nText\n\n- a\n- b\n\n```\ncode\n```');
+        expect(tokens.map(token => [token.type, token.line, token.endLine])).toEqual([
+            ['heading', 0, 0],
+            ['paragraph', 2, 2],
+            ['list', 4, 5],
+            ['code', 7, 9]
+        ]);
+        expect(tokens[2].items.map(item => item.line)).toEqual([4, 5]);
+        expect(renderMarkdown('Text', { sourceLines: true })).toBe('<p data-source-line="0">Text</p>\n');
+    });
+
+    test('parses inline Markdown into a node tree', () => {
+        expect(parseInline('a **b [c](d)**')).toEqual([
+            { type: 'text', text: 'a ' },
+            {
+                type: 'strong',
+                children: [
+                    { type: 'text', text: 'b ' },
+                    { type: 'link', href: 'd', title: null, children: [{ type: 'text', text: 'c' }] }
+                ]
+            }
+        ]);
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for the AI request outbox
+ */
+
+const { buildAIPayload } = require('../providers.js');
+const { processInChunks } = require('../chunking.js');
+const {
+    isNetworkError,
+    createOutboxEntry,
+    summarizeOutbox,
+    outboxButtonLabel,
+    sendOutboxEntry,
+    replayOutbox
+} = require('../outbox.js');
+
+// Loaded before outbox.js in the page and the service worker
+Object.assign(global, { buildAIPayload, processInChunks });
+
+const CONFIG = { primary: 'cloudflare', stream: true, retryAttempts: 3, githubModels: { token: 'ghp_secret' } };
+const CREDENTIALS = { sessionId: 'session_1', token: 'jwt', config: CONFIG };
+const getCredentials = jest.fn(async () => CREDENTIALS);
+
+function entry(overrides = {}, now = 1000) {
+    return {
+        ...createOutboxEntry({
+            documentId: 'doc_1',
+            format: 'tutorial',
+            prompt: 'Tidy up',
+            content: 'Some text',
+            sessionId: 'session_1',
+            token: 'jwt',
+            config: CONFIG,
+            maxTextLength: 1000
+        }, now),
+        ...overrides
+    };
+}
+
+// Stand-in for the IndexedDB helpers in storage.js, holding the outbox records by id
+function setupStore(records) {
+    const store = new Map(records.map(record => [record.id, record]));
+    global.getAllRecords = jest.fn(async () => [...store.values()]);
+    global.putRecord = jest.fn(async (storeName, record) => store.set(record.id, record));
+    return store;
+}
+
+describe('outbox entries', () => {
+    test('keep the request, but no session, token or provider settings', () => {
+        const queued = entry();
+        expect(queued).toMatchObject({
+            documentId: 'doc_1',
+            label: 'tutorial',
+            prompt: 'Tidy up',
+            content: 'Some text',
+            status: 'pending',
+            attempts: 0,
+            createdAt: 1000
+        });
+        expect(queued.id).toMatch(/^req_/);
+        expect(queued).not.toHaveProperty('sessionId');
+        expect(queued).not.toHaveProperty('token');
+        expect(queued).not.toHaveProperty('config');
+        expect(JSON.stringify(queued)).not.toMatch(/jwt|ghp_secret/);
+    });
+
+    test('tell network failures from other errors', () => {
+        expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+        expect(isNetworkError(new TypeError('NetworkError when attempting to fetch resource.'))).toBe(true);
+        expect(isNetworkError(new TypeError('Load failed'))).toBe(true);
+        expect(isNetworkError(new Error('HTTP 401: Unauthorized'))).toBe(false);
+        expect(isNetworkError(new TypeError('Cannot read properties of undefined'))).toBe(false);
+        expect(isNetworkError(null)).toBe(false);
+    });
+
+    test('leave timeouts and errors from a reachable server out of the queue', () => {
+        expect(isNetworkError(new Error('Gateway timeout'))).toBe(false);
+        expect(isNetworkError(new Error('HTTP 504: Gateway Timeout'))).toBe(false);
+        expect(isNetworkError(new Error('Processing timeout after 30 seconds'))).toBe(false);
+        expect(isNetworkError(new Error('Network provider returned an error'))).toBe(false);
+    });
+});
+
+describe('outbox summary', () => {
+    const entries = [
+        entry({ id: 'b', status: 'ready', createdAt: 3 }),
+        entry({ id: 'a', status: 'failed', createdAt: 2 }),
+        entry({ id: 'c', status: 'ready', documentId: 'doc_2' }),
+        entry({ id: 'd', documentId: 'doc_2' })
+    ];
+
+    test('lists the results for the open document, oldest first', () => {
+        const summary = summarizeOutbox(entries, 'doc_1');
+        expect(summary.pending).toBe(1);
+        expect(summary.ready.map(item => item.id)).toEqual(['a', 'b']);
+        expect(summary.elsewhere).toEqual(['doc_2']);
+    });
+
+    test('labels the toolbar button by what needs attention first', () => {
+        expect(outboxButtonLabel(summarizeOutbox(entries, 'doc_1'))).toBe('🤖 2 AI suggestions');
+        expect(outboxButtonLabel(summarizeOutbox(entries, 'doc_2'))).toBe('🤖 1 AI suggestion');
+        expect(outboxButtonLabel(summarizeOutbox(entries.slice(0, 3), 'doc_3')))
+            .toBe('🤖 Suggestions in other documents');
+        expect(outboxButtonLabel(summarizeOutbox([entry()], 'doc_1'))).toBe('📮 1 queued');
+        expect(outboxButtonLabel(summarizeOutbox([], 'doc_1'))).toBeNull();
+    });
+});
+
+describe('replaying the outbox', () => {
+    test('sends long texts section by section, with the given credentials and without streaming', async () => {
+        global.runAIRequest = jest.fn(async payload => ({
+            processedText: payload.text.toUpperCase(),
+            provider: 'ollama'
+        }));
+        const content = '# One\n\nfirst part\n\n# Two\n\nsecond part';
+
+        const result = await sendOutboxEntry(entry({ content, maxTextLength: 20 }), CREDENTIALS);
+        expect(result).toEqual({
+            processedText: '# ONE\n\nFIRST PART\n\n# TWO\n\nSECOND PART',
+            provider: 'ollama'
+        });
+        expect(global.runAIRequest).toHaveBeenCalledTimes(2);
+        const [payload, config] = global.runAIRequest.mock.calls[0];
+        expect(payload).toMatchObject({ sessionId: 'session_1', token: 'jwt' });
+        expect(config).toEqual({ ...CONFIG, stream: false });
+        expect(CONFIG.stream).toBe(true);
+    });
+
+    test('stores results and marks rejected requests failed', async () => {
+        const store = setupStore([
+            entry({ id: 'ok' }, 1),
+            entry({ id: 'bad' }, 2),
+            entry({ id: 'done', status: 'ready' })
+        ]);
+        global.runAIRequest = jest.fn()
+            .mockResolvedValueOnce({ processedText: 'Better text', provider: 'cloudflare' })
+            .mockRejectedValueOnce(new Error('HTTP 401: Unauthorized'));
+
+        expect(await replayOutbox({ getCredentials })).toEqual({ sent: 1, failed: 1, pending: 0 });
+        expect(store.get('ok')).toMatchObject({ status: 'ready', result: 'Better text', provider: 'cloudflare' });
+        expect(store.get('bad')).toMatchObject({ status: 'failed', error: 'HTTP 401: Unauthorized', attempts: 1 });
+        expect(global.runAIRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('keeps requests pending without a network, and rejects so the sync runs again', async () => {
+        const store = setupStore([entry({ id: 'first' }, 1), entry({ id: 'second' }, 2)]);
+        global.runAIRequest = jest.fn(async () => {
+            throw new TypeError('Failed to fetch');
+        });
+
+        await expect(replayOutbox({ getCredentials })).rejects.toThrow('Failed to fetch');
+        expect(store.get('first')).toMatchObject({ status: 'pending', attempts: 1 });
+        expect(store.get('second').attempts).toBe(0);
+
+        expect(await replayOutbox({ lastChance: true, getCredentials })).toEqual({ sent: 0, failed: 0, pending: 2 });
+        expect(store.get('first')).toMatchObject({ status: 'pending', attempts: 2 });
+    });
+
+    test('keeps requests pending while no page can give the credentials', async () => {
+        const store = setupStore([entry({ id: 'first' })]);
+        global.runAIRequest = jest.fn();
+        const noPage = jest.fn(async () => null);
+
+        await expect(replayOutbox({ getCredentials: noPage })).rejects.toThrow('wait for the app');
+        expect(await replayOutbox({ lastChance: true, getCredentials: noPage }))
+            .toEqual({ sent: 0, failed: 0, pending: 1 });
+        expect(store.get('first')).toMatchObject({ status: 'pending', attempts: 0 });
+        expect(global.runAIRequest).not.toHaveBeenCalled();
+    });
+
+    test('only asks for credentials when something is pending', async () => {
+        setupStore([entry({ status: 'ready' })]);
+        const credentials = jest.fn(async () => CREDENTIALS);
+
+        expect(await replayOutbox({ getCredentials: credentials })).toEqual({ sent: 0, failed: 0, pending: 0 });
+        expect(credentials).not.toHaveBeenCalled();
+    });
+
+    test('runs one replay at a time', async () => {
+        setupStore([entry()]);
+        global.runAIRequest = jest.fn(async () => ({ processedText: 'x', provider: 'cloudflare' }));
+
+        const [first, second] = [replayOutbox({ getCredentials }), replayOutbox({ getCredentials })];
+        expect(first).toBe(second);
+        await first;
+        expect(global.runAIRequest).toHaveBeenCalledTimes(1);
+    });
+});
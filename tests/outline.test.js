@@ -0,0 +1,44 @@
+/**
+ * Tests for the document outline and table of contents
+ */
+
+global.createSlugger = require('../markdown.js').createSlugger;
+global.escapeHtml = require('../utils.js').escapeHtml;
+
+const { htmlToText, addHeadingIds, renderTableOfContents } = require('../outline.js');
+
+describe('Document outline', () => {
+    test('reads heading text without tags or entities', () => {
+        expect(htmlToText('Tom &amp; <em>Jerry</em>&#39;s &#x1F600; &nbsp;show')).toBe('Tom & Jerry\'s 😀 show');
+    });
+
+    test('adds unique ids to headings and keeps existing ones', () => {
+        const { html, headings } = addHeadingIds('<h1 id="setup">Intro</h1><h2>Setup</h2><h2 class="x">Setup</h2>');
+
+        expect(html).toBe('<h1 id="setup">Intro</h1><h2 id="setup-1">Setup</h2><h2 class="x" id="setup-2">Setup</h2>');
+        expect(headings).toEqual([
+            { level: 1, id: 'setup', text: 'Intro' },
+            { level: 2, id: 'setup-1', text: 'Setup' },
+            { level: 2, id: 'setup-2', text: 'Setup' }
+        ]);
+    });
+
+    test('nests the table of contents and stops at the maximum depth', () => {
+        const headings = [
+            { level: 2, id: 'a', text: 'A' },
+            { level: 3, id: 'b', text: 'B & C' },
+            { level: 4, id: 'deep', text: 'Too deep' },
+            { level: 2, id: 'd', text: 'D' }
+        ];
+
+        expect(renderTableOfContents(headings, { title: 'On this page' })).toBe(
+            '<nav class="toc" aria-label="On this page"><h2 class="toc-title">On this page</h2>' +
+            '<ol><li><a href="#a">A</a><ol><li><a href="#b">B &amp; C</a></li></ol></li><li><a href="#d">D</a></li></ol></nav>');
+        expect(renderTableOfContents([])).toBe('');
+    });
+
+    test('keeps the nesting valid when heading levels are skipped', () => {
+        const toc = renderTableOfContents([{ level: 1, id: 'a', text: 'A' }, { level: 3, id: 'b', text: 'B' }]);
+        expect(toc).toContain('<ol><li><a href="#a">A</a><ol><li><ol><li><a href="#b">B</a></li></ol></li></ol></li></ol>');
+    });
+});
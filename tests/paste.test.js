@@ -0,0 +1,70 @@
+/**
+ * Tests for pasting clipboard HTML as Markdown
+ */
+
+Object.assign(global, require('../htmlmarkdown.js'));
+
+const {
+    cleanLinkUrl,
+    pastedHtmlToMarkdown,
+    isInsideCodeFence,
+    insertPastedMarkdown
+} = require('../paste.js');
+
+describe('rich paste', () => {
+    test('removes tracking parameters and redirect wrappers from links', () => {
+        expect(cleanLinkUrl('https://example.com/post?utm_source=x&utm_medium=y&id=4&fbclid=abc#top'))
+            .toBe('https://example.com/post?id=4#top');
+        expect(cleanLinkUrl('https://example.com/a?utm_campaign=z')).toBe('https://example.com/a');
+        expect(cleanLinkUrl('https://www.google.com/url?q=https://example.com/doc?gclid%3D1&sa=D'))
+            .toBe('https://example.com/doc');
+        expect(cleanLinkUrl('https://example.com')).toBe('https://example.com');
+        expect(cleanLinkUrl('#section')).toBe('#section');
+    });
+
+    test('converts a Google Docs selection with styled spans', () => {
+        const html = '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1234">' +
+            '<h2 dir="ltr"><span style="font-size:16pt;font-weight:700">Plan</span></h2>' +
+            '<p dir="ltr"><span style="font-weight:700">Bold</span><span> and </span>' +
+            '<span style="font-style:italic">italic</span><span> with </span>' +
+            '<span style="font-family:\'Courier New\',monospace">code()</span><span>&nbsp;and a </span>' +
+            '<a href="https://www.google.com/url?q=https://example.com/?utm_source%3Ddocs&amp;sa=D">' +
+            '<span style="color:#1155cc;text-decoration:underline">link</span></a></p>' +
+            '<ul><li dir="ltr"><p dir="ltr"><span>First</span></p></li><li dir="ltr"><p dir="ltr"><span>Second</span></p></li></ul>' +
+            '</b>';
+        expect(pastedHtmlToMarkdown(html)).toBe(
+            '## Plan\n\n**Bold** and *italic* with `code()` and a [link](https://example.com/)\n\n- First\n- Second');
+    });
+
+    test('converts tables and code blocks from web pages', () => {
+        const html = '<!--StartFragment--><table><tr><th>Key</th><th>Value</th></tr><tr><td>a</td><td>1</td></tr></table>' +
+            '<pre><code class="language-sh">npm test</code></pre><img src="https://t.example/p.gif" width="1" height="1">' +
+            '<!--EndFragment-->';
+        expect(pastedHtmlToMarkdown(html)).toBe(
+            '| Key | Value |\n| --- | ----- |\n| a   | 1     |\n\n```sh\nnpm test\n```');
+    });
+
+    test('leaves plain HTML and code editor HTML to the plain-text paste', () => {
+        expect(pastedHtmlToMarkdown('<div><span>Just text</span></div>')).toBeNull();
+        expect(pastedHtmlToMarkdown('<div style="font-family:Consolas;white-space: pre;"><div><span ' +
+            'style="color:#569cd6;font-weight:bold">const</span> a = 1;</div></div>')).toBeNull();
+    });
+
+    test('knows when the caret is inside a fenced code block', () => {
+        const text = 'Intro\n```js\ncode\n```\nOutside\n~~~\ninside';
+        expect(isInsideCodeFence(text, text.indexOf('code'))).toBe(true);
+        expect(isInsideCodeFence(text, text.indexOf('Outside'))).toBe(false);
+        expect(isInsideCodeFence(text, text.length)).toBe(true);
+        expect(isInsideCodeFence('```\n```js\nstill inside', 20)).toBe(true);
+    });
+
+    test('gives pasted blocks lines of their own and keeps inline content inline', () => {
+        expect(insertPastedMarkdown('Say  now', 4, 4, '**hi**')).toEqual({ value: 'Say **hi** now', caret: 10 });
+        expect(insertPastedMarkdown('Intro text', 5, 5, '- a\n- b')).toEqual({
+            value: 'Intro\n\n- a\n- b\n\ntext',
+            caret: 16
+        });
+        expect(insertPastedMarkdown('Intro\n', 6, 6, '## Title').value).toBe('Intro\n\n## Title');
+        expect(insertPastedMarkdown('', 0, 0, '## Title').value).toBe('## Title');
+    });
+});
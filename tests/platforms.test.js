@@ -0,0 +1,67 @@
+/**
+ * Tests for platform limits of the social formats
+ */
+
+const { tweetLength, readThread } = require('../thread.js');
+
+global.tweetLength = tweetLength;
+global.readThread = readThread;
+global.readFrontMatter = require('../frontmatter.js').readFrontMatter;
+
+const { countHashtags, findDocumentTitle, checkPlatformLimits, splitAtFold } = require('../platforms.js');
+const { getFormat, parseFormatFile } = require('../formats.js');
+
+describe('Platform limits', () => {
+    test('counts hashtags but not headings, anchors or entities', () => {
+        expect(countHashtags('#one and #two_2 #3d\n# Heading\n[link](#anchor) &#39; C# x#y')).toBe(2);
+    });
+
+    test('finds the article title in the front matter or the first H1', () => {
+        expect(findDocumentTitle('Intro\n\n## Sub\n# The Title #\n# Second')).toBe('The Title');
+        expect(findDocumentTitle('---\ntitle: "From YAML"\n---\n# Heading')).toBe('From YAML');
+        expect(findDocumentTitle('---\ntags: [a]\n---\n# Heading')).toBe('Heading');
+        expect(findDocumentTitle('No heading')).toBeNull();
+    });
+
+    test('LinkedIn counts characters and hashtags against its limits', () => {
+        const profile = getFormat('linkedin-post').platform;
+        const ok = checkPlatformLimits('Short post #career', profile);
+        expect(ok).toEqual({ counters: ['LinkedIn: 18/3000', 'Hashtags: 1/5'], warnings: [] });
+
+        const tooLong = checkPlatformLimits(`${'🚀'.repeat(3001)} #a #b #c #d #e #f`, profile);
+        expect(tooLong.warnings).toEqual([
+            'LinkedIn allows 3000 characters; this is 3019',
+            '6 hashtags; LinkedIn posts do best with 5 or fewer'
+        ]);
+    });
+
+    test('X checks every post of a thread', () => {
+        const profile = getFormat('twitter-post').platform;
+        const thread = `1/2\n\nFirst\n\n---\n\n2/2\n\n${'a'.repeat(290)}`;
+        expect(checkPlatformLimits(thread, profile)).toEqual({
+            counters: ['Posts: 2 | Longest: 295/280', 'Hashtags: 0/3'],
+            warnings: ['Post 2 is 295/280 characters']
+        });
+    });
+
+    test('article formats check the title length', () => {
+        const profile = getFormat('dailydev-article').platform;
+        expect(checkPlatformLimits(`# ${'T'.repeat(81)}\n\nBody`, profile).warnings)
+            .toEqual(['Title is 81 characters; daily.dev shows up to 80']);
+        expect(checkPlatformLimits('Body only', profile).warnings).toEqual(['No title: add one to the front matter or start the article with a # heading']);
+    });
+
+    test('splits posts at the "see more" fold', () => {
+        expect(splitAtFold('  abcdef  ', 4)).toEqual({ visible: 'abcd', hidden: 'ef' });
+        expect(splitAtFold('short', 210)).toEqual({ visible: 'short', hidden: '' });
+    });
+
+    test('custom formats can declare a platform profile', () => {
+        const [format] = parseFormatFile(JSON.stringify([{
+            id: 'mastodon', label: 'Mastodon', prompt: 'Write a toot.', platform: { name: 'Mastodon', maxLength: 500 }
+        }]));
+        expect(format.platform).toEqual({ name: 'Mastodon', maxLength: 500 });
+        expect(() => parseFormatFile(JSON.stringify([{ id: 'x', label: 'X', prompt: 'p', platform: { maxLength: -1 } }])))
+            .toThrow('platform maxLength must be a positive whole number');
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for the print layout used by the PDF export
+ */
+
+global.createSlugger = require('../markdown.js').createSlugger;
+global.escapeHtml = require('../utils.js').escapeHtml;
+Object.assign(global, require('../outline.js'));
+
+const { pageMarginContent, buildPrintPageCss, buildPrintDocument } = require('../print.js');
+
+describe('Print layout', () => {
+    test('turns header and footer placeholders into CSS content', () => {
+        const values = { title: 'My "Doc"', date: '5/1/2024' };
+
+        expect(pageMarginContent('Page {page} of {pages}', values)).toBe('"Page " counter(page) " of " counter(pages)');
+        expect(pageMarginContent('{title} — {date}', values)).toBe('"My \\"Doc\\"" " — " "5/1/2024"');
+        expect(pageMarginContent('', values)).toBe('none');
+    });
+
+    test('builds @page rules for the size, margins and cover page', () => {
+        const css = buildPrintPageCss({ pageSize: 'letter', cover: true, breakBeforeH1: true }, { title: 'T' });
+
+        expect(css).toContain('size: letter;');
+        expect(css).toContain('@top-center { content: "T"; }');
+        expect(css).toContain('@bottom-center { content: "Page " counter(page) " of " counter(pages); }');
+        expect(css).toContain('@page :first {');
+        expect(css).toContain('.print-content h1:not(:first-child) { break-before: page; }');
+        expect(buildPrintPageCss({ pageSize: 'tabloid' }, {})).toContain('size: A4;');
+    });
+
+    test('wraps the document with an optional cover page and table of contents', () => {
+        const html = '<h1>Guide</h1><p>Text</p><h2>Install</h2>';
+
+        expect(buildPrintDocument(html)).toBe(`<article class="print-content">${html}</article>`);
+
+        const layout = buildPrintDocument(html, { cover: true, toc: true }, {
+            title: 'Guide <1>',
+            description: 'All about it',
+            date: 'Today'
+        });
+        expect(layout).toContain('<h1 class="print-cover-title">Guide &lt;1&gt;</h1>');
+        expect(layout).toContain('<p class="print-cover-description">All about it</p>');
+        expect(layout).toContain('<section class="print-toc"><nav class="toc"');
+        expect(layout).toContain('<a href="#install">Install</a>');
+        expect(layout).toContain('<article class="print-content"><h1 id="guide">Guide</h1><p>Text</p><h2 id="install">');
+        expect(layout.indexOf('print-cover')).toBeLessThan(layout.indexOf('print-toc'));
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for the pluggable AI provider layer
+ */
+
+const {
+    AI_PROVIDERS,
+    buildAIPayload,
+    resolveProviderOrder,
+    runAIRequest,
+    splitStreamEvents,
+    readStreamingResponse
+} = require('../providers.js');
+const { TextEncoder, TextDecoder } = require('util');
+
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const baseConfig = {
+    primary: 'cloudflare',
+    fallback: true,
+    order: ['cloudflare', 'github-models', 'ollama'],
+    retryAttempts: 2,
+    retryDelayMs: 0,
+    timeoutMs: 1000,
+    cloudflare: { url: 'https://worker.example.com' },
+    githubModels: { endpoint: 'https://models.example.com', token: 'gh-token', model: 'gpt-4o-mini' },
+    ollama: { url: '', model: 'llama3.2' }
+};
+
+const jsonResponse = (data, ok = true, status = 200) => ({
+    ok,
+    status,
+    statusText: ok ? 'OK' : 'Error',
+    json: () => Promise.resolve(data)
+});
+
+describe('AI provider layer', () => {
+    beforeEach(() => {
+        global.fetch = jest.fn();
+    });
+
+    test('buildAIPayload only includes a token when one is given', () => {
+        const payload = buildAIPayload({ text: 'hi', prompt: 'p', format: 'readme' });
+        expect(payload).toMatchObject({ text: 'hi', prompt: 'p', format: 'readme', sessionId: 'anonymous' });
+        expect(payload).not.toHaveProperty('token');
+
+        expect(buildAIPayload({ text: 'hi', prompt: 'p', format: 'readme', token: 'jwt' }).token).toBe('jwt');
+    });
+
+    test('resolveProviderOrder puts the primary first and skips unconfigured providers', () => {
+        const order = resolveProviderOrder({ ...baseConfig, primary: 'github-models' });
+        expect(order.map(provider => provider.id)).toEqual(['github-models', 'cloudflare']);
+
+        const noFallback = resolveProviderOrder({ ...baseConfig, fallback: false });
+        expect(noFallback.map(provider => provider.id)).toEqual(['cloudflare']);
+    });
+
+    test('github-models builds an OpenAI-compatible chat completion request', () => {
+        const payload = buildAIPayload({ text: 'body', prompt: 'Make it a README', format: 'readme' });
+        const { url, init } = AI_PROVIDERS['github-models'].buildRequest(payload, baseConfig);
+        const body = JSON.parse(init.body);
+
+        expect(url).toBe('https://models.example.com/chat/completions');
+        expect(init.headers.Authorization).toBe('Bearer gh-token');
+        expect(body.model).toBe('gpt-4o-mini');
+        expect(body.messages[1]).toEqual({ role: 'user', content: 'body' });
+    });
+
+    test('runAIRequest returns the first successful provider result', async () => {
+        fetch.mockResolvedValue(jsonResponse({ success: true, processedText: 'done' }));
+
+        const result = await runAIRequest(buildAIPayload({ text: 't', prompt: 'p', format: 'f' }), baseConfig);
+
+        expect(result).toEqual({ processedText: 'done', attempt: 1, provider: 'cloudflare' });
+        expect(fetch).toHaveBeenCalledWith('https://worker.example.com/process', expect.objectContaining({
+            method: 'POST'
+        }));
+    });
+
+    test('runAIRequest retries and then falls back to the next provider', async () => {
+        fetch
+            .mockResolvedValueOnce(jsonResponse({ error: 'Server error' }, false, 500))
+            .mockResolvedValueOnce(jsonResponse({ error: 'Server error' }, false, 500))
+            .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'from github' } }] }));
+
+        const onProviderFailed = jest.fn();
+        const result = await runAIRequest(
+            buildAIPayload({ text: 't', prompt: 'p', format: 'f' }),
+            baseConfig,
+            { onProviderFailed }
+        );
+
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(onProviderFailed).toHaveBeenCalledWith(AI_PROVIDERS.cloudflare, expect.any(Error));
+        expect(result.provider).toBe('github-models');
+        expect(result.processedText).toBe('from github');
+    });
+
+    test('runAIRequest rejects with the last error when every provider fails', async () => {
+        fetch.mockResolvedValue(jsonResponse({ error: 'Rate limit exceeded' }, false, 429));
+
+        await expect(runAIRequest(buildAIPayload({ text: 't', prompt: 'p', format: 'f' }), baseConfig))
+            .rejects.toThrow('Rate limit exceeded');
+    });
+});
+
+describe('Streaming responses', () => {
+    // Fake fetch Response whose body yields the given chunks
+    const streamResponse = (contentType, chunks) => {
+        const encoder = new TextEncoder();
+        const queue = chunks.map(chunk => encoder.encode(chunk));
+        return {
+            ok: true,
+            headers: { get: () => contentType },
+            body: {
+                getReader: () => ({
+                    read: () => Promise.resolve(queue.length ? { value: queue.shift(), done: false } : { done: true }),
+                    cancel: () => Promise.resolve()
+                })
+            }
+        };
+    };
+
+    test('splitStreamEvents parses SSE data lines and keeps partial lines', () => {
+        const { events, remainder } = splitStreamEvents(
+            ': keep-alive\ndata: {"response":"Hel"}\n\ndata: [DONE]\ndata: {"resp',
+            true
+        );
+
+        expect(events[0]).toEqual({ response: 'Hel' });
+        expect(events[1].done).toBe(true);
+        expect(remainder).toBe('data: {"resp');
+    });
+
+    test('readStreamingResponse accumulates OpenAI-style SSE deltas split across chunks', async () => {
+        const onToken = jest.fn();
+        const response = streamResponse('text/event-stream', [
+            'data: {"choices":[{"delta":{"content":"# Ti"}}]}\n\ndata: {"choices":[{"del',
+            'ta":{"content":"tle"}}]}\n\ndata: [DONE]\n\n'
+        ]);
+
+        const text = await readStreamingResponse(response, AI_PROVIDERS['github-models'], onToken);
+
+        expect(text).toBe('# Title');
+        expect(onToken).toHaveBeenLastCalledWith('tle', '# Title');
+    });
+
+    test('readStreamingResponse reads NDJSON from a local model', async () => {
+        const response = streamResponse('application/x-ndjson', [
+            '{"message":{"content":"Hello"},"done":false}\n',
+            '{"message":{"content":" world"},"done":false}\n{"done":true}'
+        ]);
+
+        const text = await readStreamingResponse(response, AI_PROVIDERS.ollama, jest.fn());
+        expect(text).toBe('Hello world');
+    });
+
+    test('readStreamingResponse falls back to a plain JSON body', async () => {
+        const onToken = jest.fn();
+        const response = {
+            ok: true,
+            headers: { get: () => 'application/json' },
+            json: () => Promise.resolve({ success: true, processedText: 'all at once' })
+        };
+
+        await expect(readStreamingResponse(response, AI_PROVIDERS.cloudflare, onToken)).resolves.toBe('all at once');
+        expect(onToken).toHaveBeenCalledWith('all at once', 'all at once');
+    });
+});
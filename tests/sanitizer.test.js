@@ -0,0 +1,120 @@
+/**
+ * Tests for the HTML sanitizer against known XSS payloads
+ */
+
+const { SANITIZER_DEFAULTS, sanitizeHtml } = require('../sanitizer.js');
+
+// Parse the sanitized output and collect anything that could run script
+const findActiveContent = html => {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const problems = [];
+
+    template.content.querySelectorAll('*').forEach(element => {
+        if (['script', 'iframe', 'object', 'embed', 'svg', 'math', 'style', 'form', 'base', 'meta'].includes(element.localName)) {
+            problems.push(`<${element.localName}>`);
+        }
+        Array.from(element.attributes).forEach(attribute => {
+            const value = attribute.value.replace(/\s/g, '').toLowerCase();
+            if (attribute.name.startsWith('on') || attribute.name === 'style' ||
+                /^(javascript|vbscript|data:text)/.test(value)) {
+                problems.push(`${element.localName}[${attribute.name}]`);
+            }
+        });
+    });
+    return problems;
+};
+
+describe('HTML sanitizer', () => {
+    const payloads = [
+        '<script>alert(1)</script>',
+        '<img src=x onerror=alert(1)>',
+        '<IMG SRC="javascript:alert(1)">',
+        '<a href="javascript:alert(1)">click</a>',
+        '<a href="JaVaScRiPt&colon;alert(1)">click</a>',
+        '<a href="&#14;  java&#x09;script:alert(1)">click</a>',
+        '<a href="vbscript:msgbox(1)">click</a>',
+        '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">click</a>',
+        '<svg onload=alert(1)><circle r="1"/></svg>',
+        '<svg><script>alert(1)</script></svg>',
+        '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+        '<iframe src="javascript:alert(1)"></iframe>',
+        '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+        '<object data="javascript:alert(1)"></object>',
+        '<embed src="javascript:alert(1)">',
+        '<body onload=alert(1)>',
+        '<div style="background:url(javascript:alert(1))">styled</div>',
+        '<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">go</button></form>',
+        '<input type="text" onfocus=alert(1) autofocus>',
+        '<details open ontoggle=alert(1)>x</details>',
+        '<base href="javascript:alert(1)//">',
+        '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+        '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+        '<p>safe</p><!--<img src=x onerror=alert(1)>-->',
+        '<a href="#" onclick="alert(1)">x</a>',
+        '<video><source onerror="alert(1)"></video>',
+        '<table background="javascript:alert(1)"><tr><td>x</td></tr></table>'
+    ];
+
+    test.each(payloads)('neutralizes %s', payload => {
+        expect(findActiveContent(sanitizeHtml(payload))).toEqual([]);
+    });
+
+    test('keeps rendered Markdown intact', () => {
+        const html = '<h2 id="intro" data-source-line="3">Intro</h2>' +
+            '<pre><code class="language-js"><span class="hljs-keyword">const</span> a = 1;</code></pre>' +
+            '<table><thead><tr><th align="center">A</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>' +
+            '<p><a href="https://example.com" title="Example">link</a> <img src="/logo.png" alt="Logo"></p>';
+
+        expect(sanitizeHtml(html)).toBe(html.replace('id="intro"', 'id="user-content-intro"'));
+    });
+
+    test('keeps only code classes, so pasted HTML cannot take on the app\'s styles', () => {
+        expect(sanitizeHtml('<div class="modal-overlay">x</div>')).toBe('<div>x</div>');
+        expect(sanitizeHtml('<code class="hljs language-js notification">a</code>'))
+            .toBe('<code class="hljs language-js">a</code>');
+        expect(sanitizeHtml('<p class="x" title="t">y</p>', { allowedClasses: [/^x$/] }))
+            .toBe('<p class="x" title="t">y</p>');
+    });
+
+    test('prefixes ids and the in-page links to them against DOM clobbering', () => {
+        expect(sanitizeHtml('<h2 id="editor">A</h2><a name="preview" href="#editor">go</a>'))
+            .toBe('<h2 id="user-content-editor">A</h2>' +
+                '<a name="user-content-preview" href="#user-content-editor">go</a>');
+        expect(sanitizeHtml(sanitizeHtml('<li id="fn1"><a href="#fn1">1</a></li>')))
+            .toBe('<li id="user-content-fn1"><a href="#user-content-fn1">1</a></li>');
+        expect(sanitizeHtml('<a href="#">top</a><a href="https://x.dev/#a">x</a>'))
+            .toBe('<a href="#">top</a><a href="https://x.dev/#a">x</a>');
+        expect(sanitizeHtml('<h1 id="a">A</h1>', { idPrefix: '' })).toBe('<h1 id="a">A</h1>');
+    });
+
+    test('unwraps unknown tags but keeps their text', () => {
+        expect(sanitizeHtml('<center><font color="red">Hello</font> world</center>')).toBe('Hello world');
+        expect(sanitizeHtml('<form><b>kept</b><button>dropped</button></form>')).toBe('<b>kept</b>');
+    });
+
+    test('allows raster data images and task list checkboxes only', () => {
+        expect(sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=" alt="">'))
+            .toBe('<img src="data:image/png;base64,iVBORw0KGgo=" alt="">');
+        expect(sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zz4=">')).toBe('<img>');
+        expect(sanitizeHtml('<input type="checkbox" checked>')).toBe('<input type="checkbox" checked="" disabled="">');
+    });
+
+    test('adds rel to links that open a new window', () => {
+        expect(sanitizeHtml('<a href="https://example.com" target="_blank">x</a>'))
+            .toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+    });
+
+    test('allowed tags, attributes and schemes are configurable', () => {
+        const options = {
+            allowedTags: [...SANITIZER_DEFAULTS.allowedTags, 'video'],
+            allowedAttributes: { ...SANITIZER_DEFAULTS.allowedAttributes, video: ['src', 'controls'] },
+            allowedSchemes: ['https']
+        };
+
+        expect(sanitizeHtml('<video src="https://example.com/a.mp4" controls onplay="x()"></video>', options))
+            .toBe('<video src="https://example.com/a.mp4" controls=""></video>');
+        expect(sanitizeHtml('<a href="mailto:me@example.com">mail</a>', options)).toBe('<a>mail</a>');
+        expect(sanitizeHtml('<p>text</p>', { allowedTags: ['strong'] })).toBe('text');
+    });
+});
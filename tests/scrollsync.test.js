@@ -0,0 +1,44 @@
+/**
+ * Tests for mapping scroll positions between the editor and the preview
+ */
+
+const { buildScrollMap, topForLine, lineForTop, lineStartOffset } = require('../scrollsync.js');
+
+describe('scroll sync', () => {
+    test('builds an increasing map from the start to the end of a pane', () => {
+        const anchors = [
+            { line: 4, top: 300 },
+            { line: 0, top: 20 },
+            { line: 4, top: 280 },
+            { line: 2, top: 100 },
+            // Out of order blocks and lines past the end are left out
+            { line: 3, top: 90 },
+            { line: 12, top: 900 }
+        ];
+        expect(buildScrollMap(anchors, 10, 1000)).toEqual([
+            { line: 0, top: 0 },
+            { line: 2, top: 100 },
+            { line: 4, top: 280 },
+            { line: 10, top: 1000 }
+        ]);
+    });
+
+    test('interpolates between the surrounding blocks in both directions', () => {
+        const points = buildScrollMap([{ line: 2, top: 100 }, { line: 6, top: 500 }], 10, 900);
+        expect(topForLine(points, 1)).toBe(50);
+        expect(topForLine(points, 4)).toBe(300);
+        expect(topForLine(points, 8)).toBe(700);
+        expect(topForLine(points, 20)).toBe(900);
+        expect(lineForTop(points, 300)).toBe(4);
+        expect(lineForTop(points, 0)).toBe(0);
+        expect(lineForTop(points, 5000)).toBe(10);
+    });
+
+    test('finds where a source line starts', () => {
+        const text = 'one\ntwo\n\nfour';
+        expect(lineStartOffset(text, 0)).toBe(0);
+        expect(lineStartOffset(text, 1)).toBe(4);
+        expect(lineStartOffset(text, 3)).toBe(9);
+        expect(lineStartOffset(text, 7)).toBe(text.length);
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for the service worker's caching and Background Sync
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.self = { addEventListener: jest.fn(), location: { origin: 'https://app.example' } };
+// Under jsdom `self` stays the window, so the worker's listeners land there
+const addEventListener = jest.spyOn(global, 'addEventListener');
+global.importScripts = jest.fn();
+const {
+    urlsToCache,
+    cdnUrlsToCache,
+    cacheStrategy,
+    staleWhileRevalidate,
+    requestClientCredentials,
+    replayOutboxOnSync
+} = require('../sw.js');
+const { OUTBOX_MESSAGE, OUTBOX_CREDENTIALS_REQUEST } = require('../outbox.js');
+
+// What importScripts would define in the worker
+Object.assign(global, { OUTBOX_MESSAGE, OUTBOX_CREDENTIALS_REQUEST });
+
+// Stand-in for the Cache API, holding the given responses by URL
+function setupCaches(entries = {}) {
+    const store = new Map(Object.entries(entries));
+    const cache = {
+        match: jest.fn(async request => store.get(typeof request === 'string' ? request : request.url)),
+        put: jest.fn(async (request, response) => store.set(request.url, response))
+    };
+    global.caches = { open: jest.fn(async () => cache) };
+    return { cache, store };
+}
+
+// Stand-in for MessageChannel, which jsdom lacks: what port2 posts arrives at port1
+global.MessageChannel = class {
+    constructor() {
+        this.port1 = {};
+        this.port2 = { postMessage: data => this.port1.onmessage({ data }) };
+    }
+};
+
+function fetchEvent(url, mode = 'no-cors') {
+    return { request: { url, method: 'GET', mode }, waitUntil: jest.fn() };
+}
+
+function response(body, ok = true) {
+    return {
+        body,
+        ok,
+        type: 'basic',
+        clone: () => response(body, ok)
+    };
+}
+
+describe('service worker', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+
+    test('precaches every script and stylesheet the page loads', () => {
+        const local = Array.from(html.matchAll(/<(?:script src|link rel="stylesheet" href)="([^":]+)"/g),
+            match => `/${match[1]}`);
+        expect(local.length).toBeGreaterThan(10);
+        local.forEach(url => expect(urlsToCache).toContain(url));
+
+        const cdn = Array.from(html.matchAll(/"(https:\/\/cdnjs[^"]+)"/g), match => match[1]);
+        expect(cdn).toHaveLength(2);
+        expect(cdnUrlsToCache.sort()).toEqual(cdn.sort());
+    });
+
+    test('caches the app and the CDN, and leaves API calls to the network', () => {
+        const origin = 'https://app.example';
+        const get = url => ({ url, method: 'GET' });
+        expect(cacheStrategy(get('https://app.example/script.js'), origin)).toBe('cache');
+        expect(cacheStrategy(get(cdnUrlsToCache[0]), origin)).toBe('cache');
+        expect(cacheStrategy(get('https://markdowngpt-worker-ai.sethkeddy.workers.dev/process'), origin))
+            .toBe('network');
+        expect(cacheStrategy(get('http://localhost:11434/api/generate'), origin)).toBe('network');
+        expect(cacheStrategy({ url: 'https://app.example/api', method: 'POST' }, origin)).toBe('network');
+    });
+
+    test('answers from the cache and refreshes it in the background', async () => {
+        const { cache } = setupCaches({ 'https://app.example/script.js': response('old') });
+        global.fetch = jest.fn(async () => response('new'));
+        const event = fetchEvent('https://app.example/script.js');
+
+        expect((await staleWhileRevalidate(event)).body).toBe('old');
+        await event.waitUntil.mock.calls[0][0];
+        expect(cache.put).toHaveBeenCalledWith(event.request, expect.objectContaining({ body: 'new' }));
+    });
+
+    test('fetches and caches what is not cached yet', async () => {
+        const { store } = setupCaches();
+        global.fetch = jest.fn(async () => response('fresh'));
+
+        expect((await staleWhileRevalidate(fetchEvent('https://app.example/tables.js'))).body).toBe('fresh');
+        expect(store.get('https://app.example/tables.js').body).toBe('fresh');
+    });
+
+    test('does not cache failed responses', async () => {
+        const { cache } = setupCaches();
+        global.fetch = jest.fn(async () => response('missing', false));
+
+        await staleWhileRevalidate(fetchEvent('https://app.example/nope.js'));
+        expect(cache.put).not.toHaveBeenCalled();
+    });
+
+    test('falls back to the cached page for navigations while offline', async () => {
+        setupCaches({ '/index.html': response('page') });
+        global.fetch = jest.fn(async () => {
+            throw new TypeError('Failed to fetch');
+        });
+
+        expect((await staleWhileRevalidate(fetchEvent('https://app.example/?action=new', 'navigate'))).body)
+            .toBe('page');
+        await expect(staleWhileRevalidate(fetchEvent('https://app.example/other.js'))).rejects.toThrow('fetch');
+    });
+
+    test('loads the outbox and replays it on sync', () => {
+        expect(global.importScripts)
+            .toHaveBeenCalledWith('/storage.js', '/providers.js', '/chunking.js', '/outbox.js');
+        const events = addEventListener.mock.calls.map(([type]) => type);
+        expect(events).toContain('sync');
+    });
+
+    test('tells open pages about queued results, even when the sync has to run again', async () => {
+        const client = { postMessage: jest.fn() };
+        global.self.clients = { matchAll: jest.fn(async () => [client]) };
+        global.replayOutbox = jest.fn(async () => {
+            throw new TypeError('Failed to fetch');
+        });
+
+        await expect(replayOutboxOnSync({ tag: 'markdowngpt-outbox', lastChance: true })).rejects.toThrow('fetch');
+        expect(global.replayOutbox)
+            .toHaveBeenCalledWith({ lastChance: true, getCredentials: requestClientCredentials });
+        expect(client.postMessage).toHaveBeenCalledWith({ type: OUTBOX_MESSAGE });
+    });
+
+    test('reads the credentials from an open page', async () => {
+        const credentials = { sessionId: 'session_1', token: 'jwt', config: { primary: 'cloudflare' } };
+        const client = {
+            postMessage: jest.fn((message, [port]) => {
+                expect(message).toEqual({ type: OUTBOX_CREDENTIALS_REQUEST });
+                port.postMessage(credentials);
+            })
+        };
+        global.self.clients = { matchAll: jest.fn(async () => [client]) };
+
+        expect(await requestClientCredentials()).toEqual(credentials);
+    });
+
+    test('has no credentials without an open page, or when it does not answer', async () => {
+        global.self.clients = { matchAll: jest.fn(async () => []) };
+        expect(await requestClientCredentials()).toBeNull();
+
+        jest.useFakeTimers();
+        try {
+            global.self.clients = { matchAll: jest.fn(async () => [{ postMessage: jest.fn() }]) };
+            const answer = requestClientCredentials();
+            await Promise.resolve();
+            jest.advanceTimersByTime(5000);
+            expect(await answer).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
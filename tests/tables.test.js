@@ -0,0 +1,164 @@
+/**
+ * Tests for the GFM table editor
+ */
+
+const {
+    splitTableCells,
+    formatTable,
+    createTable,
+    findTable,
+    applyTableEdit,
+    moveTableCell,
+    parseDelimitedText,
+    delimitedTextToTable
+} = require('../tables.js');
+
+const TEXT = 'intro\n\n|a|bb|\n|-|:-:|\n|1|2|\n\nafter';
+const FORMATTED = 'intro\n\n| a   | bb  |\n| --- | :-: |\n| 1   |  2  |\n\nafter';
+
+describe('table formatting', () => {
+    test('splits cells, keeping escaped pipes', () => {
+        expect(splitTableCells('| a \\| b | c |')).toEqual(['a \\| b', 'c']);
+        expect(splitTableCells('a | b')).toEqual(['a', 'b']);
+        expect(splitTableCells('|  | b |')).toEqual(['', 'b']);
+    });
+
+    test('pads every column to its widest cell, following the alignment', () => {
+        const table = {
+            header: ['Name', 'Qty', 'Note'],
+            alignments: ['left', 'right', 'center'],
+            rows: [['Apples', '3', 'ok'], ['Kiwi', '12', '']]
+        };
+        expect(formatTable(table)).toBe([
+            '| Name   | Qty | Note |',
+            '| :----- | --: | :--: |',
+            '| Apples |   3 |  ok  |',
+            '| Kiwi   |  12 |      |'
+        ].join('\n'));
+    });
+
+    test('creates a table with numbered headings', () => {
+        expect(formatTable(createTable(1, 2, 'center'))).toBe(
+            '| Column 1 | Column 2 |\n| :------: | :------: |\n|          |          |');
+    });
+});
+
+describe('finding the table at the cursor', () => {
+    test('reads the table and the cell the cursor is in', () => {
+        expect(findTable(TEXT, 10)).toEqual({
+            from: 7,
+            to: 27,
+            table: { header: ['a', 'bb'], alignments: [null, 'center'], rows: [['1', '2']] },
+            line: 0,
+            row: 0,
+            column: 1,
+            offset: 0,
+            trailing: false
+        });
+        expect(findTable(TEXT, 25)).toMatchObject({ row: 1, column: 1 });
+    });
+
+    test('ignores text that is not a table', () => {
+        expect(findTable(TEXT, 2)).toBeNull();
+        expect(findTable('a | b\nc | d', 1)).toBeNull();
+    });
+
+    test('fills short rows instead of dropping cells', () => {
+        expect(findTable('| a | b |\n| - | - |\n| 1 | 2 | 3 |', 0).table).toEqual({
+            header: ['a', 'b', ''], alignments: [null, null, null], rows: [['1', '2', '3']]
+        });
+    });
+
+    test('notes spaces typed after the text of a cell', () => {
+        expect(findTable('| ab  |\n| --- |', 5).trailing).toBe(true);
+        expect(findTable('| ab  |\n| --- |', 4).trailing).toBe(false);
+    });
+});
+
+describe('table edits', () => {
+    test('re-pad the table and keep the cursor in its cell', () => {
+        expect(applyTableEdit(TEXT, 25, 'align')).toEqual({
+            value: FORMATTED, selectionStart: 44, selectionEnd: 44
+        });
+    });
+
+    test('add a row below the cursor and select its cell', () => {
+        expect(applyTableEdit(TEXT, 10, 'addRow')).toEqual({
+            value: 'intro\n\n| a   | bb  |\n| --- | :-: |\n|     |     |\n| 1   |  2  |\n\nafter',
+            selectionStart: 43,
+            selectionEnd: 43
+        });
+    });
+
+    test('remove the row at the cursor, but never the header', () => {
+        expect(applyTableEdit(TEXT, 25, 'removeRow').value).toBe('intro\n\n| a   | bb  |\n| --- | :-: |\n\nafter');
+        expect(applyTableEdit(TEXT, 8, 'removeRow')).toBeNull();
+    });
+
+    test('add and remove columns', () => {
+        expect(applyTableEdit(TEXT, 8, 'addColumn').value).toBe(
+            'intro\n\n| a   |     | bb  |\n| --- | --- | :-: |\n| 1   |     |  2  |\n\nafter');
+        expect(applyTableEdit(TEXT, 8, 'removeColumn').value).toBe(
+            'intro\n\n| bb  |\n| :-: |\n|  2  |\n\nafter');
+        expect(applyTableEdit('| a |\n| - |', 2, 'removeColumn')).toBeNull();
+    });
+
+    test('return null outside a table', () => {
+        expect(applyTableEdit(TEXT, 0, 'addRow')).toBeNull();
+    });
+});
+
+describe('moving between cells', () => {
+    test('Tab selects the next cell, wrapping to the next row', () => {
+        expect(moveTableCell(TEXT, 8, 'next')).toMatchObject({ selectionStart: 15, selectionEnd: 17, added: false });
+        expect(moveTableCell(TEXT, 10, 'next')).toMatchObject({ selectionStart: 37, selectionEnd: 38 });
+    });
+
+    test('Tab in the last cell adds a row', () => {
+        expect(moveTableCell(TEXT, 25, 'next')).toEqual({
+            value: 'intro\n\n| a   | bb  |\n| --- | :-: |\n| 1   |  2  |\n|     |     |\n\nafter',
+            selectionStart: 51,
+            selectionEnd: 51,
+            added: true
+        });
+    });
+
+    test('Shift+Tab goes back and stops at the first cell', () => {
+        expect(moveTableCell(TEXT, 23, 'previous')).toMatchObject({ selectionStart: 15, selectionEnd: 17 });
+        expect(moveTableCell(TEXT, 8, 'previous')).toMatchObject({ selectionStart: 9, selectionEnd: 10 });
+    });
+
+    test('Enter moves down a row and leaves the table from an empty last row', () => {
+        expect(moveTableCell(TEXT, 10, 'down')).toMatchObject({ selectionStart: 44, selectionEnd: 45 });
+        expect(moveTableCell('| a | b |\n| - | - |\n|   |   |\nnext', 22, 'down')).toEqual({
+            value: '| a   | b   |\n| --- | --- |\n\nnext',
+            selectionStart: 29,
+            selectionEnd: 29,
+            added: false
+        });
+    });
+});
+
+describe('CSV and TSV', () => {
+    test('parse quoted fields, escaped quotes and line breaks', () => {
+        expect(parseDelimitedText('a,b\n"x, y","say ""hi""\nthere"\n')).toEqual([
+            ['a', 'b'],
+            ['x, y', 'say "hi"\nthere']
+        ]);
+        expect(parseDelimitedText('a\tb\r\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('are rejected without a delimiter or with an open quote', () => {
+        expect(parseDelimitedText('just words')).toBeNull();
+        expect(parseDelimitedText('a,"b\n1,2')).toBeNull();
+    });
+
+    test('convert to a padded table with number columns aligned right', () => {
+        expect(delimitedTextToTable('name;qty\nx|y;3.5\n"a\nb";12')).toBe([
+            '| name   | qty |',
+            '| ------ | --: |',
+            '| x\\|y   | 3.5 |',
+            '| a<br>b |  12 |'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Tests for the themed, self-contained HTML export
+ */
+
+global.createSlugger = require('../markdown.js').createSlugger;
+global.escapeHtml = require('../utils.js').escapeHtml;
+Object.assign(global, require('../outline.js'));
+
+const { EXPORT_THEMES, exportThemeCss, addHeadingAnchors, buildHtmlExport } = require('../themes.js');
+
+describe('HTML export themes', () => {
+    test('every theme inlines its own highlight colours', () => {
+        expect(Object.keys(EXPORT_THEMES)).toEqual(['github', 'medium', 'minimal', 'dark']);
+        expect(exportThemeCss('github')).toContain('.hljs-keyword, .hljs-selector-tag, .hljs-type, .hljs-doctag { color: #cf222e; }');
+        expect(exportThemeCss('dark')).toContain('background: #0d1117');
+        expect(exportThemeCss('dark')).toContain('color: #ff7b72');
+        expect(exportThemeCss('unknown')).toBe(exportThemeCss('github'));
+    });
+
+    test('adds a link anchor to headings with an id', () => {
+        expect(addHeadingAnchors('<h2 id="setup">Setup</h2><h3>No id</h3>')).toBe(
+            '<h2 id="setup"><a class="anchor" href="#setup" aria-label="Link to this section">#</a>Setup</h2><h3>No id</h3>');
+    });
+
+    test('builds a standalone page with the title, description and stylesheet', () => {
+        const page = buildHtmlExport('<h1>Guide</h1><p>Text</p>', {
+            theme: 'medium',
+            title: 'Guide & <Tips>',
+            description: 'All "about" it'
+        });
+
+        expect(page.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(page).toContain('<title>Guide &amp; &lt;Tips&gt;</title>');
+        expect(page).toContain('<meta name="description" content="All &quot;about&quot; it">');
+        expect(page).toContain('font: 20px/1.6 Charter');
+        expect(page).not.toMatch(/<link|<script/);
+        expect(page).toContain('<main>\n<h1>Guide</h1><p>Text</p>\n</main>');
+        expect(buildHtmlExport('<p>x</p>')).toContain('<title>Untitled document</title>');
+    });
+
+    test('adds a table of contents and anchors when asked', () => {
+        const page = buildHtmlExport('<h1>Guide</h1><h2>Install</h2>', { toc: true, anchors: true });
+
+        expect(page).toContain('<nav class="toc" aria-label="Contents">');
+        expect(page).toContain('<a href="#install">Install</a>');
+        expect(page).toContain('<h2 id="install"><a class="anchor" href="#install"');
+        expect(page.indexOf('class="toc"')).toBeLessThan(page.indexOf('<h1 id="guide">'));
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the Twitter/X thread builder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { tweetLength, splitPostSentences, buildThread, readThread, THREAD_SEPARATOR } = require('../thread.js');
+
+describe('Thread builder', () => {
+    test('counts URLs as 23 characters and emoji and CJK as two', () => {
+        expect(tweetLength('hello')).toBe(5);
+        expect(tweetLength('https://example.com/a/very/long/path?query=1')).toBe(23);
+        expect(tweetLength('see www.example.org and example.dev.')).toBe(4 + 23 + 5 + 23 + 1);
+        expect(tweetLength('😀')).toBe(2);
+        expect(tweetLength('👩🏽‍💻')).toBe(2);
+        expect(tweetLength('🇯🇵')).toBe(2);
+        expect(tweetLength('日本語')).toBe(6);
+        expect(tweetLength('café — “quoted”')).toBe(15);
+    });
+
+    test('splits sentences after terminal punctuation', () => {
+        expect(splitPostSentences('First one. Second one?! "Third." Last')).toEqual([
+            'First one.', 'Second one?!', '"Third."', 'Last'
+        ]);
+    });
+
+    test('keeps short text as a single unnumbered tweet', () => {
+        expect(buildThread('Just one thought.\n\nWith two paragraphs.')).toEqual([
+            'Just one thought.\n\nWith two paragraphs.'
+        ]);
+        expect(buildThread('   ')).toEqual([]);
+    });
+
+    test('breaks at sentence boundaries and leaves room for numbering', () => {
+        const sentence = 'This sentence is exactly fifty characters long ok.';
+        const thread = buildThread(Array(12).fill(sentence).join(' '));
+
+        expect(thread).toHaveLength(3);
+        thread.forEach((tweet, index) => {
+            expect(tweet.startsWith(`${index + 1}/3\n\n`)).toBe(true);
+            expect(tweet.endsWith('ok.')).toBe(true);
+            expect(tweetLength(tweet)).toBeLessThanOrEqual(280);
+        });
+    });
+
+    test('never exceeds the limit with URLs, emoji and ten or more tweets', () => {
+        const paragraph = '🚀 Shipping https://example.com/release/notes today! 日本のチームも参加しました。 ';
+        const thread = buildThread(paragraph.repeat(60));
+
+        expect(thread.length).toBeGreaterThanOrEqual(10);
+        expect(thread[0].startsWith(`1/${thread.length}\n\n`)).toBe(true);
+        thread.forEach(tweet => expect(tweetLength(tweet)).toBeLessThanOrEqual(280));
+    });
+
+    test('cuts words longer than a tweet and respects a custom limit', () => {
+        const thread = buildThread('x'.repeat(250), { maxLength: 100 });
+        expect(thread.map(tweetLength)).toEqual([100, 100, 65]);
+    });
+
+    test('keeps existing breaks and renumbers an existing thread', () => {
+        const content = '1/2\n\nFirst post\n\n---\n\n2/2\n\nSecond post\n\n---\n\nAdded later';
+        const thread = buildThread(content);
+
+        expect(thread).toEqual(['1/3\n\nFirst post', '2/3\n\nSecond post', '3/3\n\nAdded later']);
+        expect(buildThread(thread.join(THREAD_SEPARATOR))).toEqual(thread);
+        expect(readThread(thread.join(THREAD_SEPARATOR))).toEqual(thread);
+    });
+});
+
+describe('Thread builder in the page', () => {
+    // index.html loads every script into one global scope, chunking.js before thread.js
+    test('leaves the chunker\'s sentence splitting alone', () => {
+        const context = vm.createContext({});
+        ['chunking.js', 'thread.js'].forEach(file => {
+            vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+        });
+
+        const text = 'One sentence here is long. '.repeat(6).trim();
+        const chunks = vm.runInContext(`splitIntoChunks(${JSON.stringify(text)}, 60)`, context);
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => expect(chunk.text).not.toMatch(/\.One/));
+        expect(vm.runInContext('typeof splitPostSentences', context)).toBe('function');
+    });
+});
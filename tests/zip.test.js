@@ -0,0 +1,58 @@
+/**
+ * Tests for the ZIP archive writer
+ */
+
+const { TextEncoder, TextDecoder } = require('util');
+
+global.TextEncoder = TextEncoder;
+
+const { crc32, createZip } = require('../zip.js');
+
+// Read a stored archive back through its central directory
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054B50);
+
+    const files = {};
+    let offset = view.getUint32(end + 16, true);
+    for (let index = 0; index < view.getUint16(end + 10, true); index++) {
+        expect(view.getUint32(offset, true)).toBe(0x02014B50);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const local = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        const start = local + 30 + view.getUint16(local + 26, true);
+        const data = bytes.subarray(start, start + size);
+
+        expect(view.getUint32(local, true)).toBe(0x04034B50);
+        expect(view.getUint32(offset + 16, true)).toBe(crc32(data));
+        files[name] = new TextDecoder().decode(data);
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('ZIP writer', () => {
+    test('computes the standard CRC-32', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+        expect(crc32(new Uint8Array())).toBe(0);
+    });
+
+    test('writes files that read back with their names and contents', () => {
+        const zip = createZip([
+            { name: 'hello.txt', data: 'Hello, wörld' },
+            { name: 'dir/données.xml', data: new TextEncoder().encode('<x/>') }
+        ]);
+
+        expect(readZip(zip)).toEqual({ 'hello.txt': 'Hello, wörld', 'dir/données.xml': '<x/>' });
+    });
+
+    test('stores the modification time in MS-DOS format', () => {
+        const zip = createZip([{ name: 'a', data: '' }], { date: new Date(2024, 4, 17, 13, 45, 30) });
+        const view = new DataView(zip.buffer);
+
+        expect(view.getUint16(10, true)).toBe((13 << 11) | (45 << 5) | 15);
+        expect(view.getUint16(12, true)).toBe(((2024 - 1980) << 9) | (5 << 5) | 17);
+    });
+});
@@ -0,0 +1,322 @@
+// Themed HTML export
+// The exported file carries its whole stylesheet, syntax-highlighting colours included, so it looks the
+// same opened offline as in the preview. Themes are plain CSS strings; the table of contents and heading
+// anchors come from outline.js.
+
+/* global addHeadingIds, renderTableOfContents, escapeHtml, renderMarkdownHtml, findDocumentTitle, readFrontMatter,
+   editor, createModal, confirmPlatformLimits, toggleExportMenu, showNotification, logError */
+
+const HTML_EXPORT_OPTIONS_KEY = 'markdowngpt.htmlExportOptions';
+
+const HTML_EXPORT_DEFAULTS = {
+    theme: 'github',
+    toc: false,
+    anchors: true
+};
+
+// Token colours for highlight.js classes
+const HIGHLIGHT_PALETTES = {
+    light: {
+        text: '#24292f',
+        comment: '#6e7781',
+        keyword: '#cf222e',
+        string: '#0a3069',
+        number: '#0550ae',
+        title: '#8250df',
+        tag: '#116329',
+        meta: '#953800',
+        addition: ['#116329', '#dafbe1'],
+        deletion: ['#82071e', '#ffebe9']
+    },
+    dark: {
+        text: '#e6edf3',
+        comment: '#8b949e',
+        keyword: '#ff7b72',
+        string: '#a5d6ff',
+        number: '#79c0ff',
+        title: '#d2a8ff',
+        tag: '#7ee787',
+        meta: '#ffa657',
+        addition: ['#aff5b4', '#033a16'],
+        deletion: ['#ffdcd7', '#67060c']
+    },
+    muted: {
+        text: '#222222',
+        comment: '#8a8a8a',
+        keyword: '#222222',
+        string: '#4b5f2c',
+        number: '#4b5f2c',
+        title: '#222222',
+        tag: '#222222',
+        meta: '#6b6b6b',
+        addition: ['#222222', '#eaf5e4'],
+        deletion: ['#222222', '#f8e5e5']
+    }
+};
+
+function highlightCss(palette) {
+    return `
+pre code, .hljs { color: ${palette.text}; background: transparent; }
+.hljs-comment, .hljs-quote { color: ${palette.comment}; font-style: italic; }
+.hljs-keyword, .hljs-selector-tag, .hljs-type, .hljs-doctag { color: ${palette.keyword}; }
+.hljs-string, .hljs-regexp, .hljs-meta .hljs-string { color: ${palette.string}; }
+.hljs-number, .hljs-literal, .hljs-built_in, .hljs-variable, .hljs-attr, .hljs-attribute { color: ${palette.number}; }
+.hljs-title, .hljs-section { color: ${palette.title}; }
+.hljs-name, .hljs-tag, .hljs-selector-class, .hljs-selector-id { color: ${palette.tag}; }
+.hljs-meta, .hljs-symbol { color: ${palette.meta}; }
+.hljs-emphasis { font-style: italic; }
+.hljs-strong { font-weight: bold; }
+.hljs-addition { color: ${palette.addition[0]}; background: ${palette.addition[1]}; }
+.hljs-deletion { color: ${palette.deletion[0]}; background: ${palette.deletion[1]}; }`;
+}
+
+// Layout shared by every theme
+const EXPORT_BASE_CSS = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; }
+main { max-width: 780px; margin: 0 auto; padding: 48px 24px 96px; }
+h1, h2, h3, h4, h5, h6 { position: relative; line-height: 1.25; margin: 1.6em 0 0.6em; }
+p, ul, ol, pre, table, blockquote { margin: 0 0 1em; }
+img { max-width: 100%; }
+pre { overflow-x: auto; padding: 16px; border-radius: 6px; line-height: 1.45; }
+code { font-family: ui-monospace, SFMono-Regular, Consolas, 'Liberation Mono', monospace; font-size: 0.875em; }
+:not(pre) > code { padding: 0.2em 0.4em; border-radius: 4px; }
+table { border-collapse: collapse; display: block; overflow-x: auto; }
+th, td { padding: 6px 13px; }
+blockquote { margin-left: 0; padding: 0 1em; }
+.anchor { position: absolute; left: -1em; padding-right: 0.25em; text-decoration: none; opacity: 0; }
+h1:hover .anchor, h2:hover .anchor, h3:hover .anchor, h4:hover .anchor, h5:hover .anchor, h6:hover .anchor,
+.anchor:focus { opacity: 1; }
+.toc { margin: 0 0 2em; padding: 1em 1.5em; border-radius: 6px; }
+.toc-title { margin-top: 0; font-size: 1.1em; }
+.toc ol { list-style: none; padding-left: 1.2em; margin: 0; }
+.toc > ol { padding-left: 0; }
+.toc li { margin: 0.25em 0; }
+@media print { .anchor { display: none; } main { padding: 0; } }`;
+
+const EXPORT_THEMES = {
+    github: {
+        label: 'GitHub',
+        highlight: 'light',
+        css: `
+body { background: #ffffff; color: #1f2328; font: 16px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica,
+    Arial, sans-serif; }
+a { color: #0969da; }
+h1, h2 { padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+h1 { font-size: 2em; }
+h2 { font-size: 1.5em; }
+pre { background: #f6f8fa; }
+:not(pre) > code { background: rgba(129, 139, 152, 0.12); }
+blockquote { color: #59636e; border-left: 0.25em solid #d1d9e0; }
+th, td { border: 1px solid #d1d9e0; }
+tr:nth-child(2n) { background: #f6f8fa; }
+hr { height: 0.25em; border: 0; background: #d1d9e0; }
+.anchor { color: #59636e; }
+.toc { background: #f6f8fa; border: 1px solid #d1d9e0; }`
+    },
+    medium: {
+        label: 'Medium-like',
+        highlight: 'light',
+        css: `
+body { background: #ffffff; color: #242424; font: 20px/1.6 Charter, 'Bitstream Charter', Georgia, Cambria,
+    'Times New Roman', serif; }
+main { max-width: 700px; }
+h1, h2, h3, h4, h5, h6 { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+    font-weight: 700; letter-spacing: -0.016em; }
+h1 { font-size: 2.1em; }
+h2 { font-size: 1.5em; }
+a { color: inherit; text-decoration: underline; }
+pre { background: #f2f2f2; font-size: 16px; }
+:not(pre) > code { background: #f2f2f2; }
+blockquote { font-style: italic; border-left: 3px solid #242424; padding-left: 23px; }
+th, td { border-bottom: 1px solid #e6e6e6; }
+hr { border: 0; text-align: center; }
+hr::before { content: '...'; letter-spacing: 0.6em; font-size: 28px; color: #242424; }
+.anchor { color: #6b6b6b; }
+.toc { background: #fafafa; font-size: 0.85em; }`
+    },
+    minimal: {
+        label: 'Minimal',
+        highlight: 'muted',
+        css: `
+body { background: #ffffff; color: #222222; font: 17px/1.7 system-ui, -apple-system, 'Segoe UI', sans-serif; }
+main { max-width: 680px; }
+a { color: #222222; text-decoration-thickness: 1px; text-underline-offset: 3px; }
+h1 { font-size: 1.8em; }
+h2 { font-size: 1.35em; }
+pre { background: #f7f7f7; }
+:not(pre) > code { background: #f2f2f2; }
+blockquote { color: #555555; border-left: 2px solid #dddddd; }
+th, td { border-bottom: 1px solid #eeeeee; text-align: left; }
+hr { border: 0; border-top: 1px solid #eeeeee; }
+.anchor { color: #aaaaaa; }
+.toc { border: 1px solid #eeeeee; }`
+    },
+    dark: {
+        label: 'Dark',
+        highlight: 'dark',
+        css: `
+html { color-scheme: dark; }
+body { background: #0d1117; color: #e6edf3; font: 16px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica,
+    Arial, sans-serif; }
+a { color: #4493f8; }
+h1, h2 { padding-bottom: 0.3em; border-bottom: 1px solid #3d444d; }
+pre { background: #161b22; }
+:not(pre) > code { background: rgba(101, 108, 118, 0.2); }
+blockquote { color: #9198a1; border-left: 0.25em solid #3d444d; }
+th, td { border: 1px solid #3d444d; }
+tr:nth-child(2n) { background: #151b23; }
+hr { height: 0.25em; border: 0; background: #3d444d; }
+.anchor { color: #9198a1; }
+.toc { background: #161b22; border: 1px solid #3d444d; }`
+    }
+};
+
+function getExportTheme(themeId) {
+    return EXPORT_THEMES[themeId] || EXPORT_THEMES[HTML_EXPORT_DEFAULTS.theme];
+}
+
+function exportThemeCss(themeId) {
+    const theme = getExportTheme(themeId);
+    return [EXPORT_BASE_CSS, theme.css, highlightCss(HIGHLIGHT_PALETTES[theme.highlight])].join('\n').trim();
+}
+
+// A "#" link at the start of each heading, pointing at its own id
+function addHeadingAnchors(html) {
+    return html.replace(/<h([1-6])([^>]*\sid="([^"]*)"[^>]*)>/gi, (tag, level, attributes, id) =>
+        `<h${level}${attributes}><a class="anchor" href="#${id}" aria-label="Link to this section">#</a>`);
+}
+
+// A complete, self-contained HTML file around the rendered document
+function buildHtmlExport(html, { theme = HTML_EXPORT_DEFAULTS.theme, title = '', description = '', toc = false,
+    anchors = false } = {}) {
+    let body = html;
+    let contents = '';
+    if (toc || anchors) {
+        const outline = addHeadingIds(html);
+        body = anchors ? addHeadingAnchors(outline.html) : outline.html;
+        contents = toc ? renderTableOfContents(outline.headings) : '';
+    }
+
+    const meta = description ? `\n    <meta name="description" content="${escapeHtml(description)}">` : '';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="generator" content="MarkdownGPT">${meta}
+    <title>${escapeHtml(title || 'Untitled document')}</title>
+    <style>
+${exportThemeCss(theme)}
+    </style>
+</head>
+<body>
+<main>
+${contents}${body}
+</main>
+</body>
+</html>
+`;
+}
+
+// HTML export UI
+
+function loadHtmlExportOptions() {
+    try {
+        return { ...HTML_EXPORT_DEFAULTS, ...JSON.parse(localStorage.getItem(HTML_EXPORT_OPTIONS_KEY) || '{}') };
+    } catch (error) {
+        logError('Failed to load HTML export options', error);
+        return { ...HTML_EXPORT_DEFAULTS };
+    }
+}
+
+function exportHTML() {
+    if (!confirmPlatformLimits('Export')) {
+        return;
+    }
+    toggleExportMenu(false);
+
+    const options = loadHtmlExportOptions();
+    const themeOptions = Object.entries(EXPORT_THEMES).map(([id, theme]) =>
+        `<option value="${id}"${id === options.theme ? ' selected' : ''}>${escapeHtml(theme.label)}</option>`).join('');
+    const modal = createModal('🌐 Export HTML', 'html-export-modal');
+    modal.body.innerHTML = `
+        <form class="html-export-options">
+            <div class="setting-item setting-field">
+                <label for="htmlExportTheme">Theme</label>
+                <select id="htmlExportTheme" name="theme">${themeOptions}</select>
+            </div>
+            <label class="setting-item">
+                <input type="checkbox" name="toc"${options.toc ? ' checked' : ''}>
+                <span>Table of contents</span>
+            </label>
+            <label class="setting-item">
+                <input type="checkbox" name="anchors"${options.anchors ? ' checked' : ''}>
+                <span>Link anchors on headings</span>
+            </label>
+        </form>`;
+    modal.footer.innerHTML = `
+        <button class="btn secondary" type="button" data-action="cancel">Cancel</button>
+        <button class="btn" type="button" data-action="export">💾 Export</button>`;
+
+    const form = modal.body.querySelector('form');
+    const submit = () => {
+        const chosen = {
+            theme: form.elements.theme.value,
+            toc: form.elements.toc.checked,
+            anchors: form.elements.anchors.checked
+        };
+        try {
+            localStorage.setItem(HTML_EXPORT_OPTIONS_KEY, JSON.stringify(chosen));
+        } catch (error) {
+            logError('Failed to save HTML export options', error);
+        }
+        modal.close();
+        downloadHtmlExport(chosen);
+    };
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        submit();
+    });
+    modal.footer.addEventListener('click', event => {
+        const action = event.target.dataset.action;
+        if (action === 'cancel') {
+            modal.close();
+        } else if (action === 'export') {
+            submit();
+        }
+    });
+}
+
+function downloadHtmlExport(options) {
+    try {
+        const content = editor.value;
+        const frontMatter = readFrontMatter(content).data || {};
+        const htmlContent = buildHtmlExport(renderMarkdownHtml(content), {
+            ...options,
+            title: findDocumentTitle(content) || '',
+            description: typeof frontMatter.description === 'string' ? frontMatter.description.trim() : ''
+        });
+
+        const blob = new Blob([htmlContent], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'document.html';
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        logError('HTML export failed', error);
+        showNotification('❌ Could not export HTML', 'error');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_THEMES,
+        exportThemeCss,
+        addHeadingAnchors,
+        buildHtmlExport
+    };
+}
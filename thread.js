@@ -0,0 +1,250 @@
+// Twitter/X thread builder
+// Lengths follow X's counting rules: every URL counts as 23 characters, emoji and CJK characters count as
+// two, and Latin, Greek, Cyrillic and common punctuation count as one. Threads are split at paragraph and
+// sentence boundaries, and each tweet leaves room for its "1/N" number.
+
+/* global getFormat, escapeHtml, sanitizeHtml, CONFIG */
+
+const TWEET_MAX_LENGTH = 280;
+const TWEET_URL_LENGTH = 23;
+const THREAD_SEPARATOR = '\n\n---\n\n';
+
+// Code point ranges X counts as a single character; everything else counts as two
+const TWEET_LIGHT_RANGES = [
+    [0x0000, 0x10FF],
+    [0x2000, 0x200D],
+    [0x2010, 0x201F],
+    [0x2032, 0x2037]
+];
+
+// URLs with a scheme or www., and bare domains on common TLDs, which X also turns into links
+const TWEET_URL_PATTERN = new RegExp([
+    '(?:https?:\\/\\/|www\\.)\\S+[^\\s.,:;!?\'")\\]]',
+    '\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:com|org|net|io|dev|co|app|ai|me|ly|gg|xyz)\\b(?:\\/\\S*[^\\s.,:;!?\'")\\]])?'
+].join('|'), 'gi');
+const TWEET_EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const THREAD_NUMBER_PATTERN = /^\d+\/\d+(?:\s+|$)/;
+const THREAD_BREAK_PATTERN = /\n[ \t]*(?:-{3,}|\*{3,}|_{3,})[ \t]*\n/;
+// Classes of the preview's own markup; the tweets inside it are escaped text
+const THREAD_PREVIEW_CLASSES = [/^(?:thread|tweet)-[\w-]+$/, /^over-limit$/];
+
+function splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment);
+    }
+    return Array.from(text);
+}
+
+function graphemeWeight(grapheme) {
+    // A whole emoji sequence (skin tones, ZWJ families, flags) counts as one emoji
+    if (TWEET_EMOJI_PATTERN.test(grapheme)) {
+        return 2;
+    }
+    return Array.from(grapheme).reduce((weight, char) => {
+        const code = char.codePointAt(0);
+        return weight + (TWEET_LIGHT_RANGES.some(([start, end]) => code >= start && code <= end) ? 1 : 2);
+    }, 0);
+}
+
+// Weighted length of a tweet as X counts it
+function tweetLength(text) {
+    const normalized = text.normalize('NFC');
+    let length = 0;
+    let last = 0;
+    normalized.replace(TWEET_URL_PATTERN, (url, index) => {
+        length += splitGraphemes(normalized.slice(last, index)).reduce((sum, part) => sum + graphemeWeight(part), 0);
+        length += TWEET_URL_LENGTH;
+        last = index + url.length;
+        return url;
+    });
+    return length + splitGraphemes(normalized.slice(last)).reduce((sum, part) => sum + graphemeWeight(part), 0);
+}
+
+// Sentences end at . ! ? … followed by whitespace, or right after a CJK full stop
+function splitPostSentences(paragraph) {
+    return paragraph.split(/(?<=[.!?…]["'”’)\]]*\s)|(?<=[。！？])/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+// Cut text that has no usable break into pieces that fit, keeping whole words and URLs where possible
+function splitToFit(text, budget) {
+    const pieces = [];
+    let current = '';
+
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (tweetLength(candidate) <= budget) {
+            current = candidate;
+            return;
+        }
+        if (current) {
+            pieces.push(current);
+        }
+        current = word;
+
+        // A single word longer than a tweet is cut by character
+        while (tweetLength(current) > budget) {
+            let cut = '';
+            for (const grapheme of splitGraphemes(current)) {
+                if (cut && tweetLength(cut + grapheme) > budget) {
+                    break;
+                }
+                cut += grapheme;
+            }
+            pieces.push(cut);
+            current = current.slice(cut.length);
+        }
+    });
+
+    if (current) {
+        pieces.push(current);
+    }
+    return pieces;
+}
+
+// Hard boundaries that packing never crosses: --- separators and paragraphs that already start with "n/N"
+function splitThreadSections(content) {
+    const sections = [];
+    content.split(THREAD_BREAK_PATTERN).forEach(part => {
+        let section = [];
+        sections.push(section);
+        part.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+            if (THREAD_NUMBER_PATTERN.test(paragraph) && section.length) {
+                section = [];
+                sections.push(section);
+            }
+            const text = paragraph.replace(THREAD_NUMBER_PATTERN, '').trim();
+            if (text) {
+                section.push(text);
+            }
+        });
+    });
+    return sections.filter(section => section.length);
+}
+
+// Pack one section's paragraphs into tweets of at most budget weighted characters
+function packSection(paragraphs, budget) {
+    const tweets = [];
+    let current = '';
+
+    const add = (text, separator) => {
+        const candidate = current ? current + separator + text : text;
+        if (tweetLength(candidate) <= budget) {
+            current = candidate;
+            return true;
+        }
+        return false;
+    };
+    const flush = () => {
+        if (current) {
+            tweets.push(current);
+            current = '';
+        }
+    };
+
+    paragraphs.forEach(paragraph => {
+        if (add(paragraph, '\n\n')) {
+            return;
+        }
+        flush();
+
+        // Too long for one tweet: fall back to lines, then sentences, then words
+        paragraph.split('\n').forEach(line => {
+            if (add(line, '\n')) {
+                return;
+            }
+            flush();
+            splitPostSentences(line).forEach(sentence => {
+                if (add(sentence, /[。！？]$/.test(current) ? '' : ' ')) {
+                    return;
+                }
+                flush();
+                splitToFit(sentence, budget).forEach(piece => {
+                    if (!add(piece, ' ')) {
+                        flush();
+                        current = piece;
+                    }
+                });
+            });
+        });
+    });
+
+    flush();
+    return tweets;
+}
+
+function numberingLength(count) {
+    return tweetLength(`${count}/${count}\n\n`);
+}
+
+// Split content into tweets; numbered "n/N" when there is more than one
+function buildThread(content, { maxLength = TWEET_MAX_LENGTH } = {}) {
+    const sections = splitThreadSections(content.replace(/\r\n?/g, '\n'));
+    if (!sections.length) {
+        return [];
+    }
+    if (sections.length === 1 && tweetLength(sections[0].join('\n\n')) <= maxLength) {
+        return [sections[0].join('\n\n')];
+    }
+
+    // The number's width depends on the tweet count, so repack until the reserved space is enough
+    let reserve = numberingLength(9);
+    let tweets;
+    for (;;) {
+        tweets = sections.flatMap(section => packSection(section, maxLength - reserve));
+        if (numberingLength(tweets.length) <= reserve) {
+            break;
+        }
+        reserve = numberingLength(tweets.length);
+    }
+
+    return tweets.map((tweet, index) => `${index + 1}/${tweets.length}\n\n${tweet}`);
+}
+
+// Tweets in content that has already been split into a thread
+function readThread(content) {
+    return content.split(THREAD_BREAK_PATTERN).map(post => post.trim()).filter(Boolean);
+}
+
+function getThreadRule(formatId) {
+    const format = formatId ? getFormat(formatId) : null;
+    return format ? format.enrich.find(rule => rule.type === 'thread') || null : null;
+}
+
+// Thread preview: one card per tweet with its weighted length
+function renderThreadPreview(content, rule) {
+    const maxLength = rule.maxLength || TWEET_MAX_LENGTH;
+    let tweets = readThread(content);
+    const built = tweets.length === 1 && tweetLength(tweets[0]) > maxLength;
+    if (built) {
+        tweets = buildThread(content, { maxLength });
+    }
+
+    const cards = tweets.map((tweet, index) => {
+        const length = tweetLength(tweet);
+        return `
+        <div class="tweet-card${length > maxLength ? ' over-limit' : ''}">
+            <div class="tweet-text">${escapeHtml(tweet)}</div>
+            <div class="tweet-meta">
+                <span>${index + 1} of ${tweets.length}</span>
+                <span class="tweet-count">${length}/${maxLength}</span>
+            </div>
+        </div>`;
+    }).join('');
+
+    const note = built ? '<p class="thread-note">Preview of how this text will be split into a thread.</p>' : '';
+    return sanitizeHtml(`<div class="thread-preview">${note}${cards}</div>`,
+        { ...CONFIG.SANITIZER, allowedClasses: THREAD_PREVIEW_CLASSES });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TWEET_MAX_LENGTH,
+        THREAD_SEPARATOR,
+        tweetLength,
+        splitPostSentences,
+        buildThread,
+        readThread
+    };
+}
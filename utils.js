@@ -0,0 +1,17 @@
+// Shared helpers used by the feature scripts
+
+// Escape text for safe insertion into HTML markup
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeHtml
+    };
+}
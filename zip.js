@@ -0,0 +1,104 @@
+// ZIP archive writer
+// Office documents are ZIP packages of XML parts. Files are stored uncompressed, which every ZIP reader
+// and Office application accepts, so exports need no compression library.
+
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let index = 0; index < bytes.length; index++) {
+        crc = ZIP_CRC_TABLE[(crc ^ bytes[index]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ZIP stores local time in MS-DOS format, which cannot go before 1980
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// files: [{ name, data }] where data is a string (written as UTF-8) or a Uint8Array
+function createZip(files, { date = new Date() } = {}) {
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(date);
+    const entries = files.map(file => {
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name: encoder.encode(file.name), data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const output = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(output.buffer);
+    let offset = 0;
+
+    // Fields shared by the local header and the central directory, from "version needed" to name length
+    const writeCommon = entry => {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true); // file names are UTF-8
+        view.setUint16(offset + 4, 0, true); // stored
+        view.setUint16(offset + 6, stamp.time, true);
+        view.setUint16(offset + 8, stamp.date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        offset += 24;
+    };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        offset += 4;
+        writeCommon(entry);
+        view.setUint16(offset, 0, true);
+        offset += 2;
+        output.set(entry.name, offset);
+        offset += entry.name.length;
+        output.set(entry.data, offset);
+        offset += entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);
+        offset += 6;
+        writeCommon(entry);
+        // Extra and comment lengths, disk number and attributes stay zero
+        offset += 12;
+        view.setUint32(offset, entry.offset, true);
+        offset += 4;
+        output.set(entry.name, offset);
+        offset += entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return output;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crc32,
+        createZip
+    };
+}